@@ -908,6 +908,9 @@ async function loadCurrentThemeCSS() {
   /* Selection and errors */
   --geojson-editor-selection-color: light-dark(rgba(51, 153, 255, 0.3), rgba(51, 153, 255, 0.4));
   --geojson-editor-error-color: light-dark(#dc3545, #ff6b68);
+  --geojson-editor-warning-color: light-dark(#d19a00, #e5c07b);
+  --geojson-editor-find-match-color: light-dark(rgba(255, 200, 0, 0.3), rgba(255, 200, 0, 0.25));
+  --geojson-editor-find-match-current-color: light-dark(rgba(255, 150, 0, 0.45), rgba(255, 150, 0, 0.4));
 }`;
     return;
   }
@@ -0,0 +1,252 @@
+import type { Feature } from 'geojson';
+import type { JsonSchema } from './types.js';
+import type { CompletionItem, JsonPath, SnippetStop } from './internal-types.js';
+import { resolveRef } from './json-schema.js';
+import { GEOMETRY_TYPES } from './constants.js';
+
+/** Maximum number of distinct values inferred from existing features */
+const MAX_INFERRED_VALUES = 50;
+
+/** Structural context of an object, as given by the context map */
+export type StructureContext = 'Feature' | 'geometry';
+
+/** Keys of a Feature and of a geometry object (RFC 7946) */
+const STRUCTURE_KEYS: Record<StructureContext, string[]> = {
+  Feature: ['type', 'id', 'geometry', 'properties', 'bbox'],
+  geometry: ['type', 'coordinates', 'geometries', 'bbox']
+};
+
+/** Default coordinates of the feature snippets (polygon rings counter-clockwise) */
+const SNIPPET_COORDINATES: Record<string, unknown> = {
+  Point: [0, 0],
+  MultiPoint: [[0, 0], [1, 1]],
+  LineString: [[0, 0], [1, 1]],
+  MultiLineString: [[[0, 0], [1, 1]]],
+  Polygon: [[[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]]],
+  MultiPolygon: [[[[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]]]]
+};
+
+type SchemaObject = { [keyword: string]: unknown };
+
+/**
+ * Resolve a schema node, following local $ref chains
+ */
+function resolveSchema(schema: unknown, root: JsonSchema): SchemaObject | null {
+  let current = schema;
+  // Bounded to avoid reference cycles
+  for (let i = 0; i < 10 && current && typeof current === 'object'; i++) {
+    const ref = (current as SchemaObject).$ref;
+    if (typeof ref !== 'string') break;
+    current = resolveRef(ref, root);
+  }
+  return current && typeof current === 'object' ? current as SchemaObject : null;
+}
+
+/**
+ * Collect the property schemas of an object schema (properties of allOf members included)
+ */
+function getPropertySchemas(schema: SchemaObject | null, root: JsonSchema): Map<string, SchemaObject | null> {
+  const result = new Map<string, SchemaObject | null>();
+  if (!schema) return result;
+
+  for (const [key, sub] of Object.entries((schema.properties || {}) as Record<string, unknown>)) {
+    result.set(key, resolveSchema(sub, root));
+  }
+  if (Array.isArray(schema.allOf)) {
+    for (const member of schema.allOf) {
+      for (const [key, sub] of getPropertySchemas(resolveSchema(member, root), root)) {
+        if (!result.has(key)) result.set(key, sub);
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * Get the schema of the value at a path inside properties (null if unknown)
+ */
+function getSchemaAt(schema: JsonSchema | null, path: JsonPath): SchemaObject | null {
+  if (!schema || typeof schema !== 'object') return null;
+  let current = resolveSchema(schema, schema);
+  for (const key of path) {
+    current = getPropertySchemas(current, schema).get(String(key)) ?? null;
+    if (!current) return null;
+  }
+  return current;
+}
+
+/**
+ * Get the value at a path inside an object
+ */
+function getValueAt(value: unknown, path: JsonPath): unknown {
+  let current = value;
+  for (const key of path) {
+    if (!current || typeof current !== 'object') return undefined;
+    current = (current as Record<string, unknown>)[key];
+  }
+  return current;
+}
+
+/**
+ * Check if a label matches the typed prefix (case-insensitive)
+ */
+function matchesPrefix(label: string, prefix: string): boolean {
+  return label.toLowerCase().startsWith(prefix.toLowerCase());
+}
+
+/**
+ * Suggest keys for the object at a path inside properties
+ * Keys come from the schema first, then from the same object in other features
+ * @param path - Path of the object inside properties ([] = properties itself)
+ * @param prefix - Text typed so far
+ * @param existing - Keys already present in the object (not suggested)
+ */
+export function suggestPropertyKeys(
+  schema: JsonSchema | null,
+  features: Feature[],
+  path: JsonPath,
+  prefix: string,
+  existing: Set<string>
+): CompletionItem[] {
+  const items = new Map<string, CompletionItem>();
+  const add = (key: string, detail: string) => {
+    if (!items.has(key) && !existing.has(key) && matchesPrefix(key, prefix)) {
+      items.set(key, { label: key, insertText: `${JSON.stringify(key).slice(1)}: `, detail });
+    }
+  };
+
+  for (const key of getPropertySchemas(getSchemaAt(schema, path), schema as JsonSchema).keys()) {
+    add(key, 'schema');
+  }
+  for (const feature of features) {
+    const object = getValueAt(feature?.properties, path);
+    if (object && typeof object === 'object' && !Array.isArray(object)) {
+      for (const key of Object.keys(object)) add(key, 'used');
+    }
+  }
+
+  return [...items.values()];
+}
+
+/**
+ * Suggest values for a key inside properties
+ * Values come from the schema (enum, const, boolean type), or are inferred from the
+ * primitive values used for the same key in other features
+ * @param path - Path of the value inside properties (last item is the key)
+ * @param prefix - Text typed so far (without the opening quote if quoted)
+ * @param quoted - True if the value was started with a quote (only strings are suggested)
+ */
+export function suggestPropertyValues(
+  schema: JsonSchema | null,
+  features: Feature[],
+  path: JsonPath,
+  prefix: string,
+  quoted: boolean
+): CompletionItem[] {
+  const values: unknown[] = [];
+  let detail = 'schema';
+
+  const valueSchema = getSchemaAt(schema, path);
+  if (valueSchema) {
+    if (Array.isArray(valueSchema.enum)) values.push(...valueSchema.enum);
+    if ('const' in valueSchema) values.push(valueSchema.const);
+    if (valueSchema.type === 'boolean') values.push(true, false);
+  }
+
+  if (values.length === 0) {
+    detail = 'used';
+    for (const feature of features) {
+      const value = getValueAt(feature?.properties, path);
+      if (value === null || typeof value === 'object' || value === undefined) continue;
+      if (!values.includes(value)) values.push(value);
+      if (values.length >= MAX_INFERRED_VALUES) break;
+    }
+  }
+
+  const items: CompletionItem[] = [];
+  for (const value of values) {
+    if (quoted && typeof value !== 'string') continue;
+    const json = JSON.stringify(value);
+    // Quoted: the opening quote is already typed, complete the content and close it
+    const label = quoted ? json.slice(1, -1) : json;
+    if (matchesPrefix(label, prefix)) {
+      items.push({ label, insertText: quoted ? json.slice(1) : json, detail });
+    }
+  }
+  return items;
+}
+
+/**
+ * Suggest the keys of a Feature or geometry object
+ * @param existing - Keys already present in the object (not suggested)
+ */
+export function suggestStructureKeys(context: StructureContext, prefix: string, existing: Set<string>): CompletionItem[] {
+  return STRUCTURE_KEYS[context]
+    .filter(key => !existing.has(key) && matchesPrefix(key, prefix))
+    .map(key => ({ label: key, insertText: `${key}": `, detail: context }));
+}
+
+/**
+ * Suggest the "type" values allowed in a Feature or geometry object
+ * @param quoted - True if the value was started with a quote
+ */
+export function suggestTypeValues(context: StructureContext, prefix: string, quoted: boolean): CompletionItem[] {
+  const types: string[] = context === 'geometry' ? GEOMETRY_TYPES : ['Feature'];
+  return types
+    .filter(type => matchesPrefix(type, prefix))
+    .map(type => ({ label: type, insertText: quoted ? `${type}"` : `"${type}"`, detail: context }));
+}
+
+/**
+ * Suggest Feature skeletons (one per geometry type) as snippets
+ * Placeholders: longitude and latitude for a Point, the whole coordinates array otherwise,
+ * then the inside of properties
+ */
+export function suggestFeatureSnippets(prefix: string): CompletionItem[] {
+  return Object.keys(SNIPPET_COORDINATES)
+    .map(type => ({ label: `${type} Feature`, insertText: buildFeatureSnippet(type), detail: 'snippet', snippet: true }))
+    .filter(item => matchesPrefix(item.label, prefix));
+}
+
+/**
+ * Build a Feature snippet formatted as the editor formats features (2-space indentation)
+ */
+function buildFeatureSnippet(type: string): string {
+  const json = JSON.stringify({
+    type: 'Feature',
+    geometry: { type, coordinates: SNIPPET_COORDINATES[type] },
+    properties: {}
+  }, null, 2);
+
+  let stop = 0;
+  const withCoordinates = type === 'Point'
+    ? json.replace(/^(\s*)(-?\d+)(,?)$/gm, (_, indent, value, comma) => `${indent}\${${++stop}:${value}}${comma}`)
+    : json.replace(/("coordinates": )(\[[\s\S]*?\n {4}\])/, (_, key, value) => `${key}\${${++stop}:${value}}`);
+  return withCoordinates.replace('"properties": {}', `"properties": {\${${++stop}}}`);
+}
+
+/**
+ * Expand a snippet: remove the ${n:default} markers, keeping their default text
+ * @returns The text to insert and the placeholder ranges (relative to the text), in placeholder order
+ */
+export function parseSnippet(snippet: string): { text: string; stops: SnippetStop[] } {
+  const numbered: { order: number; stop: SnippetStop }[] = [];
+  let text = '';
+  let lastIndex = 0;
+  const position = () => {
+    const lines = text.split('\n');
+    return { line: lines.length - 1, column: lines[lines.length - 1].length };
+  };
+
+  for (const match of snippet.matchAll(/\$\{(\d+)(?::([^}]*))?\}/g)) {
+    text += snippet.slice(lastIndex, match.index);
+    const start = position();
+    text += match[2] ?? '';
+    const end = position();
+    numbered.push({ order: Number(match[1]), stop: { line: start.line, column: start.column, endLine: end.line, endColumn: end.column } });
+    lastIndex = match.index! + match[0].length;
+  }
+  text += snippet.slice(lastIndex);
+
+  return { text, stops: numbered.sort((a, b) => a.order - b.order).map(n => n.stop) };
+}
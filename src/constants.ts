@@ -1,13 +1,43 @@
 import type { GeoJsonGeometryTypes } from 'geojson';
+import type { ExportFormat } from './types.js';
 
 // Version injected by Vite build from package.json
 declare const __VERSION__: string;
 export const VERSION = typeof __VERSION__ !== 'undefined' ? __VERSION__ : 'dev';
 
-// GeoJSON constants - exclude GeometryCollection which is not supported
-export type GeometryType = Exclude<GeoJsonGeometryTypes, 'GeometryCollection'>;
-export const GEOJSON_KEYS: string[] = ['type', 'geometry', 'properties', 'coordinates', 'id', 'features'];
-export const GEOMETRY_TYPES: GeometryType[] = ['Point', 'MultiPoint', 'LineString', 'MultiLineString', 'Polygon', 'MultiPolygon'];
+// GeoJSON constants
+export type GeometryType = GeoJsonGeometryTypes;
+export const GEOJSON_KEYS: string[] = ['type', 'geometry', 'properties', 'coordinates', 'geometries', 'id', 'features'];
+export const GEOMETRY_TYPES: GeometryType[] = ['Point', 'MultiPoint', 'LineString', 'MultiLineString', 'Polygon', 'MultiPolygon', 'GeometryCollection'];
+
+// File formats written by save()/saveAs(), also their file extensions
+export const EXPORT_FORMATS: ExportFormat[] = ['geojson', 'geojsons', 'ndjson', 'topojson', 'kml', 'gpx', 'csv'];
+// Description and MIME type of the exported files (save file picker, download)
+export const EXPORT_FILE_TYPES: Record<ExportFormat, { description: string; mimeType: string }> = {
+  geojson: { description: 'GeoJSON', mimeType: 'application/geo+json' },
+  geojsons: { description: 'GeoJSON text sequence', mimeType: 'application/geo+json-seq' },
+  ndjson: { description: 'Newline-delimited GeoJSON', mimeType: 'application/x-ndjson' },
+  topojson: { description: 'TopoJSON', mimeType: 'application/json' },
+  kml: { description: 'KML', mimeType: 'application/vnd.google-earth.kml+xml' },
+  gpx: { description: 'GPX', mimeType: 'application/gpx+xml' },
+  csv: { description: 'CSV', mimeType: 'text/csv' }
+};
+
+// File extensions and MIME types read by open()
+export const OPEN_FILE_EXTENSIONS: string[] = ['.geojson', '.json', '.geojsons', '.ndjson', '.jsonl', '.topojson', '.wkt', '.kml', '.gpx', '.csv'];
+export const OPEN_FILE_MIME_TYPES: string[] = ['application/geo+json', 'application/json', 'application/vnd.google-earth.kml+xml', 'application/gpx+xml', 'text/csv', 'application/geo+json-seq', 'application/x-ndjson'];
+
+// Decimal places beyond which a coordinate is flagged (6 decimals ~ 10 cm, as recommended by RFC 7946)
+export const MAX_COORDINATE_PRECISION = 6;
+
+// Maximum number of find matches (keeps search responsive on large files)
+export const MAX_FIND_MATCHES = 10000;
+
+// Features loaded per step when opening a large file (the UI stays responsive between steps)
+export const INCREMENTAL_LOAD_CHUNK_SIZE = 1000;
+
+// Delay before the feature filter is evaluated again after typing (ms)
+export const FILTER_UPDATE_DELAY = 300;
 
 // ========== Pre-compiled regex patterns for performance ==========
 
@@ -45,6 +75,7 @@ export const RE_NORMALIZE_COLOR = /^#?([0-9a-fA-F])([0-9a-fA-F])([0-9a-fA-F])$/;
 // Whitespace
 export const RE_WHITESPACE_ONLY = /^\s*$/;
 export const RE_WHITESPACE_SPLIT = /(\s+)/;
+export const RE_LEADING_WHITESPACE = /^\s*/;
 
 // Attribute extraction - unified regex for string values and booleans
 // Captures: [1] attributeName, [2] stringValue (if string), [3] boolValue (if boolean)
@@ -62,6 +93,37 @@ export const RE_KV_MATCH = /^\s*"([^"]+)"\s*:\s*([{\[])/;
 export const RE_ROOT_MATCH = /^\s*([{\[]),?\s*$/;
 export const RE_BRACKET_POS = /[{\[]/;
 
+// Key at the start of a line (captures the raw key, escapes included)
+export const RE_LINE_KEY = /^\s*"((?:[^"\\]|\\.)*)"\s*:/;
+
+// Autocompletion contexts (matched against the text before the cursor)
+// Key being typed: [1] indentation, [2] key prefix
+export const RE_COMPLETION_KEY = /^(\s*)"([^"\\]*)$/;
+// Value being typed: [1] raw key, [2] quoted prefix (string value), [3] unquoted prefix (literal)
+export const RE_COMPLETION_VALUE = /^\s*"((?:[^"\\]|\\.)*)"\s*:\s*(?:"([^"\\]*)|([\w.+-]*))$/;
+// Bare word (key without its opening quote, manual trigger only): [1] indentation, [2] word
+export const RE_COMPLETION_WORD = /^(\s*)([\w-]*)$/;
+// Feature snippet between features: [1] indentation or end of the previous feature ("},"), [2] "{" and/or word typed so far
+export const RE_COMPLETION_SNIPPET = /^(\s*|.*[},]\s*)(\{?[\w-]*)$/;
+
+// Filter expression token: [1] number, [2] quoted string, [3] identifier, [4] operator or punctuation
+export const RE_FILTER_TOKEN = /\s*(?:(\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)|("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|([A-Za-z_$][\w$]*)|(===|!==|==|!=|<=|>=|&&|\|\||[<>!()[\].,-]))/y;
+
+// WKT: [1] token (word, number or punctuation)
+export const RE_WKT_TOKEN = /\s*([A-Za-z]+|[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?|[(),;=])/y;
+// Text starting with a WKT / EWKT geometry
+export const RE_WKT_START = /^\s*(?:SRID=\d+;\s*)?(?:POINT|LINESTRING|POLYGON|MULTIPOINT|MULTILINESTRING|MULTIPOLYGON|GEOMETRYCOLLECTION)(?:\s*(?:ZM|Z|M))?\s*(?:\(|EMPTY\b)/i;
+// Hex WKB / EWKB geometries (byte order 00 or 01), separated by whitespace
+export const RE_HEX_WKB = /^\s*(?:(?:0x|\\x)?0[01][0-9a-f]{8,}\s*)+$/i;
+// KML document (optional XML declaration and comments before the <kml> root)
+export const RE_KML_START = /^\s*(?:<\?xml[^>]*\?>\s*)?(?:<!--[\s\S]*?-->\s*)*<(?:\w+:)?kml[\s>]/i;
+// Encoded polyline: a single word of characters 63 ('?') to 126 ('~')
+export const RE_POLYLINE = /^[?-~]+$/;
+// Encoded polyline symbol (plain words are not taken as polylines)
+export const RE_POLYLINE_SYMBOL = /[?@[\\\]^_`{|}~]/;
+// GPX document (optional XML declaration and comments before the <gpx> root)
+export const RE_GPX_START = /^\s*(?:<\?xml[^>]*\?>\s*)?(?:<!--[\s\S]*?-->\s*)*<(?:\w+:)?gpx[\s>]/i;
+
 // Word navigation
 export const RE_IS_WORD_CHAR = /[\w-]/;
 
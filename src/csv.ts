@@ -0,0 +1,199 @@
+import type { Feature, Geometry } from 'geojson';
+import { RE_HEX_WKB } from './constants.js';
+import { toFeature, typeValue } from './utils.js';
+import { parseHexWKB, parseWKT, stringifyWKT } from './wkt.js';
+
+/**
+ * CSV conversion (RFC 4180: quoted fields, doubled quotes, line breaks in quoted fields)
+ *
+ * - Reading: the delimiter (comma, semicolon or tab) is detected on the header row, coordinate
+ *   columns are detected by name (case-insensitive): a WKT column (WKT or hex WKB values),
+ *   otherwise a latitude and a longitude column (Points); other columns become typed properties
+ * - Writing: a wkt column followed by one column per property key
+ */
+
+/** Column names detected as latitude, longitude and geometry columns, by priority */
+const LAT_COLUMNS = ['lat', 'latitude', 'y'];
+const LON_COLUMNS = ['lon', 'lng', 'long', 'longitude', 'x'];
+const WKT_COLUMNS = ['wkt', 'geometry'];
+
+/** Name of the geometry column when writing */
+const WKT_COLUMN = 'wkt';
+
+const DELIMITERS = [',', ';', '\t'];
+
+interface CoordinateColumns {
+  wkt?: number;
+  lat?: number;
+  lon?: number;
+}
+
+// ========== Reading ==========
+
+/**
+ * Split CSV text into rows of fields
+ */
+function parseRows(text: string, delimiter: string): string[][] {
+  const rows: string[][] = [];
+  let row: string[] = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char !== '"') field += char;
+      else if (text[i + 1] === '"') { field += '"'; i++; }
+      else quoted = false;
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines are skipped
+  return rows.filter(r => r.length > 1 || r[0].trim() !== '');
+}
+
+/**
+ * Delimiter occurring most often in the header row (outside quotes)
+ */
+function detectDelimiter(text: string): string {
+  const header = text.replace(/^\uFEFF/, '').split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+  const counts = DELIMITERS.map(d => header.split(d).length - 1);
+  return DELIMITERS[counts.indexOf(Math.max(...counts))];
+}
+
+/**
+ * Find the coordinate columns in a header row (null if there are none)
+ */
+function findCoordinateColumns(header: string[]): CoordinateColumns | null {
+  const names = header.map(name => name.trim().toLowerCase());
+  const find = (candidates: string[]) => {
+    for (const candidate of candidates) {
+      const index = names.indexOf(candidate);
+      if (index >= 0) return index;
+    }
+    return undefined;
+  };
+
+  const wkt = find(WKT_COLUMNS);
+  if (wkt !== undefined) return { wkt };
+  const lat = find(LAT_COLUMNS);
+  const lon = find(LON_COLUMNS);
+  return lat !== undefined && lon !== undefined ? { lat, lon } : null;
+}
+
+/**
+ * Check if text is a CSV table with coordinate columns and at least one data row
+ */
+export function isCSV(text: string): boolean {
+  const trimmed = text.replace(/^\uFEFF/, '').trim();
+  if (!/[\r\n]/.test(trimmed) || /^[[{]/.test(trimmed)) return false;
+  const delimiter = detectDelimiter(trimmed);
+  const header = parseRows(trimmed.split(/\r?\n/, 1)[0], delimiter)[0];
+  return !!header && findCoordinateColumns(header) !== null;
+}
+
+/**
+ * Geometry of a WKT column cell (WKT or hex WKB, null if empty)
+ */
+function parseGeometryCell(value: string): Geometry | null {
+  if (!value.trim()) return null;
+  const geometries = RE_HEX_WKB.test(value) ? parseHexWKB(value) : parseWKT(value);
+  if (geometries.length !== 1) throw new Error('one geometry per cell expected');
+  return geometries[0];
+}
+
+/**
+ * Convert a CSV table to features, one per data row
+ * @throws {Error} If there are no coordinate columns or a row has invalid coordinates
+ */
+export function parseCSV(text: string): Feature[] {
+  const content = text.replace(/^\uFEFF/, '');
+  const [header, ...rows] = parseRows(content, detectDelimiter(content));
+  const columns = header && findCoordinateColumns(header);
+  if (!columns) {
+    throw new Error(`Invalid CSV: no coordinate columns (${[...LAT_COLUMNS, ...LON_COLUMNS, ...WKT_COLUMNS].join(', ')})`);
+  }
+
+  const coordinateIndexes = [columns.wkt, columns.lat, columns.lon];
+  const names = header.map(name => name.trim());
+
+  return rows.map((row, r) => {
+    const cell = (index: number) => (row[index] ?? '').trim();
+    let geometry: Geometry | null;
+    if (columns.wkt !== undefined) {
+      try {
+        geometry = parseGeometryCell(cell(columns.wkt));
+      } catch (e) {
+        throw new Error(`Invalid CSV: row ${r + 1}: ${(e as Error).message}`);
+      }
+    } else {
+      const lat = cell(columns.lat!);
+      const lon = cell(columns.lon!);
+      if (!lat && !lon) {
+        geometry = null;
+      } else {
+        const coordinates = [Number(lon), Number(lat)];
+        if (!lat || !lon || coordinates.some(Number.isNaN)) {
+          throw new Error(`Invalid CSV: row ${r + 1}: invalid coordinates "${lon}", "${lat}"`);
+        }
+        geometry = { type: 'Point', coordinates };
+      }
+    }
+
+    const properties: Record<string, unknown> = {};
+    names.forEach((name, index) => {
+      if (coordinateIndexes.includes(index)) return;
+      const value = cell(index);
+      properties[name] = value === '' ? null : typeValue(value);
+    });
+    return toFeature(geometry, properties);
+  });
+}
+
+// ========== Writing ==========
+
+/**
+ * Quote a field if it contains a delimiter, a quote, a line break or surrounding spaces
+ */
+function writeField(value: unknown): string {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",;\t\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Convert features to a CSV table: a wkt column, then one column per property key
+ * (in order of appearance); nested values are written as JSON
+ */
+export function stringifyCSV(features: Feature[]): string {
+  const keys: string[] = [];
+  for (const feature of features) {
+    for (const key of Object.keys(feature.properties || {})) {
+      if (key !== WKT_COLUMN && !keys.includes(key)) keys.push(key);
+    }
+  }
+
+  const rows = features.map(feature => {
+    const properties = feature.properties || {};
+    const wkt = feature.geometry ? stringifyWKT(feature.geometry) : '';
+    return [wkt, ...keys.map(key => properties[key])].map(writeField).join(',');
+  });
+  return [[WKT_COLUMN, ...keys].map(writeField).join(','), ...rows].join('\r\n') + '\r\n';
+}
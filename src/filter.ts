@@ -0,0 +1,388 @@
+import type { Feature } from 'geojson';
+import type { FeatureFilter } from './types.js';
+import { RE_FILTER_TOKEN } from './constants.js';
+
+/**
+ * Feature filters (no dependency)
+ *
+ * Expression strings:
+ * - paths from the feature root: properties.lanes, properties["my key"], geometry.type, id
+ * - literals: "string", 'string', numbers, true, false, null, [list]
+ * - operators: == != < <= > >= in, ! && ||, parentheses; a path alone tests its truthiness
+ *
+ * MapLibre-style arrays:
+ * - expressions: all, any, !, ==, !=, <, <=, >, >=, in, has, get, geometry-type, id, properties, literal
+ * - legacy filters: ["==", key, value], ["in", key, ...values], ["!in", ...], ["has", key], ["!has", key],
+ *   ["none", ...]; keys are properties names, $type is the geometry type and $id the feature id
+ */
+
+/** Evaluates a filter node against a feature */
+type Evaluator = (feature: Feature) => unknown;
+
+/** Compiled filter */
+export type FilterPredicate = (feature: Feature, index: number) => boolean;
+
+const COMPARATORS: Record<string, (a: unknown, b: unknown) => boolean> = {
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+  '<': (a, b) => isComparable(a, b) && (a as number) < (b as number),
+  '<=': (a, b) => isComparable(a, b) && (a as number) <= (b as number),
+  '>': (a, b) => isComparable(a, b) && (a as number) > (b as number),
+  '>=': (a, b) => isComparable(a, b) && (a as number) >= (b as number)
+};
+
+/**
+ * Ordering is only defined between two numbers or two strings
+ */
+function isComparable(a: unknown, b: unknown): boolean {
+  return (typeof a === 'number' && typeof b === 'number') || (typeof a === 'string' && typeof b === 'string');
+}
+
+/**
+ * Check if a value is contained in a list (or a substring of a string)
+ */
+function isIn(value: unknown, list: unknown): boolean {
+  if (Array.isArray(list)) return list.includes(value);
+  return typeof list === 'string' && typeof value === 'string' && list.includes(value);
+}
+
+/**
+ * Get the value at a path from the feature root (null if missing)
+ */
+function getPath(feature: unknown, path: (string | number)[]): unknown {
+  let current = feature;
+  for (const key of path) {
+    if (current === null || typeof current !== 'object') return null;
+    current = (current as Record<string, unknown>)[key];
+  }
+  return current ?? null;
+}
+
+/**
+ * Compile a filter into a predicate
+ * @throws {Error} If the expression or the filter array is invalid
+ */
+export function compileFilter(filter: FeatureFilter): FilterPredicate {
+  if (typeof filter === 'function') return filter;
+  if (typeof filter === 'string') {
+    const evaluate = parseFilterExpression(filter);
+    return feature => Boolean(evaluate(feature));
+  }
+  if (Array.isArray(filter)) {
+    const evaluate = compileFilterArray(filter);
+    return feature => Boolean(evaluate(feature));
+  }
+  throw new Error('Filter must be an expression string, a filter array or a function');
+}
+
+// ========== Expression strings ==========
+
+interface Token {
+  kind: 'number' | 'string' | 'word' | 'operator';
+  value: string;
+  position: number;
+}
+
+/**
+ * Split an expression into tokens
+ */
+function tokenize(source: string): Token[] {
+  const tokens: Token[] = [];
+  const regex = new RegExp(RE_FILTER_TOKEN.source, 'y');
+  let position = 0;
+
+  while (position < source.length) {
+    regex.lastIndex = position;
+    const match = regex.exec(source);
+    if (!match) {
+      if (!source.slice(position).trim()) break;
+      const offset = position + source.slice(position).search(/\S/);
+      throw new Error(`Invalid filter: unexpected "${source[offset]}" at position ${offset + 1}`);
+    }
+    const [, number, string, word, operator] = match;
+    const value = number ?? string ?? word ?? operator;
+    const kind = number !== undefined ? 'number' : string !== undefined ? 'string' : word !== undefined ? 'word' : 'operator';
+    tokens.push({ kind, value, position: regex.lastIndex - value.length });
+    position = regex.lastIndex;
+  }
+  return tokens;
+}
+
+/**
+ * Unquote a string token (double quotes follow JSON escapes)
+ */
+function parseString(token: Token): string {
+  if (token.value.startsWith('"')) {
+    try {
+      return JSON.parse(token.value);
+    } catch {
+      throw new Error(`Invalid filter: bad string escape at position ${token.position + 1}`);
+    }
+  }
+  return token.value.slice(1, -1).replace(/\\(.)/g, '$1');
+}
+
+/**
+ * Parse an expression string (recursive descent)
+ * Grammar: or := and ('||' and)* ; and := unary ('&&' unary)* ; unary := '!' unary | comparison ;
+ * comparison := operand (('==' | '!=' | '<' | '<=' | '>' | '>=' | 'in') operand)?
+ * @throws {Error} If the expression is invalid
+ */
+export function parseFilterExpression(source: string): Evaluator {
+  const tokens = tokenize(source);
+  let index = 0;
+
+  const peek = (): Token | undefined => tokens[index];
+  const isOperator = (value: string) => peek()?.kind === 'operator' && peek()!.value === value;
+  const fail = (message: string): never => {
+    const token = peek();
+    throw new Error(`Invalid filter: ${message} at ${token ? `position ${token.position + 1}` : 'end of expression'}`);
+  };
+  const expect = (value: string) => {
+    if (!isOperator(value)) fail(`expected "${value}"`);
+    index++;
+  };
+
+  const parseOr = (): Evaluator => {
+    let left = parseAnd();
+    while (isOperator('||')) {
+      index++;
+      const a = left, b = parseAnd();
+      left = feature => Boolean(a(feature)) || Boolean(b(feature));
+    }
+    return left;
+  };
+
+  const parseAnd = (): Evaluator => {
+    let left = parseUnary();
+    while (isOperator('&&')) {
+      index++;
+      const a = left, b = parseUnary();
+      left = feature => Boolean(a(feature)) && Boolean(b(feature));
+    }
+    return left;
+  };
+
+  const parseUnary = (): Evaluator => {
+    if (isOperator('!')) {
+      index++;
+      const operand = parseUnary();
+      return feature => !operand(feature);
+    }
+    return parseComparison();
+  };
+
+  const parseComparison = (): Evaluator => {
+    const left = parseOperand();
+    const token = peek();
+    if (token?.kind === 'word' && token.value === 'in') {
+      index++;
+      const right = parseOperand();
+      return feature => isIn(left(feature), right(feature));
+    }
+    if (token?.kind === 'operator') {
+      // === and !== are accepted as aliases (comparisons are always strict)
+      const compare = COMPARATORS[token.value.replace(/^(==|!=)=$/, '$1')];
+      if (compare) {
+        index++;
+        const right = parseOperand();
+        return feature => compare(left(feature), right(feature));
+      }
+    }
+    return left;
+  };
+
+  const parseOperand = (): Evaluator => {
+    const token = peek();
+    if (!token) return fail('expected a value');
+
+    if (isOperator('(')) {
+      index++;
+      const inner = parseOr();
+      expect(')');
+      return inner;
+    }
+    if (isOperator('[')) {
+      index++;
+      const items: Evaluator[] = [];
+      while (!isOperator(']')) {
+        items.push(parseOperand());
+        if (!isOperator(']')) expect(',');
+      }
+      index++;
+      return feature => items.map(item => item(feature));
+    }
+    if (isOperator('-') && tokens[index + 1]?.kind === 'number') {
+      index += 2;
+      const value = -Number(tokens[index - 1].value);
+      return () => value;
+    }
+
+    index++;
+    if (token.kind === 'number') {
+      const value = Number(token.value);
+      return () => value;
+    }
+    if (token.kind === 'string') {
+      const value = parseString(token);
+      return () => value;
+    }
+    if (token.kind === 'word') {
+      if (token.value === 'true') return () => true;
+      if (token.value === 'false') return () => false;
+      if (token.value === 'null') return () => null;
+      return parsePath(token.value);
+    }
+    index--;
+    return fail(`unexpected "${token.value}"`);
+  };
+
+  const parsePath = (first: string): Evaluator => {
+    const path: (string | number)[] = [first];
+    for (;;) {
+      if (isOperator('.')) {
+        index++;
+        const token = peek();
+        if (token?.kind !== 'word') fail('expected a property name');
+        path.push(token!.value);
+        index++;
+      } else if (isOperator('[')) {
+        index++;
+        const token = peek();
+        if (token?.kind === 'string') path.push(parseString(token));
+        else if (token?.kind === 'number') path.push(Number(token.value));
+        else fail('expected a quoted key or an index');
+        index++;
+        expect(']');
+      } else {
+        return feature => getPath(feature, path);
+      }
+    }
+  };
+
+  if (tokens.length === 0) fail('empty expression');
+  const evaluate = parseOr();
+  if (index < tokens.length) fail(`unexpected "${peek()!.value}"`);
+  return evaluate;
+}
+
+// ========== MapLibre-style arrays ==========
+
+/**
+ * Getter of a legacy filter key ($type, $id or a properties name)
+ */
+function legacyGetter(key: string): Evaluator {
+  if (key === '$type') return feature => feature?.geometry?.type ?? null;
+  if (key === '$id') return feature => feature?.id ?? null;
+  return feature => feature?.properties?.[key] ?? null;
+}
+
+/**
+ * Check if a legacy key or a property exists
+ */
+function legacyHas(key: string): Evaluator {
+  if (key === '$type') return feature => !!feature?.geometry;
+  if (key === '$id') return feature => feature?.id !== undefined;
+  return feature => !!feature?.properties && Object.prototype.hasOwnProperty.call(feature.properties, key);
+}
+
+/**
+ * Compile a MapLibre-style filter (expression or legacy syntax)
+ * @throws {Error} If an operator is unknown or has wrong arguments
+ */
+export function compileFilterArray(filter: unknown): Evaluator {
+  if (!Array.isArray(filter)) {
+    if (filter !== null && typeof filter === 'object') {
+      throw new Error('Invalid filter: objects must be wrapped in ["literal", ...]');
+    }
+    return () => filter;
+  }
+
+  const [operator, ...args] = filter;
+  const arity = (min: number, max = min) => {
+    if (args.length < min || args.length > max) {
+      throw new Error(`Invalid filter: "${operator}" expects ${min === max ? min : `${min} to ${max}`} argument(s)`);
+    }
+  };
+
+  switch (operator) {
+    case 'all': {
+      const parts = args.map(compileFilterArray);
+      return feature => parts.every(part => Boolean(part(feature)));
+    }
+    case 'any': {
+      const parts = args.map(compileFilterArray);
+      return feature => parts.some(part => Boolean(part(feature)));
+    }
+    case 'none': {
+      const parts = args.map(compileFilterArray);
+      return feature => !parts.some(part => Boolean(part(feature)));
+    }
+    case '!': {
+      arity(1);
+      const operand = compileFilterArray(args[0]);
+      return feature => !operand(feature);
+    }
+    case '==':
+    case '!=':
+    case '<':
+    case '<=':
+    case '>':
+    case '>=': {
+      arity(2);
+      const compare = COMPARATORS[operator];
+      // Legacy syntax: ["==", key, value]
+      const left = typeof args[0] === 'string' && !Array.isArray(args[1])
+        ? legacyGetter(args[0])
+        : compileFilterArray(args[0]);
+      const right = compileFilterArray(args[1]);
+      return feature => compare(left(feature), right(feature));
+    }
+    case 'in':
+    case '!in': {
+      let test: Evaluator;
+      if (operator === 'in' && args.length === 2 && Array.isArray(args[1])) {
+        // Expression syntax: ["in", needle, haystack]
+        const needle = compileFilterArray(args[0]);
+        const haystack = compileFilterArray(args[1]);
+        test = feature => isIn(needle(feature), haystack(feature));
+      } else {
+        // Legacy syntax: ["in", key, ...values]
+        if (typeof args[0] !== 'string') throw new Error(`Invalid filter: "${operator}" expects a key`);
+        const get = legacyGetter(args[0]);
+        const values = args.slice(1);
+        test = feature => values.includes(get(feature));
+      }
+      return operator === 'in' ? test : feature => !test(feature);
+    }
+    case 'has':
+    case '!has': {
+      arity(1);
+      if (typeof args[0] !== 'string') throw new Error(`Invalid filter: "${operator}" expects a key`);
+      const has = legacyHas(args[0]);
+      return operator === 'has' ? has : feature => !has(feature);
+    }
+    case 'get': {
+      arity(1, 2);
+      const key = compileFilterArray(args[0]);
+      const object = args.length === 2 ? compileFilterArray(args[1]) : (feature: Feature) => feature?.properties;
+      return feature => getPath(object(feature), [String(key(feature))]);
+    }
+    case 'geometry-type':
+      arity(0);
+      return feature => feature?.geometry?.type ?? null;
+    case 'id':
+      arity(0);
+      return feature => feature?.id ?? null;
+    case 'properties':
+      arity(0);
+      return feature => feature?.properties ?? null;
+    case 'literal': {
+      arity(1);
+      const value = args[0];
+      return () => value;
+    }
+    default:
+      throw new Error(`Invalid filter: unsupported operator ${JSON.stringify(operator)}`);
+  }
+}
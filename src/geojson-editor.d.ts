@@ -1,10 +1,10 @@
 import type { Feature, FeatureCollection } from 'geojson';
-import type { SetOptions, ThemeSettings } from './types.js';
+import type { SetOptions, SaveOptions, ThemeSettings, Validator, JsonSchema, FeatureFilter, Topology, ExportFormat, ContextMenuItem } from './types.js';
 
-export type { SetOptions, ThemeConfig, ThemeSettings } from './types.js';
+export type { SetOptions, SaveOptions, ThemeConfig, ThemeSettings, Diagnostic, Validator, JsonSchema, FeatureFilter, Topology, TopologyGeometry, ExportFormat, ContextMenuItem, ContextMenuContext, ContextMenuTarget } from './types.js';
 
 /** Input types accepted by API methods */
-export type FeatureInput = Feature | Feature[] | FeatureCollection;
+export type FeatureInput = Feature | Feature[] | FeatureCollection | Topology;
 
 /**
  * GeoJSON Editor Web Component
@@ -26,9 +26,30 @@ declare class GeoJsonEditor extends HTMLElement {
   /** Whether the editor is in readonly mode */
   get readonly(): boolean;
 
+  /** Whether the content changed since it was last opened, saved or set (set() or value attribute) */
+  get dirty(): boolean;
+
+  /** JSON Schema validating the properties of every feature (null = disabled) */
+  get propertiesSchema(): JsonSchema | null;
+  set propertiesSchema(schema: JsonSchema | null);
+
+  /**
+   * Feature filter (null = disabled): features that don't match are hidden and excluded from the change event.
+   * Features hidden with the eye icon stay hidden, edited features are checked again once typing pauses.
+   * @throws Error if the expression or the filter array is invalid
+   */
+  get filter(): FeatureFilter | null;
+  set filter(filter: FeatureFilter | null);
+
+  /**
+   * Indices of the features hidden by the filter, kept apart from the features hidden with the eye icon
+   * (the eye icon shows a filtered feature until the filter is evaluated again)
+   */
+  readonly filteredFeatures: ReadonlySet<number>;
+
   /**
    * Set the editor content from a string value
-   * @param value - JSON string content
+   * @param value - JSON string content (a GeoJSON text sequence or NDJSON is converted to features)
    * @param autoCollapse - Whether to auto-collapse coordinates (default: true)
    */
   setValue(value: string | null, autoCollapse?: boolean): void;
@@ -40,7 +61,7 @@ declare class GeoJsonEditor extends HTMLElement {
 
   /**
    * Replace all features in the editor
-   * @param input - FeatureCollection, Feature[], or single Feature
+   * @param input - FeatureCollection, Feature[], single Feature, or TopoJSON Topology
    * @param options - Optional settings (collapsed attributes)
    * @throws Error if input is invalid
    */
@@ -48,7 +69,7 @@ declare class GeoJsonEditor extends HTMLElement {
 
   /**
    * Add features to the end of the editor
-   * @param input - FeatureCollection, Feature[], or single Feature
+   * @param input - FeatureCollection, Feature[], single Feature, or TopoJSON Topology
    * @param options - Optional settings (collapsed attributes)
    * @throws Error if input is invalid
    */
@@ -56,7 +77,7 @@ declare class GeoJsonEditor extends HTMLElement {
 
   /**
    * Insert features at a specific index
-   * @param input - FeatureCollection, Feature[], or single Feature
+   * @param input - FeatureCollection, Feature[], single Feature, or TopoJSON Topology
    * @param index - Index to insert at (negative = from end)
    * @param options - Optional settings (collapsed attributes)
    * @throws Error if input is invalid
@@ -94,14 +115,92 @@ declare class GeoJsonEditor extends HTMLElement {
   emit(): void;
 
   /**
-   * Save GeoJSON to a file (triggers download)
-   * @param filename - Filename for download (default: 'features.geojson')
-   * @returns true if save was successful
+   * Fix the winding order of Polygon/MultiPolygon rings (exterior counter-clockwise, holes clockwise)
+   * @param index - Feature index (negative = from end), all features if omitted
+   * @returns true if any ring was rewritten
+   */
+  rewind(index?: number): boolean;
+
+  /**
+   * Add a custom validation rule, called for each feature on every change
+   * @param validator - (feature, index) => Diagnostic[]
+   * @throws Error if validator is not a function
+   */
+  addValidator(validator: Validator): void;
+
+  /**
+   * Remove a custom validation rule
+   * @param validator - Validator previously passed to addValidator()
+   * @returns true if the validator was removed
+   */
+  removeValidator(validator: Validator): boolean;
+
+  /**
+   * Add an entry to the context menu (right-click on a feature), shown after the built-in entries
+   * @param item - { label, targets?, when?, action(context) }
+   * @throws Error if the item has no action function
+   */
+  addContextMenuItem(item: ContextMenuItem): void;
+
+  /**
+   * Remove a context menu entry
+   * @param item - Item previously passed to addContextMenuItem()
+   * @returns true if the entry was removed
+   */
+  removeContextMenuItem(item: ContextMenuItem): boolean;
+
+  /**
+   * Add features from well-known text (one feature per geometry, empty properties)
+   * @param text - One or more WKT geometries (separated by newlines or semicolons), Z/M/ZM and EWKT supported
+   * @param options - Optional settings (see add())
+   * @throws Error if the text is not valid WKT
+   */
+  addWKT(text: string, options?: SetOptions): void;
+
+  /**
+   * Get the geometry of a feature as well-known text
+   * @param index - Feature index (negative = from end)
+   * @returns WKT, undefined if there is no feature or no geometry
+   */
+  toWKT(index: number): string | undefined;
+
+  /**
+   * Get the geometry of a LineString feature as an encoded polyline (Google polyline algorithm)
+   * @param index - Feature index (negative = from end)
+   * @param precision - Number of decimals (default: 5, 6 for OSRM/Valhalla)
+   * @returns Encoded polyline, undefined if there is no feature or it isn't a LineString
+   */
+  encodePolyline(index: number, precision?: number): string | undefined;
+
+  /**
+   * Save features to a file: writes back to the file opened or saved with a file picker (File System Access API) when no filename is given, all features are saved and its format can hold them (saved as GeoJSON with saveAs() otherwise, e.g. polygons in a GPX file), triggers a download otherwise
+   * @param filename - Filename for download (default: 'features.geojson'), its extension selects the format: .geojsons for GeoJSON text sequences (RFC 8142), .ndjson / .jsonl for NDJSON, .topojson for TopoJSON, .kml for KML, .gpx for GPX (points and lines only), .csv for CSV (geometry as WKT), GeoJSON otherwise
+   * @param options - Optional settings (features to write: 'all', 'visible', 'selection' or indices)
+   * @returns true if save was successful (a file is written asynchronously, with a download on failure)
+   */
+  save(filename?: string, options?: SaveOptions): boolean;
+
+  /**
+   * Save features to a new file chosen with a save file picker (triggers download when the browser has no File System Access API)
+   * The chosen file becomes the file written by save()
+   * @param format - 'geojson', 'geojsons' (RFC 8142), 'ndjson', 'topojson' (shared arcs, quantized), 'kml', 'gpx' or 'csv' (default: from the chosen file extension)
+   * @param filename - Suggested filename (default: 'features.' + format extension, or the name of the opened file)
+   * @param options - Optional settings (features to write: 'all', 'visible', 'selection' or indices)
+   * @returns Promise that resolves to true if the file was written, false if cancelled or on failure
+   */
+  saveAs(format?: ExportFormat, filename?: string, options?: SaveOptions): Promise<boolean>;
+
+  /**
+   * Copy features to the clipboard as a FeatureCollection
+   * @param options - Optional settings (features to copy: 'all', 'visible', 'selection' or indices)
+   * @returns Promise that resolves to true if the clipboard was written
    */
-  save(filename?: string): boolean;
+  copyAsFeatureCollection(options?: SaveOptions): Promise<boolean>;
 
   /**
    * Open a GeoJSON file from the client filesystem
+   * With an open file picker (File System Access API), save() then writes back to the file
+   * Large files are loaded incrementally, the promise resolves once all features are loaded
    * @param options - Optional settings (collapsed attributes)
    * @returns Promise that resolves to true if file was loaded successfully
    */
@@ -3,6 +3,9 @@
  */
 export function getTemplate(placeholder: string = '', version: string = ''): string {
   return `
+    <div class="filter-bar">
+      <input class="filter-input" id="filterInput" type="text" placeholder='Filter, e.g. properties.type == "road" &amp;&amp; properties.lanes > 2' aria-label="Filter features" spellcheck="false" autocomplete="off">
+    </div>
     <div class="prefix-wrapper">
       <div class="prefix-gutter"></div>
       <div class="editor-prefix" id="editorPrefix"></div>
@@ -30,12 +33,35 @@ export function getTemplate(placeholder: string = '', version: string = ''): str
         <div class="viewport" id="viewport">
           <div class="scroll-content" id="scrollContent">
             <div class="lines-container" id="linesContainer"></div>
+            <div class="feature-drop-indicator" id="featureDropIndicator"></div>
           </div>
         </div>
+        <div class="completion-popup" id="completionPopup" role="listbox" aria-label="Suggestions"></div>
+      </div>
+      <div class="drop-overlay" id="dropOverlay">
+        <div class="drop-zone" data-drop-mode="replace">Replace features</div>
+        <div class="drop-zone" data-drop-mode="append">Append features</div>
+      </div>
+      <div class="find-bar" id="findBar" role="search">
+        <div class="find-row">
+          <input class="find-input" id="findInput" type="text" placeholder="Find" aria-label="Find" spellcheck="false" autocomplete="off">
+          <button class="find-option" id="findCaseBtn" title="Match case" aria-pressed="false">Aa</button>
+          <button class="find-option" id="findWordBtn" title="Match whole word" aria-pressed="false">ab</button>
+          <button class="find-option" id="findRegexBtn" title="Use regular expression" aria-pressed="false">.*</button>
+          <span class="find-count" id="findCount"></span>
+          <button class="find-btn" id="findPrevBtn" title="Previous match (Shift+Enter)">◀</button>
+          <button class="find-btn" id="findNextBtn" title="Next match (Enter)">▶</button>
+          <button class="find-btn" id="findCloseBtn" title="Close (Escape)">✕</button>
+        </div>
+        <div class="find-row replace-row">
+          <input class="find-input" id="replaceInput" type="text" placeholder="Replace" aria-label="Replace" spellcheck="false" autocomplete="off">
+          <button class="find-btn" id="replaceBtn" title="Replace (Enter)">Replace</button>
+          <button class="find-btn" id="replaceAllBtn" title="Replace all">All</button>
+        </div>
       </div>
     </div>
     <div class="suffix-wrapper">
-      <div class="suffix-gutter"></div>
+      <div class="suffix-gutter"><span class="dirty-indicator" id="dirtyIndicator" title="Unsaved changes">●</span></div>
       <div class="editor-suffix" id="editorSuffix"></div>
       <div class="error-nav" id="errorNav">
         <button class="error-nav-btn" id="prevErrorBtn" title="Previous error">◀</button>
@@ -44,6 +70,7 @@ export function getTemplate(placeholder: string = '', version: string = ''): str
       </div>
       <button class="clear-btn" id="clearBtn" title="Clear editor">✕</button>
     </div>
+    <div class="context-menu" id="contextMenu" role="menu"></div>
     <div class="info-popup" id="infoPopup">
       <div class="info-popup-content">
         <div class="info-popup-title">GeoJSON Editor</div>
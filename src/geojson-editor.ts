@@ -1,14 +1,23 @@
 import styles from './geojson-editor.css?inline';
 import { getTemplate } from './geojson-editor.template.js';
-import type { Feature } from 'geojson';
+import type { Feature, Geometry } from 'geojson';
 
 // ========== Imports from extracted modules ==========
 import type {
-  SetOptions
+  SetOptions,
+  Validator,
+  JsonSchema,
+  FeatureFilter,
+  ExportFormat,
+  SaveOptions,
+  ContextMenuItem,
+  ContextMenuContext
 } from './types.js';
 
 import type {
   CursorPosition,
+  CursorSelection,
+  BracketPair,
   FeatureInput,
   LineMeta,
   VisibleLine,
@@ -16,11 +25,27 @@ import type {
   NodeRangeInfo,
   EditorSnapshot,
   CollapsedZoneContext,
-  CollapsedNodeInfo
+  CollapsedNodeInfo,
+  IssueLines,
+  JsonPath,
+  ValidationIssue,
+  CompletionItem,
+  CompletionState,
+  SnippetState,
+  FindOptions,
+  FindMatch,
+  FilePickerWindow,
+  ContextMenuEntry
 } from './internal-types.js';
 
 import {
   VERSION,
+  EXPORT_FORMATS,
+  EXPORT_FILE_TYPES,
+  OPEN_FILE_EXTENSIONS,
+  OPEN_FILE_MIME_TYPES,
+  INCREMENTAL_LOAD_CHUNK_SIZE,
+  FILTER_UPDATE_DELAY,
   RE_CONTEXT_GEOMETRY,
   RE_CONTEXT_PROPERTIES,
   RE_CONTEXT_FEATURES,
@@ -31,21 +56,54 @@ import {
   RE_IS_FEATURE,
   RE_KV_MATCH,
   RE_ROOT_MATCH,
+  RE_LINE_KEY,
+  RE_COMPLETION_KEY,
+  RE_COMPLETION_VALUE,
+  RE_COMPLETION_WORD,
+  RE_COMPLETION_SNIPPET,
+  RE_LEADING_WHITESPACE,
+  RE_WKT_START,
+  RE_HEX_WKB,
+  RE_KML_START,
+  RE_GPX_START,
   RE_BRACKET_POS,
   RE_IS_WORD_CHAR,
   RE_ATTR_AND_BOOL_VALUE,
   RE_OPEN_BRACES,
   RE_CLOSE_BRACES,
   RE_OPEN_BRACKETS,
-  RE_CLOSE_BRACKET
+  RE_CLOSE_BRACKET,
+  type GeometryType
 } from './constants.js';
 
-import { createElement, countBrackets } from './utils.js';
-import { validateGeoJSON, normalizeToFeatures } from './validation.js';
+import { createElement, countBrackets, bracketColumns, buildPathLineMap, getLineForPath, toFeature } from './utils.js';
+import { findGeoJSONIssues, formatIssue, normalizeToFeatures } from './validation.js';
+import { rewindGeometry } from './winding.js';
+import { validateSchema } from './json-schema.js';
+import {
+  suggestPropertyKeys,
+  suggestPropertyValues,
+  suggestStructureKeys,
+  suggestTypeValues,
+  suggestFeatureSnippets,
+  parseSnippet
+} from './completion.js';
+import type { StructureContext } from './completion.js';
+import { buildSearchRegExp, findMatches, replaceInLine } from './search.js';
+import { compileFilter } from './filter.js';
+import { parseWKT, parseHexWKB, stringifyWKT } from './wkt.js';
+import { parseKML, stringifyKML } from './kml.js';
+import { parseGPX, stringifyGPX, canWriteGPX } from './gpx.js';
+import { featuresToTopology } from './topojson.js';
+import { isCSV, parseCSV, stringifyCSV } from './csv.js';
+import { isGeoJSONSeq, parseGeoJSONSeq, stringifyGeoJSONSeq } from './geojsonseq.js';
+import { isPolyline, parsePolyline, encodePolyline } from './polyline.js';
+import { convertGeometry, getGeometryConversions, getGeometryBbox } from './geometry.js';
+import type { FilterPredicate } from './filter.js';
 import { highlightSyntax, namedColorToHex, isNamedColor } from './syntax-highlighter.js';
 
 // Re-export public types
-export type { SetOptions } from './types.js';
+export type { SetOptions, SaveOptions, Diagnostic, Validator, JsonSchema, FeatureFilter, Topology, TopologyGeometry, ExportFormat, ContextMenuItem, ContextMenuContext, ContextMenuTarget } from './types.js';
 
 // Alias for minification
 const _ce = createElement;
@@ -59,6 +117,7 @@ class GeoJsonEditor extends HTMLElement {
   lines: string[] = [];
   collapsedNodes: Set<string> = new Set();
   hiddenFeatures: Set<number> = new Set(); // Feature indices that are hidden
+  filteredFeatures: Set<number> = new Set(); // Feature indices hidden by the filter (kept apart from hiddenFeatures)
 
   // ========== Node ID Management ==========
   private _nodeIdCounter: number = 0;
@@ -87,10 +146,14 @@ class GeoJsonEditor extends HTMLElement {
   cursorColumn: number = 0;
   selectionStart: CursorPosition | null = null;
   selectionEnd: CursorPosition | null = null;
+  private _extraCursors: CursorSelection[] = []; // Other cursors than cursorLine/cursorColumn (Alt+Click, Ctrl+D, Alt+Shift+drag)
+  private _columnSelectAnchor: CursorPosition | null = null; // Start of an Alt+Shift+drag rectangular selection
+  private _featureDrag: { featureIndex: number; target: number } | null = null; // Feature dragged from the gutter, target = insertion index
 
   // ========== Debounce ==========
   private renderTimer: ReturnType<typeof setTimeout> | undefined = undefined;
   private inputTimer: ReturnType<typeof setTimeout> | undefined = undefined;
+  private filterTimer: ReturnType<typeof setTimeout> | undefined = undefined;
 
 
   // ========== Undo/Redo History ==========
@@ -111,7 +174,30 @@ class GeoJsonEditor extends HTMLElement {
   private _contextMapLinesLength: number = 0;
   private _contextMapFirstLine: string | undefined = undefined;
   private _contextMapLastLine: string | undefined = undefined;
+  private _lineDepthCache: number[] = []; // Bracket depth at the start of each line, built with the context map
+  private _lenientFeaturesCache: Feature[] | null = null; // _parseFeaturesLeniently() result for the current content
   private _errorLinesCache: Set<number> | null = null;
+  private _issueLinesCache: IssueLines | null = null;
+  private _polylineLinesCache: Map<number, number> | null = null; // Line of "type": "LineString" -> feature index
+  private _bracketPairCache: { key: string; pair: BracketPair | null } | null = null; // Bracket at the cursor ("line:column" key)
+  private _lastBracketJump: { cursor: CursorPosition; open: CursorPosition; close: CursorPosition } | null = null; // Ctrl+Shift+\ jump, a new press selects the node
+  private _validators: Validator[] = [];
+  private _contextMenuItems: ContextMenuItem[] = []; // Entries added by addContextMenuItem()
+  private _propertiesSchema: JsonSchema | null = null;
+  private _filter: FeatureFilter | null = null;
+  private _filterPredicate: FilterPredicate | null = null;
+  private _filteredFeatureCount: number = 0; // Number of features when the filter was last evaluated
+  private _loadGeneration: number = 0; // Incremented when content is replaced, stops an incremental load
+  private _fileHandle: FileSystemFileHandle | null = null; // File opened or saved with a file picker, save() writes back to it
+  private _lastRevision: number = 0; // Last revision number given to the content
+  private _revision: number = 0; // Revision of the content, restored by undo/redo
+  private _savedRevision: number = 0; // Revision when last opened or saved
+  private _dirty: boolean = false; // Content revision differs from _savedRevision
+  private _completion: CompletionState | null = null;
+  private _snippet: SnippetState | null = null;
+  private _findOptions: FindOptions = { caseSensitive: false, wholeWord: false, regex: false };
+  private _findMatches: FindMatch[] = [];
+  private _findIndex: number = -1; // Current match (-1 = none selected yet)
   private _lastCurrentFeatureIndices: string | null = null; // For current-features event deduplication (JSON stringified indices)
 
   // ========== Cached DOM Elements ==========
@@ -130,8 +216,18 @@ class GeoJsonEditor extends HTMLElement {
   private _editorSuffix: HTMLElement | null = null;
   private _errorNav: HTMLElement | null = null;
   private _errorCount: HTMLElement | null = null;
+  private _dirtyIndicator: HTMLElement | null = null;
+  private _dropOverlay: HTMLElement | null = null;
+  private _featureDropIndicator: HTMLElement | null = null;
   private _prevErrorBtn: HTMLButtonElement | null = null;
   private _nextErrorBtn: HTMLButtonElement | null = null;
+  private _completionPopup: HTMLElement | null = null;
+  private _findBar: HTMLElement | null = null;
+  private _contextMenu: HTMLElement | null = null;
+  private _findInput: HTMLInputElement | null = null;
+  private _replaceInput: HTMLInputElement | null = null;
+  private _findCount: HTMLElement | null = null;
+  private _filterInput: HTMLInputElement | null = null;
 
   constructor() {
     super();
@@ -167,6 +263,7 @@ class GeoJsonEditor extends HTMLElement {
       cursorLine: this.cursorLine,
       cursorColumn: this.cursorColumn,
       timestamp: Date.now(),
+      revision: this._revision,
       collapsedUniqueKeys,
       hiddenFeatures: [...this.hiddenFeatures]
     };
@@ -177,9 +274,11 @@ class GeoJsonEditor extends HTMLElement {
    */
   private _restoreSnapshot(snapshot: EditorSnapshot): void {
     this.lines = [...snapshot.lines];
+    this._extraCursors = [];
     this.cursorLine = snapshot.cursorLine;
     this.cursorColumn = snapshot.cursorColumn;
-    this.updateModel();
+    this._revision = snapshot.revision;
+    this.updateModel(false);
 
     // Restore collapsed state from snapshot
     if (snapshot.collapsedUniqueKeys !== undefined) {
@@ -203,6 +302,7 @@ class GeoJsonEditor extends HTMLElement {
       this.hiddenFeatures = new Set(snapshot.hiddenFeatures);
     }
     // If no hiddenFeatures in snapshot (old snapshot), keep current state (backward compatibility)
+    this._flushFilter();
 
     this._invalidateRenderCache();
     this.scheduleRender();
@@ -419,9 +519,15 @@ class GeoJsonEditor extends HTMLElement {
     // Track occurrences of each nodeKey
     const nodeKeyOccurrences = new Map<string, number>();
 
+    // Bracket depth before the current line - standalone objects at depth 0 are features,
+    // deeper ones are array members (e.g. GeometryCollection geometries)
+    let depth = 0;
+
     // Assign fresh IDs to all collapsible nodes
     for (let i = 0; i < this.lines.length; i++) {
       const line = this.lines[i];
+      const depthBefore = depth;
+      depth += this._computeBracketDelta(line);
 
       // Match "key": { or "key": [
       const kvMatch = line.match(RE_KV_MATCH);
@@ -459,7 +565,7 @@ class GeoJsonEditor extends HTMLElement {
       const uniqueKey = `${nodeKey}:${occurrence}`;
 
       this._lineToNodeId.set(i, nodeId);
-      this._nodeIdToLines.set(nodeId, { startLine: i, endLine, nodeKey, uniqueKey, isRootFeature: !!rootMatch });
+      this._nodeIdToLines.set(nodeId, { startLine: i, endLine, nodeKey, uniqueKey, isRootFeature: !!rootMatch && depthBefore <= 0 });
 
       // Restore collapsed state if was collapsed and not explicitly opened
       if (collapsedUniqueKeys.has(uniqueKey) && !this._openedNodeKeys.has(uniqueKey)) {
@@ -470,7 +576,7 @@ class GeoJsonEditor extends HTMLElement {
 
   // ========== Observed Attributes ==========
   static get observedAttributes() {
-    return ['readonly', 'value', 'placeholder', 'internal-add-shortcut'];
+    return ['readonly', 'value', 'placeholder', 'internal-add-shortcut', 'properties-schema', 'filter'];
   }
 
   // ========== Lifecycle ==========
@@ -483,12 +589,14 @@ class GeoJsonEditor extends HTMLElement {
     if (this.value) {
       this.setValue(this.value);
     }
+    this._markSaved();
     this.updatePlaceholderVisibility();
   }
 
   disconnectedCallback(): void {
     if (this.renderTimer) clearTimeout(this.renderTimer);
     if (this.inputTimer) clearTimeout(this.inputTimer);
+    if (this.filterTimer) clearTimeout(this.filterTimer);
 
     // Cleanup color picker
     const colorPicker = document.querySelector('.geojson-color-picker-input') as HTMLInputElement & { _closeListener?: EventListener };
@@ -506,6 +614,8 @@ class GeoJsonEditor extends HTMLElement {
     switch (name) {
       case 'value':
         this.setValue(newValue);
+        this._fileHandle = null;
+        this._markSaved();
         break;
       case 'readonly':
         this.updateReadonly();
@@ -513,6 +623,14 @@ class GeoJsonEditor extends HTMLElement {
       case 'placeholder':
         this.updatePlaceholderContent();
         break;
+      case 'properties-schema':
+        this._setPropertiesSchema(this._parseSchemaAttribute(newValue));
+        break;
+      case 'filter': {
+        const filter = this._parseFilterAttribute(newValue);
+        this._setFilter(filter, filter === null ? null : compileFilter(filter));
+        break;
+      }
     }
   }
 
@@ -521,6 +639,22 @@ class GeoJsonEditor extends HTMLElement {
   get value() { return this.getAttribute('value') || ''; }
   get placeholder() { return this.getAttribute('placeholder') || ''; }
   get internalAddShortcut() { return this.hasAttribute('internal-add-shortcut'); }
+  get dirty() { return this._dirty; }
+  get propertiesSchema(): JsonSchema | null { return this._propertiesSchema; }
+  set propertiesSchema(schema: JsonSchema | null) {
+    if (schema !== null && schema !== undefined && typeof schema !== 'object' && typeof schema !== 'boolean') {
+      throw new Error('propertiesSchema must be a JSON Schema object, a boolean or null');
+    }
+    this._setPropertiesSchema(schema ?? null);
+  }
+  get filter(): FeatureFilter | null { return this._filter; }
+  set filter(filter: FeatureFilter | null) {
+    if (filter === null || filter === undefined || filter === '') {
+      this._setFilter(null, null);
+    } else {
+      this._setFilter(filter, compileFilter(filter));
+    }
+  }
   get prefix() { return '{"type": "FeatureCollection", "features": ['; }
   get suffix() { return ']}'; }
 
@@ -557,8 +691,18 @@ class GeoJsonEditor extends HTMLElement {
     this._editorSuffix = this._id('editorSuffix');
     this._errorNav = this._id('errorNav');
     this._errorCount = this._id('errorCount');
+    this._dirtyIndicator = this._id('dirtyIndicator');
+    this._dropOverlay = this._id('dropOverlay');
+    this._featureDropIndicator = this._id('featureDropIndicator');
     this._prevErrorBtn = this._id('prevErrorBtn') as HTMLButtonElement;
     this._nextErrorBtn = this._id('nextErrorBtn') as HTMLButtonElement;
+    this._completionPopup = this._id('completionPopup');
+    this._findBar = this._id('findBar');
+    this._contextMenu = this._id('contextMenu');
+    this._findInput = this._id('findInput') as HTMLInputElement;
+    this._replaceInput = this._id('replaceInput') as HTMLInputElement;
+    this._findCount = this._id('findCount');
+    this._filterInput = this._id('filterInput') as HTMLInputElement;
   }
 
   // ========== Event Listeners ==========
@@ -589,6 +733,7 @@ class GeoJsonEditor extends HTMLElement {
     }, true);
 
     viewport.addEventListener('mousedown', (e: MouseEvent) => {
+      this._closeCompletion();
       const target = e.target as HTMLElement;
       // Skip if clicking on visibility pseudo-element (line-level)
       const lineEl = target.closest('.line.has-visibility');
@@ -621,6 +766,7 @@ class GeoJsonEditor extends HTMLElement {
       // Double-click: select word (e.detail === 2)
       if (e.detail === 2) {
         const pos = this._getPositionFromClick(e);
+        this._clearExtraCursors();
         this._selectWordAt(pos.line, pos.column);
         this._isSelecting = false;
         hiddenTextarea.focus();
@@ -629,9 +775,32 @@ class GeoJsonEditor extends HTMLElement {
         return;
       }
 
+      // Alt+Shift+drag: rectangular selection (one cursor per line)
+      if (e.altKey && e.shiftKey) {
+        this._flushInputFormat();
+        const anchor = this._getPositionFromClick(e, false);
+        this._columnSelectAnchor = anchor;
+        this._selectColumns(anchor, anchor);
+        this._isSelecting = true;
+        hiddenTextarea.focus();
+        this._invalidateRenderCache();
+        this.scheduleRender();
+        return;
+      }
+
       // Calculate click position
       const pos = this._getPositionFromClick(e);
 
+      // Alt+Click: add a cursor, or remove the cursor at the click position
+      if (e.altKey) {
+        this._toggleCursor(pos);
+        hiddenTextarea.focus();
+        this._invalidateRenderCache();
+        this.scheduleRender();
+        return;
+      }
+
+      this._clearExtraCursors();
       if (e.shiftKey && this.selectionStart) {
         // Shift+click: extend selection
         this.selectionEnd = pos;
@@ -690,6 +859,14 @@ class GeoJsonEditor extends HTMLElement {
       const scrollMargin = 30;
       const scrollSpeed = 20;
 
+      // Rectangular selection follows the mouse (no auto-scroll)
+      if (this._columnSelectAnchor) {
+        this._selectColumns(this._columnSelectAnchor, this._getPositionFromClick(e, false));
+        this._invalidateRenderCache();
+        this.scheduleRender();
+        return;
+      }
+
       // Check if mouse is outside the viewport
       if (e.clientY < rect.top) {
         // Mouse above viewport - start continuous scroll up
@@ -720,6 +897,7 @@ class GeoJsonEditor extends HTMLElement {
     // Mouse up to end selection
     document.addEventListener('mouseup', () => {
       this._isSelecting = false;
+      this._columnSelectAnchor = null;
       stopAutoScroll();
     });
 
@@ -738,6 +916,7 @@ class GeoJsonEditor extends HTMLElement {
       this.scheduleRender();
       // Emit null on blur
       this._emitCurrentFeatureNull();
+      this._closeCompletion();
     });
 
     // Scroll handling
@@ -752,6 +931,7 @@ class GeoJsonEditor extends HTMLElement {
           this._scrollRaf = null;
           isRendering = true;
           this.renderViewport();
+          this._positionCompletion();
           isRendering = false;
         });
       }
@@ -804,6 +984,29 @@ class GeoJsonEditor extends HTMLElement {
       e.preventDefault();
     });
 
+    // Feature drag handle in gutter - listen on document to follow the drag outside the gutter
+    gutterContent.addEventListener('mousedown', (e) => {
+      const handle = (e.target as HTMLElement).closest('.drag-handle') as HTMLElement | null;
+      if (handle?.dataset.featureIndex !== undefined) {
+        this._startFeatureDrag(parseInt(handle.dataset.featureIndex, 10));
+      }
+    });
+    document.addEventListener('mousemove', (e: MouseEvent) => {
+      if (this._featureDrag) this._updateFeatureDrag(e.clientY);
+    });
+    document.addEventListener('mouseup', () => {
+      if (this._featureDrag) this._endFeatureDrag();
+    });
+
+    // Context menu on features (the browser menu elsewhere), closed by clicking outside or scrolling
+    viewport.addEventListener('contextmenu', (e: MouseEvent) => {
+      if (this._openContextMenu(this._getPositionFromClick(e).line, e.clientX, e.clientY)) e.preventDefault();
+    });
+    document.addEventListener('mousedown', (e: MouseEvent) => {
+      if (this._contextMenu && !e.composedPath().includes(this._contextMenu)) this._closeContextMenu();
+    });
+    viewport.addEventListener('scroll', () => this._closeContextMenu());
+
     // Wheel on gutter -> scroll viewport
     gutter.addEventListener('wheel', (e) => {
       e.preventDefault();
@@ -815,6 +1018,41 @@ class GeoJsonEditor extends HTMLElement {
       this.removeAll();
     });
 
+    // Dropped files: the overlay chooses between replacing and appending features (disabled in readonly)
+    const dropOverlay = this._dropOverlay;
+    if (dropOverlay) {
+      let dragDepth = 0; // dragenter / dragleave fire for every child element
+      const hasFiles = (e: DragEvent) => !!e.dataTransfer?.types.includes('Files');
+      const hideOverlay = () => {
+        dragDepth = 0;
+        dropOverlay.classList.remove('visible');
+      };
+      editorWrapper.addEventListener('dragenter', (e: DragEvent) => {
+        if (!hasFiles(e) || this.readonly) return;
+        dragDepth++;
+        dropOverlay.classList.add('visible');
+      });
+      editorWrapper.addEventListener('dragleave', (e: DragEvent) => {
+        if (hasFiles(e) && --dragDepth <= 0) hideOverlay();
+      });
+      editorWrapper.addEventListener('dragover', (e: DragEvent) => {
+        if (!hasFiles(e)) return;
+        // Prevent the browser from opening the file, also in readonly
+        e.preventDefault();
+        const zone = (e.target as Element).closest('.drop-zone');
+        e.dataTransfer!.dropEffect = this.readonly || !zone ? 'none' : 'copy';
+        dropOverlay.querySelectorAll('.drop-zone').forEach(el => el.classList.toggle('active', el === zone));
+      });
+      editorWrapper.addEventListener('drop', (e: DragEvent) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        hideOverlay();
+        const zone = (e.target as Element).closest<HTMLElement>('.drop-zone');
+        if (this.readonly || !zone) return;
+        this._loadDroppedFiles(Array.from(e.dataTransfer!.files), zone.dataset.dropMode === 'append');
+      });
+    }
+
     // Info button - toggle popup
     const infoBtn = this._id('infoBtn');
     const infoPopup = this._id('infoPopup');
@@ -837,6 +1075,86 @@ class GeoJsonEditor extends HTMLElement {
       this.goToNextError();
     });
 
+    // Find / replace bar
+    const findInput = this._findInput;
+    const replaceInput = this._replaceInput;
+    if (findInput && replaceInput) {
+      findInput.addEventListener('input', () => {
+        this._updateFindMatches();
+        this._findNext(1, true);
+      });
+      // Lookup tables for keys handled by the bar inputs
+      const findKeyHandlers: Record<string, (e: KeyboardEvent) => void> = {
+        'Enter': (e) => this._findNext(e.shiftKey ? -1 : 1),
+        'Escape': () => this._closeFind()
+      };
+      const replaceKeyHandlers: Record<string, (e: KeyboardEvent) => void> = {
+        'Enter': () => this._replaceCurrent(),
+        'Escape': () => this._closeFind()
+      };
+      const handleBarKey = (e: KeyboardEvent, handlers: Record<string, (e: KeyboardEvent) => void>) => {
+        const handler = handlers[e.key];
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'f') {
+          e.preventDefault();
+          this._openFind();
+        } else if (handler) {
+          e.preventDefault();
+          handler(e);
+        }
+        // Keep bar keystrokes away from the host page shortcuts
+        e.stopPropagation();
+      };
+      findInput.addEventListener('keydown', (e) => handleBarKey(e, findKeyHandlers));
+      replaceInput.addEventListener('keydown', (e) => handleBarKey(e, replaceKeyHandlers));
+
+      const options: [string, keyof FindOptions][] = [
+        ['findCaseBtn', 'caseSensitive'],
+        ['findWordBtn', 'wholeWord'],
+        ['findRegexBtn', 'regex']
+      ];
+      for (const [id, option] of options) {
+        const btn = this._id(id);
+        btn?.addEventListener('click', () => {
+          this._findOptions[option] = !this._findOptions[option];
+          btn.setAttribute('aria-pressed', String(this._findOptions[option]));
+          this._updateFindMatches();
+          this._findNext(1, true);
+        });
+      }
+      this._id('findPrevBtn')?.addEventListener('click', () => this._findNext(-1));
+      this._id('findNextBtn')?.addEventListener('click', () => this._findNext(1));
+      this._id('findCloseBtn')?.addEventListener('click', () => this._closeFind());
+      this._id('replaceBtn')?.addEventListener('click', () => this._replaceCurrent());
+      this._id('replaceAllBtn')?.addEventListener('click', () => this._replaceAll());
+    }
+
+    // Filter input (shown with the filter-input attribute)
+    const filterInput = this._filterInput;
+    if (filterInput) {
+      filterInput.value = this._formatFilter(this._filter);
+      filterInput.addEventListener('input', () => {
+        const expression = filterInput.value.trim();
+        try {
+          this._setFilter(expression || null, expression ? compileFilter(expression) : null);
+          filterInput.classList.remove('invalid');
+          filterInput.title = '';
+        } catch (e) {
+          // Keep the current filter until the expression is valid
+          filterInput.classList.add('invalid');
+          filterInput.title = e instanceof Error ? e.message : String(e);
+        }
+      });
+      filterInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && filterInput.value) {
+          e.preventDefault();
+          filterInput.value = '';
+          filterInput.dispatchEvent(new Event('input'));
+        }
+        // Keep filter keystrokes away from the host page shortcuts
+        e.stopPropagation();
+      });
+    }
+
     // Initial readonly state
     this.updateReadonly();
   }
@@ -851,12 +1169,16 @@ class GeoJsonEditor extends HTMLElement {
     if (this.lines.length > 0) {
       this._saveToHistory('setValue');
     }
+    this._loadGeneration++;
 
     if (!value || !value.trim()) {
       this.lines = [];
     } else {
-      // Try to format JSON
+      // Try to format JSON (a GeoJSON sequence / NDJSON is converted to features first)
       try {
+        if (isGeoJSONSeq(value)) {
+          value = parseGeoJSONSeq(value).map(f => JSON.stringify(f)).join(',');
+        }
         const wrapped = '[' + value + ']';
         const parsed = JSON.parse(wrapped);
         const formatted = JSON.stringify(parsed, null, 2);
@@ -872,6 +1194,7 @@ class GeoJsonEditor extends HTMLElement {
     // Clear state for new content
     this.collapsedNodes.clear();
     this.hiddenFeatures.clear();
+    this._extraCursors = [];
     this._openedNodeKeys.clear();
     this._lineToNodeId.clear();
     this._nodeIdToLines.clear();
@@ -879,6 +1202,7 @@ class GeoJsonEditor extends HTMLElement {
     this.cursorColumn = 0;
 
     this.updateModel();
+    this._flushFilter();
     this.scheduleRender();
     this.updatePlaceholderVisibility();
 
@@ -908,18 +1232,38 @@ class GeoJsonEditor extends HTMLElement {
   /**
    * Update derived state from model
    * Rebuilds line-to-nodeId mapping while preserving collapsed state
+   * @param contentChanged - False when only derived state changes (collapse, validation rules...)
    */
-  updateModel() {
+  updateModel(contentChanged: boolean = true) {
+    if (contentChanged) this._revision = ++this._lastRevision;
+
     // Invalidate caches since content changed
     this._contextMapCache = null;
+    this._lenientFeaturesCache = null;
     this._errorLinesCache = null;
+    this._issueLinesCache = null;
+    this._polylineLinesCache = null;
+    this._bracketPairCache = null;
+    this._lastBracketJump = null;
 
     // Rebuild lineToNodeId mapping (may shift due to edits)
     this._rebuildNodeIdMappings();
 
     this.computeFeatureRanges();
+    // Filter again: at once when features are added or removed (indices shift), debounced while typing
+    if (this._filterPredicate && contentChanged) {
+      if (this.featureRanges.size > 0 && this.featureRanges.size !== this._filteredFeatureCount) this._applyFilter();
+      else this._scheduleFilter();
+    }
     this.computeLineMetadata();
     this.computeVisibleLines();
+
+    // Keep find matches in sync with the content
+    if (this._findBar?.classList.contains('visible')) {
+      this._updateFindMatches();
+    }
+
+    this._updateDirtyState();
   }
 
   /**
@@ -1004,8 +1348,9 @@ class GeoJsonEditor extends HTMLElement {
 
     const collapsibleRanges = this._findCollapsibleRanges();
 
-    // Compute error lines once (cached)
+    // Compute error and warning lines once (cached)
     const errorLines = this._computeErrorLines();
+    const warningLines = this._getIssueLines().warnings;
 
     for (let i = 0; i < this.lines.length; i++) {
       const line = this.lines[i];
@@ -1017,7 +1362,8 @@ class GeoJsonEditor extends HTMLElement {
         isHidden: false,
         isCollapsed: false,
         featureIndex: null,
-        hasError: errorLines.has(i)
+        hasError: errorLines.has(i),
+        hasWarning: warningLines.has(i)
       };
 
       // Detect colors and booleans in a single pass
@@ -1062,14 +1408,14 @@ class GeoJsonEditor extends HTMLElement {
       for (const [featureIndex, range] of this.featureRanges) {
         if (i >= range.startLine && i <= range.endLine) {
           meta.featureIndex = featureIndex;
-          if (this.hiddenFeatures.has(featureIndex)) {
+          if (this._isFeatureHidden(featureIndex)) {
             meta.isHidden = true;
           }
           // Add visibility button only on feature start line
           if (i === range.startLine) {
             meta.visibilityButton = {
               featureIndex,
-              isHidden: this.hiddenFeatures.has(featureIndex)
+              isHidden: this._isFeatureHidden(featureIndex)
             };
           }
           break;
@@ -1117,10 +1463,182 @@ class GeoJsonEditor extends HTMLElement {
       }
     }
 
+    // Check GeoJSON structure (geometry types, positions, rings) mapped to the offending line
+    for (const line of this._getIssueLines().errors) {
+      errorLines.add(line);
+    }
+
     this._errorLinesCache = errorLines;
     return errorLines;
   }
 
+  /**
+   * Get the lines of GeoJSON validation issues (RFC 7946 geometry checks, coordinate linting)
+   * Each issue is mapped to the line of its value via its JSON path, split by severity
+   */
+  private _getIssueLines(): IssueLines {
+    if (this._issueLinesCache !== null) {
+      return this._issueLinesCache;
+    }
+
+    const result: IssueLines = { errors: new Set(), warnings: new Set(), rewind: new Set() };
+    const issues = this._findIssues(this._parseFeatures());
+
+    if (issues.length > 0) {
+      const pathLines = buildPathLineMap(this.lines);
+      for (const issue of issues) {
+        const line = issue.code === 'schema'
+          ? this._getPropertiesKeyLine(issue.path[1] as number, issue.path.slice(3)) ?? getLineForPath(pathLines, issue.path)
+          : getLineForPath(pathLines, issue.path);
+        if (line === undefined) continue;
+        (issue.severity === 'warning' ? result.warnings : result.errors).add(line);
+        if (issue.code === 'winding') result.rewind.add(line);
+      }
+    }
+
+    this._issueLinesCache = result;
+    return result;
+  }
+
+  /**
+   * Get the geometry "type" lines of LineString features (gutter action copying the encoded polyline)
+   * @returns Map of line index to feature index
+   */
+  private _getPolylineLines(): Map<number, number> {
+    if (this._polylineLinesCache !== null) {
+      return this._polylineLinesCache;
+    }
+
+    const result = new Map<number, number>();
+    const features: Feature[] = this._parseFeatures();
+    if (features.some(f => f?.geometry?.type === 'LineString')) {
+      const pathLines = buildPathLineMap(this.lines);
+      features.forEach((feature, index) => {
+        if (feature?.geometry?.type !== 'LineString') return;
+        const line = pathLines.get(JSON.stringify(['features', index, 'geometry', 'type']));
+        if (line !== undefined) result.set(line, index);
+      });
+    }
+
+    this._polylineLinesCache = result;
+    return result;
+  }
+
+  /**
+   * Run built-in GeoJSON validation and custom validators on all features
+   * Custom diagnostics are located under ['features', index] like built-in issues
+   */
+  private _findIssues(features: Feature[]): ValidationIssue[] {
+    if (features.length === 0) return [];
+
+    const issues = findGeoJSONIssues({ type: 'FeatureCollection', features });
+    if (this._validators.length === 0 && this._propertiesSchema === null) return issues;
+
+    features.forEach((feature, index) => {
+      if (this._propertiesSchema !== null && feature && typeof feature === 'object') {
+        for (const error of validateSchema(feature.properties, this._propertiesSchema)) {
+          issues.push({
+            path: ['features', index, 'properties', ...error.path],
+            message: error.message,
+            severity: 'error',
+            code: 'schema'
+          });
+        }
+      }
+
+      for (const validator of this._validators) {
+        try {
+          for (const diagnostic of validator(feature, index) || []) {
+            issues.push({
+              path: ['features', index, ...(diagnostic.path || [])],
+              message: diagnostic.message,
+              severity: diagnostic.severity === 'warning' ? 'warning' : 'error'
+            });
+          }
+        } catch (e) {
+          issues.push({
+            path: ['features', index],
+            message: `validator failed: ${e instanceof Error ? e.message : String(e)}`,
+            severity: 'error'
+          });
+        }
+      }
+    });
+
+    return issues;
+  }
+
+  /**
+   * Find the line of a key inside the properties block of a feature
+   * The block is located with the context map, then each key of the path is searched
+   * among the direct children of the previous one (array indices stop at the enclosing key)
+   * @param featureIndex - Feature index
+   * @param keys - Path inside properties (empty = the "properties" line itself)
+   */
+  private _getPropertiesKeyLine(featureIndex: number, keys: JsonPath): number | undefined {
+    const range = this.featureRanges.get(featureIndex);
+    if (!range) return undefined;
+
+    // The "properties" line belongs to the enclosing context, the lines of its block to 'properties'
+    const contextMap = this._buildContextMap();
+    let keyLine = -1;
+    for (let i = range.startLine; i <= range.endLine; i++) {
+      if (contextMap.get(i) !== 'properties' && RE_CONTEXT_PROPERTIES.test(this.lines[i])) {
+        keyLine = i;
+        break;
+      }
+    }
+    if (keyLine === -1) return undefined;
+
+    for (const key of keys) {
+      if (typeof key === 'number') break;
+      let depth = 1;
+      let found = -1;
+      for (let i = keyLine + 1; i <= range.endLine && contextMap.get(i) === 'properties'; i++) {
+        const match = depth === 1 && this.lines[i].match(RE_LINE_KEY);
+        if (match && this._unescapeKey(match[1]) === key) {
+          found = i;
+          break;
+        }
+        depth += this._computeBracketDelta(this.lines[i]);
+        if (depth <= 0) break;
+      }
+      if (found === -1) break;
+      keyLine = found;
+    }
+
+    return keyLine;
+  }
+
+  /**
+   * Decode a raw JSON key (as written between quotes)
+   */
+  private _unescapeKey(raw: string): string {
+    try {
+      return JSON.parse(`"${raw}"`);
+    } catch {
+      return raw;
+    }
+  }
+
+  /**
+   * Check whether a collapsed node hides error or warning lines
+   */
+  private _getCollapsedIssues(nodeId: string): { hasError: boolean; hasWarning: boolean } {
+    const range = this._nodeIdToLines.get(nodeId);
+    if (!range) return { hasError: false, hasWarning: false };
+    const inRange = (lines: Set<number>) => {
+      for (const line of lines) {
+        if (line > range.startLine && line <= range.endLine) return true;
+      }
+      return false;
+    };
+    return {
+      hasError: inRange(this._computeErrorLines()),
+      hasWarning: inRange(this._getIssueLines().warnings)
+    };
+  }
+
   /**
    * Get all lines that have errors (for navigation and counting)
    * Returns array of line indices sorted by line number
@@ -1163,6 +1681,194 @@ class GeoJsonEditor extends HTMLElement {
     return this._goToErrorLine(targetLine);
   }
 
+  // ========== Find / Replace ==========
+
+  /**
+   * Open the find bar (Ctrl+F), prefilled with the single-line selection if any
+   */
+  private _openFind(): void {
+    const bar = this._findBar;
+    const input = this._findInput;
+    if (!bar || !input) return;
+
+    const sel = this._normalizeSelection();
+    if (sel && sel.start.line === sel.end.line && sel.start.column !== sel.end.column) {
+      input.value = this.lines[sel.start.line].substring(sel.start.column, sel.end.column);
+    }
+    this._closeCompletion();
+    bar.classList.add('visible');
+    input.focus();
+    input.select();
+    this._updateFindMatches();
+  }
+
+  /**
+   * Close the find bar, clear match highlights and give the focus back to the editor
+   */
+  private _closeFind(): void {
+    this._findBar?.classList.remove('visible');
+    this._findMatches = [];
+    this._findIndex = -1;
+    this._invalidateRenderCache();
+    this.scheduleRender();
+    this._hiddenTextarea?.focus();
+  }
+
+  /**
+   * Recompute the matches of the find query over all lines (collapsed content included)
+   */
+  private _updateFindMatches(): void {
+    const query = this._findInput?.value ?? '';
+    const regex = buildSearchRegExp(query, this._findOptions);
+    this._findMatches = regex ? findMatches(this.lines, regex) : [];
+    if (this._findIndex >= this._findMatches.length) this._findIndex = -1;
+    this._findBar?.classList.toggle('invalid', query !== '' && regex === null);
+    this._updateFindCount();
+    this._invalidateRenderCache();
+    this.scheduleRender();
+  }
+
+  /**
+   * Update the "current/total" match counter
+   */
+  private _updateFindCount(): void {
+    if (!this._findCount) return;
+    const total = this._findMatches.length;
+    const query = this._findInput?.value ?? '';
+    if (!query) this._findCount.textContent = '';
+    else if (total === 0) this._findCount.textContent = 'No results';
+    else this._findCount.textContent = `${this._findIndex >= 0 ? this._findIndex + 1 : '?'}/${total}`;
+  }
+
+  /**
+   * Go to the next/previous match
+   * Without a current match, starts from the cursor
+   * @param fromCursor - Select the first match at or after the cursor (used while typing the query)
+   */
+  private _findNext(direction: 1 | -1, fromCursor = false): void {
+    const total = this._findMatches.length;
+    if (total === 0) {
+      this._updateFindCount();
+      return;
+    }
+
+    let index: number;
+    if (this._findIndex >= 0 && !fromCursor) {
+      index = (this._findIndex + direction + total) % total;
+    } else {
+      // Selection start is the cursor when a match is selected
+      const from = this._normalizeSelection()?.start ?? { line: this.cursorLine, column: this.cursorColumn };
+      const after = this._findMatches.findIndex(m => m.line > from.line || (m.line === from.line && m.start >= from.column));
+      if (direction === 1 || fromCursor) {
+        index = after === -1 ? 0 : after;
+      } else {
+        index = (after === -1 ? total : after) - 1;
+        if (index < 0) index = total - 1;
+      }
+    }
+    this._goToFindMatch(index);
+  }
+
+  /**
+   * Select a match, expanding the collapsed nodes that hide it
+   */
+  private _goToFindMatch(index: number): void {
+    const match = this._findMatches[index];
+    if (!match) return;
+    this._findIndex = index;
+
+    if (this._expandNodesContainingLine(match.line)) {
+      this.updateView();
+    }
+    this.cursorLine = match.line;
+    this.cursorColumn = match.start;
+    this.selectionStart = { line: match.line, column: match.start };
+    this.selectionEnd = { line: match.line, column: match.end };
+    this._invalidateRenderCache();
+    this._scrollToCursor(true); // Center the match
+    this.renderViewport();
+    this._updateFindCount();
+  }
+
+  /**
+   * Replace the current match and go to the next one
+   */
+  private _replaceCurrent(): void {
+    if (this.readonly) return;
+    const match = this._findMatches[this._findIndex];
+    const regex = buildSearchRegExp(this._findInput?.value ?? '', this._findOptions);
+    if (!match || !regex) {
+      this._findNext(1);
+      return;
+    }
+
+    const replacement = this._replaceInput?.value ?? '';
+    const line = this.lines[match.line];
+    const replaced = replaceInLine(line, [match], regex, replacement, !this._findOptions.regex);
+    this._saveToHistory('replace');
+    this.lines[match.line] = replaced;
+    // Continue after the replaced text
+    this._clearSelection();
+    this.cursorLine = match.line;
+    this.cursorColumn = match.end + replaced.length - line.length;
+    this._findIndex = -1;
+    this.formatAndUpdate();
+    this._findNext(1, true);
+  }
+
+  /**
+   * Replace all matches as a single undo step
+   * @returns Number of replaced matches
+   */
+  private _replaceAll(): number {
+    if (this.readonly) return 0;
+    const regex = buildSearchRegExp(this._findInput?.value ?? '', this._findOptions);
+    if (!regex) return 0;
+    // Uncapped scan: the highlighted matches stop at MAX_FIND_MATCHES
+    const matches = findMatches(this.lines, regex, Infinity);
+    if (matches.length === 0) return 0;
+
+    const replacement = this._replaceInput?.value ?? '';
+    const literal = !this._findOptions.regex;
+    this._saveToHistory('replaceAll');
+    let i = 0;
+    while (i < matches.length) {
+      const line = matches[i].line;
+      const lineMatches: FindMatch[] = [];
+      while (i < matches.length && matches[i].line === line) lineMatches.push(matches[i++]);
+      this.lines[line] = replaceInLine(this.lines[line], lineMatches, regex, replacement, literal);
+    }
+    this._clearSelection();
+    this.cursorColumn = Math.min(this.cursorColumn, this.lines[this.cursorLine]?.length ?? 0);
+    this._findIndex = -1;
+    this.formatAndUpdate();
+    return matches.length;
+  }
+
+  /**
+   * Add the find match overlays of a line (current match emphasized)
+   */
+  private _addFindHighlights(html: string, lineIndex: number): string {
+    const matches = this._findMatches;
+    // Binary search for the first match of the line (matches are sorted by line)
+    let low = 0;
+    let high = matches.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (matches[mid].line < lineIndex) low = mid + 1;
+      else high = mid;
+    }
+
+    const charWidth = this._getCharWidth();
+    let overlays = '';
+    for (let i = low; i < matches.length && matches[i].line === lineIndex; i++) {
+      const { start, end } = matches[i];
+      const className = i === this._findIndex ? 'find-match current' : 'find-match';
+      overlays += `<span class="${className}" style="left: ${start * charWidth}px; width: ${(end - start) * charWidth}px"></span>`;
+    }
+    return overlays + html;
+  }
+
   /**
    * Expand all collapsed nodes containing a specific line
    * Returns true if any nodes were expanded
@@ -1303,6 +2009,7 @@ class GeoJsonEditor extends HTMLElement {
 
     // Check if editor is focused (for cursor display)
     const isFocused = this._editorWrapper?.classList.contains('focused');
+    const bracketPair = isFocused ? this._getCursorBracketPair() : null;
     
     // Render visible lines
     const fragment = document.createDocumentFragment();
@@ -1348,15 +2055,35 @@ class GeoJsonEditor extends HTMLElement {
       const context = contextMap.get(lineData.index) || 'Feature';
       let html = highlightSyntax(lineData.content, context, lineData.meta);
       
+      // Add find match highlights (visible while the find bar is open, even without focus)
+      if (this._findMatches.length > 0) {
+        html = this._addFindHighlights(html, lineData.index);
+      }
+
       // Add selection highlight if line is in selection
       if (isFocused && this._hasSelection()) {
         html = this._addSelectionHighlight(html, lineData.index, lineData.content);
       }
+
+      // Highlight the bracket next to the cursor and its matching bracket
+      if (bracketPair) {
+        html = this._addBracketHighlight(html, lineData.index, bracketPair);
+      }
       
       // Add cursor if this is the cursor line and editor is focused
       if (isFocused && lineData.index === this.cursorLine) {
         html += this._insertCursor(this.cursorColumn);
       }
+
+      // Add the selections and cursors of the other cursors
+      if (isFocused) {
+        for (const cursor of this._extraCursors) {
+          if (cursor.anchor) {
+            html = this._addSelectionHighlight(html, lineData.index, lineData.content, this._getCursorRange(cursor));
+          }
+          if (cursor.line === lineData.index) html += this._insertCursor(cursor.column);
+        }
+      }
       
       lineEl.innerHTML = html;
       
@@ -1393,10 +2120,14 @@ class GeoJsonEditor extends HTMLElement {
   }
 
   /**
-   * Add selection highlight to a line
+   * Add selection highlight to a line (primary cursor selection by default)
    */
-  private _addSelectionHighlight(html: string, lineIndex: number, content: string): string {
-    const sel = this._normalizeSelection();
+  private _addSelectionHighlight(
+    html: string,
+    lineIndex: number,
+    content: string,
+    sel: { start: CursorPosition; end: CursorPosition } | null = this._normalizeSelection()
+  ): string {
     if (!sel) return html;
     const { start, end } = sel;
     
@@ -1432,6 +2163,20 @@ class GeoJsonEditor extends HTMLElement {
     return selectionSpan + html;
   }
   
+  /**
+   * Add bracket match highlights to a line
+   */
+  private _addBracketHighlight(html: string, lineIndex: number, pair: BracketPair): string {
+    const charWidth = this._getCharWidth();
+    let overlays = '';
+    for (const bracket of [pair.bracket, pair.match]) {
+      if (bracket.line === lineIndex) {
+        overlays += `<span class="bracket-match" style="left: ${bracket.column * charWidth}px; width: ${charWidth}px"></span>`;
+      }
+    }
+    return overlays + html;
+  }
+
   /**
    * Get character width for monospace font
    */
@@ -1477,9 +2222,43 @@ class GeoJsonEditor extends HTMLElement {
 
       const meta = lineData.meta;
 
-      // Add error indicator class
-      if (meta?.hasError) {
+      // Add error/warning indicator class (a collapsed node shows the issues it hides)
+      const hidden = meta?.collapseButton?.isCollapsed ? this._getCollapsedIssues(meta.collapseButton.nodeId) : null;
+      if (meta?.hasError || hidden?.hasError) {
         gutterLine.classList.add('has-error');
+      } else if (meta?.hasWarning || hidden?.hasWarning) {
+        gutterLine.classList.add('has-warning');
+      }
+
+      // Fix action for rings with the wrong winding order
+      if (!this.readonly && this._getIssueLines().rewind.has(lineData.index)) {
+        const fixBtn = _ce('div');
+        fixBtn.className = 'rewind-button';
+        fixBtn.textContent = '⟲';
+        fixBtn.dataset.line = String(lineData.index);
+        fixBtn.title = 'Fix winding order';
+        gutterLine.appendChild(fixBtn);
+      }
+
+      // Drag handle to reorder features
+      if (!this.readonly && meta?.visibilityButton) {
+        const dragHandle = _ce('div');
+        dragHandle.className = 'drag-handle';
+        dragHandle.textContent = '⠿';
+        dragHandle.dataset.featureIndex = String(meta.visibilityButton.featureIndex);
+        dragHandle.title = 'Drag to reorder';
+        gutterLine.appendChild(dragHandle);
+      }
+
+      // Copy action for LineString features
+      const polylineFeature = this._getPolylineLines().get(lineData.index);
+      if (polylineFeature !== undefined) {
+        const copyBtn = _ce('div');
+        copyBtn.className = 'polyline-button';
+        copyBtn.textContent = '⎘';
+        copyBtn.dataset.featureIndex = String(polylineFeature);
+        copyBtn.title = 'Copy as encoded polyline';
+        gutterLine.appendChild(copyBtn);
       }
 
       // Line number first
@@ -1524,6 +2303,13 @@ class GeoJsonEditor extends HTMLElement {
 
     if (!inputValue) return;
 
+    // Multiple cursors: insert at every cursor
+    if (this._extraCursors.length > 0) {
+      textarea.value = '';
+      this._editAtCursors(inputValue, 0, 'insert');
+      return;
+    }
+
     // Delete selection first if any (replace selection with input)
     if (this._hasSelection()) {
       this._deleteSelection();
@@ -1602,11 +2388,69 @@ class GeoJsonEditor extends HTMLElement {
     // Debounce formatting and update
     clearTimeout(this.inputTimer);
     this.inputTimer = setTimeout(() => {
+      this.inputTimer = undefined;
       this.formatAndUpdate();
     }, 150);
+
+    this._updateCompletion();
   }
 
   handleKeydown(e: KeyboardEvent): void {
+    // Any key closes the context menu, Escape only closes it
+    if (this._contextMenu?.classList.contains('visible')) {
+      this._closeContextMenu();
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        e.stopPropagation();
+        return;
+      }
+    }
+
+    // Autocompletion popup takes precedence for navigation and accept keys
+    if (this._completion) {
+      const completionHandlers: Record<string, () => void> = {
+        'ArrowDown': () => this._moveCompletionSelection(1),
+        'ArrowUp': () => this._moveCompletionSelection(-1),
+        'Enter': () => this._acceptCompletion(),
+        'Tab': () => this._acceptCompletion(),
+        'Escape': () => this._closeCompletion()
+      };
+      if (completionHandlers[e.key]) {
+        e.preventDefault();
+        e.stopPropagation();
+        completionHandlers[e.key]();
+        return;
+      }
+    }
+
+    // Escape leaves the snippet placeholders
+    if (this._snippet && e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      this._snippet = null;
+      return;
+    }
+
+    // Multiple cursors: Backspace / Delete / Enter / Tab edit at every cursor, Escape returns to a single cursor
+    // (Shift+Enter and Shift+Tab keep their single cursor meaning)
+    if (this._extraCursors.length > 0) {
+      const multiCursorHandlers: Record<string, () => void> = {
+        'Backspace': () => this._editAtCursors('', -1, 'delete'),
+        'Delete': () => this._editAtCursors('', 1, 'delete'),
+        ...(e.shiftKey ? {} : {
+          'Enter': () => this._editAtCursors(this._getCursorLineBreaks(), 0, 'insert'),
+          'Tab': () => this._editAtCursors('  ', 0, 'insert')
+        }),
+        'Escape': () => this._clearExtraCursors()
+      };
+      if (multiCursorHandlers[e.key]) {
+        e.preventDefault();
+        e.stopPropagation();
+        multiCursorHandlers[e.key]();
+        return;
+      }
+    }
+
     // Build context for collapsed zone detection
     const ctx: CollapsedZoneContext = {
       inCollapsedZone: this._getCollapsedRangeForLine(this.cursorLine),
@@ -1619,8 +2463,8 @@ class GeoJsonEditor extends HTMLElement {
       'Enter': () => this._handleEnter(e.shiftKey, ctx),
       'Backspace': () => this._handleBackspace(ctx),
       'Delete': () => this._handleDelete(ctx),
-      'ArrowUp': () => this._handleArrowKey(-1, 0, e.shiftKey, e.ctrlKey || e.metaKey),
-      'ArrowDown': () => this._handleArrowKey(1, 0, e.shiftKey, e.ctrlKey || e.metaKey),
+      'ArrowUp': () => e.altKey ? this._moveNode(-1) : this._handleArrowKey(-1, 0, e.shiftKey, e.ctrlKey || e.metaKey),
+      'ArrowDown': () => e.altKey ? this._moveNode(1) : this._handleArrowKey(1, 0, e.shiftKey, e.ctrlKey || e.metaKey),
       'ArrowLeft': () => this._handleArrowKey(0, -1, e.shiftKey, e.ctrlKey || e.metaKey),
       'ArrowRight': () => this._handleArrowKey(0, 1, e.shiftKey, e.ctrlKey || e.metaKey),
       'Home': () => this._handleHomeEnd('home', e.shiftKey, e.ctrlKey || e.metaKey, ctx.onClosingLine),
@@ -1636,16 +2480,31 @@ class GeoJsonEditor extends HTMLElement {
       'a': () => this._selectAll(),
       'z': () => e.shiftKey ? this.redo() : this.undo(),
       'y': () => this.redo(),
-      's': () => this.save(),
+      's': () => e.shiftKey ? this.saveAs() : this.save(),
       'o': () => !this.hasAttribute('readonly') && this.open(),
-      'i': () => this.internalAddShortcut && !this.readonly && this._handleAddFeaturePrompt()
+      'i': () => this.internalAddShortcut && !this.readonly && this._handleAddFeaturePrompt(),
+      'f': () => this._openFind(),
+      'd': () => e.shiftKey ? this._duplicateNode() : this._selectNextOccurrence(),
+      // Shift-only shortcuts: plain Ctrl+K and Ctrl+\ are left to the browser, and so is AltGr
+      // (reported as Ctrl+Alt) typing | on some layouts. Ctrl+Shift+\ usually reports |, \ on some layouts
+      ...(e.shiftKey && !e.altKey ? {
+        'k': () => this._deleteNode(),
+        '\\': () => this._jumpToMatchingBracket(),
+        '|': () => this._jumpToMatchingBracket()
+      } : {}),
+      ' ': () => this._updateCompletion(true)
     };
 
     // Check for direct key match
     if (keyHandlers[e.key]) {
       e.preventDefault();
       e.stopPropagation();
+      // Editing keys close the popup, Backspace refines it with the shorter prefix
+      const wasCompleting = this._completion !== null;
+      this._closeCompletion();
+      this._clearExtraCursors();
       keyHandlers[e.key]();
+      if (wasCompleting && e.key === 'Backspace') this._updateCompletion();
       return;
     }
 
@@ -1658,14 +2517,427 @@ class GeoJsonEditor extends HTMLElement {
     }
   }
 
-  private _handleEnter(isShiftKey: boolean, ctx: CollapsedZoneContext): void {
-    // Shift+Enter: collapse the containing expanded node
-    if (isShiftKey) {
-      const containingNode = this._getContainingExpandedNode(this.cursorLine);
-      if (containingNode) {
-        const startLine = this.lines[containingNode.startLine];
-        const bracketPos = startLine.search(RE_BRACKET_POS);
-        this.toggleCollapse(containingNode.nodeId);
+  // ========== Autocompletion ==========
+
+  /**
+   * Open, refresh or close the autocompletion popup for the text before the cursor
+   * Suggestions depend on the context map: property keys/values inside properties,
+   * keys and "type" values in Feature and geometry objects, Feature snippets between features
+   * @param manual - Triggered by Ctrl+Space (also completes bare words and empty values)
+   */
+  private _updateCompletion(manual = false): void {
+    const result = this.readonly ? null : this._getCompletionItems(manual);
+    if (!result || result.items.length === 0) {
+      this._closeCompletion();
+      return;
+    }
+    this._completion = {
+      items: result.items,
+      selectedIndex: 0,
+      line: this.cursorLine,
+      startColumn: result.startColumn
+    };
+    this._renderCompletion();
+  }
+
+  /**
+   * Compute suggestions for the cursor position
+   * @returns Matching items and the column where the replaced prefix starts, or null without context
+   */
+  private _getCompletionItems(manual: boolean): { items: CompletionItem[]; startColumn: number } | null {
+    const line = this.lines[this.cursorLine] ?? '';
+    const before = line.substring(0, this.cursorColumn);
+    // Only complete at the end of the meaningful content (don't rewrite existing text)
+    if (!/^\s*[,}\]]?\s*$/.test(line.substring(this.cursorColumn))) return null;
+
+    // Between features: Feature skeletons (after "{" or a word)
+    const snippetMatch = before.match(RE_COMPLETION_SNIPPET);
+    if (snippetMatch && this._getDepthAt(this.cursorLine, snippetMatch[1]) <= 0) {
+      const token = snippetMatch[2];
+      if (!manual && !token) return null;
+      const items = suggestFeatureSnippets(token.replace('{', ''));
+      return { items, startColumn: this.cursorColumn - token.length };
+    }
+
+    const location = this._getPropertiesPathAtLine(this.cursorLine);
+    const openLine = location ? location.openLine : this._getEnclosingOpenLine(this.cursorLine);
+    if (openLine === -1) return null;
+
+    const context = location ? null : this._getStructureContext(openLine);
+    if (!location && !context) return null;
+    const schema = this._propertiesSchema;
+
+    const valueMatch = before.match(RE_COMPLETION_VALUE);
+    if (valueMatch) {
+      const quoted = valueMatch[2] !== undefined;
+      const prefix = quoted ? valueMatch[2] : valueMatch[3];
+      if (!manual && !quoted && !prefix) return null;
+      const key = this._unescapeKey(valueMatch[1]);
+      let items: CompletionItem[] = [];
+      if (location) {
+        items = suggestPropertyValues(schema, this._parseFeaturesLeniently(), [...location.path, key], prefix, quoted);
+      } else if (key === 'type') {
+        items = suggestTypeValues(context!, prefix, quoted);
+      }
+      return { items, startColumn: this.cursorColumn - prefix.length };
+    }
+
+    const keyMatch = before.match(RE_COMPLETION_KEY) || (manual ? before.match(RE_COMPLETION_WORD) : null);
+    if (!keyMatch) return null;
+    const prefix = keyMatch[2];
+    const existing = this._getObjectKeys(openLine, this.cursorLine);
+    let items = location
+      ? suggestPropertyKeys(schema, this._parseFeaturesLeniently(), location.path, prefix, existing)
+      : suggestStructureKeys(context!, prefix, existing);
+    // Bare word: the opening quote is part of the insertion
+    if (!before.endsWith(`"${prefix}`)) {
+      items = items.map(item => ({ ...item, insertText: `"${item.insertText}` }));
+    }
+    return { items, startColumn: this.cursorColumn - prefix.length };
+  }
+
+  /**
+   * Get the bracket depth at a position (0 between features), from the depths recorded with the context map
+   * @param head - Text of the line before the position
+   */
+  private _getDepthAt(lineIndex: number, head: string): number {
+    this._buildContextMap();
+    return (this._lineDepthCache[lineIndex] ?? 0) + this._computeBracketDelta(head);
+  }
+
+  /**
+   * Find the line opening the object or array containing a line
+   * @returns Line index, or -1 at root level (between features)
+   */
+  private _getEnclosingOpenLine(lineIndex: number): number {
+    let depth = 0;
+    for (let i = lineIndex - 1; i >= 0; i--) {
+      depth += this._computeBracketDelta(this.lines[i]);
+      if (depth > 0) return i;
+    }
+    return -1;
+  }
+
+  /**
+   * Get the structural context of an object from the context map
+   * @param openLine - Line opening the object
+   * @returns 'Feature' for a root Feature object, 'geometry' for a geometry object
+   * (or a GeometryCollection member), null for arrays and foreign members
+   */
+  private _getStructureContext(openLine: number): StructureContext | null {
+    const opener = this.lines[openLine];
+    if (!opener.trimEnd().endsWith('{')) return null;
+    const key = opener.match(RE_KV_MATCH)?.[1];
+    const context = this._buildContextMap().get(openLine + 1);
+
+    if (context === 'geometry' && (key === undefined || key === 'geometry')) return 'geometry';
+    if (context === 'Feature' && key === undefined && this._getEnclosingOpenLine(openLine) === -1) return 'Feature';
+    return null;
+  }
+
+  /**
+   * Find the path inside properties of the object containing a line
+   * @returns Path relative to properties and the line opening the object, or null outside properties (or in an array)
+   */
+  private _getPropertiesPathAtLine(lineIndex: number): { path: JsonPath; openLine: number } | null {
+    const contextMap = this._buildContextMap();
+    const path: JsonPath = [];
+    let openLine = -1;
+    let depth = 0;
+
+    for (let i = lineIndex - 1; i >= 0; i--) {
+      depth += this._computeBracketDelta(this.lines[i]);
+      if (depth <= 0) continue;
+
+      // Line i opens the container of the previous level
+      const match = this.lines[i].match(RE_KV_MATCH);
+      if (!match || match[2] !== '{') return null;
+      if (openLine === -1) openLine = i;
+      if (match[1] === 'properties' && contextMap.get(i) !== 'properties') return { path, openLine };
+      path.unshift(this._unescapeKey(match[1]));
+      depth = 0;
+    }
+    return null;
+  }
+
+  /**
+   * Collect the keys of an object (direct children only)
+   * @param openLine - Line opening the object
+   * @param skipLine - Line being edited (its partial key is not collected)
+   */
+  private _getObjectKeys(openLine: number, skipLine: number): Set<string> {
+    const keys = new Set<string>();
+    let depth = 1;
+    for (let i = openLine + 1; i < this.lines.length && depth > 0; i++) {
+      const match = depth === 1 && i !== skipLine && this.lines[i].match(RE_LINE_KEY);
+      if (match) keys.add(this._unescapeKey(match[1]));
+      depth += this._computeBracketDelta(this.lines[i]);
+    }
+    return keys;
+  }
+
+  /**
+   * Parse the top-level features one by one (delimited by bracket depth)
+   * Unlike _parseFeatures(), the other features stay available while one is being typed
+   */
+  private _parseFeaturesLeniently(): Feature[] {
+    if (this._lenientFeaturesCache) return this._lenientFeaturesCache;
+    const features: Feature[] = [];
+    let depth = 0;
+    let startLine = 0;
+    for (let i = 0; i < this.lines.length; i++) {
+      if (depth === 0) startLine = i;
+      depth += this._computeBracketDelta(this.lines[i]);
+      if (depth > 0) continue;
+      depth = 0;
+      try {
+        const content = this.lines.slice(startLine, i + 1).join('\n').trim();
+        if (content) features.push(JSON.parse(content.replace(/,$/, '')));
+      } catch {
+        // Feature being edited - skipped
+      }
+    }
+    this._lenientFeaturesCache = features;
+    return features;
+  }
+
+  /**
+   * Move the highlighted suggestion (wraps around)
+   */
+  private _moveCompletionSelection(delta: number): void {
+    const state = this._completion;
+    if (!state) return;
+    const count = state.items.length;
+    state.selectedIndex = (state.selectedIndex + delta + count) % count;
+    this._renderCompletion();
+  }
+
+  /**
+   * Replace the typed prefix with a suggestion (undoable as a single insert)
+   * @param index - Item index (default: highlighted item)
+   */
+  private _acceptCompletion(index?: number): void {
+    const state = this._completion;
+    if (!state) return;
+    const item = state.items[index ?? state.selectedIndex];
+    this._closeCompletion();
+    if (!item || state.line !== this.cursorLine) return;
+
+    // Pending debounced format would run on the completed text anyway
+    clearTimeout(this.inputTimer);
+    if (item.snippet) {
+      this._insertSnippet(item.insertText, state.startColumn);
+      return;
+    }
+    if (state.startColumn < this.cursorColumn) {
+      this.selectionStart = { line: state.line, column: state.startColumn };
+      this.selectionEnd = { line: state.line, column: this.cursorColumn };
+    }
+    this.insertText(item.insertText);
+  }
+
+  /**
+   * Close the autocompletion popup
+   */
+  private _closeCompletion(): void {
+    if (!this._completion) return;
+    this._completion = null;
+    const popup = this._completionPopup;
+    if (popup) {
+      popup.classList.remove('visible');
+      popup.innerHTML = '';
+    }
+  }
+
+  /**
+   * Insert a Feature snippet in place of the typed prefix and select its first placeholder
+   * The snippet starts on its own line; separating commas are added when it follows or precedes another feature
+   * @param snippet - Snippet text with ${n:default} placeholders
+   * @param startColumn - Column where the typed prefix starts on the cursor line
+   */
+  private _insertSnippet(snippet: string, startColumn: number): void {
+    const { text, stops } = parseSnippet(snippet);
+    const textLines = text.split('\n');
+    const indent = (this.lines[this.cursorLine] ?? '').match(RE_LEADING_WHITESPACE)![0];
+    const leading = (line: string) => line.match(RE_LEADING_WHITESPACE)![0].length;
+
+    const head = (this.lines[this.cursorLine] ?? '').substring(0, startColumn).trimEnd();
+
+    let start: CursorPosition = { line: this.cursorLine, column: startColumn };
+    let firstLine = this.cursorLine;
+    let separator = '';
+    let prev = this.cursorLine - 1;
+    while (prev >= 0 && !this.lines[prev].trim()) prev--;
+    if (head) {
+      // Typed after the previous feature on the same line ("},{")
+      start = { line: this.cursorLine, column: head.length };
+      separator = `${head.endsWith('}') ? ',' : ''}\n${indent}`;
+      firstLine = this.cursorLine + 1;
+    } else if (prev >= 0 && this.lines[prev].trimEnd().endsWith('}')) {
+      // Previous feature without its comma: replace the blank lines in between
+      start = { line: prev, column: this.lines[prev].trimEnd().length };
+      separator = `,\n${indent}`;
+      firstLine = prev + 1;
+    }
+    let next = this.cursorLine + 1;
+    while (next < this.lines.length && !this.lines[next].trim()) next++;
+    const trailingComma = next < this.lines.length && this.lines[next].trim().startsWith('{') ? ',' : '';
+
+    if (start.line !== this.cursorLine || start.column !== this.cursorColumn) {
+      this.selectionStart = start;
+      this.selectionEnd = { line: this.cursorLine, column: this.cursorColumn };
+    }
+    this.insertText(separator + textLines.map((l, i) => i === 0 ? l : indent + l).join('\n') + trailingComma);
+
+    // Placeholders follow the indentation applied by formatting
+    const toColumn = (offset: number, column: number) =>
+      column - leading(textLines[offset]) + leading(this.lines[firstLine + offset] ?? '');
+    const mapped = stops.map(stop => ({
+      line: firstLine + stop.line,
+      column: toColumn(stop.line, stop.column),
+      endLine: firstLine + stop.endLine,
+      endColumn: toColumn(stop.endLine, stop.endColumn)
+    }));
+
+    // Keep the placeholders reachable: expand the nodes auto-collapsed in the snippet
+    const lastLine = firstLine + textLines.length - 1;
+    for (const [nodeId, info] of this._nodeIdToLines) {
+      if (info.startLine >= firstLine && info.startLine <= lastLine && this.collapsedNodes.has(nodeId)) {
+        this.collapsedNodes.delete(nodeId);
+        if (info.uniqueKey) this._openedNodeKeys.add(info.uniqueKey);
+      }
+    }
+    this.updateView();
+
+    this._snippet = { stops: mapped, index: -1, lineCount: 0, endLineLength: 0 };
+    this._moveSnippetStop(1);
+  }
+
+  /**
+   * Move to the next/previous snippet placeholder and select it
+   * Placeholders after the current one are shifted by the text typed in it
+   * @returns false if the snippet is over (cursor moved away), so Tab keeps its default behavior
+   */
+  private _moveSnippetStop(delta: number): boolean {
+    const state = this._snippet;
+    if (!state) return false;
+
+    const current = state.stops[state.index];
+    if (current) {
+      const lineDelta = this.lines.length - state.lineCount;
+      const endLine = current.endLine + lineDelta;
+      const columnDelta = (this.lines[endLine]?.length ?? 0) - state.endLineLength;
+      for (const stop of state.stops) {
+        if (stop === current || stop.line < current.endLine ||
+            (stop.line === current.endLine && stop.column < current.endColumn)) continue;
+        if (stop.line === current.endLine) stop.column += columnDelta;
+        if (stop.endLine === current.endLine) stop.endColumn += columnDelta;
+        stop.line += lineDelta;
+        stop.endLine += lineDelta;
+      }
+      current.endLine = endLine;
+      current.endColumn += columnDelta;
+
+      const afterStart = this.cursorLine > current.line ||
+        (this.cursorLine === current.line && this.cursorColumn >= current.column);
+      const beforeEnd = this.cursorLine < current.endLine ||
+        (this.cursorLine === current.endLine && this.cursorColumn <= current.endColumn);
+      if (!afterStart || !beforeEnd) {
+        this._snippet = null;
+        return false;
+      }
+    }
+
+    const index = Math.max(0, state.index + delta);
+    if (index >= state.stops.length) {
+      // Tab on the last placeholder ends the snippet
+      this._snippet = null;
+      return true;
+    }
+
+    const stop = state.stops[index];
+    state.index = index;
+    state.lineCount = this.lines.length;
+    state.endLineLength = this.lines[stop.endLine]?.length ?? 0;
+    this.cursorLine = stop.line;
+    this.cursorColumn = stop.column;
+    if (stop.line !== stop.endLine || stop.column !== stop.endColumn) {
+      this.selectionStart = { line: stop.line, column: stop.column };
+      this.selectionEnd = { line: stop.endLine, column: stop.endColumn };
+    } else {
+      this._clearSelection();
+    }
+    this._scrollToCursor();
+    this._invalidateRenderCache();
+    this.scheduleRender();
+    return true;
+  }
+
+  /**
+   * Render the suggestions of the open popup
+   */
+  private _renderCompletion(): void {
+    const state = this._completion;
+    const popup = this._completionPopup;
+    if (!state || !popup) return;
+
+    popup.innerHTML = '';
+    state.items.forEach((item, i) => {
+      const itemEl = _ce('div');
+      itemEl.className = i === state.selectedIndex ? 'completion-item selected' : 'completion-item';
+      itemEl.setAttribute('role', 'option');
+      itemEl.setAttribute('aria-selected', String(i === state.selectedIndex));
+      itemEl.textContent = item.label;
+      if (item.detail) {
+        const detailEl = _ce('span');
+        detailEl.className = 'completion-detail';
+        detailEl.textContent = item.detail;
+        itemEl.appendChild(detailEl);
+      }
+      // mousedown (not click) to keep the focus in the textarea
+      itemEl.addEventListener('mousedown', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        this._acceptCompletion(i);
+      });
+      popup.appendChild(itemEl);
+    });
+    popup.classList.add('visible');
+    this._positionCompletion();
+    (popup.children[state.selectedIndex] as HTMLElement | undefined)?.scrollIntoView?.({ block: 'nearest' });
+  }
+
+  /**
+   * Position the popup below the completed text (above it if there is no room below)
+   */
+  private _positionCompletion(): void {
+    const state = this._completion;
+    const popup = this._completionPopup;
+    const viewport = this._viewport;
+    if (!state || !popup || !viewport) return;
+
+    const visibleIndex = this.visibleLines.findIndex(vl => vl.index === state.line);
+    if (visibleIndex === -1) return;
+    const style = getComputedStyle(viewport);
+    const lineTop = (parseFloat(style.paddingTop) || 0) + visibleIndex * this.lineHeight - viewport.scrollTop;
+    const left = (parseFloat(style.paddingLeft) || 0) + state.startColumn * this._getCharWidth() - viewport.scrollLeft;
+
+    let top = lineTop + this.lineHeight;
+    if (top + popup.offsetHeight > viewport.clientHeight && lineTop - popup.offsetHeight >= 0) {
+      top = lineTop - popup.offsetHeight;
+    }
+    popup.style.top = `${top}px`;
+    popup.style.left = `${Math.max(0, left)}px`;
+  }
+
+  private _handleEnter(isShiftKey: boolean, ctx: CollapsedZoneContext): void {
+    // Shift+Enter: collapse the containing expanded node
+    if (isShiftKey) {
+      const containingNode = this._getContainingExpandedNode(this.cursorLine);
+      if (containingNode) {
+        const startLine = this.lines[containingNode.startLine];
+        const bracketPos = startLine.search(RE_BRACKET_POS);
+        this.toggleCollapse(containingNode.nodeId);
         this.cursorLine = containingNode.startLine;
         this.cursorColumn = bracketPos >= 0 ? bracketPos + 1 : startLine.length;
         this._clearSelection();
@@ -1767,6 +3039,9 @@ class GeoJsonEditor extends HTMLElement {
   }
 
   private _handleTab(isShiftKey: boolean, _ctx: CollapsedZoneContext): void {
+    // Snippet placeholders take precedence over attribute navigation
+    if (this._moveSnippetStop(isShiftKey ? -1 : 1)) return;
+
     // Tab/Shift+Tab: navigate between attributes (key and value)
     if (isShiftKey) {
       this._navigateToPrevAttribute();
@@ -2559,6 +3834,7 @@ class GeoJsonEditor extends HTMLElement {
    * Select all content
    */
   private _selectAll() {
+    this._extraCursors = [];
     this.selectionStart = { line: 0, column: 0 };
     const lastLine = this.lines.length - 1;
     this.selectionEnd = { line: lastLine, column: this.lines[lastLine]?.length || 0 };
@@ -2576,8 +3852,13 @@ class GeoJsonEditor extends HTMLElement {
   private _getSelectedText(): string {
     const sel = this._normalizeSelection();
     if (!sel) return '';
-    const { start, end } = sel;
-    
+    return this._getTextBetween(sel.start, sel.end);
+  }
+
+  /**
+   * Get the text between two positions (start before end)
+   */
+  private _getTextBetween(start: CursorPosition, end: CursorPosition): string {
     if (start.line === end.line) {
       return this.lines[start.line].substring(start.column, end.column);
     }
@@ -2698,75 +3979,894 @@ class GeoJsonEditor extends HTMLElement {
     }
   }
 
+  // ========== Multiple Cursors ==========
+
   /**
-   * Delete selected text
+   * Get all cursors (primary cursor first, then the other cursors)
    */
-  private _deleteSelection(): boolean {
-    const sel = this._normalizeSelection();
-    if (!sel) return false;
-    const { start, end } = sel;
+  private _getCursors(): CursorSelection[] {
+    let anchor: CursorPosition | null = null;
+    if (this._hasSelection()) {
+      const end = this.selectionEnd!;
+      anchor = end.line === this.cursorLine && end.column === this.cursorColumn ? { ...this.selectionStart! } : { ...end };
+    }
+    return [{ line: this.cursorLine, column: this.cursorColumn, anchor }, ...this._extraCursors];
+  }
 
-    // Capture feature count before deletion for hidden index adjustment
-    const contentBefore = this.lines.join('\n');
-    const featureCountBefore = this._countFeatures(contentBefore);
-    const cursorFeatureIndex = this._getFeatureIndexForLine(start.line);
+  /**
+   * Set the primary cursor and its selection
+   */
+  private _setPrimaryCursor(cursor: CursorSelection): void {
+    this.cursorLine = cursor.line;
+    this.cursorColumn = cursor.column;
+    if (cursor.anchor) {
+      this.selectionStart = { ...cursor.anchor };
+      this.selectionEnd = { line: cursor.line, column: cursor.column };
+    } else {
+      this._clearSelection();
+    }
+  }
 
-    this._saveToHistory('delete');
+  /**
+   * Get the range of a cursor (its selection, empty without selection)
+   */
+  private _getCursorRange(cursor: CursorSelection): { start: CursorPosition; end: CursorPosition } {
+    const position = { line: cursor.line, column: cursor.column };
+    const anchor = cursor.anchor ?? position;
+    const anchorFirst = anchor.line < position.line || (anchor.line === position.line && anchor.column < position.column);
+    return anchorFirst ? { start: anchor, end: position } : { start: position, end: anchor };
+  }
 
-    if (start.line === end.line) {
-      // Single line selection
-      const line = this.lines[start.line];
-      this.lines[start.line] = line.substring(0, start.column) + line.substring(end.column);
+  /**
+   * Apply the pending (debounced) format of typed text now, before cursor positions multiply
+   */
+  private _flushInputFormat(): void {
+    if (!this.inputTimer) return;
+    clearTimeout(this.inputTimer);
+    this.inputTimer = undefined;
+    this.formatAndUpdate();
+  }
+
+  /**
+   * Return to a single cursor (the primary cursor)
+   */
+  private _clearExtraCursors(): void {
+    if (this._extraCursors.length === 0) return;
+    this._extraCursors = [];
+    this._invalidateRenderCache();
+    this.scheduleRender();
+  }
+
+  /**
+   * Add a cursor that becomes the primary cursor
+   */
+  private _addCursor(cursor: CursorSelection): void {
+    this._flushInputFormat();
+    const previous = this._getCursors();
+    this._extraCursors = previous.filter(c => c.line !== cursor.line || c.column !== cursor.column);
+    this._setPrimaryCursor(cursor);
+  }
+
+  /**
+   * Add a cursor at a position (Alt+Click), or remove the cursor already there
+   */
+  private _toggleCursor(pos: CursorPosition): void {
+    const cursors = this._getCursors();
+    const existing = cursors.findIndex(c => c.line === pos.line && c.column === pos.column);
+    if (existing === -1) {
+      this._addCursor({ line: pos.line, column: pos.column, anchor: null });
+    } else if (cursors.length > 1) {
+      cursors.splice(existing, 1);
+      this._extraCursors = cursors.slice(1);
+      this._setPrimaryCursor(cursors[0]);
+    }
+  }
+
+  /**
+   * Select a rectangle between two positions (Alt+Shift+drag), one cursor per visible line
+   * Columns are clamped to the length of each line, the primary cursor is on the line of the pointer
+   */
+  private _selectColumns(from: CursorPosition, to: CursorPosition): void {
+    const first = Math.min(from.line, to.line);
+    const last = Math.max(from.line, to.line);
+    const cursors: CursorSelection[] = this.visibleLines
+      .filter(({ index }) => index >= first && index <= last)
+      .map(({ index, content }) => {
+        const anchor = Math.min(from.column, content.length);
+        const column = Math.min(to.column, content.length);
+        return { line: index, column, anchor: anchor !== column ? { line: index, column: anchor } : null };
+      });
+    const primaryIndex = cursors.findIndex(c => c.line === to.line);
+    if (primaryIndex === -1) return;
+    const [primary] = cursors.splice(primaryIndex, 1);
+    this._extraCursors = cursors;
+    this._setPrimaryCursor(primary);
+  }
+
+  /**
+   * Select the word at the cursor, or add a cursor selecting the next occurrence of the selection (Ctrl+D)
+   * Occurrences of a word are matched as whole words, the search wraps around and skips collapsed content
+   */
+  private _selectNextOccurrence(): void {
+    if (!this._hasSelection()) {
+      this._selectWordAt(this.cursorLine, this.cursorColumn);
     } else {
-      // Multi-line selection
-      const startLine = this.lines[start.line].substring(0, start.column);
-      const endLine = this.lines[end.line].substring(end.column);
-      this.lines[start.line] = startLine + endLine;
-      this.lines.splice(start.line + 1, end.line - start.line);
+      const { start, end } = this._normalizeSelection()!;
+      if (start.line !== end.line) return;
+      const text = this.lines[start.line].substring(start.column, end.column);
+      const next = this._findNextOccurrence(text, end);
+      if (!next) return;
+      this._addCursor({ line: next.line, column: next.column + text.length, anchor: next });
+      this._scrollToCursor();
     }
+    this._invalidateRenderCache();
+    this.scheduleRender();
+  }
 
-    this.cursorLine = start.line;
-    this.cursorColumn = start.column;
-    this.selectionStart = null;
-    this.selectionEnd = null;
+  /**
+   * Find the next occurrence of a single-line text after a position, not selected by a cursor yet
+   */
+  private _findNextOccurrence(text: string, from: CursorPosition): CursorPosition | null {
+    const wholeWord = [...text].every(ch => RE_IS_WORD_CHAR.test(ch));
+    const isWordAt = (content: string, column: number) => RE_IS_WORD_CHAR.test(content[column] ?? '');
+    const selected = new Set(this._getCursors().map(c => {
+      const { start } = this._getCursorRange(c);
+      return `${start.line}:${start.column}`;
+    }));
 
-    // Adjust hidden feature indices if features were deleted
-    if (this.hiddenFeatures.size > 0 && featureCountBefore >= 0) {
-      const contentAfter = this.lines.join('\n');
-      const featureCountAfter = this._countFeatures(contentAfter);
-      if (featureCountAfter >= 0 && featureCountAfter < featureCountBefore) {
-        const delta = featureCountAfter - featureCountBefore; // Negative
-        const insertionIndex = cursorFeatureIndex >= 0 ? cursorFeatureIndex : 0;
-        this._adjustHiddenIndices(insertionIndex, delta);
+    // One more line than the content to search the start of the first line after wrapping
+    for (let i = 0; i <= this.lines.length; i++) {
+      const line = (from.line + i) % this.lines.length;
+      if (this._getCollapsedRangeForLine(line)) continue;
+      const content = this.lines[line];
+      let column = content.indexOf(text, i === 0 ? from.column : 0);
+      while (column !== -1) {
+        const isWord = !wholeWord || (!isWordAt(content, column - 1) && !isWordAt(content, column + text.length));
+        if (isWord && !selected.has(`${line}:${column}`)) return { line, column };
+        column = content.indexOf(text, column + 1);
       }
     }
+    return null;
+  }
+
+  /**
+   * Check if there are several cursors and at least one of them has a selection
+   */
+  private _hasCursorSelections(): boolean {
+    return this._extraCursors.length > 0 && this._getCursors().some(c => c.anchor !== null);
+  }
+
+  /**
+   * Get the selected texts of all cursors in document order, one per line
+   */
+  private _getCursorSelectionsText(): string {
+    return this._getCursors()
+      .map(c => this._getCursorRange(c))
+      .sort((a, b) => a.start.line - b.start.line || a.start.column - b.start.column)
+      .map(({ start, end }) => this._getTextBetween(start, end))
+      .join('\n');
+  }
 
+  /**
+   * Check if text can be edited at a position (not in or after the bracket of a collapsed node)
+   */
+  private _isEditableAt(pos: CursorPosition): boolean {
+    if (this._getCollapsedRangeForLine(pos.line)) return false;
+    const line = this.lines[pos.line] ?? '';
+    if (this._getCollapsedClosingLine(pos.line) && pos.column <= this._getClosingBracketPos(line)) return false;
+    if (this._getCollapsedNodeAtLine(pos.line) && pos.column > line.search(RE_BRACKET_POS)) return false;
     return true;
   }
 
-  insertText(text: string): void {
-    // Delete selection first if any
-    if (this._hasSelection()) {
-      this._deleteSelection();
-    }
+  /**
+   * Get the line break inserted by Enter at every cursor in document order, keeping the indentation of its line
+   */
+  private _getCursorLineBreaks(): string[] {
+    return this._getCursors()
+      .map(c => this._getCursorRange(c).start)
+      .sort((a, b) => a.line - b.line || a.column - b.column)
+      .map(start => '\n' + this.lines[start.line].match(RE_LEADING_WHITESPACE)![0]);
+  }
 
-    // Block insertion in hidden collapsed zones
-    if (this._getCollapsedRangeForLine(this.cursorLine)) return;
+  /**
+   * Replace the selection of every cursor, or insert at every cursor, as a single undo step
+   * Edits are applied in document order, the positions after an edit are shifted by the text it changed
+   * The content is not reformatted (formatted again by the next single cursor edit)
+   * @param text - Text to insert, or one text per cursor in document order
+   * @param deleteDirection - Without selection, delete the character before (-1) or after (1) the cursor, within its line
+   * @param actionType - Undo history action type
+   */
+  private _editAtCursors(text: string | string[], deleteDirection: -1 | 0 | 1, actionType: string): void {
+    if (this.readonly) return;
+    const edits = this._getCursors().map((cursor, index) => {
+      let { start, end } = this._getCursorRange(cursor);
+      if (!cursor.anchor && deleteDirection !== 0) {
+        const column = Math.max(0, Math.min(this.lines[cursor.line]?.length ?? 0, cursor.column + deleteDirection));
+        if (deleteDirection < 0) start = { line: cursor.line, column };
+        else end = { line: cursor.line, column };
+      }
+      return { start, end, cursor, isPrimary: index === 0 };
+    }).sort((a, b) => a.start.line - b.start.line || a.start.column - b.start.column);
+
+    this._saveToHistory(actionType);
+
+    // Shift of the positions after the previous edits: lines, and columns on the line where the last edit ended
+    let lineShift = 0;
+    let columnShiftLine = -1;
+    let columnShift = 0;
+    const shift = (pos: CursorPosition): CursorPosition => ({
+      line: pos.line + lineShift,
+      column: pos.column + (pos.line === columnShiftLine ? columnShift : 0)
+    });
 
-    // On closing line, only allow after bracket
-    const onClosingLine = this._getCollapsedClosingLine(this.cursorLine);
-    if (onClosingLine) {
-      const line = this.lines[this.cursorLine];
-      const bracketPos = this._getClosingBracketPos(line);
-      if (this.cursorColumn <= bracketPos) return;
-    }
+    const cursors: CursorSelection[] = [];
+    let primary: CursorSelection | null = null;
+    edits.forEach((edit, index) => {
+      let cursor: CursorSelection;
+      if (this._isEditableAt(edit.start) && this._isEditableAt(edit.end)) {
+        const start = shift(edit.start);
+        const end = shift(edit.end);
+        const textLines = (Array.isArray(text) ? text[index] ?? '' : text).split('\n');
+        const before = this.lines[start.line].substring(0, start.column);
+        const after = this.lines[end.line].substring(end.column);
+        const lastLength = textLines[textLines.length - 1].length + (textLines.length === 1 ? before.length : 0);
+        textLines[0] = before + textLines[0];
+        textLines[textLines.length - 1] += after;
+        this.lines.splice(start.line, end.line - start.line + 1, ...textLines);
+
+        cursor = { line: start.line + textLines.length - 1, column: lastLength, anchor: null };
+        lineShift += textLines.length - 1 - (edit.end.line - edit.start.line);
+        columnShiftLine = edit.end.line;
+        columnShift = lastLength - edit.end.column;
+      } else {
+        cursor = { ...shift(edit.cursor), anchor: null };
+      }
+      if (edit.isPrimary) primary = cursor;
+      else if (!cursors.some(c => c.line === cursor.line && c.column === cursor.column)) cursors.push(cursor);
+    });
 
-    // On collapsed opening line, only allow before bracket
-    const onCollapsed = this._getCollapsedNodeAtLine(this.cursorLine);
-    if (onCollapsed) {
-      const line = this.lines[this.cursorLine];
-      const bracketPos = line.search(RE_BRACKET_POS);
-      if (this.cursorColumn > bracketPos) return;
+    const primaryCursor = primary as CursorSelection | null;
+    this._extraCursors = primaryCursor
+      ? cursors.filter(c => c.line !== primaryCursor.line || c.column !== primaryCursor.column)
+      : cursors;
+    if (primaryCursor) this._setPrimaryCursor(primaryCursor);
+
+    // Clean up hidden feature indices if features were removed
+    const featureCount = this._countFeatures(this.lines.join('\n'));
+    if (featureCount >= 0 && this.hiddenFeatures.size > 0) {
+      this._cleanupInvalidHiddenIndices(featureCount);
+    }
+
+    this.updateModel();
+    this._invalidateRenderCache();
+    this.scheduleRender();
+    this.updatePlaceholderVisibility();
+    this._updateErrorDisplay();
+    this.emitChange();
+  }
+
+  // ========== Bracket Matching ==========
+
+  /**
+   * Scan from a position to the bracket closing (forward) or opening (backward) the enclosing node of a bracket type
+   * Lines that can't hold it are skipped by counting their brackets
+   * @param from - Brackets at or after this position going forward, before it going backward
+   */
+  private _scanToBracket(from: CursorPosition, openBracket: string, forward: boolean): CursorPosition | null {
+    let depth = 1;
+    for (let i = from.line; i >= 0 && i < this.lines.length; i += forward ? 1 : -1) {
+      const line = this.lines[i];
+      if (i !== from.line) {
+        const counts = countBrackets(line, openBracket);
+        if ((forward ? counts.close : counts.open) < depth) {
+          depth += forward ? counts.open - counts.close : counts.close - counts.open;
+          continue;
+        }
+      }
+      const columns = bracketColumns(line, openBracket);
+      if (!forward) columns.reverse();
+      for (const column of columns) {
+        if (i === from.line && (forward ? column < from.column : column >= from.column)) continue;
+        depth += (line[column] === openBracket) === forward ? 1 : -1;
+        if (depth === 0) return { line: i, column };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get the bracket next to a position (before it first) and its matching bracket
+   */
+  private _getBracketPair(pos: CursorPosition): BracketPair | null {
+    const line = this.lines[pos.line] ?? '';
+    for (const column of [pos.column - 1, pos.column]) {
+      const char = line[column];
+      if (!char || !'{}[]'.includes(char)) continue;
+      const openBracket = char === '{' || char === '}' ? '{' : '[';
+      // Brackets in strings don't match
+      if (!bracketColumns(line, openBracket).includes(column)) continue;
+      const forward = char === openBracket;
+      const match = this._scanToBracket({ line: pos.line, column: forward ? column + 1 : column }, openBracket, forward);
+      if (match) return { bracket: { line: pos.line, column }, match };
+    }
+    return null;
+  }
+
+  /**
+   * Get the bracket pair at the cursor (cached until the cursor moves or the content changes)
+   */
+  private _getCursorBracketPair(): BracketPair | null {
+    const key = `${this.cursorLine}:${this.cursorColumn}`;
+    if (this._bracketPairCache?.key !== key) {
+      this._bracketPairCache = { key, pair: this._getBracketPair({ line: this.cursorLine, column: this.cursorColumn }) };
+    }
+    return this._bracketPairCache.pair;
+  }
+
+  /**
+   * Get the brackets of the innermost node enclosing a position (the innermost opening bracket is the last one)
+   */
+  private _getEnclosingBrackets(pos: CursorPosition): { open: CursorPosition; close: CursorPosition } | null {
+    let enclosing: { open: CursorPosition; close: CursorPosition } | null = null;
+    for (const openBracket of ['{', '[']) {
+      const open = this._scanToBracket(pos, openBracket, false);
+      if (!open || (enclosing && (open.line < enclosing.open.line ||
+          (open.line === enclosing.open.line && open.column < enclosing.open.column)))) continue;
+      const close = this._scanToBracket({ line: open.line, column: open.column + 1 }, openBracket, true);
+      if (close) enclosing = { open, close };
+    }
+    return enclosing;
+  }
+
+  /**
+   * Jump to the bracket matching the bracket next to the cursor (Ctrl+Shift+\\), on the same side of it
+   * Pressed again after a jump, away from brackets or with a selection: select the enclosing node (brackets
+   * included), each new press extends the selection to the next enclosing node
+   */
+  private _jumpToMatchingBracket(): void {
+    const cursor = { line: this.cursorLine, column: this.cursorColumn };
+    const jump = this._lastBracketJump;
+    let node: { open: CursorPosition; close: CursorPosition } | null = null;
+
+    if (this._hasSelection()) {
+      // Innermost node enclosing the whole selection
+      const { start, end } = this._normalizeSelection()!;
+      node = this._getEnclosingBrackets(start);
+      while (node && (node.close.line < end.line || (node.close.line === end.line && node.close.column < end.column - 1))) {
+        node = this._getEnclosingBrackets(node.open);
+      }
+    } else if (jump && jump.cursor.line === cursor.line && jump.cursor.column === cursor.column) {
+      node = jump;
+    } else {
+      const pair = this._getBracketPair(cursor);
+      if (pair) {
+        this._expandNodesContainingLine(pair.match.line);
+        this.updateView();
+        this.cursorLine = pair.match.line;
+        this.cursorColumn = pair.match.column + cursor.column - pair.bracket.column;
+        const forward = pair.match.line > pair.bracket.line || pair.match.column > pair.bracket.column;
+        this._lastBracketJump = {
+          cursor: { line: this.cursorLine, column: this.cursorColumn },
+          open: forward ? pair.bracket : pair.match,
+          close: forward ? pair.match : pair.bracket
+        };
+        this._invalidateRenderCache();
+        this._scrollToCursor();
+        this.scheduleRender();
+        return;
+      }
+      node = this._getEnclosingBrackets(cursor);
+    }
+    if (!node) return;
+
+    this._lastBracketJump = null;
+    this._expandNodesContainingLine(node.close.line);
+    this.updateView();
+    this.selectionStart = { ...node.open };
+    this.selectionEnd = { line: node.close.line, column: node.close.column + 1 };
+    this.cursorLine = node.close.line;
+    this.cursorColumn = node.close.column + 1;
+    this._invalidateRenderCache();
+    this._scrollToCursor();
+    this.scheduleRender();
+  }
+
+  // ========== Context Menu ==========
+
+  /**
+   * Get the context of a line for the context menu
+   * @returns null outside features
+   */
+  private _getContextMenuContext(line: number): ContextMenuContext | null {
+    const featureIndex = this._getFeatureIndexForLine(line);
+    const feature: Feature | undefined = featureIndex >= 0 ? this._parseFeatures()[featureIndex] : undefined;
+    if (!feature) return null;
+
+    const context = this._buildContextMap().get(line);
+    if (context === 'geometry' || RE_CONTEXT_GEOMETRY.test(this.lines[line])) {
+      return { featureIndex, feature, target: 'geometry', line };
+    }
+    // Keys of properties (not of nested objects)
+    const keyMatch = context === 'properties' ? this.lines[line].match(RE_LINE_KEY) : null;
+    if (keyMatch && this._getPropertiesPathAtLine(line)?.path.length === 0) {
+      return { featureIndex, feature, target: 'property', key: this._unescapeKey(keyMatch[1]), line };
+    }
+    return { featureIndex, feature, target: 'feature', line };
+  }
+
+  /**
+   * Get the context menu entries, by group: entries of the target, of the feature, then added entries
+   * Editing entries are left out in readonly mode
+   */
+  private _getContextMenuEntries(context: ContextMenuContext): ContextMenuEntry[][] {
+    const { featureIndex, feature, target, key } = context;
+    const editable = !this.readonly;
+    const copy = (text: string | undefined) => {
+      if (text) navigator.clipboard?.writeText(text).catch(() => {});
+    };
+
+    const targetEntries: ContextMenuEntry[] = [];
+    if (target === 'geometry' && feature.geometry) {
+      const conversions = editable ? getGeometryConversions(feature.geometry) : [];
+      if (conversions.length > 0) {
+        targetEntries.push({
+          label: 'Convert to…',
+          children: conversions.map(type => ({ label: type, action: () => this._convertFeatureGeometry(featureIndex, type) }))
+        });
+      }
+      targetEntries.push({ label: 'Copy as WKT', action: () => copy(this.toWKT(featureIndex)) });
+    }
+    if (target === 'property' && key !== undefined && editable) {
+      targetEntries.push(
+        { label: 'Rename key across all features', action: () => this._renamePropertyKey(key) },
+        { label: 'Delete key across all features', action: () => this._deletePropertyKey(key) }
+      );
+    }
+
+    // Duplicate and delete act on the feature as the node at the cursor
+    const atFeature = (action: () => void) => () => {
+      this.cursorLine = this.featureRanges.get(featureIndex)?.startLine ?? this.cursorLine;
+      this.cursorColumn = 0;
+      action();
+    };
+    const featureEntries: ContextMenuEntry[] = [
+      { label: this._isFeatureHidden(featureIndex) ? 'Show' : 'Hide', action: () => this.toggleFeatureVisibility(featureIndex) }
+    ];
+    if (editable) {
+      featureEntries.push(
+        { label: 'Duplicate', action: atFeature(() => this._duplicateNode()) },
+        { label: 'Delete', action: atFeature(() => this._deleteNode()) }
+      );
+    }
+    featureEntries.push(
+      { label: 'Copy feature', action: () => copy(JSON.stringify(feature, null, 2)) },
+      { label: 'Zoom to', action: () => this._emitZoomTo(featureIndex, feature) },
+      { label: 'Collapse all but this', action: () => this._collapseAllFeaturesBut(featureIndex) }
+    );
+
+    const addedEntries = this._contextMenuItems
+      .filter(item => (!item.targets || item.targets.includes(target)) && (!item.when || item.when(context)))
+      .map(item => ({ label: item.label, action: () => item.action(context) }));
+
+    return [targetEntries, featureEntries, addedEntries].filter(group => group.length > 0);
+  }
+
+  /**
+   * Open the context menu of a line at a pointer position
+   * @returns True if the menu is open (false outside features, the browser menu is shown)
+   */
+  private _openContextMenu(line: number, x: number, y: number): boolean {
+    const menu = this._contextMenu;
+    const context = this._getContextMenuContext(line);
+    if (!menu || !context) {
+      this._closeContextMenu();
+      return false;
+    }
+
+    this._closeCompletion();
+    menu.innerHTML = '';
+    this._getContextMenuEntries(context).forEach((group, i) => {
+      if (i > 0) {
+        const separator = _ce('div');
+        separator.className = 'context-menu-separator';
+        menu.appendChild(separator);
+      }
+      this._renderContextMenuEntries(menu, group);
+    });
+
+    // Keep the menu inside the window
+    menu.classList.add('visible');
+    menu.style.left = `${Math.max(0, Math.min(x, window.innerWidth - menu.offsetWidth))}px`;
+    menu.style.top = `${Math.max(0, Math.min(y, window.innerHeight - menu.offsetHeight))}px`;
+    return true;
+  }
+
+  /**
+   * Render context menu entries in the menu or a submenu
+   */
+  private _renderContextMenuEntries(container: HTMLElement, entries: ContextMenuEntry[]): void {
+    for (const entry of entries) {
+      const itemEl = _ce('div');
+      itemEl.className = 'context-menu-item';
+      itemEl.setAttribute('role', 'menuitem');
+      itemEl.textContent = entry.label;
+      // mousedown (not click) default prevented to keep the focus in the textarea
+      itemEl.addEventListener('mousedown', (e) => e.preventDefault());
+      if (entry.children) {
+        itemEl.classList.add('has-submenu');
+        const submenu = _ce('div');
+        submenu.className = 'context-submenu';
+        submenu.setAttribute('role', 'menu');
+        this._renderContextMenuEntries(submenu, entry.children);
+        itemEl.appendChild(submenu);
+      } else {
+        itemEl.addEventListener('click', (e) => {
+          e.stopPropagation();
+          this._closeContextMenu();
+          entry.action?.();
+        });
+      }
+      container.appendChild(itemEl);
+    }
+  }
+
+  /**
+   * Close the context menu
+   */
+  private _closeContextMenu(): void {
+    this._contextMenu?.classList.remove('visible');
+  }
+
+  /**
+   * Emit the zoom-to-feature event (the host application zooms its map)
+   */
+  private _emitZoomTo(featureIndex: number, feature: Feature): void {
+    this.dispatchEvent(new CustomEvent('zoom-to-feature', {
+      detail: { feature, index: featureIndex, bbox: getGeometryBbox(feature.geometry) },
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  /**
+   * Collapse every feature except one (expanded), the cursor goes to its first line
+   */
+  private _collapseAllFeaturesBut(featureIndex: number): void {
+    const startLine = this.featureRanges.get(featureIndex)?.startLine;
+    if (startLine === undefined) return;
+    for (const [nodeId, info] of this._nodeIdToLines) {
+      if (!info.isRootFeature) continue;
+      if (info.startLine === startLine) this.collapsedNodes.delete(nodeId);
+      else this.collapsedNodes.add(nodeId);
+    }
+    this.cursorLine = startLine;
+    this.cursorColumn = 0;
+    this._clearSelection();
+    this.updateView();
+    this._invalidateRenderCache();
+    this._scrollToCursor();
+    this.scheduleRender();
+  }
+
+  /**
+   * Convert the geometry of a feature to another type (see convertGeometry())
+   */
+  private _convertFeatureGeometry(featureIndex: number, type: GeometryType): void {
+    const feature: Feature | undefined = this._parseFeatures()[featureIndex];
+    const geometry = feature?.geometry && convertGeometry(feature.geometry, type);
+    if (!geometry) return;
+    this._rewriteFeatures(new Map([[featureIndex, { ...feature, geometry }]]), 'convertGeometry');
+  }
+
+  /**
+   * Rename a key of properties in every feature, prompting for the new key (the key keeps its position)
+   */
+  private _renamePropertyKey(key: string): void {
+    const newKey = prompt(`Rename "${key}" in all features to:`, key);
+    if (!newKey || newKey === key) return;
+    const conflicts = this._parseFeatures().filter((feature: Feature) => feature.properties &&
+      Object.prototype.hasOwnProperty.call(feature.properties, key) &&
+      Object.prototype.hasOwnProperty.call(feature.properties, newKey)).length;
+    if (conflicts > 0 && !confirm(`${conflicts} feature(s) already have "${newKey}": overwrite its value?`)) return;
+    this._updateProperties(key, properties => Object.fromEntries(
+      Object.entries(properties).flatMap(([k, v]) => k === key ? [[newKey, v]] : k === newKey ? [] : [[k, v]])
+    ), 'renameKey');
+  }
+
+  /**
+   * Delete a key of properties in every feature
+   */
+  private _deletePropertyKey(key: string): void {
+    this._updateProperties(key, properties => {
+      const { [key]: _removed, ...rest } = properties;
+      return rest;
+    }, 'deleteKey');
+  }
+
+  /**
+   * Rewrite the properties of every feature having a key as a single undo step
+   */
+  private _updateProperties(key: string, update: (properties: Record<string, unknown>) => Record<string, unknown>, actionType: string): void {
+    const changed = new Map<number, Feature>();
+    this._parseFeatures().forEach((feature: Feature, index: number) => {
+      if (feature.properties && Object.prototype.hasOwnProperty.call(feature.properties, key)) {
+        changed.set(index, { ...feature, properties: update(feature.properties) });
+      }
+    });
+    if (changed.size > 0) this._rewriteFeatures(changed, actionType);
+  }
+
+  // ========== Structural Editing ==========
+
+  /**
+   * Get the lines of the node at the cursor: the node opened on the cursor line (feature, geometry,
+   * position...), otherwise the feature containing the cursor
+   * @returns Line range, featureIndex is -1 unless the node is a feature
+   */
+  private _getNodeAtCursor(): FeatureRange | null {
+    const featureIndex = this._getFeatureIndexForLine(this.cursorLine);
+    const feature = this.featureRanges.get(featureIndex);
+    const nodeId = this._lineToNodeId.get(this.cursorLine);
+    const node = nodeId ? this._nodeIdToLines.get(nodeId) : undefined;
+    if (node && node.startLine !== feature?.startLine) {
+      return { startLine: node.startLine, endLine: node.endLine, featureIndex: -1 };
+    }
+    return feature ? { ...feature } : null;
+  }
+
+  /**
+   * Get the lines of the sibling before (-1) or after (1) a node in its array or object
+   * The content is formatted: siblings start and end at the indentation of the node
+   */
+  private _getSiblingLines(node: FeatureRange, direction: -1 | 1): FeatureRange | null {
+    const indent = (i: number) => this.lines[i].length - this.lines[i].trimStart().length;
+    const nodeIndent = indent(node.startLine);
+    const line = direction < 0 ? node.startLine - 1 : node.endLine + 1;
+    if (line < 0 || line >= this.lines.length || indent(line) !== nodeIndent) return null;
+
+    // A multi-line sibling ends (or starts) at the next line with the same indentation
+    let other = line;
+    const multiLine = direction < 0 ? /^[}\]]/.test(this.lines[line].trimStart()) : /[{[]$/.test(this.lines[line].trimEnd());
+    if (multiLine) {
+      do other += direction; while (other >= 0 && other < this.lines.length && indent(other) > nodeIndent);
+    }
+    const featureIndex = node.featureIndex >= 0 ? node.featureIndex + direction : -1;
+    return direction < 0
+      ? { startLine: other, endLine: line, featureIndex }
+      : { startLine: line, endLine: other, featureIndex };
+  }
+
+  /**
+   * Replace the lines of a structural edit as a single undo step, collapsed nodes follow their lines
+   * @param mapLine - New lines of a line of the replaced range (none if removed)
+   */
+  private _replaceNodeLines(start: number, deleteCount: number, newLines: string[], mapLine: (line: number) => number[], actionType: string): void {
+    const shift = newLines.length - deleteCount;
+    const collapsedLines = new Set<number>();
+    for (const nodeId of this.collapsedNodes) {
+      const line = this._nodeIdToLines.get(nodeId)?.startLine;
+      if (line === undefined) continue;
+      const newLinesOfLine = line < start ? [line] : line >= start + deleteCount ? [line + shift] : mapLine(line);
+      newLinesOfLine.forEach(l => collapsedLines.add(l));
+    }
+
+    this._saveToHistory(actionType);
+    this._extraCursors = [];
+    this.lines.splice(start, deleteCount, ...newLines);
+    this.selectionStart = null;
+    this.selectionEnd = null;
+    this.cursorLine = Math.min(this.cursorLine, Math.max(0, this.lines.length - 1));
+    this.cursorColumn = Math.min(this.cursorColumn, this.lines[this.cursorLine]?.length ?? 0);
+    this.updateModel();
+
+    this.collapsedNodes.clear();
+    for (const [nodeId, info] of this._nodeIdToLines) {
+      if (collapsedLines.has(info.startLine)) this.collapsedNodes.add(nodeId);
+    }
+    this._flushFilter();
+    this.updateView();
+    this._scrollToCursor();
+    this.scheduleRender();
+    this.emitChange();
+  }
+
+  /**
+   * Check if structural edits are possible (editable and valid content, lines are formatted)
+   */
+  private _canEditNodes(): boolean {
+    return !this.readonly && this._countFeatures(this.lines.join('\n')) >= 0;
+  }
+
+  /**
+   * Move the node at the cursor above (-1) or below (1) its sibling (Alt+Up / Alt+Down)
+   */
+  private _moveNode(direction: -1 | 1): void {
+    if (!this._canEditNodes()) return;
+    const node = this._getNodeAtCursor();
+    const sibling = node && this._getSiblingLines(node, direction);
+    if (!node || !sibling) return;
+
+    const [upper, lower] = direction < 0 ? [sibling, node] : [node, sibling];
+    const upperLines = this.lines.slice(upper.startLine, upper.endLine + 1);
+    const lowerLines = this.lines.slice(lower.startLine, lower.endLine + 1);
+    // The upper node takes the comma of the lower one (none when last of its array or object)
+    const lowerComma = lowerLines[lowerLines.length - 1].endsWith(',');
+    upperLines[upperLines.length - 1] = upperLines[upperLines.length - 1].replace(/,$/, '') + (lowerComma ? ',' : '');
+    lowerLines[lowerLines.length - 1] = lowerLines[lowerLines.length - 1].replace(/,$/, '') + ',';
+
+    // Hidden features follow their feature
+    if (node.featureIndex >= 0) {
+      const hidden = [node.featureIndex, sibling.featureIndex].map(i => this.hiddenFeatures.delete(i));
+      if (hidden[0]) this.hiddenFeatures.add(sibling.featureIndex);
+      if (hidden[1]) this.hiddenFeatures.add(node.featureIndex);
+    }
+
+    const mapLine = (line: number) => [line <= upper.endLine ? line + lowerLines.length : line - upperLines.length];
+    this.cursorLine = mapLine(this.cursorLine)[0];
+    this._replaceNodeLines(upper.startLine, upperLines.length + lowerLines.length, [...lowerLines, ...upperLines], mapLine, 'moveNode');
+  }
+
+  /**
+   * Duplicate the node at the cursor below it, the cursor goes to the copy (Ctrl+Shift+D)
+   */
+  private _duplicateNode(): void {
+    if (!this._canEditNodes()) return;
+    const node = this._getNodeAtCursor();
+    if (!node) return;
+
+    const nodeLines = this.lines.slice(node.startLine, node.endLine + 1);
+    const copyLines = [...nodeLines];
+    nodeLines[nodeLines.length - 1] = nodeLines[nodeLines.length - 1].replace(/,$/, '') + ',';
+
+    // The copy of a hidden feature is hidden too
+    if (node.featureIndex >= 0) {
+      const hidden = this.hiddenFeatures.has(node.featureIndex);
+      this._adjustHiddenIndices(node.featureIndex + 1, 1);
+      if (hidden) this.hiddenFeatures.add(node.featureIndex + 1);
+    }
+
+    this.cursorLine += nodeLines.length;
+    this._replaceNodeLines(node.startLine, nodeLines.length, [...nodeLines, ...copyLines],
+      line => [line, line + nodeLines.length], 'duplicateNode');
+  }
+
+  /**
+   * Delete the node at the cursor (Ctrl+Shift+K)
+   */
+  private _deleteNode(): void {
+    if (!this._canEditNodes()) return;
+    const node = this._getNodeAtCursor();
+    if (!node) return;
+
+    let start = node.startLine;
+    const newLines: string[] = [];
+    // Without a next sibling, the previous sibling becomes the last one and loses its comma
+    const previous = this._getSiblingLines(node, -1);
+    if (!this.lines[node.endLine].endsWith(',') && previous) {
+      start = previous.endLine;
+      newLines.push(this.lines[start].replace(/,$/, ''));
+    }
+
+    if (node.featureIndex >= 0) {
+      this._adjustHiddenIndices(node.featureIndex, -1);
+    }
+
+    // The cursor goes to the start of the line after the node (before it at the end)
+    const next = node.endLine + 1 < this.lines.length ? node.endLine + 1 : node.startLine - 1;
+    const nextLine = this.lines[next] ?? '';
+    this.cursorLine = Math.max(0, next > node.endLine ? node.startLine : next);
+    this.cursorColumn = nextLine.length - nextLine.trimStart().length;
+    this._replaceNodeLines(start, node.endLine - start + 1, newLines, line => line < node.startLine ? [line] : [], 'deleteNode');
+  }
+
+  /**
+   * Move a feature before the feature at an insertion index (the feature count to move it last)
+   */
+  private _moveFeature(from: number, to: number): void {
+    const count = this.featureRanges.size;
+    if (!this._canEditNodes() || from < 0 || from >= count || to < 0 || to > count || to === from || to === from + 1) return;
+
+    // Features between the old and new positions are rewritten in their new order
+    const first = Math.min(from, to);
+    const last = Math.max(from, to - 1);
+    const order = Array.from({ length: last - first + 1 }, (_v, i) => first + i).filter(i => i !== from);
+    order.splice((to > from ? to - 1 : to) - first, 0, from);
+
+    const start = this.featureRanges.get(first)!.startLine;
+    const end = this.featureRanges.get(last)!.endLine;
+    const lastComma = this.lines[end].endsWith(',');
+    const newLines: string[] = [];
+    const newStarts = new Map<number, number>();
+    order.forEach((featureIndex, i) => {
+      const range = this.featureRanges.get(featureIndex)!;
+      const featureLines = this.lines.slice(range.startLine, range.endLine + 1);
+      const comma = i < order.length - 1 || lastComma ? ',' : '';
+      featureLines[featureLines.length - 1] = featureLines[featureLines.length - 1].replace(/,$/, '') + comma;
+      newStarts.set(featureIndex, start + newLines.length);
+      newLines.push(...featureLines);
+    });
+
+    // Hidden features follow their feature
+    const hidden = [...this.hiddenFeatures];
+    this.hiddenFeatures = new Set(hidden.map(i => i < first || i > last ? i : first + order.indexOf(i)));
+
+    const mapLine = (line: number) => {
+      const featureIndex = this._getFeatureIndexForLine(line);
+      return [newStarts.get(featureIndex)! + line - this.featureRanges.get(featureIndex)!.startLine];
+    };
+    if (this.cursorLine >= start && this.cursorLine <= end) this.cursorLine = mapLine(this.cursorLine)[0];
+    this._replaceNodeLines(start, end - start + 1, newLines, mapLine, 'moveFeature');
+  }
+
+  /**
+   * Delete selected text
+   */
+  private _deleteSelection(): boolean {
+    const sel = this._normalizeSelection();
+    if (!sel) return false;
+    const { start, end } = sel;
+
+    // Capture feature count before deletion for hidden index adjustment
+    const contentBefore = this.lines.join('\n');
+    const featureCountBefore = this._countFeatures(contentBefore);
+    const cursorFeatureIndex = this._getFeatureIndexForLine(start.line);
+
+    this._saveToHistory('delete');
+
+    if (start.line === end.line) {
+      // Single line selection
+      const line = this.lines[start.line];
+      this.lines[start.line] = line.substring(0, start.column) + line.substring(end.column);
+    } else {
+      // Multi-line selection
+      const startLine = this.lines[start.line].substring(0, start.column);
+      const endLine = this.lines[end.line].substring(end.column);
+      this.lines[start.line] = startLine + endLine;
+      this.lines.splice(start.line + 1, end.line - start.line);
+    }
+
+    this.cursorLine = start.line;
+    this.cursorColumn = start.column;
+    this.selectionStart = null;
+    this.selectionEnd = null;
+
+    // Adjust hidden feature indices if features were deleted
+    if (this.hiddenFeatures.size > 0 && featureCountBefore >= 0) {
+      const contentAfter = this.lines.join('\n');
+      const featureCountAfter = this._countFeatures(contentAfter);
+      if (featureCountAfter >= 0 && featureCountAfter < featureCountBefore) {
+        const delta = featureCountAfter - featureCountBefore; // Negative
+        const insertionIndex = cursorFeatureIndex >= 0 ? cursorFeatureIndex : 0;
+        this._adjustHiddenIndices(insertionIndex, delta);
+      }
+    }
+
+    return true;
+  }
+
+  insertText(text: string): void {
+    // Delete selection first if any
+    if (this._hasSelection()) {
+      this._deleteSelection();
+    }
+
+    // Block insertion in hidden collapsed zones
+    if (this._getCollapsedRangeForLine(this.cursorLine)) return;
+
+    // On closing line, only allow after bracket
+    const onClosingLine = this._getCollapsedClosingLine(this.cursorLine);
+    if (onClosingLine) {
+      const line = this.lines[this.cursorLine];
+      const bracketPos = this._getClosingBracketPos(line);
+      if (this.cursorColumn <= bracketPos) return;
+    }
+
+    // On collapsed opening line, only allow before bracket
+    const onCollapsed = this._getCollapsedNodeAtLine(this.cursorLine);
+    if (onCollapsed) {
+      const line = this.lines[this.cursorLine];
+      const bracketPos = line.search(RE_BRACKET_POS);
+      if (this.cursorColumn > bracketPos) return;
     }
 
     // Save to history before making changes
@@ -2808,6 +4908,13 @@ class GeoJsonEditor extends HTMLElement {
     const text = e.clipboardData?.getData('text/plain');
     if (!text) return;
 
+    // Multiple cursors: one line per cursor when the line count matches, the whole text at every cursor otherwise
+    if (this._extraCursors.length > 0) {
+      const textLines = text.split(/\r?\n/);
+      this._editAtCursors(textLines.length === this._extraCursors.length + 1 ? textLines : text, 0, 'paste');
+      return;
+    }
+
     // Save collapsed state of existing features before paste
     const existingCollapsedKeys = new Set<string>();
     for (const nodeId of this.collapsedNodes) {
@@ -2819,18 +4926,11 @@ class GeoJsonEditor extends HTMLElement {
     }
     const existingFeatureCount = this._parseFeatures().length;
 
-    // Try to parse as GeoJSON and normalize
+    // Try to parse as GeoJSON (or another supported format) and normalize
+    // Polylines only between features: inside a feature a single word (e.g. "API_KEY") is plain text
     let pastedFeatureCount = 0;
     try {
-      // First try direct parse (single Feature, Feature[], or FeatureCollection)
-      let parsed;
-      try {
-        parsed = JSON.parse(text);
-      } catch {
-        // If direct parse fails, try wrapping with [] (for "feature, feature" format from editor copy)
-        parsed = JSON.parse('[' + text + ']');
-      }
-      const features = normalizeToFeatures(parsed);
+      const features = this._parseImportText(text, this._isCursorBetweenFeatures());
       pastedFeatureCount = features.length;
       // Valid GeoJSON - insert formatted features
       const formatted = features.map(f => JSON.stringify(f, null, 2)).join(',\n');
@@ -2892,7 +4992,9 @@ class GeoJsonEditor extends HTMLElement {
     e.preventDefault();
     if (!e.clipboardData) return;
     // Copy selected text if there's a selection, otherwise copy all
-    if (this._hasSelection()) {
+    if (this._hasCursorSelections()) {
+      e.clipboardData.setData('text/plain', this._getCursorSelectionsText());
+    } else if (this._hasSelection()) {
       e.clipboardData.setData('text/plain', this._getSelectedText());
     } else {
       e.clipboardData.setData('text/plain', this.getContent());
@@ -2902,7 +5004,10 @@ class GeoJsonEditor extends HTMLElement {
   handleCut(e: ClipboardEvent): void {
     e.preventDefault();
     if (!e.clipboardData) return;
-    if (this._hasSelection()) {
+    if (this._hasCursorSelections()) {
+      e.clipboardData.setData('text/plain', this._getCursorSelectionsText());
+      this._editAtCursors('', 0, 'cut');
+    } else if (this._hasSelection()) {
       e.clipboardData.setData('text/plain', this._getSelectedText());
       this._saveToHistory('cut');
       this._deleteSelection();
@@ -2920,8 +5025,9 @@ class GeoJsonEditor extends HTMLElement {
 
   /**
    * Get line/column position from mouse event
+   * @param clampColumn - Clamp the column to the line length (not for rectangular selections)
    */
-  private _getPositionFromClick(e: MouseEvent): { line: number; column: number } {
+  private _getPositionFromClick(e: MouseEvent, clampColumn = true): { line: number; column: number } {
     const viewport = this._viewport;
     const linesContainer = this._linesContainer;
     if (!viewport) return { line: 0, column: 0 };
@@ -2949,14 +5055,14 @@ class GeoJsonEditor extends HTMLElement {
         const clickRelativeToLine = e.clientX - lineRect.left;
         const rawColumn = Math.round(clickRelativeToLine / charWidth);
         const lineLength = lineData.content?.length || 0;
-        column = Math.max(0, Math.min(rawColumn, lineLength));
+        column = Math.max(0, clampColumn ? Math.min(rawColumn, lineLength) : rawColumn);
       } else {
         // Fallback to padding-based calculation if line element not found
         const paddingLeft = 12;
         const x = e.clientX - rect.left + viewport.scrollLeft - paddingLeft;
         const rawColumn = Math.round(x / charWidth);
         const lineLength = lineData.content?.length || 0;
-        column = Math.max(0, Math.min(rawColumn, lineLength));
+        column = Math.max(0, clampColumn ? Math.min(rawColumn, lineLength) : rawColumn);
       }
     } else if (this.visibleLines.length > 0) {
       // Click below content: position cursor at end of last line
@@ -3009,8 +5115,80 @@ class GeoJsonEditor extends HTMLElement {
       if (nodeId) this.toggleCollapse(nodeId);
       return;
     }
+
+    // Winding order fix in gutter
+    if (target.classList.contains('rewind-button') && target.dataset.line !== undefined) {
+      const featureIndex = this._getFeatureIndexForLine(parseInt(target.dataset.line, 10));
+      if (featureIndex !== -1) this.rewind(featureIndex);
+      return;
+    }
+
+    // Encoded polyline copy in gutter
+    if (target.classList.contains('polyline-button') && target.dataset.featureIndex !== undefined) {
+      const polyline = this.encodePolyline(parseInt(target.dataset.featureIndex, 10));
+      if (polyline) navigator.clipboard?.writeText(polyline).catch(() => {});
+    }
   }
   
+  /**
+   * Start dragging a feature by its gutter handle
+   */
+  private _startFeatureDrag(featureIndex: number): void {
+    if (this.readonly || !this.featureRanges.has(featureIndex)) return;
+    this._featureDrag = { featureIndex, target: featureIndex };
+    this._editorWrapper?.classList.add('dragging-feature');
+  }
+
+  /**
+   * Get the insertion index of the dragged feature for a pointer position
+   * The pointer is before a feature when above the middle of its visible lines
+   */
+  private _getFeatureDropTarget(clientY: number): number {
+    const top = this._scrollContent?.getBoundingClientRect().top ?? 0;
+    const row = (clientY - top) / this.lineHeight;
+    const rows = new Map<number, number>();
+    this.visibleLines.forEach((vl, i) => rows.set(vl.index, i));
+
+    let target = 0;
+    for (const [featureIndex, range] of this.featureRanges) {
+      const startRow = rows.get(range.startLine);
+      if (startRow === undefined) continue;
+      const endRow = rows.get(range.endLine) ?? startRow;
+      if ((startRow + endRow + 1) / 2 < row) target = featureIndex + 1;
+    }
+    return target;
+  }
+
+  /**
+   * Follow the pointer while dragging a feature, the drop indicator shows the insertion point
+   */
+  private _updateFeatureDrag(clientY: number): void {
+    if (!this._featureDrag) return;
+    const target = this._getFeatureDropTarget(clientY);
+    this._featureDrag.target = target;
+
+    const indicator = this._featureDropIndicator;
+    if (!indicator) return;
+    // Between features: before the target feature, after the last one at the end
+    const range = this.featureRanges.get(target) ?? this.featureRanges.get(target - 1);
+    const line = this.featureRanges.has(target) ? range?.startLine : (range?.endLine ?? -1) + 1;
+    let row = this.visibleLines.findIndex(vl => vl.index >= (line ?? 0));
+    if (row === -1) row = this.visibleLines.length;
+    indicator.style.top = `${row * this.lineHeight}px`;
+    indicator.classList.add('visible');
+  }
+
+  /**
+   * Drop the dragged feature at its target position
+   */
+  private _endFeatureDrag(): void {
+    const drag = this._featureDrag;
+    this._featureDrag = null;
+    this._editorWrapper?.classList.remove('dragging-feature');
+    this._featureDropIndicator?.classList.remove('visible');
+    if (drag) this._moveFeature(drag.featureIndex, drag.target);
+  }
+
   handleEditorClick(e: MouseEvent): void {
     const target = e.target as HTMLElement;
     if (!target) return;
@@ -3161,7 +5339,8 @@ class GeoJsonEditor extends HTMLElement {
       }
     }
 
-    return false;
+    // Check for GeoJSON structural errors (invalid geometries)
+    return this._getIssueLines().errors.size > 0;
   }
 
   /**
@@ -3219,7 +5398,7 @@ class GeoJsonEditor extends HTMLElement {
     }
 
     // Rebuild everything to ensure consistent state after collapse changes
-    this.updateModel();
+    this.updateModel(false);
     this.scheduleRender();
   }
 
@@ -3227,8 +5406,10 @@ class GeoJsonEditor extends HTMLElement {
 
   toggleFeatureVisibility(featureIndex: number | undefined): void {
     if (featureIndex === undefined) return;
-    if (this.hiddenFeatures.has(featureIndex)) {
+    if (this._isFeatureHidden(featureIndex)) {
       this.hiddenFeatures.delete(featureIndex);
+      // Shown until the filter is evaluated again (filter or content changed)
+      this.filteredFeatures.delete(featureIndex);
     } else {
       this.hiddenFeatures.add(featureIndex);
     }
@@ -3481,6 +5662,9 @@ class GeoJsonEditor extends HTMLElement {
   }
 
   formatAndUpdate() {
+    // Other cursors don't follow single cursor edits
+    this._extraCursors = [];
+
     // Save cursor position
     const oldCursorLine = this.cursorLine;
     const oldCursorColumn = this.cursorColumn;
@@ -3625,28 +5809,33 @@ class GeoJsonEditor extends HTMLElement {
     try {
       let parsed = JSON.parse(fullValue);
       
+      // Validate before filtering so issue paths match the feature indices in the editor
+      const issues = this._findIssues(parsed.features || [])
+        .filter(issue => !this._isFeatureHidden(issue.path[1] as number));
+      const errors = issues.filter(issue => issue.severity === 'error').map(formatIssue);
+      const warnings = issues.filter(issue => issue.severity === 'warning').map(formatIssue);
+      
       // Filter hidden features
-      if (this.hiddenFeatures.size > 0) {
+      if (this.hiddenFeatures.size > 0 || this.filteredFeatures.size > 0) {
         parsed.features = parsed.features.filter((_feature: Feature, index: number) => {
-          return !this.hiddenFeatures.has(index);
+          return !this._isFeatureHidden(index);
         });
       }
       
-      // Validate
-      const errors = validateGeoJSON(parsed);
-      
       if (errors.length > 0) {
         this.dispatchEvent(new CustomEvent('error', {
-          detail: { error: errors.join('; '), errors, content },
+          detail: { error: errors.join('; '), errors, warnings, content },
           bubbles: true,
           composed: true
         }));
       } else {
-        this.dispatchEvent(new CustomEvent('change', {
+        // Warnings don't block the change: they are a field of the event, so the detail stays a
+        // FeatureCollection without members foreign to GeoJSON
+        this.dispatchEvent(Object.assign(new CustomEvent('change', {
           detail: parsed,
           bubbles: true,
           composed: true
-        }));
+        }), { warnings }));
       }
     } catch (e) {
       this.dispatchEvent(new CustomEvent('error', {
@@ -3703,6 +5892,25 @@ class GeoJsonEditor extends HTMLElement {
       return;
     }
 
+    // Inside an expanded GeometryCollection - emit the member geometry under the cursor
+    const memberGeometry = this._getGeometryMemberInRange(startLine, endLine);
+
+    if (memberGeometry) {
+      const memberKey = 'geom:' + JSON.stringify(memberGeometry);
+      if (!force && memberKey === this._lastCurrentFeatureIndices) return;
+      this._lastCurrentFeatureIndices = memberKey;
+
+      this.dispatchEvent(new CustomEvent('current-features', {
+        detail: {
+          type: 'FeatureCollection',
+          features: [{ type: 'Feature', geometry: memberGeometry, properties: {} }]
+        },
+        bubbles: true,
+        composed: true
+      }));
+      return;
+    }
+
     // Not in coordinates - use normal feature detection
     const featureIndices = this._getFeatureIndicesForCurrentSelection();
     const indicesKey = JSON.stringify(featureIndices);
@@ -3815,19 +6023,61 @@ class GeoJsonEditor extends HTMLElement {
     return points;
   }
 
+  /**
+   * Get the GeometryCollection member geometry containing the given line range
+   * Only applies inside an expanded "geometries" array; returns null otherwise
+   */
+  private _getGeometryMemberInRange(startLine: number, endLine: number): Geometry | null {
+    const ranges = this._findCollapsibleRanges();
+
+    // Innermost expanded geometries array containing the range (ranges are sorted by startLine)
+    const geometriesRange = ranges.filter(r =>
+      r.nodeKey === 'geometries' &&
+      !this.collapsedNodes.has(r.nodeId) &&
+      startLine > r.startLine &&
+      endLine < r.endLine
+    ).pop();
+    if (!geometriesRange) return null;
+
+    // Direct member object of that array (outermost standalone object containing the range)
+    const memberRange = ranges.find(r =>
+      r.nodeKey.startsWith('__root_') &&
+      r.startLine > geometriesRange.startLine &&
+      r.endLine < geometriesRange.endLine &&
+      startLine >= r.startLine &&
+      endLine <= r.endLine
+    );
+    if (!memberRange) return null;
+
+    try {
+      const memberContent = this.lines.slice(memberRange.startLine, memberRange.endLine + 1).join('\n');
+      const member = JSON.parse(memberContent.replace(/,\s*$/, ''));
+      return member && typeof member.type === 'string' ? member : null;
+    } catch {
+      return null;
+    }
+  }
+
   /**
    * Flatten nested coordinate arrays to get all [lng, lat] pairs
+   * Also accepts geometry objects, recursing into GeometryCollection geometries
    */
   private _flattenCoordinates(coords: unknown): number[][] {
     const result: number[][] = [];
 
     const flatten = (arr: unknown): void => {
+      if (arr && typeof arr === 'object' && !Array.isArray(arr)) {
+        // Geometry object: use its coordinates, or its members for a GeometryCollection
+        const geometry = arr as { coordinates?: unknown; geometries?: unknown };
+        flatten(geometry.geometries ?? geometry.coordinates);
+        return;
+      }
       if (!Array.isArray(arr)) return;
       // Check if this is a coordinate pair (array of 2-3 numbers)
       if (arr.length >= 2 && arr.length <= 3 && arr.every(n => typeof n === 'number')) {
         result.push(arr as number[]);
       } else {
-        // Recurse into nested arrays
+        // Recurse into nested arrays (coordinates or geometries)
         for (const item of arr) {
           flatten(item);
         }
@@ -3958,6 +6208,22 @@ class GeoJsonEditor extends HTMLElement {
     }
   }
 
+  /**
+   * Update the dirty state and indicator (content changed since last opened or saved)
+   */
+  private _updateDirtyState() {
+    this._dirty = this._revision !== this._savedRevision;
+    this._dirtyIndicator?.classList.toggle('visible', this._dirty);
+  }
+
+  /**
+   * Mark content as saved (defaults to the current revision)
+   */
+  private _markSaved(revision: number = this._revision) {
+    this._savedRevision = revision;
+    this._updateDirtyState();
+  }
+
   updatePlaceholderContent() {
     if (this._placeholderLayer) {
       this._placeholderLayer.textContent = this.placeholder;
@@ -4000,7 +6266,7 @@ class GeoJsonEditor extends HTMLElement {
         nodeKey: rangeInfo.nodeKey || (kvMatch ? kvMatch[1] : `__root_${lineIndex}`),
         nodeId,
         openBracket,
-        isRootFeature: !!rootMatch
+        isRootFeature: !!rangeInfo.isRootFeature
       });
     }
     
@@ -4042,6 +6308,7 @@ class GeoJsonEditor extends HTMLElement {
     }
 
     const contextMap = new Map<number, string>();
+    const lineDepths: number[] = [];
     const contextStack: { context: string; isArray: boolean }[] = [];
     let pendingContext: string | null = null;
 
@@ -4049,6 +6316,7 @@ class GeoJsonEditor extends HTMLElement {
       const line = this.lines[i];
       const currentContext = contextStack[contextStack.length - 1]?.context || 'Feature';
       contextMap.set(i, currentContext);
+      lineDepths.push(contextStack.length);
 
       // Check for context-changing keys
       if (RE_CONTEXT_GEOMETRY.test(line)) pendingContext = 'geometry';
@@ -4077,6 +6345,7 @@ class GeoJsonEditor extends HTMLElement {
 
     // Cache the result
     this._contextMapCache = contextMap;
+    this._lineDepthCache = lineDepths;
     this._contextMapLinesLength = linesLength;
     this._contextMapFirstLine = this.lines[0];
     this._contextMapLastLine = this.lines[linesLength - 1];
@@ -4088,7 +6357,7 @@ class GeoJsonEditor extends HTMLElement {
 
   /**
    * Replace all features in the editor
-   * Accepts: FeatureCollection, Feature[], or single Feature
+   * Accepts: FeatureCollection, Feature[], single Feature, or TopoJSON Topology
    * @param {object|array} input - Features to set
    * @param {object} options - Optional settings
    * @param {string[]|function} options.collapsed - Attributes to collapse (default: ['coordinates'])
@@ -4100,11 +6369,14 @@ class GeoJsonEditor extends HTMLElement {
   set(input: FeatureInput, options: SetOptions = {}): void {
     const features = normalizeToFeatures(input);
     this._setFeaturesInternal(features, options);
+    // The content no longer comes from the opened file
+    this._fileHandle = null;
+    this._markSaved();
   }
 
   /**
    * Add features to the end of the editor
-   * Accepts: FeatureCollection, Feature[], or single Feature
+   * Accepts: FeatureCollection, Feature[], single Feature, or TopoJSON Topology
    * @param {object|array} input - Features to add
    * @param {object} options - Optional settings
    * @param {string[]|function} options.collapsed - Attributes to collapse (default: ['coordinates'])
@@ -4120,7 +6392,7 @@ class GeoJsonEditor extends HTMLElement {
 
   /**
    * Insert features at a specific index
-   * Accepts: FeatureCollection, Feature[], or single Feature
+   * Accepts: FeatureCollection, Feature[], single Feature, or TopoJSON Topology
    * @param {object|array} input - Features to insert
    * @param {number} index - Index to insert at (negative = from end)
    * @param {object} options - Optional settings
@@ -4182,12 +6454,12 @@ class GeoJsonEditor extends HTMLElement {
     const formatted = features.map(f => JSON.stringify(f, null, 2)).join(',\n');
     this.setValue(formatted, false);
 
-    // Restore hidden features
+    // Restore hidden features (the filter is applied to new features by setValue)
+    const actualNewCount = newCount !== undefined ? newCount : features.length - newStartIndex;
     this.hiddenFeatures = savedHiddenFeatures;
 
     // Restore collapsed state for existing features
     const ranges = this._findCollapsibleRanges();
-    const actualNewCount = newCount !== undefined ? newCount : features.length - newStartIndex;
 
     for (const range of ranges) {
       // Find which feature this range belongs to using the correct featureRanges map
@@ -4346,6 +6618,21 @@ class GeoJsonEditor extends HTMLElement {
     this.hiddenFeatures = validHiddenFeatures;
   }
 
+  /**
+   * Check if the cursor is at root level: empty content, before or after a feature
+   */
+  private _isCursorBetweenFeatures(): boolean {
+    if (this.lines.every(line => !line.trim())) return true;
+    // Without feature ranges the content is invalid, the cursor may be inside a feature
+    if (this.featureRanges.size === 0) return false;
+    const featureIndex = this._getFeatureIndexForLine(this.cursorLine);
+    if (featureIndex === -1) return true;
+    const range = this.featureRanges.get(featureIndex)!;
+    const line = this.lines[this.cursorLine];
+    return (this.cursorLine === range.startLine && this.cursorColumn <= line.indexOf('{')) ||
+      (this.cursorLine === range.endLine && this.cursorColumn > line.lastIndexOf('}'));
+  }
+
   private _getFeatureIndexForLine(line: number): number {
     for (const [, range] of this.featureRanges) {
       if (line >= range.startLine && line <= range.endLine) {
@@ -4454,17 +6741,411 @@ class GeoJsonEditor extends HTMLElement {
   }
 
   /**
-   * Save GeoJSON to a file (triggers download)
+   * Add features from well-known text (one feature per geometry, empty properties)
+   * Supports all geometry types, Z/M/ZM dimensions (M values are dropped) and EWKT SRID prefixes
+   * @param {string} text - One or more WKT geometries (separated by newlines or semicolons)
+   * @param {object} options - Optional settings (see add())
+   * @throws {Error} If the text is not valid WKT
+   */
+  addWKT(text: string, options: SetOptions = {}): void {
+    this.add(parseWKT(text).map(geometry => toFeature(geometry)), options);
+  }
+
+  /**
+   * Get the geometry of a feature as well-known text
+   * @param {number} index - Feature index (negative = from end)
+   * @returns {string|undefined} WKT, undefined if there is no feature or no geometry
+   */
+  toWKT(index: number): string | undefined {
+    const geometry = this.get(index)?.geometry;
+    return geometry ? stringifyWKT(geometry) : undefined;
+  }
+
+  /**
+   * Get the geometry of a LineString feature as an encoded polyline (Google polyline algorithm)
+   * @param {number} index - Feature index (negative = from end)
+   * @param {number} precision - Number of decimals (default: 5, 6 for OSRM/Valhalla)
+   * @returns {string|undefined} Encoded polyline, undefined if there is no feature or it isn't a LineString
+   */
+  encodePolyline(index: number, precision: number = 5): string | undefined {
+    const geometry = this.get(index)?.geometry;
+    return geometry?.type === 'LineString' ? encodePolyline(geometry.coordinates, precision) : undefined;
+  }
+
+  /**
+   * Add a custom validation rule, called for each feature on every change
+   * Diagnostics are merged with built-in errors and warnings (gutter, error count, events)
+   * @param {function} validator - (feature, index) => Diagnostic[]
+   */
+  addValidator(validator: Validator): void {
+    if (typeof validator !== 'function') {
+      throw new Error('Validator must be a function');
+    }
+    if (this._validators.includes(validator)) return;
+    this._validators.push(validator);
+    this._revalidate();
+  }
+
+  /**
+   * Remove a custom validation rule
+   * @param {function} validator - Validator previously passed to addValidator()
+   * @returns {boolean} True if the validator was removed
+   */
+  removeValidator(validator: Validator): boolean {
+    const index = this._validators.indexOf(validator);
+    if (index === -1) return false;
+    this._validators.splice(index, 1);
+    this._revalidate();
+    return true;
+  }
+
+  /**
+   * Add an entry to the context menu, shown after the built-in entries
+   * @param {object} item - { label, targets?, when?, action(context) }
+   */
+  addContextMenuItem(item: ContextMenuItem): void {
+    if (!item || typeof item.action !== 'function') {
+      throw new Error('Context menu item must have an action function');
+    }
+    if (!this._contextMenuItems.includes(item)) this._contextMenuItems.push(item);
+  }
+
+  /**
+   * Remove a context menu entry
+   * @param {object} item - Item previously passed to addContextMenuItem()
+   * @returns {boolean} True if the entry was removed
+   */
+  removeContextMenuItem(item: ContextMenuItem): boolean {
+    const index = this._contextMenuItems.indexOf(item);
+    if (index === -1) return false;
+    this._contextMenuItems.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Parse the properties-schema attribute (invalid JSON disables schema validation)
    */
-  save(filename: string = 'features.geojson'): boolean {
+  private _parseSchemaAttribute(value: string | null): JsonSchema | null {
+    if (!value) return null;
     try {
-      const features = this._parseFeatures();
-      const geojson = {
-        type: 'FeatureCollection',
-        features: features
-      };
-      const json = JSON.stringify(geojson, null, 2);
-      const blob = new Blob([json], { type: 'application/geo+json' });
+      return JSON.parse(value);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Set the JSON Schema used to validate feature properties and revalidate
+   */
+  private _setPropertiesSchema(schema: JsonSchema | null): void {
+    this._propertiesSchema = schema;
+    // Only revalidate once rendered (attribute may be set before connection)
+    if (this._viewport) this._revalidate();
+  }
+
+  /**
+   * Parse the filter attribute: a JSON array is a MapLibre-style filter, anything else an expression
+   * Invalid filters disable filtering
+   */
+  private _parseFilterAttribute(value: string | null): FeatureFilter | null {
+    if (!value || !value.trim()) return null;
+    try {
+      const filter: FeatureFilter = value.trim().startsWith('[') ? JSON.parse(value) : value;
+      compileFilter(filter);
+      return filter;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Text shown in the filter input for a filter (functions can't be shown)
+   */
+  private _formatFilter(filter: FeatureFilter | null): string {
+    if (typeof filter === 'string') return filter;
+    return Array.isArray(filter) ? JSON.stringify(filter) : '';
+  }
+
+  /**
+   * Set the feature filter and apply it: features that don't match are hidden,
+   * features hidden by the user stay hidden
+   */
+  private _setFilter(filter: FeatureFilter | null, predicate: FilterPredicate | null): void {
+    this._filter = filter;
+    this._filterPredicate = predicate;
+    if (this._filterInput && this._filterInput !== this.shadowRoot!.activeElement) {
+      this._filterInput.value = this._formatFilter(filter);
+      this._filterInput.classList.remove('invalid');
+    }
+    // Only apply once rendered (attribute may be set before connection)
+    if (!this._viewport) return;
+
+    this._applyFilter();
+    this.updateView();
+    this.scheduleRender();
+    if (this.lines.length > 0) {
+      this.emitChange();
+    }
+  }
+
+  /**
+   * Evaluate the filter on all features: filteredFeatures gets the features that don't match
+   * (a predicate that throws counts as no match), the last result is kept while the content is invalid
+   * @returns True if filteredFeatures changed
+   */
+  private _applyFilter(): boolean {
+    clearTimeout(this.filterTimer);
+    this.filterTimer = undefined;
+    const predicate = this._filterPredicate;
+    const filtered = new Set<number>();
+    if (predicate) {
+      const features: Feature[] = this._parseFeatures();
+      if (features.length === 0 && this.lines.some(line => line.trim())) return false;
+      features.forEach((feature, index) => {
+        let matches = false;
+        try {
+          matches = predicate(feature, index);
+        } catch {
+          // Treated as not matching
+        }
+        if (!matches) filtered.add(index);
+      });
+      this._filteredFeatureCount = features.length;
+    }
+    const changed = filtered.size !== this.filteredFeatures.size || [...filtered].some(index => !this.filteredFeatures.has(index));
+    this.filteredFeatures = filtered;
+    return changed;
+  }
+
+  /**
+   * Evaluate the filter once typing pauses (edited features may no longer match)
+   */
+  private _scheduleFilter(): void {
+    clearTimeout(this.filterTimer);
+    this.filterTimer = setTimeout(() => {
+      this.filterTimer = undefined;
+      if (!this._applyFilter()) return;
+      this.updateView();
+      this.scheduleRender();
+      this.emitChange();
+    }, FILTER_UPDATE_DELAY);
+  }
+
+  /**
+   * Apply the pending (debounced) filter evaluation now, after a change made at once (set, move, undo...)
+   */
+  private _flushFilter(): void {
+    if (!this.filterTimer) return;
+    if (this._applyFilter()) this.updateView();
+  }
+
+  /**
+   * Check if a feature is hidden, by the user or by the filter
+   */
+  private _isFeatureHidden(featureIndex: number): boolean {
+    return this.hiddenFeatures.has(featureIndex) || this.filteredFeatures.has(featureIndex);
+  }
+
+  /**
+   * Recompute diagnostics after the validation rules changed
+   */
+  private _revalidate(): void {
+    this.updateModel(false);
+    this.scheduleRender();
+    this._updateErrorDisplay();
+    if (this.lines.length > 0) {
+      this.emitChange();
+    }
+  }
+
+  /**
+   * Fix the winding order of Polygon/MultiPolygon rings (RFC 7946: exterior rings
+   * counter-clockwise, holes clockwise), rewriting the features in place as one undo step
+   * @param {number} index - Feature index (negative = from end), all features if omitted
+   * @returns {boolean} True if any ring was rewritten
+   */
+  rewind(index?: number): boolean {
+    const features: Feature[] = this._parseFeatures();
+    const idx = index !== undefined && index < 0 ? features.length + index : index;
+    const targets = idx === undefined ? features.map((_f, i) => i) : [idx];
+
+    const changed = targets.filter(i => features[i] && rewindGeometry(features[i].geometry));
+    if (changed.length === 0) return false;
+
+    this._rewriteFeatures(new Map(changed.map(i => [i, features[i]])), 'rewind');
+    return true;
+  }
+
+  /**
+   * Rewrite features in place as a single undo step (the cursor and collapsed nodes stay)
+   * @param features - New content of the features, by index
+   */
+  private _rewriteFeatures(features: Map<number, Feature>, actionType: string): void {
+    this._saveToHistory(actionType);
+
+    // Rewrite from the last feature so earlier line ranges stay valid
+    const indices = [...features.keys()].sort((a, b) => b - a);
+    for (const featureIndex of indices) {
+      const range = this.featureRanges.get(featureIndex);
+      if (!range) continue;
+      const hasComma = this.lines[range.endLine].trimEnd().endsWith(',');
+      const featureLines = JSON.stringify(features.get(featureIndex), null, 2).split('\n').map(line => '  ' + line);
+      if (hasComma) featureLines[featureLines.length - 1] += ',';
+      this.lines.splice(range.startLine, range.endLine - range.startLine + 1, ...featureLines);
+    }
+
+    this.cursorLine = Math.min(this.cursorLine, Math.max(0, this.lines.length - 1));
+    this.cursorColumn = Math.min(this.cursorColumn, this.lines[this.cursorLine]?.length ?? 0);
+    this.updateModel();
+    this._flushFilter();
+    this.scheduleRender();
+    this.emitChange();
+  }
+
+  /**
+   * Save features to a file
+   * Writes back to the file opened or saved with a file picker (File System Access API) when no filename
+   * is given, all features are saved and the file format can hold them (saved as GeoJSON otherwise, see saveAs()),
+   * triggers a download otherwise
+   * The format follows the filename extension: .geojsons for GeoJSON text sequences, .ndjson / .jsonl for NDJSON,
+   * .topojson for TopoJSON, .kml for KML, .gpx for GPX, .csv for CSV, GeoJSON otherwise
+   * @param {string} filename - Filename for download (default: 'features.geojson')
+   * @param {object} options - Optional settings
+   * @param {string|number[]} options.features - 'all' (default), 'visible', 'selection' or feature indices
+   * @returns {boolean} True if the file is written (written asynchronously to an opened file, a download is triggered on failure)
+   */
+  save(filename?: string, options: SaveOptions = {}): boolean {
+    const handle = this._fileHandle;
+    if (filename === undefined && handle && this._isWholeContent(options)) {
+      const format = this._formatForFilename(handle.name) ?? 'geojson';
+      // The opened file can't hold every feature (polygons in a GPX file): save as GeoJSON instead
+      if (!this._canHoldFeatures(format, this._getFeaturesToExport(options))) {
+        this.saveAs('geojson', handle.name.replace(/\.[^.]*$/, '') + '.geojson', options);
+        return true;
+      }
+      this._writeFile(handle, format, options).catch(() => this._download(format, handle.name, options));
+      return true;
+    }
+    const name = filename ?? 'features.geojson';
+    return this._download(this._formatForFilename(name) ?? 'geojson', name, options);
+  }
+
+  /**
+   * Save features to a new file, chosen with a save file picker when the browser supports it (triggers download otherwise)
+   * The chosen file becomes the file written by save()
+   * @param format - 'geojson', 'geojsons', 'ndjson', 'topojson', 'kml', 'gpx' or 'csv' (default: from the chosen file extension)
+   * @param filename - Suggested filename (default: 'features.' + format, or the name of the opened file)
+   * @param options - Optional settings (see save())
+   * @returns Promise that resolves to true if the file was written, false if cancelled or on failure
+   */
+  async saveAs(format?: ExportFormat, filename?: string, options: SaveOptions = {}): Promise<boolean> {
+    if (format !== undefined && !EXPORT_FORMATS.includes(format)) return false;
+    const suggestedName = filename ?? (format ? `features.${format}` : this._fileHandle?.name ?? 'features.geojson');
+    const downloadFormat = format ?? this._formatForFilename(suggestedName) ?? 'geojson';
+
+    const filePickerWindow = window as FilePickerWindow;
+    if (!filePickerWindow.showSaveFilePicker) {
+      return this._download(downloadFormat, suggestedName, options);
+    }
+
+    let handle: FileSystemFileHandle;
+    try {
+      handle = await filePickerWindow.showSaveFilePicker({
+        suggestedName,
+        types: (format ? [format] : EXPORT_FORMATS).map(f => ({
+          description: EXPORT_FILE_TYPES[f].description,
+          accept: { [EXPORT_FILE_TYPES[f].mimeType]: ['.' + f] }
+        }))
+      });
+    } catch (e) {
+      // Cancelled by the user, otherwise the picker is not allowed here (cross-origin iframe...)
+      if ((e as DOMException).name === 'AbortError') return false;
+      return this._download(downloadFormat, suggestedName, options);
+    }
+
+    try {
+      await this._writeFile(handle, format ?? this._formatForFilename(handle.name) ?? 'geojson', options);
+    } catch {
+      return false;
+    }
+    if (this._isWholeContent(options)) this._fileHandle = handle;
+    return true;
+  }
+
+  /**
+   * Copy features to the clipboard as a FeatureCollection
+   * @param {object} options - Optional settings (see save())
+   * @returns {Promise<boolean>} Promise that resolves to true if the clipboard was written
+   */
+  async copyAsFeatureCollection(options: SaveOptions = {}): Promise<boolean> {
+    const content = this._exportFeatures(this._getFeaturesToExport(options), 'geojson').content;
+    try {
+      await navigator.clipboard.writeText(content);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Get the features selected by save options
+   */
+  private _getFeaturesToExport(options: SaveOptions): Feature[] {
+    const features: Feature[] = this._parseFeatures();
+    const selection = options.features ?? 'all';
+    if (selection === 'visible') {
+      return features.filter((_, index) => !this._isFeatureHidden(index));
+    }
+    const indices = selection === 'selection'
+      ? this._getFeatureIndicesForCurrentSelection()
+      : Array.isArray(selection) ? selection.map(index => index < 0 ? features.length + index : index) : null;
+    return indices ? indices.filter(index => features[index] !== undefined).map(index => features[index]) : features;
+  }
+
+  /**
+   * Export format of a filename, null if the extension can't be written
+   */
+  private _formatForFilename(filename: string): ExportFormat | null {
+    const extension = filename.split('.').pop()?.toLowerCase();
+    if (extension === 'json') return 'geojson';
+    if (extension === 'jsonl') return 'ndjson';
+    return EXPORT_FORMATS.find(f => f === extension) ?? null;
+  }
+
+  /**
+   * Check if a format can hold all the features (GPX skips polygons and features without geometry)
+   */
+  private _canHoldFeatures(format: ExportFormat, features: Feature[]): boolean {
+    return format !== 'gpx' || canWriteGPX(features);
+  }
+
+  /**
+   * Check if save options export all features (the saved file holds the whole content)
+   */
+  private _isWholeContent(options: SaveOptions): boolean {
+    return (options.features ?? 'all') === 'all';
+  }
+
+  /**
+   * Write the features serialized in a format to a file handle
+   * @throws {Error} If the file can't be written (permission denied...)
+   */
+  private async _writeFile(handle: FileSystemFileHandle, format: ExportFormat, options: SaveOptions): Promise<void> {
+    const revision = this._revision;
+    const exported = this._exportFeatures(this._getFeaturesToExport(options), format);
+    const writable = await handle.createWritable();
+    await writable.write(exported.content);
+    await writable.close();
+    if (this._isWholeContent(options)) this._markSaved(revision);
+  }
+
+  /**
+   * Download the features serialized in a format
+   */
+  private _download(format: ExportFormat, filename: string, options: SaveOptions): boolean {
+    try {
+      const { content, mimeType } = this._exportFeatures(this._getFeaturesToExport(options), format);
+      const blob = new Blob([content], { type: mimeType });
       const url = URL.createObjectURL(blob);
 
       const a = _ce('a') as HTMLAnchorElement;
@@ -4475,6 +7156,7 @@ class GeoJsonEditor extends HTMLElement {
       document.body.removeChild(a);
       URL.revokeObjectURL(url);
 
+      if (this._isWholeContent(options)) this._markSaved();
       return true;
     } catch (e) {
       return false;
@@ -4483,16 +7165,47 @@ class GeoJsonEditor extends HTMLElement {
 
   /**
    * Open a GeoJSON file from the client filesystem
+   * Uses an open file picker when the browser supports it (File System Access API): save() then writes back
+   * to the file (GeoJSON, GeoJSON sequence, NDJSON, TopoJSON, KML, GPX or CSV file)
    * Note: Available even in readonly mode via API (only Ctrl+O shortcut is blocked)
+   * Large files are loaded incrementally, the promise resolves once all features are loaded
    * @param {object} options - Optional settings
    * @param {string[]|function} options.collapsed - Attributes to collapse (default: ['coordinates'])
    * @returns {Promise<boolean>} Promise that resolves to true if file was loaded successfully
    */
-  open(options: SetOptions = {}): Promise<boolean> {
+  async open(options: SetOptions = {}): Promise<boolean> {
+    const filePickerWindow = window as FilePickerWindow;
+    if (!filePickerWindow.showOpenFilePicker) return this._openWithInput(options);
+
+    let handle: FileSystemFileHandle;
+    try {
+      [handle] = await filePickerWindow.showOpenFilePicker({
+        types: [{ description: 'GeoJSON', accept: { 'application/geo+json': OPEN_FILE_EXTENSIONS } }]
+      });
+    } catch (e) {
+      // Cancelled by the user, otherwise the picker is not allowed here (cross-origin iframe...)
+      if ((e as DOMException).name === 'AbortError') return false;
+      return this._openWithInput(options);
+    }
+
+    try {
+      const file = await handle.getFile();
+      const features = this._parseImportText(await file.text());
+      // Files in a format that can't be written (WKT) are saved with a download
+      return await this._loadFile(features, this._formatForFilename(handle.name) ? handle : null, options);
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Open a file with a file input (browsers without the File System Access API)
+   */
+  private _openWithInput(options: SetOptions): Promise<boolean> {
     return new Promise((resolve) => {
       const input = _ce('input') as HTMLInputElement;
       input.type = 'file';
-      input.accept = '.geojson,.json,application/geo+json,application/json';
+      input.accept = [...OPEN_FILE_EXTENSIONS, ...OPEN_FILE_MIME_TYPES].join(',');
       input.style.display = 'none';
 
       input.addEventListener('change', (e) => {
@@ -4507,17 +7220,13 @@ class GeoJsonEditor extends HTMLElement {
         reader.onload = (event: ProgressEvent<FileReader>) => {
           try {
             const content = event.target?.result as string;
-            const parsed = JSON.parse(content);
 
-            // Normalize and validate features
-            const features = normalizeToFeatures(parsed);
+            // Convert, normalize and validate features
+            const features = this._parseImportText(content);
 
             // Load features into editor
-            this._saveToHistory('open');
-            this.set(features, options);
-            this.clearHistory(); // Clear history after opening new file
             document.body.removeChild(input);
-            resolve(true);
+            this._loadFile(features, null, options).then(resolve);
           } catch (err) {
             document.body.removeChild(input);
             resolve(false);
@@ -4543,6 +7252,108 @@ class GeoJsonEditor extends HTMLElement {
     });
   }
 
+  /**
+   * Load the features of dropped files (merged in the order of the files)
+   * Nothing is loaded if a file can't be read or is not in a supported format: the error event reports it
+   * @param append - Append the features (add), otherwise replace them as open() does
+   * @returns Promise resolving to true if the features were loaded (never rejects)
+   */
+  private async _loadDroppedFiles(files: File[], append: boolean): Promise<boolean> {
+    const features: Feature[] = [];
+    for (const file of files) {
+      try {
+        features.push(...this._parseImportText(await file.text()));
+      } catch (e) {
+        this._emitFileError(file.name, e);
+        return false;
+      }
+    }
+    try {
+      if (append) {
+        this.add(features);
+        return true;
+      }
+      return await this._loadFile(features, null, {});
+    } catch (e) {
+      this._emitFileError(files.map(file => file.name).join(', '), e);
+      return false;
+    }
+  }
+
+  /**
+   * Emit an error event for a file that can't be loaded (the editor content is unchanged)
+   */
+  private _emitFileError(filename: string, e: unknown): void {
+    this.dispatchEvent(new CustomEvent('error', {
+      detail: { error: `${filename}: ${e instanceof Error ? e.message : 'Unknown error'}`, content: this.getContent() },
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  /**
+   * Load the features of an opened file, the file handle is kept for save()
+   */
+  private _loadFile(features: Feature[], handle: FileSystemFileHandle | null, options: SetOptions): Promise<boolean> {
+    const loading = this._loadIncrementally(features, options);
+    // Clear history once the first features are set, not after the last chunk: edits made while
+    // the next chunks load keep their undo history
+    this.clearHistory();
+    return loading.then((loaded) => {
+      if (loaded) {
+        this._fileHandle = handle;
+        this._markSaved();
+      }
+      return loaded;
+    });
+  }
+
+  /**
+   * Replace all features, INCREMENTAL_LOAD_CHUNK_SIZE features at a time for large inputs so that
+   * the UI stays responsive (the change event is emitted again once all features are loaded)
+   * Replacing the content meanwhile (setValue, set, add, paste...) stops the load
+   * @returns Promise resolving to false if the load was stopped
+   */
+  private _loadIncrementally(features: Feature[], options: SetOptions): Promise<boolean> {
+    this.set(features.slice(0, INCREMENTAL_LOAD_CHUNK_SIZE), options);
+    const generation = this._loadGeneration;
+
+    return new Promise((resolve) => {
+      const loadFrom = (start: number) => {
+        if (generation !== this._loadGeneration) {
+          resolve(false);
+        } else if (start >= features.length) {
+          if (start > INCREMENTAL_LOAD_CHUNK_SIZE) this.emitChange();
+          resolve(true);
+        } else {
+          this._appendFeatures(features, start, INCREMENTAL_LOAD_CHUNK_SIZE, options);
+          setTimeout(() => loadFrom(start + INCREMENTAL_LOAD_CHUNK_SIZE));
+        }
+      };
+      if (features.length > INCREMENTAL_LOAD_CHUNK_SIZE) {
+        setTimeout(() => loadFrom(INCREMENTAL_LOAD_CHUNK_SIZE));
+      } else {
+        loadFrom(features.length);
+      }
+    });
+  }
+
+  /**
+   * Append features[start, start + count) after the current content (incremental load)
+   * No history entry and no change event, hidden and collapsed state of existing features is kept
+   */
+  private _appendFeatures(features: Feature[], start: number, count: number, options: SetOptions): void {
+    const chunk = features.slice(start, start + count);
+    if (this.lines.length > 0) this.lines[this.lines.length - 1] += ',';
+    // Indented as setValue() formats the features inside the FeatureCollection array
+    this.lines.push(...chunk.map(f => JSON.stringify(f, null, 2)).join(',\n').split('\n').map(line => '  ' + line));
+
+    this.updateModel();
+    this._applyCollapsedToNewFeatures(options, features, start, chunk.length);
+    this.updateView();
+    this.scheduleRender();
+  }
+
   /**
    * Handle Ctrl+I shortcut - prompt user to add Feature/Features/FeatureCollection
    */
@@ -4551,8 +7362,7 @@ class GeoJsonEditor extends HTMLElement {
     if (!input || !input.trim()) return;
 
     try {
-      const parsed = JSON.parse(input);
-      const features = normalizeToFeatures(parsed);
+      const features = this._parseImportText(input);
       if (features.length > 0) {
         this.add(features);
       }
@@ -4561,6 +7371,55 @@ class GeoJsonEditor extends HTMLElement {
     }
   }
 
+  /**
+   * Convert imported text (open, paste, Ctrl+I) to validated features
+   * Accepts GeoJSON (Feature, Feature[], FeatureCollection or "feature, feature" as copied
+   * from the editor), GeoJSON text sequences / NDJSON, TopoJSON, WKT, hex WKB, KML, GPX, CSV with coordinate columns
+   * and encoded polylines
+   * @param allowPolyline - Detect encoded polylines (single words that also look like plain text)
+   * @throws {Error} If the text is not in a supported format or features are invalid
+   */
+  private _parseImportText(text: string, allowPolyline: boolean = true): Feature[] {
+    if (RE_WKT_START.test(text)) return parseWKT(text).map(geometry => toFeature(geometry));
+    if (RE_HEX_WKB.test(text)) return parseHexWKB(text).map(geometry => toFeature(geometry));
+    if (RE_KML_START.test(text)) return normalizeToFeatures(parseKML(text));
+    if (RE_GPX_START.test(text)) return normalizeToFeatures(parseGPX(text));
+    if (isGeoJSONSeq(text)) return normalizeToFeatures(parseGeoJSONSeq(text));
+    if (isCSV(text)) return normalizeToFeatures(parseCSV(text));
+    if (allowPolyline && isPolyline(text)) return [toFeature(parsePolyline(text))];
+
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch {
+      parsed = JSON.parse('[' + text + ']');
+    }
+    return normalizeToFeatures(parsed);
+  }
+
+  /**
+   * Serialize features in an export format
+   */
+  private _exportFeatures(features: Feature[], format: ExportFormat): { content: string; mimeType: string } {
+    const mimeType = EXPORT_FILE_TYPES[format].mimeType;
+    switch (format) {
+      case 'geojsons':
+        return { content: stringifyGeoJSONSeq(features, true), mimeType };
+      case 'ndjson':
+        return { content: stringifyGeoJSONSeq(features, false), mimeType };
+      case 'topojson':
+        return { content: JSON.stringify(featuresToTopology(features)), mimeType };
+      case 'kml':
+        return { content: stringifyKML(features), mimeType };
+      case 'gpx':
+        return { content: stringifyGPX(features), mimeType };
+      case 'csv':
+        return { content: stringifyCSV(features), mimeType };
+      default:
+        return { content: JSON.stringify({ type: 'FeatureCollection', features }, null, 2), mimeType };
+    }
+  }
+
   private _parseFeatures() {
     try {
       const content = this.lines.join('\n');
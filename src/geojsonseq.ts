@@ -0,0 +1,71 @@
+import type { Feature, Geometry } from 'geojson';
+import { GEOMETRY_TYPES, type GeometryType } from './constants.js';
+import { toFeature } from './utils.js';
+
+/**
+ * Newline-delimited GeoJSON conversion
+ *
+ * - GeoJSON text sequences (RFC 8142): records prefixed by the RS character (U+001E), a record
+ *   may span several lines
+ * - NDJSON / GeoJSONL: one GeoJSON text per line
+ * - Records are Features, FeatureCollections (their features) or geometries (wrapped in features)
+ */
+
+/** Record separator of RFC 8142 */
+const RS = '\x1e';
+
+/**
+ * Check if text is a GeoJSON text sequence, or several lines each holding a GeoJSON object
+ * Formatted JSON (an object spanning lines) and features separated by commas are not sequences
+ */
+export function isGeoJSONSeq(text: string): boolean {
+  if (text.trimStart().startsWith(RS)) return true;
+  const lines = text.split(/\r?\n/).filter(line => line.trim());
+  if (lines.length < 2) return false;
+  try {
+    const first = JSON.parse(lines[0]);
+    return !!first && typeof first === 'object' && typeof first.type === 'string';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Convert a GeoJSON text sequence or NDJSON to features (not validated)
+ * @throws {Error} If a record is not valid JSON or not a GeoJSON object
+ */
+export function parseGeoJSONSeq(text: string): Feature[] {
+  const records = text.includes(RS) ? text.split(RS) : text.split(/\r?\n/);
+  const features: Feature[] = [];
+
+  records.forEach((record, index) => {
+    if (!record.trim()) return;
+    // Records are numbered from 1, the text before the first RS is not a record
+    const number = text.includes(RS) ? index : index + 1;
+    let parsed;
+    try {
+      parsed = JSON.parse(record);
+    } catch (e) {
+      throw new Error(`Invalid GeoJSON sequence: record ${number}: ${(e as Error).message}`);
+    }
+    if (parsed?.type === 'FeatureCollection' && Array.isArray(parsed.features)) {
+      features.push(...parsed.features);
+    } else if (parsed?.type === 'Feature') {
+      features.push(parsed);
+    } else if (GEOMETRY_TYPES.includes(parsed?.type as GeometryType)) {
+      features.push(toFeature(parsed as Geometry));
+    } else {
+      throw new Error(`Invalid GeoJSON sequence: record ${number} is not a Feature, FeatureCollection or geometry`);
+    }
+  });
+
+  return features;
+}
+
+/**
+ * Write one feature per line
+ * @param rfc8142 - Prefix each record with RS (GeoJSON text sequence), otherwise NDJSON
+ */
+export function stringifyGeoJSONSeq(features: Feature[], rfc8142: boolean): string {
+  return features.map(feature => (rfc8142 ? RS : '') + JSON.stringify(feature) + '\n').join('');
+}
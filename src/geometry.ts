@@ -0,0 +1,110 @@
+import type { Geometry, Position } from 'geojson';
+import type { GeometryType } from './constants.js';
+import { rewindGeometry } from './winding.js';
+
+/**
+ * Geometry conversions (context menu "Convert to…") and bounding boxes
+ *
+ * - Single and Multi* types convert both ways (Multi* to single when there is one member)
+ * - Lines and polygon rings convert to points, lines close into polygons (winding fixed)
+ * - GeometryCollections are not converted
+ */
+
+/**
+ * Get the positions of a polygon ring from a line, closed (null if it has less than 3 distinct positions)
+ */
+function closeRing(line: Position[]): Position[] | null {
+  const first = line[0], last = line[line.length - 1];
+  const closed = first && last && first[0] === last[0] && first[1] === last[1];
+  const ring = closed ? line : [...line, first];
+  return ring.length >= 4 ? ring : null;
+}
+
+/**
+ * Convert a geometry to another type
+ * @returns Converted geometry, null if it can't be converted without losing its shape
+ */
+export function convertGeometry(geometry: Geometry, type: GeometryType): Geometry | null {
+  if (geometry.type === type || geometry.type === 'GeometryCollection') return null;
+
+  // Lines of the geometry (polygon rings included), used by most conversions
+  const lines: Position[][] | null =
+    geometry.type === 'LineString' ? [geometry.coordinates] :
+    geometry.type === 'MultiLineString' || geometry.type === 'Polygon' ? geometry.coordinates :
+    geometry.type === 'MultiPolygon' ? geometry.coordinates.flat() : null;
+
+  let converted: Geometry | null = null;
+  switch (type) {
+    case 'Point':
+      if (geometry.type === 'MultiPoint' && geometry.coordinates.length === 1) {
+        converted = { type, coordinates: geometry.coordinates[0] };
+      }
+      break;
+    case 'MultiPoint':
+      if (geometry.type === 'Point') converted = { type, coordinates: [geometry.coordinates] };
+      else if (lines) converted = { type, coordinates: lines.flat() };
+      break;
+    case 'LineString':
+      if (geometry.type === 'MultiPoint' && geometry.coordinates.length >= 2) {
+        converted = { type, coordinates: geometry.coordinates };
+      } else if (lines && lines.length === 1) {
+        // A polygon without holes becomes its ring
+        converted = { type, coordinates: lines[0] };
+      }
+      break;
+    case 'MultiLineString':
+      if (lines) converted = { type, coordinates: lines };
+      break;
+    case 'Polygon': {
+      if (geometry.type === 'MultiPolygon') {
+        if (geometry.coordinates.length === 1) converted = { type, coordinates: geometry.coordinates[0] };
+        break;
+      }
+      const rings = geometry.type === 'LineString' || geometry.type === 'MultiLineString' ? lines!.map(closeRing) : [];
+      if (rings.length > 0 && rings.every(ring => ring)) converted = { type, coordinates: rings as Position[][] };
+      break;
+    }
+    case 'MultiPolygon':
+      if (geometry.type === 'Polygon') converted = { type, coordinates: [geometry.coordinates] };
+      else if (geometry.type === 'LineString') {
+        const ring = closeRing(geometry.coordinates);
+        if (ring) converted = { type, coordinates: [[ring]] };
+      }
+      break;
+  }
+
+  if (converted) rewindGeometry(converted);
+  return converted;
+}
+
+/**
+ * Get the types a geometry can be converted to
+ */
+export function getGeometryConversions(geometry: Geometry): GeometryType[] {
+  const types: GeometryType[] = ['Point', 'MultiPoint', 'LineString', 'MultiLineString', 'Polygon', 'MultiPolygon'];
+  return types.filter(type => convertGeometry(geometry, type) !== null);
+}
+
+/**
+ * Get the bounding box of a geometry
+ * @returns [minLon, minLat, maxLon, maxLat], null if it has no position
+ */
+export function getGeometryBbox(geometry: Geometry | null): [number, number, number, number] | null {
+  let x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+  const visit = (value: unknown): void => {
+    if (!Array.isArray(value)) return;
+    if (typeof value[0] === 'number') {
+      x0 = Math.min(x0, value[0]); x1 = Math.max(x1, value[0]);
+      y0 = Math.min(y0, value[1]); y1 = Math.max(y1, value[1]);
+    } else {
+      value.forEach(visit);
+    }
+  };
+  const visitGeometry = (g: Geometry | null): void => {
+    if (!g) return;
+    if (g.type === 'GeometryCollection') g.geometries.forEach(visitGeometry);
+    else visit(g.coordinates);
+  };
+  visitGeometry(geometry);
+  return x0 <= x1 ? [x0, y0, x1, y1] : null;
+}
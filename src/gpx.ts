@@ -0,0 +1,185 @@
+import type { Feature, Position } from 'geojson';
+import { toFeature, childElements, childText, escapeXml, parseXmlDocument } from './utils.js';
+
+/**
+ * GPX conversion (no dependency, DOMParser for reading)
+ *
+ * - Waypoints (wpt) become Points, routes (rte) LineStrings, tracks (trk) LineStrings
+ *   (one segment) or MultiLineStrings (several segments)
+ * - ele is the third coordinate; point times of routes and tracks become a coordTimes property
+ *   (an array per segment for a MultiLineString), the time of a waypoint a time property
+ * - name, desc, cmt, src, sym and type elements are kept as properties
+ * - Writing: Point/MultiPoint features become waypoints, LineString/MultiLineString features tracks;
+ *   other geometries have no GPX equivalent and are skipped
+ */
+
+const GPX_NAMESPACE = 'http://www.topografix.com/GPX/1/1';
+
+/** Metadata elements kept as properties, in GPX schema order */
+const METADATA_ELEMENTS = ['name', 'cmt', 'desc', 'src', 'sym', 'type'];
+
+/** Track and route metadata elements, in GPX schema order (no sym) */
+const TRACK_METADATA_ELEMENTS = ['name', 'cmt', 'desc', 'src', 'type'];
+
+/** Geometry types written as waypoints or tracks */
+const WRITABLE_TYPES: (string | undefined)[] = ['Point', 'MultiPoint', 'LineString', 'MultiLineString'];
+
+// ========== Reading ==========
+
+interface GpxPoint {
+  position: Position;
+  time: string | null;
+}
+
+/**
+ * Read a wpt, rtept or trkpt element (null if lat/lon are missing)
+ */
+function readPoint(element: Element): GpxPoint | null {
+  const lat = parseFloat(element.getAttribute('lat') ?? '');
+  const lon = parseFloat(element.getAttribute('lon') ?? '');
+  if (Number.isNaN(lat) || Number.isNaN(lon)) return null;
+  const ele = parseFloat(childText(element, 'ele') ?? '');
+  return {
+    position: Number.isNaN(ele) ? [lon, lat] : [lon, lat, ele],
+    time: childText(element, 'time') ?? null
+  };
+}
+
+/**
+ * Read the points of a route or a track segment
+ */
+function readPoints(element: Element, name: string): GpxPoint[] {
+  return childElements(element, name).map(readPoint).filter((point): point is GpxPoint => point !== null);
+}
+
+/**
+ * Read the metadata elements of a waypoint, route or track
+ */
+function readMetadata(element: Element): Record<string, unknown> {
+  const properties: Record<string, unknown> = {};
+  for (const name of METADATA_ELEMENTS) {
+    const text = childText(element, name);
+    if (text !== undefined) properties[name] = text;
+  }
+  return properties;
+}
+
+/**
+ * Convert a GPX document to features: waypoints, then routes, then tracks
+ * @throws {Error} If the text is not a GPX document
+ */
+export function parseGPX(text: string): Feature[] {
+  const gpx = parseXmlDocument(text, 'GPX', 'gpx').documentElement;
+  const features: Feature[] = [];
+
+  for (const wpt of childElements(gpx, 'wpt')) {
+    const point = readPoint(wpt);
+    if (!point) continue;
+    const properties = readMetadata(wpt);
+    if (point.time) properties.time = point.time;
+    features.push(toFeature({ type: 'Point', coordinates: point.position }, properties));
+  }
+
+  for (const rte of childElements(gpx, 'rte')) {
+    const points = readPoints(rte, 'rtept');
+    if (points.length === 0) continue;
+    const properties = readMetadata(rte);
+    if (points.some(p => p.time)) properties.coordTimes = points.map(p => p.time);
+    features.push(toFeature({ type: 'LineString', coordinates: points.map(p => p.position) }, properties));
+  }
+
+  for (const trk of childElements(gpx, 'trk')) {
+    const segments = childElements(trk, 'trkseg').map(segment => readPoints(segment, 'trkpt')).filter(points => points.length > 0);
+    if (segments.length === 0) continue;
+    const properties = readMetadata(trk);
+    const hasTimes = segments.some(points => points.some(p => p.time));
+    if (segments.length === 1) {
+      if (hasTimes) properties.coordTimes = segments[0].map(p => p.time);
+      features.push(toFeature({ type: 'LineString', coordinates: segments[0].map(p => p.position) }, properties));
+    } else {
+      if (hasTimes) properties.coordTimes = segments.map(points => points.map(p => p.time));
+      features.push(toFeature({ type: 'MultiLineString', coordinates: segments.map(points => points.map(p => p.position)) }, properties));
+    }
+  }
+
+  return features;
+}
+
+// ========== Writing ==========
+
+/**
+ * Write a point element (wpt or trkpt) with its elevation and time
+ */
+function writePoint(tag: string, position: Position, time: unknown, indent: string, metadata: string[] = []): string[] {
+  const children: string[] = [];
+  if (typeof position[2] === 'number') children.push(`<ele>${position[2]}</ele>`);
+  if (typeof time === 'string' && time) children.push(`<time>${escapeXml(time)}</time>`);
+  children.push(...metadata);
+  const open = `${indent}<${tag} lat="${position[1]}" lon="${position[0]}"`;
+  if (children.length === 0) return [`${open}/>`];
+  return [`${open}>`, ...children.map(child => `${indent}  ${child}`), `${indent}</${tag}>`];
+}
+
+/**
+ * Write the metadata properties of a feature as GPX elements
+ */
+function writeMetadata(properties: Record<string, unknown>, names: string[]): string[] {
+  return names
+    .filter(name => properties[name] !== undefined && properties[name] !== null)
+    .map(name => `<${name}>${escapeXml(String(properties[name]))}</${name}>`);
+}
+
+/**
+ * Check if features can all be written to GPX (Point, MultiPoint, LineString or MultiLineString geometry)
+ */
+export function canWriteGPX(features: Feature[]): boolean {
+  return features.every(feature => WRITABLE_TYPES.includes(feature.geometry?.type));
+}
+
+/**
+ * Convert features to a GPX 1.1 document
+ * Point/MultiPoint features become waypoints, LineString/MultiLineString features tracks
+ * (coordTimes written as point times), other geometries are skipped
+ */
+export function stringifyGPX(features: Feature[]): string {
+  const waypoints: string[] = [];
+  const tracks: string[] = [];
+
+  for (const feature of features) {
+    const geometry = feature.geometry;
+    const properties = (feature.properties || {}) as Record<string, unknown>;
+    if (!geometry) continue;
+
+    if (geometry.type === 'Point' || geometry.type === 'MultiPoint') {
+      const positions = geometry.type === 'Point' ? [geometry.coordinates] : geometry.coordinates;
+      for (const position of positions) {
+        waypoints.push(...writePoint('wpt', position, properties.time, '  ', writeMetadata(properties, METADATA_ELEMENTS)));
+      }
+    } else if (geometry.type === 'LineString' || geometry.type === 'MultiLineString') {
+      const segments = geometry.type === 'LineString' ? [geometry.coordinates] : geometry.coordinates;
+      const times = properties.coordTimes;
+      const segmentTimes = (index: number): unknown[] => {
+        if (!Array.isArray(times)) return [];
+        const value = geometry.type === 'LineString' ? times : times[index];
+        return Array.isArray(value) ? value : [];
+      };
+      tracks.push('  <trk>');
+      tracks.push(...writeMetadata(properties, TRACK_METADATA_ELEMENTS).map(line => `    ${line}`));
+      segments.forEach((segment, index) => {
+        const pointTimes = segmentTimes(index);
+        tracks.push('    <trkseg>');
+        segment.forEach((position, i) => tracks.push(...writePoint('trkpt', position, pointTimes[i], '      ')));
+        tracks.push('    </trkseg>');
+      });
+      tracks.push('  </trk>');
+    }
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<gpx version="1.1" creator="@softwarity/geojson-editor" xmlns="${GPX_NAMESPACE}">`,
+    ...waypoints,
+    ...tracks,
+    '</gpx>'
+  ].join('\n');
+}
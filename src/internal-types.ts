@@ -1,4 +1,5 @@
 import type { Feature, FeatureCollection } from 'geojson';
+import type { Topology } from './types.js';
 
 /**
  * Internal types - not exported publicly
@@ -10,8 +11,33 @@ export interface CursorPosition {
   column: number;
 }
 
+/** Secondary cursor of multi-cursor editing, anchor is the other end of its selection */
+export interface CursorSelection {
+  line: number;
+  column: number;
+  anchor: CursorPosition | null;
+}
+
+/** Bracket next to the cursor and its matching bracket */
+export interface BracketPair {
+  bracket: CursorPosition;
+  match: CursorPosition;
+}
+
 /** Input types accepted by API methods */
-export type FeatureInput = Feature | Feature[] | FeatureCollection;
+export type FeatureInput = Feature | Feature[] | FeatureCollection | Topology;
+
+/** File System Access API pickers (not in the TypeScript DOM library) */
+export interface FilePickerOptions {
+  suggestedName?: string;
+  types?: { description?: string; accept: Record<string, string[]> }[];
+}
+
+/** Window with the File System Access API pickers (Chromium browsers) */
+export interface FilePickerWindow extends Window {
+  showOpenFilePicker?: (options?: FilePickerOptions) => Promise<FileSystemFileHandle[]>;
+  showSaveFilePicker?: (options?: FilePickerOptions) => Promise<FileSystemFileHandle>;
+}
 
 /** Color metadata for a line */
 export interface ColorMeta {
@@ -48,6 +74,7 @@ export interface LineMeta {
   isCollapsed: boolean;
   featureIndex: number | null;
   hasError: boolean;
+  hasWarning: boolean;
 }
 
 /** Visible line data */
@@ -79,12 +106,95 @@ export interface EditorSnapshot {
   cursorLine: number;
   cursorColumn: number;
   timestamp: number;
+  /** Content revision, restored to track unsaved changes */
+  revision: number;
   /** Collapsed node unique keys (nodeKey:occurrence) for restoring collapsed state */
   collapsedUniqueKeys?: string[];
   /** Hidden feature indices for restoring visibility state */
   hiddenFeatures?: number[];
 }
 
+/** Path to a value inside the FeatureCollection (object keys and array indices) */
+export type JsonPath = (string | number)[];
+
+/** Validation issue severity - warnings are reported but don't block the change event */
+export type IssueSeverity = 'error' | 'warning';
+
+/** Validation issue located by its JSON path */
+export interface ValidationIssue {
+  path: JsonPath;
+  message: string;
+  severity: IssueSeverity;
+  /** Identifies issues with a fix action (e.g. 'winding' can be fixed with rewind()) */
+  code?: string;
+}
+
+/** Editor lines with validation issues, by severity and available fix */
+export interface IssueLines {
+  errors: Set<number>;
+  warnings: Set<number>;
+  rewind: Set<number>;
+}
+
+/** Autocompletion suggestion */
+export interface CompletionItem {
+  /** Text shown in the popup */
+  label: string;
+  /** Text inserted in place of the typed prefix */
+  insertText: string;
+  /** Origin of the suggestion, shown next to the label (e.g. 'schema', 'used') */
+  detail?: string;
+  /** insertText is a snippet with ${n:default} placeholders */
+  snippet?: boolean;
+}
+
+/** Autocompletion state for the open popup */
+export interface CompletionState {
+  items: CompletionItem[];
+  selectedIndex: number;
+  line: number;
+  /** Column where the replaced prefix starts */
+  startColumn: number;
+}
+
+/** Snippet placeholder range (may span several lines) */
+export interface SnippetStop {
+  line: number;
+  column: number;
+  endLine: number;
+  endColumn: number;
+}
+
+/** Active snippet: placeholders reachable with Tab / Shift+Tab */
+export interface SnippetState {
+  stops: SnippetStop[];
+  index: number;
+  /** Line count and length of the current stop's end line when it was entered (to track edits) */
+  lineCount: number;
+  endLineLength: number;
+}
+
+/** Find options of the find/replace bar */
+export interface FindOptions {
+  caseSensitive: boolean;
+  wholeWord: boolean;
+  regex: boolean;
+}
+
+/** Search match (single line) */
+export interface FindMatch {
+  line: number;
+  start: number;
+  end: number;
+}
+
+/** Context menu entry (opens a submenu when it has children) */
+export interface ContextMenuEntry {
+  label: string;
+  action?: () => void;
+  children?: ContextMenuEntry[];
+}
+
 /** Bracket count result */
 export interface BracketCount {
   open: number;
@@ -0,0 +1,315 @@
+import type { JsonSchema } from './types.js';
+import type { JsonPath } from './internal-types.js';
+
+/**
+ * Minimal JSON Schema validator (Draft-07 / 2020-12 subset, no dependency)
+ *
+ * Supported keywords:
+ * - any: type, enum, const, $ref (local: #, #/definitions/..., #/$defs/...), allOf, anyOf, oneOf, not, if/then/else
+ * - numbers: minimum, maximum, exclusiveMinimum, exclusiveMaximum, multipleOf
+ * - strings: minLength, maxLength, pattern
+ * - arrays: items, prefixItems, additionalItems, minItems, maxItems, uniqueItems, contains
+ * - objects: properties, required, additionalProperties, patternProperties, propertyNames,
+ *   minProperties, maxProperties, dependentRequired, dependencies (array form)
+ * Unknown keywords (format, title, description...) are ignored.
+ */
+
+/** Schema error located by its path inside the validated value */
+export interface SchemaError {
+  path: JsonPath;
+  message: string;
+}
+
+type SchemaObject = { [keyword: string]: unknown };
+
+/**
+ * Check if an object has its own property (keys like "constructor" are not inherited ones)
+ */
+function hasOwn(object: object, key: string): boolean {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+/**
+ * Validate a value against a JSON Schema
+ * @returns Errors with their path relative to the value (empty if valid)
+ */
+export function validateSchema(value: unknown, schema: JsonSchema): SchemaError[] {
+  const errors: SchemaError[] = [];
+  validateNode(value, schema, schema, [], errors);
+  return errors;
+}
+
+/**
+ * Validate a value against a schema node, collecting errors
+ * @param refs - $refs already followed for this value: a $ref cycle (e.g. {"$ref": "#"}) is followed once
+ */
+function validateNode(value: unknown, schema: JsonSchema, root: JsonSchema, path: JsonPath, errors: SchemaError[],
+  refs: Set<string> = new Set()): void {
+  if (schema === true) return;
+  if (schema === false) {
+    errors.push({ path, message: 'is not allowed' });
+    return;
+  }
+  if (!schema || typeof schema !== 'object') return;
+  const s = schema as SchemaObject;
+
+  if (typeof s.$ref === 'string' && !refs.has(s.$ref)) {
+    const target = resolveRef(s.$ref, root);
+    if (target !== undefined) validateNode(value, target, root, path, errors, new Set(refs).add(s.$ref));
+  }
+
+  if (s.type !== undefined) {
+    const types = Array.isArray(s.type) ? s.type as string[] : [s.type as string];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push({ path, message: `must be ${types.join(' or ')}` });
+      return;
+    }
+  }
+
+  if (Array.isArray(s.enum) && !s.enum.some(option => deepEqual(option, value))) {
+    errors.push({ path, message: `must be one of ${s.enum.map(option => JSON.stringify(option)).join(', ')}` });
+  }
+  if ('const' in s && !deepEqual(s.const, value)) {
+    errors.push({ path, message: `must be ${JSON.stringify(s.const)}` });
+  }
+
+  if (typeof value === 'number') validateNumber(value, s, path, errors);
+  else if (typeof value === 'string') validateString(value, s, path, errors);
+  else if (Array.isArray(value)) validateArray(value, s, root, path, errors);
+  else if (value && typeof value === 'object') validateObject(value as Record<string, unknown>, s, root, path, errors);
+
+  validateCombinators(value, s, root, path, errors, refs);
+}
+
+/**
+ * Numeric keywords
+ */
+function validateNumber(value: number, s: SchemaObject, path: JsonPath, errors: SchemaError[]): void {
+  if (typeof s.minimum === 'number' && value < s.minimum) {
+    errors.push({ path, message: `must be >= ${s.minimum}` });
+  }
+  if (typeof s.maximum === 'number' && value > s.maximum) {
+    errors.push({ path, message: `must be <= ${s.maximum}` });
+  }
+  if (typeof s.exclusiveMinimum === 'number' && value <= s.exclusiveMinimum) {
+    errors.push({ path, message: `must be > ${s.exclusiveMinimum}` });
+  }
+  if (typeof s.exclusiveMaximum === 'number' && value >= s.exclusiveMaximum) {
+    errors.push({ path, message: `must be < ${s.exclusiveMaximum}` });
+  }
+  if (typeof s.multipleOf === 'number' && s.multipleOf > 0) {
+    const quotient = value / s.multipleOf;
+    if (Math.abs(quotient - Math.round(quotient)) > 1e-9) {
+      errors.push({ path, message: `must be a multiple of ${s.multipleOf}` });
+    }
+  }
+}
+
+/**
+ * String keywords (lengths counted in code points)
+ */
+function validateString(value: string, s: SchemaObject, path: JsonPath, errors: SchemaError[]): void {
+  const length = [...value].length;
+  if (typeof s.minLength === 'number' && length < s.minLength) {
+    errors.push({ path, message: `must NOT have fewer than ${s.minLength} characters` });
+  }
+  if (typeof s.maxLength === 'number' && length > s.maxLength) {
+    errors.push({ path, message: `must NOT have more than ${s.maxLength} characters` });
+  }
+  if (typeof s.pattern === 'string') {
+    try {
+      if (!new RegExp(s.pattern, 'u').test(value)) {
+        errors.push({ path, message: `must match pattern "${s.pattern}"` });
+      }
+    } catch {
+      // Invalid pattern in schema - ignored
+    }
+  }
+}
+
+/**
+ * Array keywords, including tuples (prefixItems / items array)
+ */
+function validateArray(value: unknown[], s: SchemaObject, root: JsonSchema, path: JsonPath, errors: SchemaError[]): void {
+  if (typeof s.minItems === 'number' && value.length < s.minItems) {
+    errors.push({ path, message: `must NOT have fewer than ${s.minItems} items` });
+  }
+  if (typeof s.maxItems === 'number' && value.length > s.maxItems) {
+    errors.push({ path, message: `must NOT have more than ${s.maxItems} items` });
+  }
+  if (s.uniqueItems === true) {
+    const duplicate = value.findIndex((item, i) => value.slice(0, i).some(other => deepEqual(other, item)));
+    if (duplicate !== -1) {
+      errors.push({ path: [...path, duplicate], message: 'must NOT have duplicate items' });
+    }
+  }
+
+  // Tuple validation: prefixItems (2020-12) or items array (Draft-07)
+  const tuple = Array.isArray(s.prefixItems) ? s.prefixItems as JsonSchema[]
+    : Array.isArray(s.items) ? s.items as JsonSchema[] : null;
+  const rest = tuple ? (Array.isArray(s.items) ? s.additionalItems : s.items) : s.items;
+
+  value.forEach((item, i) => {
+    const itemSchema = tuple && i < tuple.length ? tuple[i] : rest;
+    if (itemSchema !== undefined) {
+      validateNode(item, itemSchema as JsonSchema, root, [...path, i], errors);
+    }
+  });
+
+  if (s.contains !== undefined && !value.some(item => isValid(item, s.contains as JsonSchema, root))) {
+    errors.push({ path, message: 'must contain a valid item' });
+  }
+}
+
+/**
+ * Object keywords
+ */
+function validateObject(value: Record<string, unknown>, s: SchemaObject, root: JsonSchema, path: JsonPath, errors: SchemaError[]): void {
+  const keys = Object.keys(value);
+  const properties = (s.properties || {}) as Record<string, JsonSchema>;
+  const patternProperties = (s.patternProperties || {}) as Record<string, JsonSchema>;
+
+  if (Array.isArray(s.required)) {
+    for (const key of s.required as string[]) {
+      if (!hasOwn(value, key)) {
+        errors.push({ path, message: `must have required property "${key}"` });
+      }
+    }
+  }
+  if (typeof s.minProperties === 'number' && keys.length < s.minProperties) {
+    errors.push({ path, message: `must NOT have fewer than ${s.minProperties} properties` });
+  }
+  if (typeof s.maxProperties === 'number' && keys.length > s.maxProperties) {
+    errors.push({ path, message: `must NOT have more than ${s.maxProperties} properties` });
+  }
+
+  // dependentRequired (2020-12) and the array form of dependencies (Draft-07)
+  const dependencies = (s.dependentRequired || s.dependencies || {}) as Record<string, unknown>;
+  for (const [key, required] of Object.entries(dependencies)) {
+    if (!hasOwn(value, key) || !Array.isArray(required)) continue;
+    for (const dependency of required as string[]) {
+      if (!hasOwn(value, dependency)) {
+        errors.push({ path, message: `must have property "${dependency}" when property "${key}" is present` });
+      }
+    }
+  }
+
+  for (const key of keys) {
+    const keyPath = [...path, key];
+    let matched = false;
+
+    if (hasOwn(properties, key)) {
+      matched = true;
+      validateNode(value[key], properties[key], root, keyPath, errors);
+    }
+    for (const [pattern, patternSchema] of Object.entries(patternProperties)) {
+      if (safeTest(pattern, key)) {
+        matched = true;
+        validateNode(value[key], patternSchema, root, keyPath, errors);
+      }
+    }
+    if (!matched && s.additionalProperties !== undefined) {
+      if (s.additionalProperties === false) {
+        errors.push({ path: keyPath, message: `must NOT have additional property "${key}"` });
+      } else {
+        validateNode(value[key], s.additionalProperties as JsonSchema, root, keyPath, errors);
+      }
+    }
+    if (s.propertyNames !== undefined && !isValid(key, s.propertyNames as JsonSchema, root)) {
+      errors.push({ path: keyPath, message: `property name "${key}" is invalid` });
+    }
+  }
+}
+
+/**
+ * Applicators: allOf, anyOf, oneOf, not, if/then/else
+ */
+function validateCombinators(value: unknown, s: SchemaObject, root: JsonSchema, path: JsonPath, errors: SchemaError[],
+  refs: Set<string>): void {
+  if (Array.isArray(s.allOf)) {
+    for (const sub of s.allOf as JsonSchema[]) validateNode(value, sub, root, path, errors, refs);
+  }
+  if (Array.isArray(s.anyOf) && !(s.anyOf as JsonSchema[]).some(sub => isValid(value, sub, root, refs))) {
+    errors.push({ path, message: 'must match a schema in anyOf' });
+  }
+  if (Array.isArray(s.oneOf)) {
+    const matches = (s.oneOf as JsonSchema[]).filter(sub => isValid(value, sub, root, refs)).length;
+    if (matches !== 1) {
+      errors.push({ path, message: 'must match exactly one schema in oneOf' });
+    }
+  }
+  if (s.not !== undefined && isValid(value, s.not as JsonSchema, root, refs)) {
+    errors.push({ path, message: 'must NOT be valid against the "not" schema' });
+  }
+  if (s.if !== undefined) {
+    const branch = isValid(value, s.if as JsonSchema, root, refs) ? s.then : s.else;
+    if (branch !== undefined) validateNode(value, branch as JsonSchema, root, path, errors, refs);
+  }
+}
+
+/**
+ * Check a value against a sub-schema without collecting errors
+ */
+function isValid(value: unknown, schema: JsonSchema, root: JsonSchema, refs?: Set<string>): boolean {
+  const errors: SchemaError[] = [];
+  validateNode(value, schema, root, [], errors, refs);
+  return errors.length === 0;
+}
+
+/**
+ * Check a value against a JSON Schema type name
+ */
+function matchesType(value: unknown, type: string): boolean {
+  switch (type) {
+    case 'null': return value === null;
+    case 'boolean': return typeof value === 'boolean';
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    case 'array': return Array.isArray(value);
+    case 'object': return !!value && typeof value === 'object' && !Array.isArray(value);
+    default: return true;
+  }
+}
+
+/**
+ * Resolve a local $ref (JSON pointer into the root schema)
+ */
+export function resolveRef(ref: string, root: JsonSchema): JsonSchema | undefined {
+  if (!ref.startsWith('#')) return undefined;
+  let target: unknown = root;
+  for (const part of ref.slice(1).split('/').filter(Boolean)) {
+    const key = decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~');
+    if (!target || typeof target !== 'object' || !hasOwn(target, key)) return undefined;
+    target = (target as SchemaObject)[key];
+  }
+  return target as JsonSchema | undefined;
+}
+
+/**
+ * Test a schema pattern, ignoring invalid regular expressions
+ */
+function safeTest(pattern: string, text: string): boolean {
+  try {
+    return new RegExp(pattern, 'u').test(text);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Structural equality for enum, const and uniqueItems
+ */
+function deepEqual(a: unknown, b: unknown): boolean {
+  if (a === b) return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  if (Array.isArray(a)) {
+    const other = b as unknown[];
+    return a.length === other.length && a.every((item, i) => deepEqual(item, other[i]));
+  }
+  const aKeys = Object.keys(a);
+  const bObj = b as Record<string, unknown>;
+  return aKeys.length === Object.keys(bObj).length &&
+    aKeys.every(key => hasOwn(bObj, key) && deepEqual((a as Record<string, unknown>)[key], bObj[key]));
+}
@@ -0,0 +1,299 @@
+import type { Feature, GeoJsonProperties, Geometry, Position } from 'geojson';
+import { RE_COLOR_HEX, RE_NORMALIZE_COLOR } from './constants.js';
+import { isNamedColor, namedColorToHex } from './syntax-highlighter.js';
+import { toFeature, childElements, childElement, childText, descendants, typeValue, escapeXml, parseXmlDocument } from './utils.js';
+
+/**
+ * KML conversion (no dependency, DOMParser for reading)
+ *
+ * - Placemarks (in any Document/Folder) with Point, LineString, LinearRing, Polygon and MultiGeometry
+ * - name, description and ExtendedData (Data and SchemaData) mapped to properties
+ * - Simple styles (inline Style, shared Style/StyleMap through styleUrl) mapped to simplestyle properties:
+ *   stroke, stroke-opacity, stroke-width, fill, fill-opacity, marker-color
+ */
+
+const KML_NAMESPACE = 'http://www.opengis.net/kml/2.2';
+
+/** Properties written as the KML style of a placemark (not as ExtendedData) */
+const STYLE_PROPERTIES = ['stroke', 'stroke-opacity', 'stroke-width', 'fill', 'fill-opacity', 'marker-color'];
+
+/** Properties written as KML elements (not as ExtendedData) */
+const ELEMENT_PROPERTIES = ['name', 'description'];
+
+type StyleProperties = Record<string, string | number>;
+
+// ========== Reading ==========
+
+/**
+ * Convert a KML color (aabbggrr) to a CSS hex color and an opacity
+ */
+function fromKmlColor(color: string): { color: string; opacity: number } | null {
+  const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(color.trim());
+  if (!match) return null;
+  const [, a, b, g, r] = match;
+  return { color: `#${r}${g}${b}`.toLowerCase(), opacity: Math.round(parseInt(a, 16) / 255 * 100) / 100 };
+}
+
+/**
+ * Read the simplestyle properties of a Style element
+ */
+function readStyle(style: Element): StyleProperties {
+  const properties: StyleProperties = {};
+  const setColor = (element: Element | undefined, colorKey: string, opacityKey?: string) => {
+    const color = fromKmlColor(childText(element, 'color') || '');
+    if (!color) return;
+    properties[colorKey] = color.color;
+    if (opacityKey && color.opacity !== 1) properties[opacityKey] = color.opacity;
+  };
+
+  const lineStyle = childElement(style, 'LineStyle');
+  setColor(lineStyle, 'stroke', 'stroke-opacity');
+  const width = childText(lineStyle, 'width');
+  if (width && !Number.isNaN(Number(width))) properties['stroke-width'] = Number(width);
+
+  const polyStyle = childElement(style, 'PolyStyle');
+  if (childText(polyStyle, 'fill') === '0') {
+    properties['fill-opacity'] = 0;
+  } else {
+    setColor(polyStyle, 'fill', 'fill-opacity');
+  }
+
+  setColor(childElement(style, 'IconStyle'), 'marker-color');
+  return properties;
+}
+
+/**
+ * Collect the shared styles of a document by id (StyleMap resolved to its normal style)
+ */
+function readSharedStyles(document: Document): Map<string, StyleProperties> {
+  const styles = new Map<string, StyleProperties>();
+  for (const style of descendants(document, 'Style')) {
+    const id = style.getAttribute('id');
+    if (id) styles.set(id, readStyle(style));
+  }
+  for (const styleMap of descendants(document, 'StyleMap')) {
+    const id = styleMap.getAttribute('id');
+    const normal = childElements(styleMap, 'Pair').find(pair => childText(pair, 'key') === 'normal');
+    const url = childText(normal, 'styleUrl');
+    if (id && url) styles.set(id, styles.get(url.replace(/^#/, '')) ?? {});
+  }
+  return styles;
+}
+
+/**
+ * Parse a KML coordinates string ("lon,lat[,alt] lon,lat[,alt] ...")
+ */
+function readPositions(element: Element | undefined): Position[] {
+  const text = childText(element, 'coordinates') || '';
+  return text.split(/\s+/).filter(Boolean).map(tuple => {
+    const values = tuple.split(',').map(Number);
+    return values.length > 2 ? values.slice(0, 3) : values.slice(0, 2);
+  }).filter(position => position.length >= 2 && position.every(value => !Number.isNaN(value)));
+}
+
+/**
+ * Convert a KML geometry element (null if not a geometry)
+ */
+function readGeometry(element: Element): Geometry | null {
+  switch (element.localName) {
+    case 'Point': {
+      const [coordinates] = readPositions(element);
+      return coordinates ? { type: 'Point', coordinates } : null;
+    }
+    case 'LineString':
+    case 'LinearRing':
+      return { type: 'LineString', coordinates: readPositions(element) };
+    case 'Polygon': {
+      const ring = (boundary: Element) => readPositions(childElement(boundary, 'LinearRing'));
+      return {
+        type: 'Polygon',
+        coordinates: [
+          ...childElements(element, 'outerBoundaryIs').map(ring),
+          ...childElements(element, 'innerBoundaryIs').flatMap(boundary => childElements(boundary, 'LinearRing').map(readPositions))
+        ]
+      };
+    }
+    case 'MultiGeometry': {
+      const geometries = Array.from(element.children).map(readGeometry).filter((g): g is Geometry => g !== null);
+      const types = new Set(geometries.map(g => g.type));
+      // Homogeneous simple geometries become a Multi* geometry
+      if (types.size === 1 && geometries.length > 0) {
+        const [type] = types;
+        const coordinates = geometries.map(g => (g as { coordinates: unknown }).coordinates);
+        if (type === 'Point') return { type: 'MultiPoint', coordinates: coordinates as Position[] };
+        if (type === 'LineString') return { type: 'MultiLineString', coordinates: coordinates as Position[][] };
+        if (type === 'Polygon') return { type: 'MultiPolygon', coordinates: coordinates as Position[][][] };
+      }
+      return { type: 'GeometryCollection', geometries };
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Read the properties of a placemark: name, description, ExtendedData then style
+ */
+function readProperties(placemark: Element, styles: Map<string, StyleProperties>): GeoJsonProperties {
+  const properties: Record<string, unknown> = {};
+  const name = childText(placemark, 'name');
+  if (name !== undefined) properties.name = name;
+  const description = childText(placemark, 'description');
+  if (description !== undefined) properties.description = description;
+
+  const extendedData = childElement(placemark, 'ExtendedData');
+  if (extendedData) {
+    for (const data of childElements(extendedData, 'Data')) {
+      const key = data.getAttribute('name');
+      if (key) properties[key] = typeValue(childText(data, 'value') ?? '');
+    }
+    for (const data of descendants(extendedData, 'SimpleData')) {
+      const key = data.getAttribute('name');
+      if (key) properties[key] = typeValue(data.textContent?.trim() ?? '');
+    }
+  }
+
+  const styleUrl = childText(placemark, 'styleUrl');
+  const shared = styleUrl ? styles.get(styleUrl.replace(/^#/, '')) : undefined;
+  const inline = childElement(placemark, 'Style');
+  Object.assign(properties, shared, inline ? readStyle(inline) : undefined);
+  return properties;
+}
+
+/**
+ * Convert a KML document to features (one per Placemark)
+ * @throws {Error} If the text is not a KML document
+ */
+export function parseKML(text: string): Feature[] {
+  const document = parseXmlDocument(text, 'KML', 'kml');
+
+  const styles = readSharedStyles(document);
+  return descendants(document, 'Placemark').map(placemark => {
+    const geometry = Array.from(placemark.children).map(readGeometry).find(g => g !== null) ?? null;
+    const feature = toFeature(geometry, readProperties(placemark, styles));
+    const id = placemark.getAttribute('id');
+    return id ? { type: 'Feature', id, geometry: feature.geometry, properties: feature.properties } : feature;
+  });
+}
+
+// ========== Writing ==========
+
+/**
+ * Convert a CSS color (#rgb, #rrggbb or named color) and an opacity to a KML color (aabbggrr)
+ */
+function toKmlColor(color: unknown, opacity: unknown): string | null {
+  if (typeof color !== 'string') return null;
+  const hex = isNamedColor(color) ? namedColorToHex(color) : color.replace(RE_NORMALIZE_COLOR, '#$1$1$2$2$3$3');
+  if (!hex || !RE_COLOR_HEX.test(hex)) return null;
+  const alpha = typeof opacity === 'number' ? Math.max(0, Math.min(1, opacity)) : 1;
+  const [r, g, b] = [hex.slice(1, 3), hex.slice(3, 5), hex.slice(5, 7)];
+  return `${Math.round(alpha * 255).toString(16).padStart(2, '0')}${b}${g}${r}`.toLowerCase();
+}
+
+/**
+ * Write the inline Style of a placemark from its simplestyle properties
+ */
+function writeStyle(properties: Record<string, unknown>, indent: string): string[] {
+  const lines: string[] = [];
+  const stroke = toKmlColor(properties.stroke ?? '#555555', properties['stroke-opacity']);
+  const width = properties['stroke-width'];
+  if ('stroke' in properties || 'stroke-opacity' in properties || typeof width === 'number') {
+    lines.push(`${indent}  <LineStyle>`);
+    if (stroke) lines.push(`${indent}    <color>${stroke}</color>`);
+    if (typeof width === 'number') lines.push(`${indent}    <width>${width}</width>`);
+    lines.push(`${indent}  </LineStyle>`);
+  }
+  if ('fill' in properties || 'fill-opacity' in properties) {
+    const fill = toKmlColor(properties.fill ?? '#555555', properties['fill-opacity'] ?? 0.6);
+    lines.push(`${indent}  <PolyStyle>`);
+    if (fill) lines.push(`${indent}    <color>${fill}</color>`);
+    lines.push(`${indent}  </PolyStyle>`);
+  }
+  const marker = toKmlColor(properties['marker-color'], 1);
+  if (marker) {
+    lines.push(`${indent}  <IconStyle>`, `${indent}    <color>${marker}</color>`, `${indent}  </IconStyle>`);
+  }
+  return lines.length > 0 ? [`${indent}<Style>`, ...lines, `${indent}</Style>`] : [];
+}
+
+/**
+ * Write a geometry as KML elements
+ */
+function writeGeometry(geometry: Geometry, indent: string): string[] {
+  const coordinates = (positions: Position[], level: string) =>
+    `${level}<coordinates>${positions.map(p => p.slice(0, 3).join(',')).join(' ')}</coordinates>`;
+  const polygon = (rings: Position[][], level: string) => [
+    `${level}<Polygon>`,
+    ...rings.flatMap((ring, i) => {
+      const boundary = i === 0 ? 'outerBoundaryIs' : 'innerBoundaryIs';
+      return [
+        `${level}  <${boundary}>`,
+        `${level}    <LinearRing>`,
+        coordinates(ring, `${level}      `),
+        `${level}    </LinearRing>`,
+        `${level}  </${boundary}>`
+      ];
+    }),
+    `${level}</Polygon>`
+  ];
+  const multi = (members: string[]) => [`${indent}<MultiGeometry>`, ...members, `${indent}</MultiGeometry>`];
+
+  switch (geometry.type) {
+    case 'Point':
+      return [`${indent}<Point>`, coordinates([geometry.coordinates], `${indent}  `), `${indent}</Point>`];
+    case 'LineString':
+      return [`${indent}<LineString>`, coordinates(geometry.coordinates, `${indent}  `), `${indent}</LineString>`];
+    case 'Polygon':
+      return polygon(geometry.coordinates, indent);
+    case 'MultiPoint':
+      return multi(geometry.coordinates.flatMap(p => writeGeometry({ type: 'Point', coordinates: p }, `${indent}  `)));
+    case 'MultiLineString':
+      return multi(geometry.coordinates.flatMap(l => writeGeometry({ type: 'LineString', coordinates: l }, `${indent}  `)));
+    case 'MultiPolygon':
+      return multi(geometry.coordinates.flatMap(rings => polygon(rings, `${indent}  `)));
+    case 'GeometryCollection':
+      return multi(geometry.geometries.flatMap(g => writeGeometry(g, `${indent}  `)));
+  }
+}
+
+/**
+ * Convert features to a KML document (one Placemark per feature)
+ * name and description become elements, simplestyle properties an inline Style,
+ * other properties ExtendedData (objects as JSON)
+ */
+export function stringifyKML(features: Feature[]): string {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<kml xmlns="${KML_NAMESPACE}">`,
+    '  <Document>'
+  ];
+
+  for (const feature of features) {
+    const properties = (feature.properties || {}) as Record<string, unknown>;
+    const id = feature.id !== undefined ? ` id="${escapeXml(String(feature.id))}"` : '';
+    lines.push(`    <Placemark${id}>`);
+    for (const key of ELEMENT_PROPERTIES) {
+      if (properties[key] !== undefined && properties[key] !== null) {
+        lines.push(`      <${key}>${escapeXml(String(properties[key]))}</${key}>`);
+      }
+    }
+    lines.push(...writeStyle(properties, '      '));
+
+    const data = Object.entries(properties)
+      .filter(([key, value]) => !ELEMENT_PROPERTIES.includes(key) && !STYLE_PROPERTIES.includes(key) && value !== null && value !== undefined);
+    if (data.length > 0) {
+      lines.push('      <ExtendedData>');
+      for (const [key, value] of data) {
+        const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        lines.push(`        <Data name="${escapeXml(key)}"><value>${escapeXml(text)}</value></Data>`);
+      }
+      lines.push('      </ExtendedData>');
+    }
+
+    if (feature.geometry) lines.push(...writeGeometry(feature.geometry, '      '));
+    lines.push('    </Placemark>');
+  }
+
+  lines.push('  </Document>', '</kml>');
+  return lines.join('\n');
+}
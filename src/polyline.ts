@@ -0,0 +1,115 @@
+import type { LineString, Position } from 'geojson';
+import { RE_POLYLINE, RE_POLYLINE_SYMBOL } from './constants.js';
+
+/**
+ * Encoded polyline conversion (Google polyline algorithm format)
+ *
+ * - Positions are encoded as latitude, longitude pairs (GeoJSON order is longitude, latitude),
+ *   each value as the delta from the previous position, 5 decimals by default (6 for OSRM, Valhalla...)
+ * - Elevations are not encoded
+ */
+
+/**
+ * Decode the values of an encoded polyline (not scaled)
+ * @throws {Error} If the text has invalid characters or ends in the middle of a value
+ */
+function decodeValues(text: string): number[] {
+  const values: number[] = [];
+  let result = 0, shift = 0;
+  for (let i = 0; i < text.length; i++) {
+    const chunk = text.charCodeAt(i) - 63;
+    if (chunk < 0 || chunk > 63) throw new Error(`Invalid polyline: unexpected "${text[i]}" at position ${i + 1}`);
+    result |= (chunk & 0x1f) << shift;
+    shift += 5;
+    // The last chunk of a value has no continuation bit
+    if (chunk < 0x20) {
+      values.push(result & 1 ? ~(result >>> 1) : result >>> 1);
+      result = 0;
+      shift = 0;
+    } else if (shift > 30) {
+      throw new Error(`Invalid polyline: value too large at position ${i + 1}`);
+    }
+  }
+  if (shift > 0) throw new Error('Invalid polyline: unexpected end of text');
+  return values;
+}
+
+/**
+ * Decode an encoded polyline to positions
+ * @param precision - Number of decimals (5 or 6)
+ * @throws {Error} If the text is not a valid encoded polyline
+ */
+export function decodePolyline(text: string, precision: number = 5): Position[] {
+  const values = decodeValues(text.trim());
+  if (values.length % 2 !== 0) throw new Error('Invalid polyline: odd number of values');
+  const factor = Math.pow(10, precision);
+  const positions: Position[] = [];
+  let lat = 0, lon = 0;
+  for (let i = 0; i < values.length; i += 2) {
+    lat += values[i];
+    lon += values[i + 1];
+    positions.push([lon / factor, lat / factor]);
+  }
+  return positions;
+}
+
+/**
+ * Encode positions as a polyline
+ * @param precision - Number of decimals (5 or 6)
+ */
+export function encodePolyline(positions: Position[], precision: number = 5): string {
+  const factor = Math.pow(10, precision);
+  let output = '';
+  let previousLat = 0, previousLon = 0;
+  const encodeValue = (value: number) => {
+    let rest = value < 0 ? ~(value << 1) : value << 1;
+    while (rest >= 0x20) {
+      output += String.fromCharCode((0x20 | (rest & 0x1f)) + 63);
+      rest >>>= 5;
+    }
+    output += String.fromCharCode(rest + 63);
+  };
+  for (const position of positions) {
+    const lat = Math.round(position[1] * factor);
+    const lon = Math.round(position[0] * factor);
+    encodeValue(lat - previousLat);
+    encodeValue(lon - previousLon);
+    previousLat = lat;
+    previousLon = lon;
+  }
+  return output;
+}
+
+/**
+ * Check if all positions are valid longitudes / latitudes
+ */
+function inRange(positions: Position[]): boolean {
+  return positions.every(([lon, lat]) => Math.abs(lon) <= 180 && Math.abs(lat) <= 90);
+}
+
+/**
+ * Check if text looks like an encoded polyline of at least 2 positions
+ * A single word of polyline characters with at least one symbol (plain words are not polylines)
+ */
+export function isPolyline(text: string): boolean {
+  const trimmed = text.trim();
+  if (!RE_POLYLINE.test(trimmed) || !RE_POLYLINE_SYMBOL.test(trimmed)) return false;
+  try {
+    return decodePolyline(trimmed).length >= 2;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Convert an encoded polyline to a LineString
+ * Precision 5 is used unless it gives out of range coordinates, then precision 6
+ * @throws {Error} If the text is not a valid encoded polyline
+ */
+export function parsePolyline(text: string): LineString {
+  let coordinates = decodePolyline(text, 5);
+  if (!inRange(coordinates)) coordinates = decodePolyline(text, 6);
+  if (!inRange(coordinates)) throw new Error('Invalid polyline: coordinates out of range');
+  if (coordinates.length < 2) throw new Error('Invalid polyline: a LineString needs at least 2 positions');
+  return { type: 'LineString', coordinates };
+}
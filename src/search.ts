@@ -0,0 +1,69 @@
+import type { FindMatch, FindOptions } from './internal-types.js';
+import { MAX_FIND_MATCHES } from './constants.js';
+
+/**
+ * Build the regular expression for a search query
+ * @returns Global regex, or null if the query is empty or an invalid regular expression
+ */
+export function buildSearchRegExp(query: string, options: FindOptions): RegExp | null {
+  if (!query) return null;
+  let source = options.regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  if (options.wholeWord) source = `\\b(?:${source})\\b`;
+  try {
+    return new RegExp(source, options.caseSensitive ? 'g' : 'gi');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Find all matches of a regex, line by line (matches don't span lines)
+ * Empty matches are skipped; the result is capped to limit
+ * @param limit - Maximum number of matches (default: MAX_FIND_MATCHES, Infinity for replace all)
+ */
+export function findMatches(lines: string[], regex: RegExp, limit: number = MAX_FIND_MATCHES): FindMatch[] {
+  const matches: FindMatch[] = [];
+  for (let line = 0; line < lines.length; line++) {
+    regex.lastIndex = 0;
+    let match: RegExpExecArray | null;
+    while ((match = regex.exec(lines[line])) !== null) {
+      if (match[0] === '') {
+        regex.lastIndex++;
+        continue;
+      }
+      matches.push({ line, start: match.index, end: match.index + match[0].length });
+      if (matches.length >= limit) return matches;
+    }
+  }
+  return matches;
+}
+
+/**
+ * Expand the replacement of a regex match ($&, $1...$99, $<name>, $$)
+ */
+export function expandReplacement(match: RegExpExecArray, replacement: string): string {
+  return replacement.replace(/\$(\$|&|\d{1,2}|<([^>]*)>)/g, (token, ref: string, name?: string) => {
+    if (ref === '$') return '$';
+    if (ref === '&') return match[0];
+    if (name !== undefined) return match.groups?.[name] ?? '';
+    const group = Number(ref);
+    return group > 0 && group < match.length ? match[group] ?? '' : token;
+  });
+}
+
+/**
+ * Replace the matches of a line (right to left so that columns stay valid)
+ * @param regex - Global search regex
+ * @param literal - Insert the replacement as-is (no $ expansion, plain text search)
+ */
+export function replaceInLine(line: string, matches: FindMatch[], regex: RegExp, replacement: string, literal: boolean): string {
+  let result = line;
+  for (let i = matches.length - 1; i >= 0; i--) {
+    const { start, end } = matches[i];
+    regex.lastIndex = start;
+    const match = regex.exec(line);
+    if (!match || match.index !== start) continue;
+    result = result.slice(0, start) + (literal ? replacement : expandReplacement(match, replacement)) + result.slice(end);
+  }
+  return result;
+}
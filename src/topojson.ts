@@ -0,0 +1,305 @@
+import type { Feature, Geometry, Position } from 'geojson';
+import type { Topology, TopologyGeometry } from './types.js';
+import { toFeature } from './utils.js';
+
+/**
+ * TopoJSON conversion (no dependency)
+ *
+ * - Reading: arcs are decoded (delta encoding and transform of quantized topologies),
+ *   every object becomes features (one per member of a GeometryCollection object)
+ * - Writing: lines and rings are cut at junctions into shared arcs (an arc used in both directions
+ *   is stored once, referenced as ~index when reversed), coordinates are quantized and delta-encoded
+ * - A third coordinate (elevation) is kept as is, neither quantized nor delta-encoded
+ */
+
+/** Default number of quantization steps per axis */
+export const DEFAULT_QUANTIZATION = 1e5;
+
+// ========== Reading ==========
+
+/**
+ * Check if a value is a TopoJSON topology
+ */
+export function isTopology(value: unknown): value is Topology {
+  return !!value && typeof value === 'object' && (value as { type?: unknown }).type === 'Topology';
+}
+
+/**
+ * Convert a topology to features, object by object
+ * @throws {Error} If the topology is malformed
+ */
+export function topologyToFeatures(topology: Topology): Feature[] {
+  if (!topology.objects || typeof topology.objects !== 'object' || !Array.isArray(topology.arcs)) {
+    throw new Error('Invalid TopoJSON: a topology must have "objects" and "arcs"');
+  }
+
+  const transform = topology.transform;
+  const [kx, ky] = transform?.scale ?? [1, 1];
+  const [dx, dy] = transform?.translate ?? [0, 0];
+
+  // Absolute position of a point (Point/MultiPoint coordinates are not delta-encoded)
+  const decodePoint = (p: Position): Position => transform ? [p[0] * kx + dx, p[1] * ky + dy, ...p.slice(2)] : p.slice();
+
+  // Arcs are delta-encoded when the topology is quantized
+  const arcs: Position[][] = topology.arcs.map(arc => {
+    if (!transform) return arc.map(p => p.slice());
+    let x = 0, y = 0;
+    return arc.map(p => {
+      x += p[0];
+      y += p[1];
+      return [x * kx + dx, y * ky + dy, ...p.slice(2)];
+    });
+  });
+
+  // Concatenate arcs, the first position of each arc repeats the last one of the previous arc
+  const line = (indexes: unknown): Position[] => {
+    if (!Array.isArray(indexes)) throw new Error('Invalid TopoJSON: arcs must be an array of arc indexes');
+    const positions: Position[] = [];
+    for (const index of indexes) {
+      const arc = typeof index === 'number' ? arcs[index < 0 ? ~index : index] : undefined;
+      if (!arc) throw new Error(`Invalid TopoJSON: arc index ${index} out of range`);
+      const ordered = index < 0 ? arc.slice().reverse() : arc;
+      positions.push(...(positions.length > 0 ? ordered.slice(1) : ordered));
+    }
+    return positions;
+  };
+  const lines = (value: unknown): Position[][] => {
+    if (!Array.isArray(value)) throw new Error('Invalid TopoJSON: arcs must be an array of arc index arrays');
+    return value.map(line);
+  };
+
+  const toGeometry = (object: TopologyGeometry): Geometry | null => {
+    switch (object.type) {
+      case null:
+      case undefined:
+        return null;
+      case 'Point':
+        return { type: 'Point', coordinates: decodePoint(object.coordinates as Position) };
+      case 'MultiPoint':
+        return { type: 'MultiPoint', coordinates: (object.coordinates as Position[]).map(decodePoint) };
+      case 'LineString':
+        return { type: 'LineString', coordinates: line(object.arcs) };
+      case 'MultiLineString':
+      case 'Polygon':
+        return { type: object.type, coordinates: lines(object.arcs) };
+      case 'MultiPolygon':
+        if (!Array.isArray(object.arcs)) throw new Error('Invalid TopoJSON: arcs must be an array of polygons');
+        return { type: 'MultiPolygon', coordinates: object.arcs.map(lines) };
+      case 'GeometryCollection':
+        return {
+          type: 'GeometryCollection',
+          geometries: (object.geometries || []).map(toGeometry).filter((g): g is Geometry => g !== null)
+        };
+      default:
+        throw new Error(`Invalid TopoJSON: unknown geometry type "${object.type}"`);
+    }
+  };
+
+  const toTopologyFeature = (object: TopologyGeometry): Feature => {
+    const feature = toFeature(toGeometry(object), object.properties ?? {});
+    return object.id === undefined ? feature : { type: 'Feature', id: object.id, geometry: feature.geometry, properties: feature.properties };
+  };
+
+  const features: Feature[] = [];
+  for (const object of Object.values(topology.objects)) {
+    if (object?.type === 'GeometryCollection') {
+      features.push(...(object.geometries || []).map(toTopologyFeature));
+    } else if (object) {
+      features.push(toTopologyFeature(object));
+    }
+  }
+  return features;
+}
+
+// ========== Writing ==========
+
+/**
+ * Convert features to a topology with a single GeometryCollection object
+ * @param features - Features to convert
+ * @param quantization - Number of steps per axis (0 = no quantization nor delta encoding)
+ * @param name - Name of the object in the topology
+ */
+export function featuresToTopology(features: Feature[], quantization: number = DEFAULT_QUANTIZATION, name: string = 'features'): Topology {
+  // Bounding box of all positions
+  let x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+  const visit = (value: unknown): void => {
+    if (!Array.isArray(value)) return;
+    if (typeof value[0] === 'number') {
+      x0 = Math.min(x0, value[0]); x1 = Math.max(x1, value[0]);
+      y0 = Math.min(y0, value[1]); y1 = Math.max(y1, value[1]);
+    } else {
+      value.forEach(visit);
+    }
+  };
+  const visitGeometry = (geometry: Geometry | null): void => {
+    if (!geometry) return;
+    if (geometry.type === 'GeometryCollection') geometry.geometries.forEach(visitGeometry);
+    else visit(geometry.coordinates);
+  };
+  features.forEach(feature => visitGeometry(feature.geometry));
+  const hasBbox = x0 <= x1;
+
+  const quantized = quantization > 1 && hasBbox;
+  const kx = quantized && x1 > x0 ? (x1 - x0) / (quantization - 1) : 1;
+  const ky = quantized && y1 > y0 ? (y1 - y0) / (quantization - 1) : 1;
+  const quantize = (p: Position): Position => quantized
+    ? [Math.round((p[0] - x0) / kx), Math.round((p[1] - y0) / ky), ...p.slice(2)]
+    : p.slice();
+
+  // Quantized lines and rings, consecutive duplicates (after quantization) removed
+  const dedupe = (positions: Position[], minLength: number): Position[] => {
+    const result = positions.map(quantize).filter((p, i, all) => i === 0 || key(p) !== key(all[i - 1]));
+    return result.length >= minLength ? result : positions.map(quantize);
+  };
+  const paths: { positions: Position[]; ring: boolean }[] = [];
+  const addPath = (positions: Position[], ring: boolean): number => {
+    paths.push({ positions: dedupe(positions, ring ? 4 : 2), ring });
+    return paths.length - 1;
+  };
+
+  // Geometry objects reference paths until arcs are built
+  type PendingGeometry = Omit<TopologyGeometry, 'geometries'> & { paths?: unknown; geometries?: PendingGeometry[] };
+  const toPending = (geometry: Geometry | null): PendingGeometry => {
+    if (!geometry) return { type: null };
+    switch (geometry.type) {
+      case 'Point':
+        return { type: 'Point', coordinates: quantize(geometry.coordinates) };
+      case 'MultiPoint':
+        return { type: 'MultiPoint', coordinates: geometry.coordinates.map(quantize) };
+      case 'LineString':
+        return { type: 'LineString', paths: addPath(geometry.coordinates, false) };
+      case 'MultiLineString':
+        return { type: 'MultiLineString', paths: geometry.coordinates.map(l => addPath(l, false)) };
+      case 'Polygon':
+        return { type: 'Polygon', paths: geometry.coordinates.map(r => addPath(r, true)) };
+      case 'MultiPolygon':
+        return { type: 'MultiPolygon', paths: geometry.coordinates.map(p => p.map(r => addPath(r, true))) };
+      case 'GeometryCollection':
+        return { type: 'GeometryCollection', geometries: geometry.geometries.map(toPending) };
+    }
+  };
+  const pending = features.map(feature => {
+    const object = toPending(feature.geometry);
+    if (feature.id !== undefined) object.id = feature.id;
+    if (feature.properties && Object.keys(feature.properties).length > 0) object.properties = feature.properties;
+    return object;
+  });
+
+  const { arcs, pathArcs } = buildArcs(paths);
+
+  const toObject = (object: PendingGeometry): TopologyGeometry => {
+    const { paths: pathIndexes, geometries, ...rest } = object;
+    const result: TopologyGeometry = rest;
+    if (geometries) result.geometries = geometries.map(toObject);
+    if (pathIndexes !== undefined) {
+      const resolve = (value: unknown): unknown => Array.isArray(value) ? value.map(resolve) : pathArcs[value as number];
+      result.arcs = resolve(pathIndexes);
+    }
+    return result;
+  };
+
+  const topology: Topology = {
+    type: 'Topology',
+    objects: { [name]: { type: 'GeometryCollection', geometries: pending.map(toObject) } },
+    arcs: quantized ? arcs.map(deltaEncode) : arcs
+  };
+  if (quantized) topology.transform = { scale: [kx, ky], translate: [x0, y0] };
+  if (hasBbox) topology.bbox = [x0, y0, x1, y1];
+  return topology;
+}
+
+/**
+ * Key of a position (all dimensions)
+ */
+function key(position: Position): string {
+  return position.join(',');
+}
+
+/**
+ * Delta-encode the x/y of an arc (first position absolute)
+ */
+function deltaEncode(arc: Position[]): Position[] {
+  let x = 0, y = 0;
+  return arc.map(p => {
+    const encoded = [p[0] - x, p[1] - y, ...p.slice(2)];
+    x = p[0];
+    y = p[1];
+    return encoded;
+  });
+}
+
+/**
+ * Cut paths at junctions into arcs shared between paths
+ * A junction is a position where paths meet or split: a line end, or a position whose neighbors
+ * differ from one path to another
+ * @returns Arcs, and for each path the indexes of its arcs (~index when the arc is reversed)
+ */
+function buildArcs(paths: { positions: Position[]; ring: boolean }[]): { arcs: Position[][]; pathArcs: number[][] } {
+  // Positions of a path without the closing position of rings
+  const openPositions = (path: { positions: Position[]; ring: boolean }) =>
+    path.ring ? path.positions.slice(0, -1) : path.positions;
+
+  const neighbors = new Map<string, string>();
+  const junctions = new Set<string>();
+  for (const path of paths) {
+    const positions = openPositions(path);
+    const n = positions.length;
+    positions.forEach((position, i) => {
+      const k = key(position);
+      if (!path.ring && (i === 0 || i === n - 1)) {
+        junctions.add(k);
+        return;
+      }
+      const previous = key(positions[(i - 1 + n) % n]);
+      const next = key(positions[(i + 1) % n]);
+      const pair = previous < next ? `${previous};${next}` : `${next};${previous}`;
+      const known = neighbors.get(k);
+      if (known === undefined) neighbors.set(k, pair);
+      else if (known !== pair) junctions.add(k);
+    });
+  }
+
+  const arcs: Position[][] = [];
+  const arcIndexes = new Map<string, number>();
+  // Identical arcs (in either direction) are stored once
+  const addArc = (arc: Position[]): number => {
+    const forward = arc.map(key).join(';');
+    const existing = arcIndexes.get(forward);
+    if (existing !== undefined) return existing;
+    const reversed = arc.map(key).reverse().join(';');
+    const existingReversed = arcIndexes.get(reversed);
+    if (existingReversed !== undefined) return ~existingReversed;
+    arcs.push(arc);
+    arcIndexes.set(forward, arcs.length - 1);
+    return arcs.length - 1;
+  };
+
+  const pathArcs = paths.map(path => {
+    let positions = path.positions;
+    if (path.ring) {
+      // Start rings at a junction, or at their smallest position so that identical rings match
+      const open = openPositions(path);
+      let start = open.findIndex(p => junctions.has(key(p)));
+      if (start < 0) {
+        start = 0;
+        open.forEach((p, i) => { if (p[0] < open[start][0] || (p[0] === open[start][0] && p[1] < open[start][1])) start = i; });
+      }
+      const rotated = [...open.slice(start), ...open.slice(0, start)];
+      positions = [...rotated, rotated[0]];
+    }
+
+    const indexes: number[] = [];
+    let arc: Position[] = [positions[0]];
+    for (let i = 1; i < positions.length; i++) {
+      arc.push(positions[i]);
+      if (i < positions.length - 1 && junctions.has(key(positions[i]))) {
+        indexes.push(addArc(arc));
+        arc = [positions[i]];
+      }
+    }
+    indexes.push(addArc(arc));
+    return indexes;
+  });
+
+  return { arcs, pathArcs };
+}
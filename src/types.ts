@@ -16,3 +16,101 @@ export interface SetOptions {
    */
   collapsed?: string[] | ((feature: Feature | null, index: number) => string[]);
 }
+
+/** Diagnostic returned by a custom validator */
+export interface Diagnostic {
+  /** Message shown in the error event (prefixed with the feature path) */
+  message: string;
+  /**
+   * Severity: errors block the change event, warnings don't
+   * @default 'error'
+   */
+  severity?: 'error' | 'warning';
+  /**
+   * Path inside the feature of the value to mark in the gutter (e.g. ['properties', 'name']).
+   * Falls back to the closest existing parent, the whole feature if omitted.
+   */
+  path?: (string | number)[];
+}
+
+/** Custom validation rule, called for each feature */
+export type Validator = (feature: Feature, index: number) => Diagnostic[];
+
+/** JSON Schema (Draft-07 / 2020-12 subset) used to validate feature properties */
+export type JsonSchema = boolean | { [keyword: string]: unknown };
+
+/**
+ * Feature filter: features that don't match are hidden (excluded from the change event)
+ * - string: expression, e.g. 'properties.type == "road" && properties.lanes > 2'
+ * - array: MapLibre-style filter, e.g. ['all', ['==', ['get', 'type'], 'road'], ['>', 'lanes', 2]]
+ * - function: predicate (feature, index) => boolean
+ */
+export type FeatureFilter = string | unknown[] | ((feature: Feature, index: number) => boolean);
+
+/** Options for save/saveAs/copyAsFeatureCollection methods */
+export interface SaveOptions {
+  /**
+   * Features to write.
+   * - 'all': every feature, including hidden ones
+   * - 'visible': features not hidden (eye icon or filter)
+   * - 'selection': features overlapping the selection (or the cursor line)
+   * - number[]: feature indices (negative = from end), in the given order
+   * @default 'all'
+   */
+  features?: 'all' | 'visible' | 'selection' | number[];
+}
+
+/** File formats written by save()/saveAs() */
+export type ExportFormat = 'geojson' | 'geojsons' | 'ndjson' | 'topojson' | 'kml' | 'gpx' | 'csv';
+
+/** TopoJSON geometry object: arcs are indexes into the topology arcs (~index = reversed) */
+export interface TopologyGeometry {
+  type: 'Point' | 'MultiPoint' | 'LineString' | 'MultiLineString' | 'Polygon' | 'MultiPolygon' | 'GeometryCollection' | null;
+  id?: string | number;
+  properties?: { [name: string]: unknown } | null;
+  coordinates?: unknown;
+  arcs?: unknown;
+  geometries?: TopologyGeometry[];
+  bbox?: number[];
+}
+
+/** TopoJSON topology, accepted by set()/add()/insertAt() and written by saveAs('topojson') */
+export interface Topology {
+  type: 'Topology';
+  objects: { [name: string]: TopologyGeometry };
+  arcs: number[][][];
+  transform?: { scale: [number, number]; translate: [number, number] };
+  bbox?: number[];
+}
+
+/** Part of a feature under the pointer when the context menu opens */
+export type ContextMenuTarget = 'feature' | 'geometry' | 'property';
+
+/** Context passed to context menu entries */
+export interface ContextMenuContext {
+  /** Index of the feature under the pointer */
+  featureIndex: number;
+  /** Copy of the feature under the pointer */
+  feature: Feature;
+  /** 'geometry' inside the geometry, 'property' on a key of properties, 'feature' elsewhere */
+  target: ContextMenuTarget;
+  /** Property key (target 'property') */
+  key?: string;
+  /** Line under the pointer (0-based) */
+  line: number;
+}
+
+/** Context menu entry added by addContextMenuItem() */
+export interface ContextMenuItem {
+  /** Text of the entry */
+  label: string;
+  /**
+   * Targets showing the entry
+   * @default every target
+   */
+  targets?: ContextMenuTarget[];
+  /** Show the entry only when it returns true */
+  when?: (context: ContextMenuContext) => boolean;
+  /** Called when the entry is clicked */
+  action: (context: ContextMenuContext) => void;
+}
@@ -1,10 +1,19 @@
-import type { BracketCount } from './internal-types.js';
+import type { Feature, GeoJsonProperties, Geometry } from 'geojson';
+import type { BracketCount, JsonPath } from './internal-types.js';
 
 /**
  * Alias for document.createElement - optimized for minification
  */
 export const createElement = (tag: string): HTMLElement => document.createElement(tag);
 
+/**
+ * Wrap a geometry (null for an empty geometry) into a Feature
+ */
+export function toFeature(geometry: Geometry | null, properties: GeoJsonProperties = {}): Feature {
+  // RFC 7946 allows a null geometry (unlocated feature), not expressed by the Feature type
+  return { type: 'Feature', geometry, properties } as Feature;
+}
+
 /**
  * Count open and close brackets in a line
  * Handles string escaping properly
@@ -26,3 +35,161 @@ export function countBrackets(line: string, openBracket: string): BracketCount {
   return { open, close };
 }
 
+/**
+ * Get the columns of the open and close brackets of a type in a line (outside strings)
+ */
+export function bracketColumns(line: string, openBracket: string): number[] {
+  const closeBracket = openBracket === '{' ? '}' : ']';
+  const columns: number[] = [];
+  let inString = false, escape = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (escape) { escape = false; continue; }
+    if (char === '\\' && inString) { escape = true; continue; }
+    if (char === '"') { inString = !inString; continue; }
+    if (!inString && (char === openBracket || char === closeBracket)) columns.push(i);
+  }
+
+  return columns;
+}
+
+
+/**
+ * Map JSON paths to the line where their value starts
+ * Content is the editor lines, i.e. the elements of the features array
+ * Keys are JSON.stringify(path), e.g. '["features",0,"geometry","coordinates",1]'
+ */
+export function buildPathLineMap(lines: string[]): Map<string, number> {
+  const map = new Map<string, number>();
+  // Each frame holds the key (object) or index (array) of the child being parsed
+  const stack: { isArray: boolean; key: string | number | null }[] = [{ isArray: true, key: 0 }];
+  const currentPath = (): JsonPath => ['features', ...stack.map(frame => frame.key as string | number)];
+  const record = (line: number) => {
+    const key = JSON.stringify(currentPath());
+    if (!map.has(key)) map.set(key, line);
+  };
+
+  let inString = false, escape = false, inToken = false, expectKey = false;
+  let stringValue = '', stringLine = 0;
+
+  for (let line = 0; line < lines.length; line++) {
+    for (const char of lines[line]) {
+      if (inString) {
+        if (escape) { escape = false; stringValue += char; continue; }
+        if (char === '\\') { escape = true; continue; }
+        if (char !== '"') { stringValue += char; continue; }
+        inString = false;
+        const top = stack[stack.length - 1];
+        if (expectKey && top && !top.isArray) {
+          top.key = stringValue;
+          expectKey = false;
+        } else {
+          record(stringLine);
+        }
+        continue;
+      }
+
+      const top = stack[stack.length - 1];
+      if (char === '"') {
+        inString = true; inToken = false; stringValue = ''; stringLine = line;
+      } else if (char === '{' || char === '[') {
+        inToken = false;
+        record(line);
+        stack.push(char === '[' ? { isArray: true, key: 0 } : { isArray: false, key: null });
+        expectKey = char === '{';
+      } else if (char === '}' || char === ']') {
+        inToken = false; expectKey = false;
+        if (stack.length > 1) stack.pop();
+      } else if (char === ',') {
+        inToken = false;
+        if (top?.isArray) (top.key as number)++;
+        else expectKey = true;
+      } else if (char === ':' || /\s/.test(char)) {
+        inToken = false;
+      } else if (!inToken) {
+        // Start of a number or literal (true, false, null)
+        inToken = true;
+        record(line);
+      }
+    }
+    inToken = false;
+  }
+
+  return map;
+}
+
+/**
+ * Find the line of a JSON path, falling back to the closest ancestor present in the map
+ */
+export function getLineForPath(map: Map<string, number>, path: JsonPath): number | undefined {
+  for (let length = path.length; length > 0; length--) {
+    const line = map.get(JSON.stringify(path.slice(0, length)));
+    if (line !== undefined) return line;
+  }
+  return undefined;
+}
+
+// ========== XML (KML, GPX) ==========
+
+/**
+ * Parse an XML document and check its root element
+ * @param format - Format name used in error messages (e.g. 'KML')
+ * @param root - Expected local name of the root element
+ * @throws {Error} If the text is not well-formed or has another root element
+ */
+export function parseXmlDocument(text: string, format: string, root: string): Document {
+  const document = new DOMParser().parseFromString(text, 'application/xml');
+  const error = document.getElementsByTagName('parsererror')[0];
+  if (error) {
+    throw new Error(`Invalid ${format}: ${error.textContent?.trim().split('\n')[0] || 'not well-formed'}`);
+  }
+  if (document.documentElement.localName !== root) {
+    throw new Error(`Invalid ${format}: missing <${root}> root element`);
+  }
+  return document;
+}
+
+/**
+ * Child elements by local name (namespace prefixes ignored)
+ */
+export function childElements(element: Element, name: string): Element[] {
+  return Array.from(element.children).filter(child => child.localName === name);
+}
+
+/**
+ * First child element by local name
+ */
+export function childElement(element: Element | undefined, name: string): Element | undefined {
+  return element ? childElements(element, name)[0] : undefined;
+}
+
+/**
+ * Descendant elements by local name
+ */
+export function descendants(element: Element | Document, name: string): Element[] {
+  return Array.from(element.getElementsByTagNameNS('*', name));
+}
+
+/**
+ * Text of a child element (trimmed, undefined if missing)
+ */
+export function childText(element: Element | undefined, name: string): string | undefined {
+  return childElement(element, name)?.textContent?.trim();
+}
+
+/**
+ * Type a text value: booleans and numbers (without leading zeros, to keep codes like "01234" as strings)
+ */
+export function typeValue(text: string): string | number | boolean {
+  if (text === 'true' || text === 'false') return text === 'true';
+  if (/^-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?$/.test(text)) return Number(text);
+  return text;
+}
+
+/**
+ * Escape text for XML content and attributes
+ */
+export function escapeXml(text: string): string {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
@@ -1,26 +1,257 @@
-import type { Feature, FeatureCollection } from 'geojson';
-import { GEOMETRY_TYPES, type GeometryType } from './constants.js';
+import type { Feature, FeatureCollection, Geometry } from 'geojson';
+import { GEOMETRY_TYPES, MAX_COORDINATE_PRECISION, type GeometryType } from './constants.js';
+import type { JsonPath, ValidationIssue } from './internal-types.js';
+import { hasWrongWinding } from './winding.js';
+import { isTopology, topologyToFeatures } from './topojson.js';
+import type { Topology } from './types.js';
 
 /**
- * Validate a parsed FeatureCollection and return any errors
+ * Validate a parsed FeatureCollection and return any errors (warnings are not included)
  */
 export function validateGeoJSON(parsed: FeatureCollection): string[] {
-  const errors: string[] = [];
+  return findGeoJSONIssues(parsed).filter(issue => issue.severity === 'error').map(formatIssue);
+}
 
-  if (!parsed.features) return errors;
+/**
+ * Format an issue as "path: message", e.g. features[0].geometry.coordinates[2]: position must contain only numbers
+ */
+export function formatIssue(issue: ValidationIssue): string {
+  return `${formatPath(issue.path)}: ${issue.message}`;
+}
+
+/**
+ * Validate a parsed FeatureCollection and return issues (errors and warnings) located by their
+ * JSON path (e.g. ['features', 0, 'geometry', 'coordinates', 0, 3]) so they can be mapped to lines
+ */
+export function findGeoJSONIssues(parsed: FeatureCollection): ValidationIssue[] {
+  const issues: ValidationIssue[] = [];
+
+  if (!parsed.features) return issues;
 
   parsed.features.forEach((feature, i) => {
+    if (!feature || typeof feature !== 'object') return;
     if (feature.type !== 'Feature') {
-      errors.push(`features[${i}]: type must be "Feature"`);
+      issues.push({ path: ['features', i], message: 'type must be "Feature"', severity: 'error' });
     }
     if (feature.geometry && feature.geometry.type) {
-      if (!GEOMETRY_TYPES.includes(feature.geometry.type as GeometryType)) {
-        errors.push(`features[${i}].geometry: invalid type "${feature.geometry.type}"`);
+      validateGeometryStructure(feature.geometry, ['features', i, 'geometry'], issues);
+    }
+  });
+
+  return issues;
+}
+
+/**
+ * Format a JSON path as a readable string: features[0].geometry.coordinates[1]
+ */
+function formatPath(path: JsonPath): string {
+  return path.reduce<string>((acc, key) =>
+    typeof key === 'number' ? `${acc}[${key}]` : (acc ? `${acc}.${key}` : key), '');
+}
+
+/**
+ * Check a geometry against RFC 7946 (type, coordinates nesting, positions, rings)
+ * and recurse into GeometryCollection members
+ */
+function validateGeometryStructure(geometry: Geometry, path: JsonPath, issues: ValidationIssue[]): void {
+  if (!GEOMETRY_TYPES.includes(geometry.type as GeometryType)) {
+    issues.push({ path, message: `invalid type "${geometry.type}"`, severity: 'error' });
+    return;
+  }
+
+  if (geometry.type === 'GeometryCollection') {
+    if (!Array.isArray(geometry.geometries)) {
+      issues.push({ path, message: 'GeometryCollection must have a geometries array', severity: 'error' });
+      return;
+    }
+    geometry.geometries.forEach((member, j) => {
+      if (member && member.type) {
+        validateGeometryStructure(member, [...path, 'geometries', j], issues);
       }
+    });
+    return;
+  }
+
+  if (!('coordinates' in geometry)) {
+    issues.push({ path, message: `${(geometry as Geometry).type} must have coordinates`, severity: 'error' });
+    return;
+  }
+
+  const coordinates: unknown = geometry.coordinates;
+  const coordsPath = [...path, 'coordinates'];
+  const issueCount = issues.length;
+
+  switch (geometry.type) {
+    case 'Point':
+      checkPosition(coordinates, coordsPath, issues);
+      break;
+    case 'MultiPoint':
+      checkPositions(coordinates, coordsPath, 0, 'MultiPoint', issues);
+      break;
+    case 'LineString':
+      checkPositions(coordinates, coordsPath, 2, 'LineString', issues);
+      break;
+    case 'MultiLineString':
+      checkArray(coordinates, coordsPath, 'MultiLineString', 'LineString', issues, (line, linePath) =>
+        checkPositions(line, linePath, 2, 'LineString', issues));
+      break;
+    case 'Polygon':
+      checkRings(coordinates, coordsPath, issues);
+      break;
+    case 'MultiPolygon':
+      checkArray(coordinates, coordsPath, 'MultiPolygon', 'Polygon', issues, (polygon, polygonPath) =>
+        checkRings(polygon, polygonPath, issues));
+      break;
+  }
+
+  // Winding order is only meaningful once the rings are structurally valid
+  const hasErrors = issues.slice(issueCount).some(issue => issue.severity === 'error');
+  if (!hasErrors && hasWrongWinding(geometry)) {
+    issues.push({
+      path: coordsPath,
+      message: `${geometry.type} rings have the wrong winding order (exterior rings must be counter-clockwise, holes clockwise)`,
+      severity: 'warning',
+      code: 'winding'
+    });
+  }
+}
+
+/**
+ * Check an array of nested coordinate arrays (lines of a MultiLineString, polygons of a MultiPolygon)
+ */
+function checkArray(
+  value: unknown,
+  path: JsonPath,
+  label: string,
+  memberLabel: string,
+  issues: ValidationIssue[],
+  checkMember: (member: unknown, memberPath: JsonPath) => void
+): void {
+  if (!Array.isArray(value)) {
+    issues.push({ path, message: `${label} coordinates must be an array of ${memberLabel} coordinates`, severity: 'error' });
+    return;
+  }
+  value.forEach((member, i) => checkMember(member, [...path, i]));
+}
+
+/**
+ * Check the rings of a Polygon: each ring needs at least 4 positions and must be closed
+ */
+function checkRings(value: unknown, path: JsonPath, issues: ValidationIssue[]): void {
+  if (!Array.isArray(value) || value.some(ring => !Array.isArray(ring) || ring.some(p => !Array.isArray(p)))) {
+    issues.push({ path, message: 'Polygon coordinates must be an array of linear rings', severity: 'error' });
+    return;
+  }
+  value.forEach((ring: unknown[], i) => {
+    const ringPath = [...path, i];
+    if (!checkPositions(ring, ringPath, 4, 'Polygon ring', issues)) return;
+    const first = ring[0] as number[];
+    const last = ring[ring.length - 1] as number[];
+    if (first.length !== last.length || first.some((n, k) => n !== last[k])) {
+      issues.push({ path: [...ringPath, ring.length - 1], message: 'Polygon ring must be closed (last position must equal the first)', severity: 'error' });
     }
   });
+}
+
+/**
+ * Check an array of positions with a minimum count
+ * Returns true if the array and all its positions are valid
+ */
+function checkPositions(value: unknown, path: JsonPath, min: number, label: string, issues: ValidationIssue[]): boolean {
+  if (!Array.isArray(value) || value.some(p => !Array.isArray(p))) {
+    issues.push({ path, message: `${label} must be an array of positions`, severity: 'error' });
+    return false;
+  }
+  let valid = true;
+  value.forEach((position, i) => {
+    if (!checkPosition(position, [...path, i], issues)) valid = false;
+  });
+  if (value.length < min) {
+    issues.push({ path, message: `${label} must have at least ${min} positions`, severity: 'error' });
+    return false;
+  }
+  return valid;
+}
 
-  return errors;
+/**
+ * Check a single position: 2 or 3 numbers (longitude, latitude, optional elevation)
+ */
+function checkPosition(value: unknown, path: JsonPath, issues: ValidationIssue[]): boolean {
+  if (!Array.isArray(value)) {
+    issues.push({ path, message: 'position must be an array of numbers', severity: 'error' });
+    return false;
+  }
+  if (value.length < 2 || value.length > 3) {
+    issues.push({ path, message: `position must have 2 or 3 numbers, found ${value.length}`, severity: 'error' });
+    return false;
+  }
+  const index = value.findIndex(n => typeof n !== 'number' || !Number.isFinite(n));
+  if (index !== -1) {
+    issues.push({ path: [...path, index], message: 'position must contain only numbers', severity: 'error' });
+    return false;
+  }
+  lintPosition(value, path, issues);
+  return true;
+}
+
+/**
+ * Report warnings for a valid position: out-of-range longitude/latitude, likely swapped axes
+ * and excessive decimal precision of longitude/latitude
+ */
+function lintPosition(position: number[], path: JsonPath, issues: ValidationIssue[]): void {
+  const [lon, lat] = position;
+
+  if (Math.abs(lat) > 90 && Math.abs(lon) <= 90 && Math.abs(lat) <= 180) {
+    issues.push({ path, message: `latitude ${lat} is out of range, longitude and latitude look swapped`, severity: 'warning' });
+  } else {
+    if (Math.abs(lon) > 180) {
+      issues.push({ path: [...path, 0], message: `longitude ${lon} is out of range [-180, 180]`, severity: 'warning' });
+    }
+    if (Math.abs(lat) > 90) {
+      issues.push({ path: [...path, 1], message: `latitude ${lat} is out of range [-90, 90]`, severity: 'warning' });
+    }
+  }
+
+  // Only longitude and latitude: elevations are often measured to the millimeter
+  const precision = Math.max(countDecimals(lon), countDecimals(lat));
+  if (precision > MAX_COORDINATE_PRECISION) {
+    issues.push({ path, message: `position has ${precision} decimal places (more than ${MAX_COORDINATE_PRECISION})`, severity: 'warning' });
+  }
+}
+
+/**
+ * Count the decimal places of a number as written in JSON
+ */
+function countDecimals(n: number): number {
+  const [mantissa, exponent] = String(n).split('e');
+  const decimals = (mantissa.split('.')[1] || '').length;
+  return Math.max(0, decimals - (exponent ? parseInt(exponent, 10) : 0));
+}
+
+/**
+ * Validate a geometry object (recurses into GeometryCollection members)
+ * @throws Error if the geometry is invalid
+ */
+function validateGeometry(geometry: Geometry): void {
+  if (typeof geometry !== 'object' || geometry === null) {
+    throw new Error('Feature geometry must be an object or null');
+  }
+  if (!geometry.type) {
+    throw new Error('Feature geometry must have a type');
+  }
+  if (!GEOMETRY_TYPES.includes(geometry.type as GeometryType)) {
+    throw new Error(`Invalid geometry type: "${geometry.type}"`);
+  }
+  if (geometry.type === 'GeometryCollection') {
+    if (!Array.isArray(geometry.geometries)) {
+      throw new Error('GeometryCollection must have a geometries array');
+    }
+    for (const member of geometry.geometries) {
+      validateGeometry(member);
+    }
+  } else if (!('coordinates' in geometry)) {
+    throw new Error('Feature geometry must have coordinates');
+  }
 }
 
 /**
@@ -41,18 +272,7 @@ export function validateFeature(feature: Feature): void {
     throw new Error('Feature must have a properties property');
   }
   if (feature.geometry !== null) {
-    if (typeof feature.geometry !== 'object') {
-      throw new Error('Feature geometry must be an object or null');
-    }
-    if (!feature.geometry.type) {
-      throw new Error('Feature geometry must have a type');
-    }
-    if (!GEOMETRY_TYPES.includes(feature.geometry.type as GeometryType)) {
-      throw new Error(`Invalid geometry type: "${feature.geometry.type}"`);
-    }
-    if (!('coordinates' in feature.geometry)) {
-      throw new Error('Feature geometry must have coordinates');
-    }
+    validateGeometry(feature.geometry);
   }
   if (feature.properties !== null && typeof feature.properties !== 'object') {
     throw new Error('Feature properties must be an object or null');
@@ -61,24 +281,26 @@ export function validateFeature(feature: Feature): void {
 
 /**
  * Normalize input to an array of features
- * Accepts: FeatureCollection, Feature[], or single Feature
+ * Accepts: FeatureCollection, Feature[], single Feature, or TopoJSON Topology (decoded to features)
  * @throws Error if input is invalid
  */
-export function normalizeToFeatures(input: Feature | Feature[] | FeatureCollection): Feature[] {
+export function normalizeToFeatures(input: Feature | Feature[] | FeatureCollection | Topology): Feature[] {
   let features: Feature[] = [];
 
   if (Array.isArray(input)) {
     features = input;
+  } else if (isTopology(input)) {
+    features = topologyToFeatures(input);
   } else if (input && typeof input === 'object') {
     if (input.type === 'FeatureCollection' && 'features' in input && Array.isArray(input.features)) {
       features = input.features;
     } else if (input.type === 'Feature') {
       features = [input as Feature];
     } else {
-      throw new Error('Input must be a Feature, array of Features, or FeatureCollection');
+      throw new Error('Input must be a Feature, array of Features, FeatureCollection or Topology');
     }
   } else {
-    throw new Error('Input must be a Feature, array of Features, or FeatureCollection');
+    throw new Error('Input must be a Feature, array of Features, FeatureCollection or Topology');
   }
 
   // Validate each feature
@@ -0,0 +1,76 @@
+import type { Geometry, Position } from 'geojson';
+
+/**
+ * Signed area of a ring (shoelace formula): positive when counter-clockwise
+ */
+function ringArea(ring: Position[]): number {
+  let area = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    area += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+  }
+  return area / 2;
+}
+
+/**
+ * Check if a ring has the winding required by RFC 7946
+ * (exterior rings counter-clockwise, holes clockwise); degenerate rings are accepted
+ */
+function isRingWoundCorrectly(ring: Position[], isExterior: boolean): boolean {
+  const area = ringArea(ring);
+  return area === 0 || (area > 0) === isExterior;
+}
+
+/**
+ * Check if a value is an array of rings of positions (arrays)
+ */
+function isPolygonRings(value: unknown): value is Position[][] {
+  return Array.isArray(value) && value.every(ring => Array.isArray(ring) && ring.every(Array.isArray));
+}
+
+/**
+ * Get the polygons (arrays of rings) of a Polygon or MultiPolygon geometry
+ * Structurally invalid geometries (coordinates missing or not nested arrays) have none
+ */
+function getPolygons(geometry: Geometry): Position[][][] {
+  const polygons: unknown = geometry.type === 'Polygon' ? [geometry.coordinates]
+    : geometry.type === 'MultiPolygon' ? geometry.coordinates
+    : [];
+  return Array.isArray(polygons) && polygons.every(isPolygonRings) ? polygons : [];
+}
+
+/**
+ * Check if any ring of a Polygon or MultiPolygon has the wrong winding order
+ * Rings are expected to be structurally valid (see validation)
+ */
+export function hasWrongWinding(geometry: Geometry): boolean {
+  return getPolygons(geometry).some(rings =>
+    rings.some((ring, i) => !isRingWoundCorrectly(ring, i === 0)));
+}
+
+/**
+ * Reverse the rings with the wrong winding order, in place
+ * Recurses into GeometryCollection members, skips structurally invalid geometries
+ * @returns true if any ring was reversed
+ */
+export function rewindGeometry(geometry: Geometry | null): boolean {
+  if (!geometry || typeof geometry !== 'object') return false;
+
+  if (geometry.type === 'GeometryCollection') {
+    let changed = false;
+    for (const member of Array.isArray(geometry.geometries) ? geometry.geometries : []) {
+      if (rewindGeometry(member)) changed = true;
+    }
+    return changed;
+  }
+
+  let changed = false;
+  for (const rings of getPolygons(geometry)) {
+    rings.forEach((ring, i) => {
+      if (!isRingWoundCorrectly(ring, i === 0)) {
+        ring.reverse();
+        changed = true;
+      }
+    });
+  }
+  return changed;
+}
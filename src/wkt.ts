@@ -0,0 +1,305 @@
+import type { Geometry, GeometryCollection, Position } from 'geojson';
+import { GEOMETRY_TYPES, RE_WKT_TOKEN } from './constants.js';
+import type { GeometryType } from './constants.js';
+
+/**
+ * Well-known text (WKT / EWKT) and hex well-known binary (WKB / EWKB) conversion
+ *
+ * - All OGC types: POINT, LINESTRING, POLYGON, MULTI*, GEOMETRYCOLLECTION, EMPTY
+ * - Z, M and ZM dimensions ("POINT Z (1 2 3)", "POINTZ(1 2 3)", ISO and PostGIS EWKB flags)
+ * - M values have no GeoJSON equivalent and are dropped; Z is kept as the third coordinate
+ * - SRID prefixes (SRID=4326;) are skipped, coordinates are assumed to be WGS84
+ */
+
+/** WKB geometry type codes (ISO: + 1000 Z, + 2000 M, + 3000 ZM) */
+const WKB_TYPES: GeometryType[] = ['Point', 'LineString', 'Polygon', 'MultiPoint', 'MultiLineString', 'MultiPolygon', 'GeometryCollection'];
+
+/** EWKB (PostGIS) type flags */
+const EWKB_Z = 0x80000000;
+const EWKB_M = 0x40000000;
+const EWKB_SRID = 0x20000000;
+
+interface Dimensions {
+  hasZ: boolean;
+  hasM: boolean;
+}
+
+// ========== WKT parsing ==========
+
+/**
+ * Parse one or more WKT geometries (separated by whitespace, newlines or semicolons)
+ * @returns Geometries, null for EMPTY geometries
+ * @throws {Error} If the text is not valid WKT
+ */
+export function parseWKT(text: string): (Geometry | null)[] {
+  const tokens: { value: string; position: number }[] = [];
+  const regex = new RegExp(RE_WKT_TOKEN.source, 'y');
+  let offset = 0;
+  while (offset < text.length) {
+    regex.lastIndex = offset;
+    const match = regex.exec(text);
+    if (!match) {
+      if (!text.slice(offset).trim()) break;
+      const position = offset + text.slice(offset).search(/\S/);
+      throw new Error(`Invalid WKT: unexpected "${text[position]}" at position ${position + 1}`);
+    }
+    tokens.push({ value: match[1], position: regex.lastIndex - match[1].length });
+    offset = regex.lastIndex;
+  }
+
+  let index = 0;
+  const peek = () => tokens[index]?.value;
+  const fail = (message: string): never => {
+    const token = tokens[index];
+    throw new Error(`Invalid WKT: ${message} at ${token ? `position ${token.position + 1}` : 'end of text'}`);
+  };
+  const expect = (value: string) => {
+    if (peek() !== value) fail(`expected "${value}"`);
+    index++;
+  };
+  const isEmpty = () => {
+    if (peek()?.toUpperCase() !== 'EMPTY') return false;
+    index++;
+    return true;
+  };
+
+  const parseNumber = (): number => {
+    const value = Number(peek());
+    if (peek() === undefined || Number.isNaN(value)) fail('expected a number');
+    index++;
+    return value;
+  };
+
+  const parsePosition = (dims: Dimensions): Position => {
+    const values = [parseNumber(), parseNumber()];
+    while (peek() !== ',' && peek() !== ')' && peek() !== undefined) values.push(parseNumber());
+    const expected = 2 + Number(dims.hasZ) + Number(dims.hasM);
+    // Undeclared dimensions: 3 values are XYZ, 4 values XYZM
+    if (values.length > 4 || ((dims.hasZ || dims.hasM) && values.length !== expected)) {
+      fail(`expected ${expected} coordinates, got ${values.length}`);
+    }
+    const hasZ = dims.hasZ || (!dims.hasM && values.length > 2);
+    return hasZ ? values.slice(0, 3) : values.slice(0, 2);
+  };
+
+  // Comma-separated list inside parentheses (EMPTY members are skipped)
+  const parseList = <T>(parseItem: () => T | null): T[] => {
+    expect('(');
+    const items: T[] = [];
+    for (;;) {
+      const item = isEmpty() ? null : parseItem();
+      if (item !== null) items.push(item);
+      if (peek() !== ',') break;
+      index++;
+    }
+    expect(')');
+    return items;
+  };
+
+  const parsePositions = (dims: Dimensions) => parseList(() => parsePosition(dims));
+  const parseRings = (dims: Dimensions) => parseList(() => parsePositions(dims));
+
+  const parseGeometry = (): Geometry | null => {
+    if (peek()?.toUpperCase() === 'SRID') {
+      index++;
+      expect('=');
+      parseNumber();
+      expect(';');
+    }
+
+    const word = (peek() || '').toUpperCase();
+    // Dimension suffix can be attached (POINTZ) or a separate word (POINT Z)
+    const match = /^([A-Z]+?)(ZM|Z|M)?$/.exec(word);
+    const type = match && GEOMETRY_TYPES.find(t => t.toUpperCase() === match[1]);
+    if (!type) return fail('expected a geometry type');
+    index++;
+    let suffix = match![2] || '';
+    if (!suffix && /^(ZM|Z|M)$/i.test(peek() || '')) {
+      suffix = peek()!.toUpperCase();
+      index++;
+    }
+    const dims: Dimensions = { hasZ: suffix.includes('Z'), hasM: suffix.includes('M') };
+
+    if (isEmpty()) return null;
+
+    switch (type) {
+      case 'Point': {
+        expect('(');
+        const coordinates = parsePosition(dims);
+        expect(')');
+        return { type, coordinates };
+      }
+      case 'LineString':
+        return { type, coordinates: parsePositions(dims) };
+      case 'Polygon':
+        return { type, coordinates: parseRings(dims) };
+      case 'MultiPoint':
+        // Points may be wrapped in parentheses or not: MULTIPOINT ((1 2), (3 4)) or MULTIPOINT (1 2, 3 4)
+        return {
+          type,
+          coordinates: parseList(() => {
+            if (peek() !== '(') return parsePosition(dims);
+            index++;
+            const position = parsePosition(dims);
+            expect(')');
+            return position;
+          })
+        };
+      case 'MultiLineString':
+        return { type, coordinates: parseRings(dims) };
+      case 'MultiPolygon':
+        return { type, coordinates: parseList(() => parseRings(dims)) };
+      default:
+        return { type: 'GeometryCollection', geometries: parseList(parseGeometry) };
+    }
+  };
+
+  const geometries: (Geometry | null)[] = [];
+  while (index < tokens.length) {
+    geometries.push(parseGeometry());
+    while (peek() === ';') index++;
+  }
+  if (geometries.length === 0) fail('expected a geometry type');
+  return geometries;
+}
+
+// ========== WKT writing ==========
+
+/**
+ * Write a geometry as WKT (Z dimension if any position has an elevation)
+ */
+export function stringifyWKT(geometry: Geometry): string {
+  const hasZ = hasElevation(geometry);
+  const position = (p: Position) => (hasZ ? [p[0], p[1], p[2] ?? 0] : [p[0], p[1]]).join(' ');
+  const list = <T>(items: T[], write: (item: T) => string) => items.length === 0 ? 'EMPTY' : `(${items.map(write).join(', ')})`;
+  const positions = (items: Position[]) => list(items, position);
+  const rings = (items: Position[][]) => list(items, positions);
+
+  const tag = geometry.type.toUpperCase() + (hasZ && geometry.type !== 'GeometryCollection' ? ' Z' : '');
+  switch (geometry.type) {
+    case 'Point':
+      return `${tag} ${geometry.coordinates.length < 2 ? 'EMPTY' : `(${position(geometry.coordinates)})`}`;
+    case 'LineString':
+    case 'MultiPoint':
+      return `${tag} ${positions(geometry.coordinates)}`;
+    case 'Polygon':
+    case 'MultiLineString':
+      return `${tag} ${rings(geometry.coordinates)}`;
+    case 'MultiPolygon':
+      return `${tag} ${list(geometry.coordinates, rings)}`;
+    case 'GeometryCollection':
+      return `${tag} ${list(geometry.geometries, stringifyWKT)}`;
+  }
+}
+
+/**
+ * Check if any position of a geometry has a third coordinate
+ */
+function hasElevation(geometry: Geometry): boolean {
+  if (geometry.type === 'GeometryCollection') return (geometry as GeometryCollection).geometries.some(hasElevation);
+  const visit = (value: unknown): boolean =>
+    Array.isArray(value) && (typeof value[0] === 'number' ? value.length > 2 : value.some(visit));
+  return visit(geometry.coordinates);
+}
+
+// ========== Hex WKB parsing ==========
+
+/**
+ * Parse one or more hex-encoded WKB / EWKB geometries (separated by whitespace)
+ * @returns Geometries, null for empty geometries
+ * @throws {Error} If the text is not valid hex WKB
+ */
+export function parseHexWKB(text: string): (Geometry | null)[] {
+  return text.trim().split(/\s+/).map(parseSingleHexWKB);
+}
+
+/**
+ * Parse a single hex WKB geometry, all bytes must be consumed
+ */
+function parseSingleHexWKB(hex: string): Geometry | null {
+  const digits = hex.replace(/^(?:0x|\\x)/i, '');
+  if (!/^(?:[0-9a-f]{2})+$/i.test(digits)) throw new Error('Invalid WKB: not a hexadecimal string');
+  const bytes = new Uint8Array(digits.length / 2);
+  for (let i = 0; i < bytes.length; i++) bytes[i] = parseInt(digits.substr(i * 2, 2), 16);
+
+  const view = new DataView(bytes.buffer);
+  let offset = 0;
+  let little = true;
+  const ensure = (size: number) => {
+    if (offset + size > bytes.length) throw new Error('Invalid WKB: unexpected end of data');
+  };
+  const uint32 = () => {
+    ensure(4);
+    const value = view.getUint32(offset, little);
+    offset += 4;
+    return value;
+  };
+  const float64 = () => {
+    ensure(8);
+    const value = view.getFloat64(offset, little);
+    offset += 8;
+    return value;
+  };
+
+  const readPosition = (dims: Dimensions): Position => {
+    const values = [float64(), float64()];
+    if (dims.hasZ) values.push(float64());
+    if (dims.hasM) float64();
+    return values;
+  };
+  const readPositions = (dims: Dimensions) => Array.from({ length: uint32() }, () => readPosition(dims));
+  const readRings = (dims: Dimensions) => Array.from({ length: uint32() }, () => readPositions(dims));
+  const readMembers = <T>(expected: GeometryType, read: (geometry: Geometry) => T) =>
+    Array.from({ length: uint32() }, () => readGeometry()).flatMap(geometry => {
+      if (geometry === null) return [];
+      if (geometry.type !== expected) throw new Error(`Invalid WKB: ${geometry.type} in a Multi${expected}`);
+      return [read(geometry)];
+    });
+
+  const readGeometry = (): Geometry | null => {
+    ensure(1);
+    const byteOrder = bytes[offset++];
+    if (byteOrder > 1) throw new Error(`Invalid WKB: bad byte order ${byteOrder}`);
+    little = byteOrder === 1;
+
+    const code = uint32();
+    const iso = (code & 0x0fffffff) % 1000;
+    const isoDimension = Math.floor((code & 0x0fffffff) / 1000);
+    const dims: Dimensions = {
+      hasZ: (code & EWKB_Z) !== 0 || isoDimension === 1 || isoDimension === 3,
+      hasM: (code & EWKB_M) !== 0 || isoDimension === 2 || isoDimension === 3
+    };
+    if (code & EWKB_SRID) uint32();
+
+    const type = WKB_TYPES[iso - 1];
+    switch (type) {
+      case 'Point': {
+        const coordinates = readPosition(dims);
+        // Empty point: NaN coordinates
+        return coordinates.some(Number.isNaN) ? null : { type, coordinates };
+      }
+      case 'LineString':
+        return { type, coordinates: readPositions(dims) };
+      case 'Polygon':
+        return { type, coordinates: readRings(dims) };
+      case 'MultiPoint':
+        return { type, coordinates: readMembers('Point', g => (g as { coordinates: Position }).coordinates) };
+      case 'MultiLineString':
+        return { type, coordinates: readMembers('LineString', g => (g as { coordinates: Position[] }).coordinates) };
+      case 'MultiPolygon':
+        return { type, coordinates: readMembers('Polygon', g => (g as { coordinates: Position[][] }).coordinates) };
+      case 'GeometryCollection': {
+        const geometries = Array.from({ length: uint32() }, () => readGeometry());
+        return { type, geometries: geometries.filter((g): g is Geometry => g !== null) };
+      }
+      default:
+        throw new Error(`Invalid WKB: unknown geometry type ${code}`);
+    }
+  };
+
+  const geometry = readGeometry();
+  if (offset !== bytes.length) throw new Error('Invalid WKB: unexpected data after the geometry');
+  // Empty linear geometries have no GeoJSON equivalent either
+  if (geometry && 'coordinates' in geometry && geometry.coordinates.length === 0) return null;
+  return geometry;
+}
@@ -6,7 +6,8 @@ import {
   validPoint,
   validPolygon,
   validFeatureCollection,
-  validLineString
+  validLineString,
+  validGeometryCollection
 } from './fixtures/geojson-samples.js';
 
 // Helper to wait for component to stabilize
@@ -3221,3 +3222,2222 @@ describe('GeoJsonEditor - Comprehensive Collapse Scenarios', () => {
     });
   });
 });
+
+describe('GeoJsonEditor - GeometryCollection', () => {
+
+  it('should set() accept a GeometryCollection feature', async () => {
+    const el = await fixture(html`<geojson-editor></geojson-editor>`);
+    await waitFor();
+
+    el.set([validGeometryCollection]);
+    await waitFor();
+
+    const features = el.getAll();
+    expect(features.length).to.equal(1);
+    expect(features[0].geometry.type).to.equal('GeometryCollection');
+    expect(features[0].geometry.geometries.length).to.equal(2);
+  });
+
+  it('should reject a GeometryCollection without geometries array', async () => {
+    const el = await fixture(html`<geojson-editor></geojson-editor>`);
+    await waitFor();
+
+    const invalid = { type: 'Feature', geometry: { type: 'GeometryCollection' }, properties: {} };
+    expect(() => el.set([invalid])).to.throw('geometries');
+  });
+
+  it('should reject a GeometryCollection with an invalid member type', async () => {
+    const el = await fixture(html`<geojson-editor></geojson-editor>`);
+    await waitFor();
+
+    const invalid = {
+      type: 'Feature',
+      geometry: { type: 'GeometryCollection', geometries: [{ type: 'LinearRing', coordinates: [] }] },
+      properties: {}
+    };
+    expect(() => el.set([invalid])).to.throw('Invalid geometry type');
+  });
+
+  it('should emit change (not error) for a GeometryCollection feature', async () => {
+    const el = await fixture(html`<geojson-editor></geojson-editor>`);
+    await waitFor();
+
+    let changeDetail = null;
+    let errorDetail = null;
+    el.addEventListener('change', (e) => { changeDetail = e.detail; });
+    el.addEventListener('error', (e) => { errorDetail = e.detail; });
+
+    el.set([validGeometryCollection]);
+    await waitFor(200);
+
+    expect(errorDetail).to.be.null;
+    expect(changeDetail.features[0].geometry.type).to.equal('GeometryCollection');
+  });
+
+  it('should auto-collapse coordinates of every member geometry', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+
+    el.set([validGeometryCollection]);
+    await waitFor(200);
+
+    const ranges = el._findCollapsibleRanges();
+    const coords = ranges.filter(r => r.nodeKey === 'coordinates');
+    expect(coords.length).to.equal(2);
+    coords.forEach(c => {
+      expect(el.collapsedNodes.has(c.nodeId)).to.be.true;
+    });
+    const geometries = ranges.find(r => r.nodeKey === 'geometries');
+    expect(el.collapsedNodes.has(geometries.nodeId)).to.be.false;
+  });
+
+  it('should only treat the feature object as $root, not member geometries', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+
+    el.set([validGeometryCollection], { collapsed: [] });
+    await waitFor(200);
+
+    const ranges = el._findCollapsibleRanges();
+    const rootRanges = ranges.filter(r => r.isRootFeature);
+    expect(rootRanges.length).to.equal(1);
+    expect(rootRanges[0].startLine).to.equal(0);
+  });
+
+  it('should emit the member geometry under the cursor as current-features', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+
+    el.set([validGeometryCollection], { collapsed: [] });
+    await waitFor(200);
+
+    const textarea = el.shadowRoot.querySelector('.hidden-textarea');
+    textarea.focus();
+    await waitFor(50);
+
+    const events = [];
+    el.addEventListener('current-features', (e) => events.push(e.detail));
+
+    // Place cursor on the LineString member "type" line
+    el.cursorLine = el.lines.findIndex(l => l.includes('"LineString"'));
+    el._emitCurrentFeature(true);
+
+    const lastEvent = events[events.length - 1];
+    expect(lastEvent.features.length).to.equal(1);
+    expect(lastEvent.features[0].geometry.type).to.equal('LineString');
+  });
+
+  it('should flatten coordinates of nested geometries', async () => {
+    const el = await fixture(html`<geojson-editor></geojson-editor>`);
+    await waitFor();
+
+    const flat = el._flattenCoordinates(validGeometryCollection.geometry);
+    expect(flat).to.deep.equal([[100.0, 0.0], [101.0, 0.0], [102.0, 1.0]]);
+  });
+});
+
+describe('GeoJsonEditor - Winding Order', () => {
+
+  // Clockwise exterior ring (wrong per RFC 7946)
+  const clockwisePolygon = {
+    type: 'Feature',
+    geometry: { type: 'Polygon', coordinates: [[[0, 0], [0, 1], [1, 1], [1, 0], [0, 0]]] },
+    properties: { name: 'Clockwise' }
+  };
+
+  it('should report wrong winding as a warning on the coordinates line', async () => {
+    const el = await fixture(html`<geojson-editor></geojson-editor>`);
+    await waitFor();
+
+    let changeEvent = null;
+    el.addEventListener('change', (e) => { changeEvent = e; });
+
+    el.set([validPoint, clockwisePolygon]);
+    await waitFor(100);
+
+    expect(changeEvent.warnings.length).to.equal(1);
+    expect(changeEvent.warnings[0]).to.match(/^features\[1\]\.geometry\.coordinates: Polygon rings have the wrong winding order/);
+
+    const rewindLines = [...el._getIssueLines().rewind];
+    expect(rewindLines.length).to.equal(1);
+    expect(el.lines[rewindLines[0]]).to.include('"coordinates"');
+  });
+
+  it('should detect clockwise-wound holes in MultiPolygon', async () => {
+    const { findGeoJSONIssues } = await import('../src/validation.ts');
+
+    const parsed = {
+      features: [{
+        type: 'Feature',
+        geometry: {
+          type: 'MultiPolygon',
+          coordinates: [[
+            [[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]],
+            [[2, 2], [4, 2], [4, 4], [2, 4], [2, 2]]
+          ]]
+        },
+        properties: {}
+      }]
+    };
+
+    const issues = findGeoJSONIssues(parsed);
+    expect(issues.length).to.equal(1);
+    expect(issues[0].code).to.equal('winding');
+    expect(issues[0].path).to.deep.equal(['features', 0, 'geometry', 'coordinates']);
+  });
+
+  it('should not report correctly wound polygons', async () => {
+    const el = await fixture(html`<geojson-editor></geojson-editor>`);
+    await waitFor();
+
+    el.set([validPolygon]);
+    await waitFor(100);
+
+    expect(el._getIssueLines().rewind.size).to.equal(0);
+    expect(el.rewind()).to.be.false;
+  });
+
+  it('should rewind rings in place via rewind(index)', async () => {
+    const el = await fixture(html`<geojson-editor></geojson-editor>`);
+    await waitFor();
+
+    el.set([validPoint, clockwisePolygon]);
+    await waitFor(100);
+    const lineCount = el.lines.length;
+
+    expect(el.rewind(-1)).to.be.true;
+    expect(el.get(1).geometry.coordinates).to.deep.equal([[[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]]]);
+    expect(el.get(1).properties).to.deep.equal({ name: 'Clockwise' });
+    expect(el.lines.length).to.equal(lineCount);
+    expect(el._getIssueLines().rewind.size).to.equal(0);
+
+    // Already fixed
+    expect(el.rewind(1)).to.be.false;
+  });
+
+  it('should skip structurally invalid geometries', async () => {
+    const el = await fixture(html`<geojson-editor></geojson-editor>`);
+    await waitFor();
+
+    const invalid = [
+      { type: 'Feature', geometry: { type: 'Polygon', coordinates: null }, properties: {} },
+      { type: 'Feature', geometry: { type: 'Polygon', coordinates: [5] }, properties: {} },
+      { type: 'Feature', geometry: { type: 'MultiPolygon', coordinates: [[{}]] }, properties: {} },
+      { type: 'Feature', geometry: { type: 'GeometryCollection', geometries: 'none' }, properties: {} }
+    ];
+    el.setValue([...invalid, clockwisePolygon].map(feature => JSON.stringify(feature)).join(',\n'));
+    await waitFor(100);
+
+    expect(() => el.rewind()).to.not.throw();
+    expect(el.getAll().slice(0, 4)).to.deep.equal(invalid);
+    expect(el.get(4).geometry.coordinates).to.deep.equal([[[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]]]);
+  });
+
+  it('should rewind as a single undo step', async () => {
+    const el = await fixture(html`<geojson-editor></geojson-editor>`);
+    await waitFor();
+
+    el.set([clockwisePolygon, clockwisePolygon]);
+    await waitFor(100);
+    el.clearHistory();
+
+    el.rewind();
+    expect(el._getIssueLines().rewind.size).to.equal(0);
+
+    el.undo();
+    expect(el.get(0).geometry.coordinates).to.deep.equal(clockwisePolygon.geometry.coordinates);
+    expect(el.get(1).geometry.coordinates).to.deep.equal(clockwisePolygon.geometry.coordinates);
+    expect(el.canUndo()).to.be.false;
+  });
+
+  it('should preserve hidden features and collapsed nodes', async () => {
+    const el = await fixture(html`<geojson-editor></geojson-editor>`);
+    await waitFor();
+
+    el.set([validPoint, clockwisePolygon]);
+    await waitFor(100);
+    el.toggleFeatureVisibility(0);
+    const collapsedCount = el.collapsedNodes.size;
+
+    el.rewind(1);
+
+    expect(el.hiddenFeatures.has(0)).to.be.true;
+    expect(el.collapsedNodes.size).to.equal(collapsedCount);
+  });
+
+  it('should rewind from the gutter action', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+
+    el.set([clockwisePolygon]);
+    await waitFor(200);
+
+    const button = el.shadowRoot.querySelector('.gutter-line .rewind-button');
+    expect(button).to.exist;
+    button.click();
+    await waitFor(100);
+
+    expect(el.get(0).geometry.coordinates).to.deep.equal([[[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]]]);
+    expect(el.shadowRoot.querySelector('.rewind-button')).to.not.exist;
+  });
+
+  it('should hide the gutter action in readonly mode', async () => {
+    const el = await fixture(html`<geojson-editor readonly style="height: 400px;"></geojson-editor>`);
+    await waitFor();
+
+    el.set([clockwisePolygon]);
+    await waitFor(200);
+
+    expect(el.shadowRoot.querySelector('.rewind-button')).to.not.exist;
+  });
+});
+
+describe('GeoJsonEditor - Custom Validators', () => {
+
+  const unnamed = { type: 'Feature', geometry: { type: 'Point', coordinates: [1, 1] }, properties: { title: 'b' } };
+  const requireName = (feature) => feature.properties?.name
+    ? []
+    : [{ message: 'name is required', path: ['properties'] }];
+
+  it('should merge validator errors into the error event', async () => {
+    const el = await fixture(html`<geojson-editor></geojson-editor>`);
+    await waitFor();
+
+    let errorDetail = null;
+    el.addEventListener('error', (e) => { errorDetail = e.detail; e.stopPropagation(); });
+
+    el.set([validPoint, unnamed]);
+    await waitFor(100);
+    el.addValidator(requireName);
+
+    expect(errorDetail.errors).to.deep.equal(['features[1].properties: name is required']);
+  });
+
+  it('should mark the targeted line and count it as an error', async () => {
+    const el = await fixture(html`<geojson-editor></geojson-editor>`);
+    el.addEventListener('error', (e) => e.stopPropagation());
+    await waitFor();
+
+    el.set([validPoint, unnamed]);
+    await waitFor(100);
+    el.addValidator(requireName);
+
+    const errorLines = el._getErrorLines();
+    expect(errorLines.length).to.equal(1);
+    expect(el.lines[errorLines[0]]).to.include('"properties"');
+    expect(el._getFeatureIndexForLine(errorLines[0])).to.equal(1);
+    expect(el.shadowRoot.getElementById('errorCount').textContent).to.equal('1');
+  });
+
+  it('should report warnings without blocking change', async () => {
+    const el = await fixture(html`<geojson-editor></geojson-editor>`);
+    await waitFor();
+
+    let changeEvent = null;
+    el.addEventListener('change', (e) => { changeEvent = e; });
+
+    el.set([unnamed]);
+    await waitFor(100);
+    el.addValidator((feature) => feature.properties.title
+      ? [{ message: 'title is deprecated', severity: 'warning', path: ['properties', 'title'] }]
+      : []);
+
+    expect(changeEvent.warnings).to.deep.equal(['features[0].properties.title: title is deprecated']);
+    const warningLines = [...el._getIssueLines().warnings];
+    expect(el.lines[warningLines[0]]).to.include('"title"');
+  });
+
+  it('should remove a validator', async () => {
+    const el = await fixture(html`<geojson-editor></geojson-editor>`);
+    el.addEventListener('error', (e) => e.stopPropagation());
+    await waitFor();
+
+    el.set([unnamed]);
+    await waitFor(100);
+    el.addValidator(requireName);
+    expect(el._getErrorLines().length).to.equal(1);
+
+    let changed = false;
+    el.addEventListener('change', () => { changed = true; });
+
+    expect(el.removeValidator(requireName)).to.be.true;
+    expect(el.removeValidator(requireName)).to.be.false;
+    expect(el._getErrorLines().length).to.equal(0);
+    expect(changed).to.be.true;
+  });
+
+  it('should pass each feature and its index', async () => {
+    const el = await fixture(html`<geojson-editor></geojson-editor>`);
+    await waitFor();
+
+    el.set([validPoint, validPolygon]);
+    await waitFor(100);
+
+    const calls = [];
+    el.addValidator((feature, index) => { calls.push([feature.geometry.type, index]); return []; });
+
+    expect(calls).to.deep.include(['Point', 0]);
+    expect(calls).to.deep.include(['Polygon', 1]);
+  });
+
+  it('should report a throwing validator as an error on the feature', async () => {
+    const el = await fixture(html`<geojson-editor></geojson-editor>`);
+    await waitFor();
+
+    let errorDetail = null;
+    el.addEventListener('error', (e) => { errorDetail = e.detail; e.stopPropagation(); });
+
+    el.set([validPoint]);
+    await waitFor(100);
+    el.addValidator(() => { throw new Error('boom'); });
+
+    expect(errorDetail.errors).to.deep.equal(['features[0]: validator failed: boom']);
+  });
+
+  it('should reject non-function validators', async () => {
+    const el = await fixture(html`<geojson-editor></geojson-editor>`);
+
+    expect(() => el.addValidator('not a function')).to.throw('Validator must be a function');
+  });
+});
+
+describe('GeoJsonEditor - Properties Schema', () => {
+
+  const schema = {
+    type: 'object',
+    required: ['name'],
+    properties: {
+      name: { type: 'string' },
+      height: { type: 'number', minimum: 0 },
+      kind: { enum: ['road', 'river'] },
+      address: { $ref: '#/$defs/address' }
+    },
+    additionalProperties: false,
+    $defs: { address: { type: 'object', properties: { city: { type: 'string' } } } }
+  };
+
+  const feature = (properties) => ({ type: 'Feature', geometry: { type: 'Point', coordinates: [0, 0] }, properties });
+
+  it('should validate properties set via the propertiesSchema property', async () => {
+    const el = await fixture(html`<geojson-editor></geojson-editor>`);
+    await waitFor();
+
+    let errorDetail = null;
+    el.addEventListener('error', (e) => { errorDetail = e.detail; e.stopPropagation(); });
+
+    el.set([feature({ name: 'a', height: -1, kind: 'lake' }), feature({ extra: true })]);
+    await waitFor(100);
+    el.propertiesSchema = schema;
+
+    expect(errorDetail.errors).to.deep.equal([
+      'features[0].properties.height: must be >= 0',
+      'features[0].properties.kind: must be one of "road", "river"',
+      'features[1].properties: must have required property "name"',
+      'features[1].properties.extra: must NOT have additional property "extra"'
+    ]);
+  });
+
+  it('should read the properties-schema attribute', async () => {
+    const el = await fixture(html`<geojson-editor properties-schema=${JSON.stringify(schema)}></geojson-editor>`);
+    await waitFor();
+
+    expect(el.propertiesSchema).to.deep.equal(schema);
+
+    let errorDetail = null;
+    el.addEventListener('error', (e) => { errorDetail = e.detail; e.stopPropagation(); });
+    el.set([feature({ name: 1 })]);
+    await waitFor(100);
+
+    expect(errorDetail.errors).to.deep.equal(['features[0].properties.name: must be string']);
+  });
+
+  it('should ignore an invalid properties-schema attribute', async () => {
+    const el = await fixture(html`<geojson-editor properties-schema="{not json"></geojson-editor>`);
+    await waitFor();
+
+    expect(el.propertiesSchema).to.be.null;
+  });
+
+  it('should mark the exact key line', async () => {
+    const el = await fixture(html`<geojson-editor></geojson-editor>`);
+    el.addEventListener('error', (e) => e.stopPropagation());
+    await waitFor();
+
+    el.set([
+      feature({ name: 'a', address: { city: 5, name: 'x' } }),
+      feature({ kind: 'road' })
+    ]);
+    await waitFor(100);
+    el.propertiesSchema = schema;
+
+    const errorLines = el._getErrorLines();
+    expect(errorLines.map(i => el.lines[i].trim())).to.deep.equal([
+      '"city": 5,',
+      '"properties": {'
+    ]);
+    expect(el._getFeatureIndexForLine(errorLines[1])).to.equal(1);
+  });
+
+  it('should find nested keys through the context map', async () => {
+    const el = await fixture(html`<geojson-editor></geojson-editor>`);
+    await waitFor();
+
+    el.set([feature({ name: 'a', address: { name: 'inner', city: 'x' } })]);
+    await waitFor(100);
+
+    const nameLine = el._getPropertiesKeyLine(0, ['name']);
+    const innerLine = el._getPropertiesKeyLine(0, ['address', 'name']);
+    expect(el.lines[nameLine].trim()).to.equal('"name": "a",');
+    expect(el.lines[innerLine].trim()).to.equal('"name": "inner",');
+    expect(el.lines[el._getPropertiesKeyLine(0, [])].trim()).to.equal('"properties": {');
+  });
+
+  it('should clear schema errors when the schema is removed', async () => {
+    const el = await fixture(html`<geojson-editor></geojson-editor>`);
+    el.addEventListener('error', (e) => e.stopPropagation());
+    await waitFor();
+
+    el.set([feature({})]);
+    await waitFor(100);
+    el.propertiesSchema = schema;
+    expect(el._getErrorLines().length).to.equal(1);
+
+    el.propertiesSchema = null;
+    expect(el._getErrorLines().length).to.equal(0);
+  });
+
+  it('should support combinators, tuples and conditionals', async () => {
+    const { validateSchema } = await import('../src/json-schema.ts');
+
+    expect(validateSchema(5, { anyOf: [{ type: 'string' }, { minimum: 10 }] }))
+      .to.deep.equal([{ path: [], message: 'must match a schema in anyOf' }]);
+    expect(validateSchema(['a', 1], { prefixItems: [{ type: 'string' }, { type: 'string' }] }))
+      .to.deep.equal([{ path: [1], message: 'must be string' }]);
+    expect(validateSchema(['a', 1], { items: [{ type: 'string' }], additionalItems: false }))
+      .to.deep.equal([{ path: [1], message: 'is not allowed' }]);
+    expect(validateSchema({ kind: 'road' }, {
+      if: { properties: { kind: { const: 'road' } } },
+      then: { required: ['lanes'] }
+    })).to.deep.equal([{ path: [], message: 'must have required property "lanes"' }]);
+    expect(validateSchema(3, { type: 'integer', multipleOf: 2 }))
+      .to.deep.equal([{ path: [], message: 'must be a multiple of 2' }]);
+    expect(validateSchema({ a: 1 }, { dependentRequired: { a: ['b'] } }))
+      .to.deep.equal([{ path: [], message: 'must have property "b" when property "a" is present' }]);
+  });
+
+  it('should not match inherited property names', async () => {
+    const { validateSchema } = await import('../src/json-schema.ts');
+
+    expect(validateSchema({ constructor: 1 }, { properties: { name: {} }, additionalProperties: false }))
+      .to.deep.equal([{ path: ['constructor'], message: 'must NOT have additional property "constructor"' }]);
+    expect(validateSchema({}, { required: ['toString'] }))
+      .to.deep.equal([{ path: [], message: 'must have required property "toString"' }]);
+  });
+
+  it('should stop on $ref cycles', async () => {
+    const { validateSchema } = await import('../src/json-schema.ts');
+
+    expect(validateSchema(1, { $ref: '#' })).to.deep.equal([]);
+    expect(validateSchema(1, { anyOf: [{ $ref: '#/$defs/a' }], $defs: { a: { $ref: '#' } } })).to.deep.equal([]);
+    // Recursive schemas still validate nested values
+    const tree = { type: 'object', properties: { child: { $ref: '#' } }, additionalProperties: false };
+    expect(validateSchema({ child: { child: { other: 1 } } }, tree))
+      .to.deep.equal([{ path: ['child', 'child', 'other'], message: 'must NOT have additional property "other"' }]);
+  });
+});
+
+describe('GeoJsonEditor - Feature Filter', () => {
+
+  const feature = (properties, type = 'Point') => ({
+    type: 'Feature',
+    geometry: type === 'Point' ? { type, coordinates: [0, 0] } : { type, coordinates: [[0, 0], [1, 1]] },
+    properties
+  });
+
+  const features = [
+    feature({ type: 'road', lanes: 3 }),
+    feature({ type: 'road', lanes: 1 }),
+    feature({ type: 'river' }, 'LineString'),
+    feature({ name: 'Main square' })
+  ];
+
+  it('should hide features not matching an expression and exclude them from the change event', async () => {
+    const el = await fixture(html`<geojson-editor></geojson-editor>`);
+    await waitFor();
+    el.set(features);
+    await waitFor();
+
+    let changeDetail = null;
+    el.addEventListener('change', (e) => { changeDetail = e.detail; });
+    el.filter = 'properties.type == "road" && properties.lanes > 2';
+
+    expect([...el.filteredFeatures].sort()).to.deep.equal([1, 2, 3]);
+    expect(changeDetail.features).to.have.length(1);
+    expect(changeDetail.features[0].properties.lanes).to.equal(3);
+  });
+
+  it('should support in, negation, bracket paths and parentheses', async () => {
+    const el = await fixture(html`<geojson-editor></geojson-editor>`);
+    await waitFor();
+    el.set(features);
+    await waitFor();
+
+    el.filter = "properties.type in ['river', 'lake'] || !properties.type";
+    expect([...el.filteredFeatures].sort()).to.deep.equal([0, 1]);
+
+    el.filter = 'properties["name"] == "Main square" || (geometry.type == "Point" && properties.lanes < 2)';
+    expect([...el.filteredFeatures].sort()).to.deep.equal([0, 2]);
+  });
+
+  it('should support MapLibre-style filter arrays', async () => {
+    const el = await fixture(html`<geojson-editor></geojson-editor>`);
+    await waitFor();
+    el.set(features);
+    await waitFor();
+
+    el.filter = ['all', ['==', ['get', 'type'], 'road'], ['>', ['get', 'lanes'], 2]];
+    expect([...el.filteredFeatures].sort()).to.deep.equal([1, 2, 3]);
+
+    // Legacy syntax
+    el.filter = ['in', 'type', 'river', 'lake'];
+    expect([...el.filteredFeatures].sort()).to.deep.equal([0, 1, 3]);
+    el.filter = ['==', '$type', 'LineString'];
+    expect([...el.filteredFeatures].sort()).to.deep.equal([0, 1, 3]);
+    el.filter = ['!has', 'lanes'];
+    expect([...el.filteredFeatures].sort()).to.deep.equal([0, 1]);
+  });
+
+  it('should accept a predicate function and show all features when cleared', async () => {
+    const el = await fixture(html`<geojson-editor></geojson-editor>`);
+    await waitFor();
+    el.set(features);
+    await waitFor();
+
+    el.filter = (f, index) => index % 2 === 0;
+    expect([...el.filteredFeatures].sort()).to.deep.equal([1, 3]);
+
+    el.filter = null;
+    expect(el.filter).to.be.null;
+    expect(el.filteredFeatures.size).to.equal(0);
+  });
+
+  it('should keep the features hidden by the user apart from the filter', async () => {
+    const el = await fixture(html`<geojson-editor></geojson-editor>`);
+    await waitFor();
+    el.set(features);
+    await waitFor();
+
+    el.toggleFeatureVisibility(0);
+    el.filter = 'properties.type == "road"';
+    expect([...el.filteredFeatures].sort()).to.deep.equal([2, 3]);
+    expect([...el.hiddenFeatures]).to.deep.equal([0]);
+
+    let changeDetail = null;
+    el.addEventListener('change', (e) => { changeDetail = e.detail; });
+    el.filter = null;
+    expect(el.filteredFeatures.size).to.equal(0);
+    expect([...el.hiddenFeatures]).to.deep.equal([0]);
+    expect(changeDetail.features).to.have.length(3);
+  });
+
+  it('should show a filtered feature with the eye icon until the filter is evaluated again', async () => {
+    const el = await fixture(html`<geojson-editor></geojson-editor>`);
+    await waitFor();
+    el.set(features);
+    await waitFor();
+    el.filter = 'properties.type == "road"';
+
+    let changeDetail = null;
+    el.addEventListener('change', (e) => { changeDetail = e.detail; });
+    el.toggleFeatureVisibility(2);
+    expect([...el.filteredFeatures]).to.deep.equal([3]);
+    expect(el.hiddenFeatures.size).to.equal(0);
+    expect(changeDetail.features).to.have.length(3);
+
+    el.filter = 'properties.type == "road"';
+    expect([...el.filteredFeatures].sort()).to.deep.equal([2, 3]);
+  });
+
+  it('should evaluate the filter again after edits', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+    el.set(features);
+    await waitFor();
+    el.filter = 'properties.type == "road"';
+
+    // Edit the first feature so that it no longer matches
+    const line = el.lines.findIndex(l => l.includes('"road"'));
+    el.cursorLine = line;
+    el.cursorColumn = el.lines[line].indexOf('road');
+    el.insertText('rail');
+    await waitFor(400);
+
+    expect([...el.filteredFeatures].sort()).to.deep.equal([0, 2, 3]);
+    expect(el.getAll()[0].properties.type).to.equal('railroad');
+  });
+
+  it('should throw on invalid filters', async () => {
+    const el = await fixture(html`<geojson-editor></geojson-editor>`);
+    await waitFor();
+
+    expect(() => { el.filter = 'properties.type =='; }).to.throw('Invalid filter: expected a value at end of expression');
+    expect(() => { el.filter = 'properties.a properties.b'; }).to.throw('Invalid filter: unexpected "properties" at position 14');
+    expect(() => { el.filter = ['within', 'x']; }).to.throw('Invalid filter: unsupported operator "within"');
+    expect(el.filter).to.be.null;
+  });
+
+  it('should hide features loaded while a filter is active', async () => {
+    const el = await fixture(html`<geojson-editor></geojson-editor>`);
+    await waitFor();
+    el.filter = 'properties.type == "road"';
+
+    el.set(features);
+    await waitFor();
+    expect([...el.filteredFeatures].sort()).to.deep.equal([2, 3]);
+
+    el.add(feature({ type: 'lake' }));
+    el.insertAt(feature({ type: 'road' }), 0);
+    await waitFor();
+    expect([...el.filteredFeatures].sort()).to.deep.equal([3, 4, 5]);
+  });
+
+  it('should read the filter attribute', async () => {
+    const el = await fixture(html`<geojson-editor filter='["==", "type", "river"]'></geojson-editor>`);
+    await waitFor();
+    expect(el.filter).to.deep.equal(['==', 'type', 'river']);
+
+    el.set(features);
+    await waitFor();
+    expect([...el.filteredFeatures].sort()).to.deep.equal([0, 1, 3]);
+
+    el.setAttribute('filter', 'properties.lanes');
+    expect([...el.filteredFeatures].sort()).to.deep.equal([2, 3]);
+
+    el.setAttribute('filter', 'properties.lanes ==');
+    expect(el.filter).to.be.null;
+    expect(el.filteredFeatures.size).to.equal(0);
+  });
+
+  it('should filter from the filter input', async () => {
+    const el = await fixture(html`<geojson-editor filter-input></geojson-editor>`);
+    await waitFor();
+    el.set(features);
+    await waitFor();
+
+    const input = el.shadowRoot.getElementById('filterInput');
+    input.value = 'properties.type == "river"';
+    input.dispatchEvent(new Event('input'));
+    expect(el.filter).to.equal('properties.type == "river"');
+    expect([...el.filteredFeatures].sort()).to.deep.equal([0, 1, 3]);
+
+    // Invalid expressions keep the current filter
+    input.value = 'properties.type ==';
+    input.dispatchEvent(new Event('input'));
+    expect(input.classList.contains('invalid')).to.be.true;
+    expect(el.filter).to.equal('properties.type == "river"');
+
+    input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+    expect(input.value).to.equal('');
+    expect(el.filter).to.be.null;
+    expect(el.filteredFeatures.size).to.equal(0);
+  });
+});
+
+describe('GeoJsonEditor - WKT / WKB', () => {
+
+  const paste = (el, text) => {
+    el.handlePaste({ preventDefault: () => {}, clipboardData: { getData: () => text } });
+  };
+
+  it('should add features from WKT with addWKT()', async () => {
+    const el = await fixture(html`<geojson-editor></geojson-editor>`);
+    await waitFor();
+
+    el.addWKT('POINT Z (1 2 3)\nMULTILINESTRING ((0 0, 1 1), (2 2, 3 3)); POLYGON EMPTY');
+    await waitFor();
+
+    expect(el.getAll()).to.deep.equal([
+      { type: 'Feature', geometry: { type: 'Point', coordinates: [1, 2, 3] }, properties: {} },
+      { type: 'Feature', geometry: { type: 'MultiLineString', coordinates: [[[0, 0], [1, 1]], [[2, 2], [3, 3]]] }, properties: {} },
+      { type: 'Feature', geometry: null, properties: {} }
+    ]);
+  });
+
+  it('should throw on invalid WKT', async () => {
+    const el = await fixture(html`<geojson-editor></geojson-editor>`);
+    await waitFor();
+
+    expect(() => el.addWKT('POINT (1')).to.throw('Invalid WKT: expected a number at end of text');
+    expect(() => el.addWKT('CIRCLE (1 2)')).to.throw('Invalid WKT: expected a geometry type at position 1');
+    expect(() => el.addWKT('POINT Z (1 2)')).to.throw('Invalid WKT: expected 3 coordinates, got 2');
+  });
+
+  it('should write a feature geometry as WKT with toWKT()', async () => {
+    const el = await fixture(html`<geojson-editor></geojson-editor>`);
+    await waitFor();
+    el.set([
+      { type: 'Feature', geometry: { type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 0]]] }, properties: {} },
+      { type: 'Feature', geometry: { type: 'MultiPoint', coordinates: [[1, 2, 3], [4, 5]] }, properties: {} },
+      { type: 'Feature', geometry: null, properties: {} }
+    ]);
+    await waitFor();
+
+    expect(el.toWKT(0)).to.equal('POLYGON ((0 0, 1 0, 1 1, 0 0))');
+    expect(el.toWKT(1)).to.equal('MULTIPOINT Z (1 2 3, 4 5 0)');
+    expect(el.toWKT(-1)).to.be.undefined;
+    expect(el.toWKT(5)).to.be.undefined;
+  });
+
+  it('should parse Z, M and ZM dimensions, EWKT and all MULTI* types', async () => {
+    const { parseWKT, stringifyWKT } = await import('../src/wkt.ts');
+
+    expect(parseWKT('POINTZM(1 2 3 4)')).to.deep.equal([{ type: 'Point', coordinates: [1, 2, 3] }]);
+    expect(parseWKT('POINT M (1 2 9)')).to.deep.equal([{ type: 'Point', coordinates: [1, 2] }]);
+    expect(parseWKT('SRID=4326;POINT(1 2)')).to.deep.equal([{ type: 'Point', coordinates: [1, 2] }]);
+    expect(parseWKT('MULTIPOINT ((10 40), (40 30))')).to.deep.equal(parseWKT('MULTIPOINT (10 40, 40 30)'));
+
+    const wkt = [
+      'MULTIPOLYGON (((30 20, 45 40, 10 40, 30 20)), ((15 5, 40 10, 10 20, 5 10, 15 5)))',
+      'GEOMETRYCOLLECTION (POINT (40 10), LINESTRING Z (10 10 1, 20 20 2))'
+    ];
+    for (const text of wkt) {
+      expect(stringifyWKT(parseWKT(text)[0])).to.equal(text);
+    }
+  });
+
+  it('should parse hex WKB and EWKB', async () => {
+    const { parseHexWKB } = await import('../src/wkt.ts');
+
+    // Little and big endian
+    expect(parseHexWKB('0101000000000000000000F03F0000000000000040')).to.deep.equal([{ type: 'Point', coordinates: [1, 2] }]);
+    expect(parseHexWKB('000000000140000000000000004010000000000000')).to.deep.equal([{ type: 'Point', coordinates: [2, 4] }]);
+    // ISO Z, EWKB Z and EWKB with SRID
+    expect(parseHexWKB('01E9030000000000000000F03F00000000000000400000000000000840')).to.deep.equal([{ type: 'Point', coordinates: [1, 2, 3] }]);
+    expect(parseHexWKB('0101000080000000000000F03F00000000000000400000000000000840')).to.deep.equal([{ type: 'Point', coordinates: [1, 2, 3] }]);
+    expect(parseHexWKB('0101000020E6100000000000000000F03F0000000000000040')).to.deep.equal([{ type: 'Point', coordinates: [1, 2] }]);
+    // MultiPoint
+    expect(parseHexWKB('0104000000020000000101000000000000000000F03F0000000000000040010100000000000000000008400000000000001040'))
+      .to.deep.equal([{ type: 'MultiPoint', coordinates: [[1, 2], [3, 4]] }]);
+    expect(() => parseHexWKB('0101000000000000000000F03F')).to.throw('Invalid WKB: unexpected end of data');
+  });
+
+  it('should convert pasted WKT into features', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+
+    paste(el, 'POINT (1 2)\nLINESTRING (0 0, 1 1)');
+    await waitFor(200);
+
+    const features = el.getAll();
+    expect(features.map(f => f.geometry.type)).to.deep.equal(['Point', 'LineString']);
+    expect(features[0].properties).to.deep.equal({});
+  });
+
+  it('should convert pasted hex WKB into features', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+
+    paste(el, '0101000000000000000000F03F0000000000000040');
+    await waitFor(200);
+
+    expect(el.getAll()).to.deep.equal([{ type: 'Feature', geometry: { type: 'Point', coordinates: [1, 2] }, properties: {} }]);
+  });
+
+  it('should paste other text as-is', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+    el.set([{ type: 'Feature', geometry: { type: 'Point', coordinates: [0, 0] }, properties: { name: 'a' } }]);
+    await waitFor();
+
+    const line = el.lines.findIndex(l => l.includes('"name"'));
+    el.cursorLine = line;
+    el.cursorColumn = el.lines[line].indexOf('a"');
+    paste(el, 'Point of interest ');
+    await waitFor(200);
+
+    expect(el.getAll()[0].properties.name).to.equal('Point of interest a');
+  });
+});
+
+// Capture the file written by save(), or saveAs() when a format is given
+const captureSave = async (el, filename, format, options) => {
+  const originalCreateObjectURL = URL.createObjectURL;
+  const originalCreateElement = document.createElement.bind(document);
+  let blob = null;
+  let download = null;
+  URL.createObjectURL = (b) => { blob = b; return 'blob:test'; };
+  document.createElement = (tag) => {
+    const elem = originalCreateElement(tag);
+    if (tag === 'a') elem.click = () => { download = elem.download; };
+    return elem;
+  };
+  try {
+    if (format) el.saveAs(format, filename, options);
+    else el.save(filename, options);
+  } finally {
+    URL.createObjectURL = originalCreateObjectURL;
+    document.createElement = originalCreateElement;
+  }
+  return { type: blob.type, text: await blob.text(), filename: download };
+};
+
+describe('GeoJsonEditor - KML', () => {
+
+  const kml = `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <Style id="river"><LineStyle><color>ffff0000</color><width>3</width></LineStyle></Style>
+    <StyleMap id="riverMap"><Pair><key>normal</key><styleUrl>#river</styleUrl></Pair></StyleMap>
+    <Folder>
+      <Placemark id="tower">
+        <name>Tower</name>
+        <ExtendedData>
+          <Data name="height"><value>324</value></Data>
+          <Data name="zip"><value>01234</value></Data>
+        </ExtendedData>
+        <Point><coordinates>2.29,48.85,35</coordinates></Point>
+      </Placemark>
+      <Placemark>
+        <styleUrl>#riverMap</styleUrl>
+        <MultiGeometry>
+          <LineString><coordinates>0,0 1,1</coordinates></LineString>
+          <LineString><coordinates>2,2 3,3</coordinates></LineString>
+        </MultiGeometry>
+      </Placemark>
+      <Placemark>
+        <Style><PolyStyle><color>7f00ff00</color></PolyStyle></Style>
+        <ExtendedData><SchemaData schemaUrl="#s"><SimpleData name="kind">park</SimpleData></SchemaData></ExtendedData>
+        <Polygon>
+          <outerBoundaryIs><LinearRing><coordinates>0,0 1,0 1,1 0,0</coordinates></LinearRing></outerBoundaryIs>
+        </Polygon>
+      </Placemark>
+    </Folder>
+  </Document>
+</kml>`;
+
+  it('should convert placemarks, ExtendedData and styles', async () => {
+    const { parseKML } = await import('../src/kml.ts');
+
+    expect(parseKML(kml)).to.deep.equal([
+      {
+        type: 'Feature',
+        id: 'tower',
+        geometry: { type: 'Point', coordinates: [2.29, 48.85, 35] },
+        properties: { name: 'Tower', height: 324, zip: '01234' }
+      },
+      {
+        type: 'Feature',
+        geometry: { type: 'MultiLineString', coordinates: [[[0, 0], [1, 1]], [[2, 2], [3, 3]]] },
+        properties: { stroke: '#0000ff', 'stroke-width': 3 }
+      },
+      {
+        type: 'Feature',
+        geometry: { type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 0]]] },
+        properties: { kind: 'park', fill: '#00ff00', 'fill-opacity': 0.5 }
+      }
+    ]);
+  });
+
+  it('should throw on invalid KML', async () => {
+    const { parseKML } = await import('../src/kml.ts');
+
+    expect(() => parseKML('<kml><Document>')).to.throw('Invalid KML');
+    expect(() => parseKML('<gpx></gpx>')).to.throw('Invalid KML: missing <kml> root element');
+  });
+
+  it('should load pasted KML', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+
+    el.handlePaste({ preventDefault: () => {}, clipboardData: { getData: () => kml } });
+    await waitFor(200);
+
+    const features = el.getAll();
+    expect(features.map(f => f.geometry.type)).to.deep.equal(['Point', 'MultiLineString', 'Polygon']);
+    // Style colors are editable with the color swatches
+    expect(el.lines.some(l => l.includes('"stroke": "#0000ff"'))).to.be.true;
+  });
+
+  it('should save KML when the filename ends with .kml', async () => {
+    const { parseKML } = await import('../src/kml.ts');
+    const el = await createSizedFixture();
+    await waitFor();
+    el.set(parseKML(kml));
+    await waitFor(200);
+
+    const { type, text } = await captureSave(el, 'map.kml');
+
+    expect(type).to.equal('application/vnd.google-earth.kml+xml');
+    expect(text).to.contain('<kml xmlns="http://www.opengis.net/kml/2.2">');
+    expect(text).to.contain('<Data name="zip"><value>01234</value></Data>');
+    expect(text).to.contain('<color>ffff0000</color>');
+    // Round trip
+    expect(parseKML(text)).to.deep.equal(el.getAll());
+  });
+
+  it('should still save GeoJSON by default', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+    el.set([validPoint]);
+    await waitFor(200);
+
+    const { type, text } = await captureSave(el);
+
+    expect(type).to.equal('application/geo+json');
+    expect(JSON.parse(text)).to.deep.equal({ type: 'FeatureCollection', features: [validPoint] });
+  });
+});
+
+describe('GeoJsonEditor - GPX', () => {
+
+  const gpx = `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="field" xmlns="http://www.topografix.com/GPX/1/1">
+  <wpt lat="45.1" lon="6.2">
+    <ele>1850</ele>
+    <time>2024-06-01T08:00:00Z</time>
+    <name>Camp</name>
+  </wpt>
+  <rte>
+    <name>Approach</name>
+    <rtept lat="45.0" lon="6.0"/>
+    <rtept lat="45.1" lon="6.1"/>
+  </rte>
+  <trk>
+    <name>Day 1</name>
+    <trkseg>
+      <trkpt lat="45.0" lon="6.0"><ele>1200</ele><time>2024-06-01T06:00:00Z</time></trkpt>
+      <trkpt lat="45.05" lon="6.1"><ele>1500</ele><time>2024-06-01T07:00:00Z</time></trkpt>
+    </trkseg>
+  </trk>
+  <trk>
+    <name>Day 2</name>
+    <trkseg><trkpt lat="45.1" lon="6.2"/><trkpt lat="45.2" lon="6.3"/></trkseg>
+    <trkseg><trkpt lat="45.3" lon="6.4"/><trkpt lat="45.4" lon="6.5"/></trkseg>
+  </trk>
+</gpx>`;
+
+  it('should convert waypoints, routes and tracks', async () => {
+    const { parseGPX } = await import('../src/gpx.ts');
+
+    expect(parseGPX(gpx)).to.deep.equal([
+      {
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [6.2, 45.1, 1850] },
+        properties: { name: 'Camp', time: '2024-06-01T08:00:00Z' }
+      },
+      {
+        type: 'Feature',
+        geometry: { type: 'LineString', coordinates: [[6, 45], [6.1, 45.1]] },
+        properties: { name: 'Approach' }
+      },
+      {
+        type: 'Feature',
+        geometry: { type: 'LineString', coordinates: [[6, 45, 1200], [6.1, 45.05, 1500]] },
+        properties: { name: 'Day 1', coordTimes: ['2024-06-01T06:00:00Z', '2024-06-01T07:00:00Z'] }
+      },
+      {
+        type: 'Feature',
+        geometry: { type: 'MultiLineString', coordinates: [[[6.2, 45.1], [6.3, 45.2]], [[6.4, 45.3], [6.5, 45.4]]] },
+        properties: { name: 'Day 2' }
+      }
+    ]);
+  });
+
+  it('should throw on invalid GPX', async () => {
+    const { parseGPX } = await import('../src/gpx.ts');
+
+    expect(() => parseGPX('<gpx><trk>')).to.throw('Invalid GPX');
+    expect(() => parseGPX('<kml></kml>')).to.throw('Invalid GPX: missing <gpx> root element');
+  });
+
+  it('should load pasted GPX', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+
+    el.handlePaste({ preventDefault: () => {}, clipboardData: { getData: () => gpx } });
+    await waitFor(200);
+
+    expect(el.getAll().map(f => f.geometry.type)).to.deep.equal(['Point', 'LineString', 'LineString', 'MultiLineString']);
+  });
+
+  it('should save GPX when the filename ends with .gpx', async () => {
+    const { parseGPX } = await import('../src/gpx.ts');
+    const el = await createSizedFixture();
+    await waitFor();
+    el.set([
+      ...parseGPX(gpx),
+      { type: 'Feature', geometry: { type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 0]]] }, properties: {} }
+    ]);
+    await waitFor(200);
+
+    const { type, text } = await captureSave(el, 'tracks.gpx');
+
+    expect(type).to.equal('application/gpx+xml');
+    expect(text).to.contain('<gpx version="1.1" creator="@softwarity/geojson-editor" xmlns="http://www.topografix.com/GPX/1/1">');
+    expect(text).to.contain('<time>2024-06-01T07:00:00Z</time>');
+    // Polygons have no GPX equivalent, routes are written as tracks
+    const features = parseGPX(text);
+    expect(features.map(f => f.geometry.type)).to.deep.equal(['Point', 'LineString', 'LineString', 'MultiLineString']);
+    expect(features[2]).to.deep.equal(el.getAll()[2]);
+  });
+});
+
+describe('GeoJsonEditor - TopoJSON', () => {
+
+  // Two adjacent squares sharing the arc x = 1, quantized (scale 0.5)
+  const topology = {
+    type: 'Topology',
+    transform: { scale: [0.5, 0.5], translate: [0, 0] },
+    objects: {
+      parcels: {
+        type: 'GeometryCollection',
+        geometries: [
+          { type: 'Polygon', id: 'a', properties: { name: 'A' }, arcs: [[0, 1]] },
+          { type: 'Polygon', id: 'b', properties: { name: 'B' }, arcs: [[2, ~0]] }
+        ]
+      },
+      well: { type: 'Point', coordinates: [1, 1] }
+    },
+    arcs: [
+      [[2, 0], [0, 2]],
+      [[2, 2], [-2, 0], [0, -2], [2, 0]],
+      [[2, 0], [2, 0], [0, 2], [-2, 0]]
+    ]
+  };
+
+  it('should decode arcs, transform and objects', async () => {
+    const { topologyToFeatures } = await import('../src/topojson.ts');
+
+    expect(topologyToFeatures(topology)).to.deep.equal([
+      {
+        type: 'Feature',
+        id: 'a',
+        geometry: { type: 'Polygon', coordinates: [[[1, 0], [1, 1], [0, 1], [0, 0], [1, 0]]] },
+        properties: { name: 'A' }
+      },
+      {
+        type: 'Feature',
+        id: 'b',
+        geometry: { type: 'Polygon', coordinates: [[[1, 0], [2, 0], [2, 1], [1, 1], [1, 0]]] },
+        properties: { name: 'B' }
+      },
+      {
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [0.5, 0.5] },
+        properties: {}
+      }
+    ]);
+  });
+
+  it('should throw on invalid arc indexes', async () => {
+    const { topologyToFeatures } = await import('../src/topojson.ts');
+
+    const invalid = { type: 'Topology', objects: { line: { type: 'LineString', arcs: [3] } }, arcs: [] };
+    expect(() => topologyToFeatures(invalid)).to.throw('Invalid TopoJSON: arc index 3 out of range');
+  });
+
+  it('should accept a topology in set() and paste', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+
+    el.set(topology);
+    await waitFor(200);
+    expect(el.getAll().map(f => f.id)).to.deep.equal(['a', 'b', undefined]);
+
+    el.set([]);
+    el.handlePaste({ preventDefault: () => {}, clipboardData: { getData: () => JSON.stringify(topology) } });
+    await waitFor(200);
+    expect(el.getAll()).to.have.length(3);
+  });
+
+  it('should build shared arcs', async () => {
+    const { featuresToTopology, topologyToFeatures } = await import('../src/topojson.ts');
+    const features = topologyToFeatures(topology);
+
+    const result = featuresToTopology(features, 0);
+
+    // The common edge of the two squares is stored once and used reversed by one of them
+    const [a, b] = result.objects.features.geometries;
+    const shared = a.arcs[0].filter(i => b.arcs[0].includes(~i));
+    expect(shared).to.have.length(1);
+    expect(result.transform).to.be.undefined;
+    expect(result.bbox).to.deep.equal([0, 0, 2, 1]);
+    expect(topologyToFeatures(result)).to.deep.equal(features);
+  });
+
+  it('should save quantized TopoJSON with saveAs()', async () => {
+    const { topologyToFeatures } = await import('../src/topojson.ts');
+    const el = await createSizedFixture();
+    await waitFor();
+    el.set(topology);
+    await waitFor(200);
+
+    const { filename, text } = await captureSave(el, undefined, 'topojson');
+
+    expect(filename).to.equal('features.topojson');
+    const result = JSON.parse(text);
+    expect(result.type).to.equal('Topology');
+    expect(result.transform.translate).to.deep.equal([0, 0]);
+    // Integer (delta-encoded) arcs, decoded within the quantization precision
+    expect(result.arcs.flat(2).every(Number.isInteger)).to.be.true;
+    const decoded = topologyToFeatures(result);
+    expect(decoded.map(f => f.properties.name)).to.deep.equal(['A', 'B', undefined]);
+    expect(decoded[1].geometry.coordinates[0][1][0]).to.be.closeTo(2, 1e-4);
+  });
+
+  it('should save TopoJSON when the filename ends with .topojson', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+    el.set([validPoint]);
+    await waitFor(200);
+
+    const { type, text } = await captureSave(el, 'map.topojson');
+
+    expect(type).to.equal('application/json');
+    expect(JSON.parse(text).type).to.equal('Topology');
+  });
+});
+
+describe('GeoJsonEditor - CSV', () => {
+
+  it('should create Points from latitude/longitude columns', async () => {
+    const { parseCSV } = await import('../src/csv.ts');
+    const csv = 'Name;Latitude;Longitude;zip;open\r\n"Tower; Paris";48.85;2.29;01234;true\r\n\r\nEmpty;;;;\r\n';
+
+    expect(parseCSV(csv)).to.deep.equal([
+      {
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [2.29, 48.85] },
+        properties: { Name: 'Tower; Paris', zip: '01234', open: true }
+      },
+      { type: 'Feature', geometry: null, properties: { Name: 'Empty', zip: null, open: null } }
+    ]);
+  });
+
+  it('should read WKT and hex WKB geometry columns', async () => {
+    const { parseCSV } = await import('../src/csv.ts');
+    const csv = 'id,geometry\n1,"LINESTRING (0 0, 1 1)"\n2,0101000000000000000000F03F0000000000000040\n';
+
+    expect(parseCSV(csv).map(f => f.geometry)).to.deep.equal([
+      { type: 'LineString', coordinates: [[0, 0], [1, 1]] },
+      { type: 'Point', coordinates: [1, 2] }
+    ]);
+  });
+
+  it('should throw without coordinate columns or with invalid coordinates', async () => {
+    const { parseCSV } = await import('../src/csv.ts');
+
+    expect(() => parseCSV('name,value\na,1\n')).to.throw('Invalid CSV: no coordinate columns');
+    expect(() => parseCSV('lat,lon\n48.8,east\n')).to.throw('Invalid CSV: row 1: invalid coordinates');
+  });
+
+  it('should load pasted CSV but keep other text as is', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+
+    el.handlePaste({ preventDefault: () => {}, clipboardData: { getData: () => 'lat\tlng\tname\n45\t6\tCamp\n' } });
+    await waitFor(200);
+    expect(el.getAll()).to.deep.equal([
+      { type: 'Feature', geometry: { type: 'Point', coordinates: [6, 45] }, properties: { name: 'Camp' } }
+    ]);
+
+    const { isCSV } = await import('../src/csv.ts');
+    expect(isCSV('lat,lon')).to.be.false;
+    expect(isCSV('name,value\na,1')).to.be.false;
+  });
+
+  it('should save CSV with the geometry as WKT', async () => {
+    const { parseCSV } = await import('../src/csv.ts');
+    const el = await createSizedFixture();
+    await waitFor();
+    const features = [
+      { type: 'Feature', geometry: { type: 'Point', coordinates: [2.29, 48.85] }, properties: { name: 'Say "hi"', height: 324 } },
+      { type: 'Feature', geometry: { type: 'LineString', coordinates: [[0, 0], [1, 1]] }, properties: { name: 'Road', lanes: 2 } }
+    ];
+    el.set(features);
+    await waitFor(200);
+
+    const { type, text } = await captureSave(el, 'points.csv');
+
+    expect(type).to.equal('text/csv');
+    expect(text).to.equal(
+      'wkt,name,height,lanes\r\n' +
+      'POINT (2.29 48.85),"Say ""hi""",324,\r\n' +
+      '"LINESTRING (0 0, 1 1)",Road,,2\r\n'
+    );
+    // Round trip (missing values come back as null)
+    expect(parseCSV(text).map(f => f.geometry)).to.deep.equal(features.map(f => f.geometry));
+  });
+});
+
+describe('GeoJsonEditor - GeoJSON Text Sequences', () => {
+
+  const point = (i) => ({ type: 'Feature', geometry: { type: 'Point', coordinates: [i % 180, 0] }, properties: { i } });
+
+  // Open a file through the (stubbed) file input
+  const openFile = async (el, name, content, options) => {
+    const originalCreateElement = document.createElement.bind(document);
+    document.createElement = (tag) => {
+      const elem = originalCreateElement(tag);
+      if (tag === 'input') {
+        elem.click = () => {
+          Object.defineProperty(elem, 'files', { value: [new File([content], name)] });
+          elem.dispatchEvent(new Event('change'));
+        };
+      }
+      return elem;
+    };
+    try {
+      return await el.open(options);
+    } finally {
+      document.createElement = originalCreateElement;
+    }
+  };
+
+  it('should parse RFC 8142 records and NDJSON lines', async () => {
+    const { parseGeoJSONSeq, isGeoJSONSeq } = await import('../src/geojsonseq.ts');
+    const seq = `\x1e${JSON.stringify(point(1), null, 2)}\n\x1e${JSON.stringify({ type: 'Point', coordinates: [2, 0] })}\n`;
+    const ndjson = `${JSON.stringify(point(1))}\n\n${JSON.stringify({ type: 'FeatureCollection', features: [point(2), point(3)] })}\n`;
+
+    expect(isGeoJSONSeq(seq)).to.be.true;
+    expect(isGeoJSONSeq(ndjson)).to.be.true;
+    expect(isGeoJSONSeq(JSON.stringify(point(1), null, 2))).to.be.false;
+    expect(isGeoJSONSeq(`${JSON.stringify(point(1))},\n${JSON.stringify(point(2))}`)).to.be.false;
+
+    expect(parseGeoJSONSeq(seq)).to.deep.equal([
+      point(1),
+      { type: 'Feature', geometry: { type: 'Point', coordinates: [2, 0] }, properties: {} }
+    ]);
+    expect(parseGeoJSONSeq(ndjson)).to.deep.equal([point(1), point(2), point(3)]);
+    expect(() => parseGeoJSONSeq(`${JSON.stringify(point(1))}\n{"type":`)).to.throw('Invalid GeoJSON sequence: record 2');
+  });
+
+  it('should load NDJSON with setValue() and paste', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+    const ndjson = [point(1), point(2)].map(f => JSON.stringify(f)).join('\n');
+
+    el.setValue(ndjson);
+    await waitFor(200);
+    expect(el.getAll()).to.deep.equal([point(1), point(2)]);
+
+    el.set([]);
+    el.handlePaste({ preventDefault: () => {}, clipboardData: { getData: () => `\x1e${JSON.stringify(point(3))}\n\x1e${JSON.stringify(point(4))}\n` } });
+    await waitFor(200);
+    expect(el.getAll()).to.deep.equal([point(3), point(4)]);
+  });
+
+  it('should save .geojsons and .ndjson files', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+    el.set([point(1), point(2)]);
+    await waitFor(200);
+
+    const seq = await captureSave(el, 'features.geojsons');
+    expect(seq.type).to.equal('application/geo+json-seq');
+    expect(seq.text).to.equal(`\x1e${JSON.stringify(point(1))}\n\x1e${JSON.stringify(point(2))}\n`);
+
+    const ndjson = await captureSave(el, undefined, 'ndjson');
+    expect(ndjson.filename).to.equal('features.ndjson');
+    expect(ndjson.type).to.equal('application/x-ndjson');
+    expect(ndjson.text).to.equal(`${JSON.stringify(point(1))}\n${JSON.stringify(point(2))}\n`);
+  });
+
+  it('should open large files incrementally', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+    const features = Array.from({ length: 2500 }, (_, i) => point(i));
+    const changes = [];
+    el.addEventListener('change', (e) => changes.push(e.detail.features.length));
+
+    const pending = openFile(el, 'points.ndjson', features.map(f => JSON.stringify(f)).join('\n'));
+    await waitFor(50);
+    // The first features are already displayed while the rest is loading
+    expect(el.getAll().length).to.be.lessThan(2500);
+
+    expect(await pending).to.be.true;
+    expect(el.getAll()).to.have.length(2500);
+    expect(el.getAll()[2499]).to.deep.equal(features[2499]);
+    expect(changes[changes.length - 1]).to.equal(2500);
+    // Every chunk is indented as the first one
+    const starts = [...el.featureRanges.values()].map(range => el.lines[range.startLine]);
+    expect(starts).to.have.length(2500);
+    expect(starts.every(line => line === '  {')).to.be.true;
+    // Collapse option applied to every chunk
+    const coordinates = el._findCollapsibleRanges().filter(r => r.nodeKey === 'coordinates');
+    expect(coordinates.every(r => el.collapsedNodes.has(r.nodeId))).to.be.true;
+  });
+
+  it('should keep the undo history of edits made during an incremental load', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+    const features = Array.from({ length: 1500 }, (_, i) => point(i));
+
+    const pending = openFile(el, 'points.ndjson', features.map(f => JSON.stringify(f)).join('\n'));
+    await waitFor(20);
+    expect(el.canUndo()).to.be.false;
+    const line = el.lines.findIndex(l => l.trim() === '"i": 0');
+    el.cursorLine = line;
+    el.cursorColumn = el.lines[line].indexOf('0');
+    el.insertText('1');
+
+    expect(await pending).to.be.true;
+    expect(el.get(0).properties.i).to.equal(10);
+    expect(el.canUndo()).to.be.true;
+  });
+
+  it('should stop an incremental load when the content is replaced', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+    const features = Array.from({ length: 2500 }, (_, i) => point(i));
+
+    const pending = openFile(el, 'points.ndjson', features.map(f => JSON.stringify(f)).join('\n'));
+    await waitFor(20);
+    el.set([point(1)]);
+
+    expect(await pending).to.be.false;
+    await waitFor(100);
+    expect(el.getAll()).to.deep.equal([point(1)]);
+  });
+});
+
+describe('GeoJsonEditor - Encoded Polyline', () => {
+
+  // Example of the polyline algorithm documentation
+  const encoded = '_p~iF~ps|U_ulLnnqC_mqNvxq`@';
+  const coordinates = [[-120.2, 38.5], [-120.95, 40.7], [-126.453, 43.252]];
+
+  it('should decode and encode polylines', async () => {
+    const { decodePolyline, encodePolyline, parsePolyline } = await import('../src/polyline.ts');
+
+    expect(decodePolyline(encoded)).to.deep.equal(coordinates);
+    expect(encodePolyline(coordinates)).to.equal(encoded);
+
+    // Precision 6 is detected when precision 5 gives out of range coordinates
+    const precise = [[6.123456, 45.654321], [6.2, 45.7]];
+    expect(parsePolyline(encodePolyline(precise, 6))).to.deep.equal({ type: 'LineString', coordinates: precise });
+
+    expect(() => decodePolyline('_p~iF~ps|U_')).to.throw('Invalid polyline: unexpected end of text');
+  });
+
+  it('should only detect polylines', async () => {
+    const { isPolyline } = await import('../src/polyline.ts');
+
+    expect(isPolyline(` ${encoded}\n`)).to.be.true;
+    expect(isPolyline('coordinates')).to.be.false;
+    expect(isPolyline('ABCD')).to.be.false;
+    expect(isPolyline('{"a":1}')).to.be.false;
+  });
+
+  it('should paste a polyline as a LineString feature', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+
+    el.handlePaste({ preventDefault: () => {}, clipboardData: { getData: () => encoded } });
+    await waitFor(200);
+
+    expect(el.getAll()).to.deep.equal([
+      { type: 'Feature', geometry: { type: 'LineString', coordinates }, properties: {} }
+    ]);
+  });
+
+  it('should paste identifiers inside a feature as plain text', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+    el.set([{ type: 'Feature', geometry: validPoint.geometry, properties: { name: '' } }]);
+    await waitFor(200);
+
+    for (const identifier of ['API_KEY', 'USER_ID', 'ROAD_TYPE', 'A_B_C_D']) {
+      const line = el.lines.findIndex(l => l.includes('"name"'));
+      el.cursorLine = line;
+      el.cursorColumn = el.lines[line].indexOf('""') + 1;
+      el.handlePaste({ preventDefault: () => {}, clipboardData: { getData: () => identifier } });
+      await waitFor(200);
+
+      expect(el.getAll()).to.have.length(1);
+      expect(el.getAll()[0].properties.name).to.equal(identifier);
+      el.set([{ type: 'Feature', geometry: validPoint.geometry, properties: { name: '' } }]);
+      await waitFor(200);
+    }
+  });
+
+  it('should encode a feature with encodePolyline()', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+    el.set([
+      { type: 'Feature', geometry: { type: 'LineString', coordinates }, properties: {} },
+      validPoint
+    ]);
+    await waitFor(200);
+
+    expect(el.encodePolyline(0)).to.equal(encoded);
+    expect(el.encodePolyline(0, 6)).to.equal('_izlhA~rlgdF_{geC~ywl@_kwzCn`{nI');
+    expect(el.encodePolyline(-1)).to.be.undefined;
+    expect(el.encodePolyline(5)).to.be.undefined;
+  });
+
+  it('should copy the encoded polyline from the gutter action', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+    el.set([{ type: 'Feature', geometry: { type: 'LineString', coordinates }, properties: {} }, validPoint]);
+    await waitFor(200);
+
+    const buttons = el.shadowRoot.querySelectorAll('.gutter-line .polyline-button');
+    expect(buttons).to.have.length(1);
+
+    const original = Object.getOwnPropertyDescriptor(navigator, 'clipboard');
+    let copied = null;
+    Object.defineProperty(navigator, 'clipboard', {
+      value: { writeText: (text) => { copied = text; return Promise.resolve(); } },
+      configurable: true
+    });
+    try {
+      buttons[0].click();
+    } finally {
+      if (original) Object.defineProperty(navigator, 'clipboard', original);
+      else delete navigator.clipboard;
+    }
+
+    expect(copied).to.equal(encoded);
+  });
+});
+
+describe('GeoJsonEditor - Export Subsets', () => {
+
+  const point = (i) => ({ type: 'Feature', geometry: { type: 'Point', coordinates: [i, 0] }, properties: { i } });
+
+  const savedFeatures = async (el, options) => JSON.parse((await captureSave(el, 'subset.geojson', undefined, options)).text).features;
+
+  it('should save only visible features', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+    el.set([point(0), point(1), point(2)]);
+    await waitFor(200);
+    el.toggleFeatureVisibility(1);
+
+    expect(await savedFeatures(el, { features: 'visible' })).to.deep.equal([point(0), point(2)]);
+    // Hidden features are still saved by default
+    expect(await savedFeatures(el)).to.have.length(3);
+  });
+
+  it('should save the features of the current selection', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+    el.set([point(0), point(1), point(2)]);
+    await waitFor(200);
+
+    el.cursorLine = el.featureRanges.get(1).startLine + 1;
+    expect(await savedFeatures(el, { features: 'selection' })).to.deep.equal([point(1)]);
+
+    el.selectionStart = { line: el.featureRanges.get(1).startLine, column: 0 };
+    el.selectionEnd = { line: el.featureRanges.get(2).startLine, column: 0 };
+    expect(await savedFeatures(el, { features: 'selection' })).to.deep.equal([point(1), point(2)]);
+  });
+
+  it('should save an index list in any format', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+    el.set([point(0), point(1), point(2)]);
+    await waitFor(200);
+
+    expect(await savedFeatures(el, { features: [2, -3, 7] })).to.deep.equal([point(2), point(0)]);
+
+    const { text } = await captureSave(el, undefined, 'ndjson', { features: [1] });
+    expect(text).to.equal(`${JSON.stringify(point(1))}\n`);
+  });
+
+  it('should copy features as a FeatureCollection', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+    el.set([point(0), point(1)]);
+    await waitFor(200);
+
+    const original = Object.getOwnPropertyDescriptor(navigator, 'clipboard');
+    let copied = null;
+    const setClipboard = (writeText) => Object.defineProperty(navigator, 'clipboard', { value: { writeText }, configurable: true });
+    try {
+      setClipboard((text) => { copied = text; return Promise.resolve(); });
+      expect(await el.copyAsFeatureCollection({ features: [1] })).to.be.true;
+      expect(JSON.parse(copied)).to.deep.equal({ type: 'FeatureCollection', features: [point(1)] });
+
+      setClipboard(() => Promise.reject(new Error('denied')));
+      expect(await el.copyAsFeatureCollection()).to.be.false;
+    } finally {
+      if (original) Object.defineProperty(navigator, 'clipboard', original);
+      else delete navigator.clipboard;
+    }
+  });
+});
+
+describe('GeoJsonEditor - Save In Place', () => {
+
+  const point = (x) => ({ type: 'Feature', geometry: { type: 'Point', coordinates: [x, 0] }, properties: { name: `p${x}` } });
+
+  // File System Access API file handle keeping the written content
+  const fileHandle = (name, content = '') => {
+    const handle = {
+      name,
+      content,
+      getFile: async () => new File([handle.content], name),
+      createWritable: async () => {
+        let data = '';
+        return {
+          write: async (chunk) => { data += chunk; },
+          close: async () => { handle.content = data; }
+        };
+      }
+    };
+    return handle;
+  };
+
+  // Run with the file pickers of the File System Access API
+  const withPickers = async (pickers, run) => {
+    Object.assign(window, pickers);
+    try {
+      return await run();
+    } finally {
+      for (const name of Object.keys(pickers)) delete window[name];
+    }
+  };
+
+  const captureDownloads = () => {
+    const downloads = [];
+    const originalCreateElement = document.createElement.bind(document);
+    document.createElement = (tag) => {
+      const elem = originalCreateElement(tag);
+      if (tag === 'a') elem.click = () => downloads.push(elem.download);
+      return elem;
+    };
+    downloads.restore = () => { document.createElement = originalCreateElement; };
+    return downloads;
+  };
+
+  it('should write back to the file opened with the open file picker', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+    const handle = fileHandle('map.geojson', JSON.stringify({ type: 'FeatureCollection', features: [point(1)] }));
+
+    const loaded = await withPickers({ showOpenFilePicker: async () => [handle] }, () => el.open());
+    expect(loaded).to.be.true;
+    expect(el.getAll()).to.deep.equal([point(1)]);
+
+    el.add([point(2)]);
+    const downloads = captureDownloads();
+    try {
+      expect(el.save()).to.be.true;
+      await waitFor(50);
+    } finally {
+      downloads.restore();
+    }
+    expect(downloads).to.have.length(0);
+    expect(JSON.parse(handle.content).features).to.deep.equal([point(1), point(2)]);
+    expect(el.dirty).to.be.false;
+  });
+
+  it('should not write a subset or replaced content back to the opened file', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+    const original = JSON.stringify({ type: 'FeatureCollection', features: [point(1), point(2)] });
+    const handle = fileHandle('map.geojson', original);
+
+    await withPickers({ showOpenFilePicker: async () => [handle] }, () => el.open());
+    const downloads = captureDownloads();
+    try {
+      // A subset is downloaded
+      expect(el.save(undefined, { features: [0] })).to.be.true;
+      await waitFor(50);
+      expect(handle.content).to.equal(original);
+
+      // Content replaced through the API no longer belongs to the opened file
+      el.set([point(3)]);
+      el.save();
+      await waitFor(50);
+    } finally {
+      downloads.restore();
+    }
+    expect(downloads).to.deep.equal(['features.geojson', 'features.geojson']);
+    expect(handle.content).to.equal(original);
+  });
+
+  it('should write back in the format of the opened file', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+    const handle = fileHandle('points.ndjson', `${JSON.stringify(point(1))}\n`);
+
+    await withPickers({ showOpenFilePicker: async () => [handle] }, () => el.open());
+    el.add([point(2)]);
+    el.save();
+    await waitFor(50);
+
+    expect(handle.content).to.equal(`${JSON.stringify(point(1))}\n${JSON.stringify(point(2))}\n`);
+  });
+
+  it('should save as GeoJSON when the opened file cannot hold every feature', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+    const { stringifyGPX } = await import('../src/gpx.ts');
+    const original = stringifyGPX([point(1)]);
+    const handle = fileHandle('points.gpx', original);
+    const polygon = { type: 'Feature', geometry: { type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 0]]] }, properties: {} };
+    const saved = fileHandle('points.geojson');
+    let pickerOptions = null;
+
+    await withPickers({ showOpenFilePicker: async () => [handle] }, () => el.open());
+    el.add([polygon]);
+    await withPickers({ showSaveFilePicker: async (options) => { pickerOptions = options; return saved; } }, async () => {
+      expect(el.save()).to.be.true;
+      await waitFor(50);
+    });
+
+    expect(handle.content).to.equal(original);
+    expect(pickerOptions.suggestedName).to.equal('points.geojson');
+    expect(JSON.parse(saved.content).features).to.have.length(2);
+    expect(el.dirty).to.be.false;
+  });
+
+  it('should download files that cannot be written back', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+    const handle = fileHandle('shape.wkt', 'POINT (1 2)');
+
+    await withPickers({ showOpenFilePicker: async () => [handle] }, () => el.open());
+    const downloads = captureDownloads();
+    try {
+      el.save();
+    } finally {
+      downloads.restore();
+    }
+
+    expect(downloads).to.deep.equal(['features.geojson']);
+    expect(handle.content).to.equal('POINT (1 2)');
+  });
+
+  it('should resolve false when the open file picker is cancelled', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+    el.set([point(1)]);
+
+    const cancel = async () => { throw new DOMException('Cancelled', 'AbortError'); };
+    expect(await withPickers({ showOpenFilePicker: cancel }, () => el.open())).to.be.false;
+    expect(el.getAll()).to.deep.equal([point(1)]);
+  });
+
+  it('should save as a file chosen with the save file picker', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+    el.set([point(1)]);
+    const handle = fileHandle('tracks.gpx');
+    let pickerOptions = null;
+
+    await withPickers({ showSaveFilePicker: async (options) => { pickerOptions = options; return handle; } }, async () => {
+      expect(await el.saveAs()).to.be.true;
+    });
+
+    // No format given: every format is offered and the format follows the chosen extension
+    expect(pickerOptions.suggestedName).to.equal('features.geojson');
+    expect(pickerOptions.types).to.have.length(7);
+    expect(handle.content).to.include('<gpx');
+
+    // save() then writes to the chosen file
+    el.add([point(2)]);
+    el.save();
+    await waitFor(50);
+    expect(handle.content.match(/<wpt /g)).to.have.length(2);
+  });
+
+  it('should offer the given format in the save file picker', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+    el.set([point(1)]);
+    const handle = fileHandle('export.kml');
+    let pickerOptions = null;
+
+    await withPickers({ showSaveFilePicker: async (options) => { pickerOptions = options; return handle; } }, () => el.saveAs('kml'));
+
+    expect(pickerOptions.suggestedName).to.equal('features.kml');
+    expect(pickerOptions.types).to.deep.equal([{ description: 'KML', accept: { 'application/vnd.google-earth.kml+xml': ['.kml'] } }]);
+    expect(handle.content).to.include('<kml');
+  });
+
+  it('should resolve false when the save file picker is cancelled', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+    el.set([point(1)]);
+    el.add([point(2)]);
+
+    const cancel = async () => { throw new DOMException('Cancelled', 'AbortError'); };
+    const downloads = captureDownloads();
+    try {
+      expect(await withPickers({ showSaveFilePicker: cancel }, () => el.saveAs())).to.be.false;
+    } finally {
+      downloads.restore();
+    }
+    expect(downloads).to.have.length(0);
+    expect(el.dirty).to.be.true;
+  });
+
+  it('should download with saveAs() without the File System Access API', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+    el.set([point(1)]);
+
+    const downloads = captureDownloads();
+    try {
+      expect(await el.saveAs(undefined, 'map.csv')).to.be.true;
+      expect(await el.saveAs('unknown')).to.be.false;
+    } finally {
+      downloads.restore();
+    }
+    expect(downloads).to.deep.equal(['map.csv']);
+  });
+
+  it('should track unsaved changes', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+    const indicator = el.shadowRoot.getElementById('dirtyIndicator');
+
+    el.set([point(1)]);
+    expect(el.dirty).to.be.false;
+    expect(indicator.classList.contains('visible')).to.be.false;
+
+    el.add([point(2)]);
+    expect(el.dirty).to.be.true;
+    expect(indicator.classList.contains('visible')).to.be.true;
+
+    // Undoing back to the saved content is not a change
+    el.undo();
+    expect(el.dirty).to.be.false;
+
+    el.add([point(2)]);
+    const downloads = captureDownloads();
+    try {
+      // A subset doesn't save the content
+      el.save('first.geojson', { features: [0] });
+      expect(el.dirty).to.be.true;
+      el.save();
+    } finally {
+      downloads.restore();
+    }
+    expect(el.dirty).to.be.false;
+    expect(indicator.classList.contains('visible')).to.be.false;
+  });
+});
+
+describe('GeoJsonEditor - Drag and Drop', () => {
+
+  const point = (i) => ({ type: 'Feature', geometry: { type: 'Point', coordinates: [i, 0] }, properties: { i } });
+  const collection = (...features) => JSON.stringify({ type: 'FeatureCollection', features });
+
+  // Dispatch a drag event carrying files on an element of the shadow root
+  const drag = (target, type, files = []) => {
+    const event = new Event(type, { bubbles: true, cancelable: true });
+    Object.defineProperty(event, 'dataTransfer', { value: { types: ['Files'], files, dropEffect: 'none' } });
+    target.dispatchEvent(event);
+    return event;
+  };
+
+  const dropZone = (el, mode) => el.shadowRoot.querySelector(`.drop-zone[data-drop-mode="${mode}"]`);
+
+  it('should show the drop overlay while files are dragged over the editor', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+    const wrapper = el.shadowRoot.querySelector('.editor-wrapper');
+    const overlay = el.shadowRoot.getElementById('dropOverlay');
+
+    drag(wrapper, 'dragenter');
+    expect(overlay.classList.contains('visible')).to.be.true;
+
+    // Moving over the zones doesn't hide the overlay
+    drag(dropZone(el, 'append'), 'dragenter');
+    drag(wrapper, 'dragleave');
+    const over = drag(dropZone(el, 'append'), 'dragover');
+    expect(over.defaultPrevented).to.be.true;
+    expect(over.dataTransfer.dropEffect).to.equal('copy');
+    expect(dropZone(el, 'append').classList.contains('active')).to.be.true;
+    expect(overlay.classList.contains('visible')).to.be.true;
+
+    drag(dropZone(el, 'append'), 'dragleave');
+    expect(overlay.classList.contains('visible')).to.be.false;
+  });
+
+  it('should replace features with dropped files', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+    el.set([point(0)]);
+
+    drag(dropZone(el, 'replace'), 'drop', [new File([collection(point(1))], 'a.geojson')]);
+    await waitFor(100);
+
+    expect(el.getAll()).to.deep.equal([point(1)]);
+    expect(el.shadowRoot.getElementById('dropOverlay').classList.contains('visible')).to.be.false;
+  });
+
+  it('should append the features of several dropped files', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+    el.set([point(0)]);
+
+    drag(dropZone(el, 'append'), 'drop', [
+      new File([collection(point(1), point(2))], 'a.geojson'),
+      new File([`${JSON.stringify(point(3))}\n${JSON.stringify(point(4))}\n`], 'b.ndjson'),
+      new File(['POINT (5 0)'], 'c.wkt')
+    ]);
+    await waitFor(100);
+
+    expect(el.getAll().map(f => f.geometry.coordinates[0])).to.deep.equal([0, 1, 2, 3, 4, 5]);
+    // Appending can be undone
+    el.undo();
+    expect(el.getAll()).to.deep.equal([point(0)]);
+  });
+
+  it('should load nothing if a dropped file is not supported', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+    el.set([point(0)]);
+
+    drag(dropZone(el, 'replace'), 'drop', [
+      new File([collection(point(1))], 'a.geojson'),
+      new File(['not geojson'], 'notes.txt')
+    ]);
+    await waitFor(100);
+
+    expect(el.getAll()).to.deep.equal([point(0)]);
+  });
+
+  it('should report a dropped file that cannot be loaded with the error event', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+    el.set([point(0)]);
+    let errorDetail = null;
+    el.addEventListener('error', (e) => { errorDetail = e.detail; });
+
+    const unreadable = new File([''], 'broken.geojson');
+    unreadable.text = () => Promise.reject(new Error('The file could not be read'));
+    drag(dropZone(el, 'append'), 'drop', [new File([collection(point(1))], 'a.geojson'), unreadable]);
+    await waitFor(100);
+
+    expect(errorDetail.error).to.equal('broken.geojson: The file could not be read');
+    expect(el.getAll()).to.deep.equal([point(0)]);
+
+    errorDetail = null;
+    drag(dropZone(el, 'replace'), 'drop', [new File(['not geojson'], 'notes.txt')]);
+    await waitFor(100);
+    expect(errorDetail.error).to.match(/^notes\.txt: /);
+  });
+
+  it('should ignore dropped files in readonly mode', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+    el.set([point(0)]);
+    el.setAttribute('readonly', '');
+    const wrapper = el.shadowRoot.querySelector('.editor-wrapper');
+
+    drag(wrapper, 'dragenter');
+    expect(el.shadowRoot.getElementById('dropOverlay').classList.contains('visible')).to.be.false;
+    // The browser doesn't open the file either
+    const over = drag(wrapper, 'dragover');
+    expect(over.defaultPrevented).to.be.true;
+    expect(over.dataTransfer.dropEffect).to.equal('none');
+
+    drag(dropZone(el, 'replace'), 'drop', [new File([collection(point(1))], 'a.geojson')]);
+    await waitFor(100);
+    expect(el.getAll()).to.deep.equal([point(0)]);
+  });
+});
+
+describe('GeoJsonEditor - Feature Reordering', () => {
+
+  const feature = (name, x) => ({ type: 'Feature', geometry: { type: 'Point', coordinates: [x, 0] }, properties: { name } });
+  const features = [feature('A', 1), feature('B', 2), feature('C', 3)];
+
+  const names = (el) => el._parseFeatures().map(f => f.properties.name);
+
+  // Pointer position on the middle of a line (the scroll content is at the top of the page in tests)
+  const lineY = (el, line) => (el.visibleLines.findIndex(vl => vl.index === line) + 0.5) * el.lineHeight;
+
+  const handle = (el, featureIndex) => el.shadowRoot.querySelector(`.drag-handle[data-feature-index="${featureIndex}"]`);
+
+  // Drag a feature by its handle and drop it on a line
+  const dragFeature = (el, featureIndex, line) => {
+    handle(el, featureIndex).dispatchEvent(new MouseEvent('mousedown', { bubbles: true }));
+    document.dispatchEvent(new MouseEvent('mousemove', { clientY: lineY(el, line) }));
+    document.dispatchEvent(new MouseEvent('mouseup'));
+  };
+
+  const setup = async (attributes = '') => {
+    const el = await createSizedFixture(attributes);
+    await waitFor();
+    // Render every line (the test viewport has no height)
+    el.bufferLines = 100;
+    el.set(features);
+    await waitFor();
+    return el;
+  };
+
+  it('should show a drag handle on the first line of each feature', async () => {
+    const el = await setup();
+    const handles = el.shadowRoot.querySelectorAll('.gutter-line .drag-handle');
+    expect(handles.length).to.equal(3);
+    expect(handles[1].closest('.gutter-line').querySelector('.line-number').textContent)
+      .to.equal(String(el.featureRanges.get(1).startLine + 1));
+  });
+
+  it('should not show drag handles in readonly mode', async () => {
+    const el = await setup('readonly');
+    expect(el.shadowRoot.querySelector('.drag-handle')).to.not.exist;
+  });
+
+  it('should show the drop indicator at the insertion point while dragging', async () => {
+    const el = await setup();
+    const indicator = el.shadowRoot.getElementById('featureDropIndicator');
+
+    handle(el, 0).dispatchEvent(new MouseEvent('mousedown', { bubbles: true }));
+    document.dispatchEvent(new MouseEvent('mousemove', { clientY: lineY(el, el.featureRanges.get(2).endLine) }));
+
+    expect(indicator.classList.contains('visible')).to.be.true;
+    expect(el._featureDrag.target).to.equal(3);
+    expect(indicator.style.top).to.equal(`${el.visibleLines.length * el.lineHeight}px`);
+
+    document.dispatchEvent(new MouseEvent('mouseup'));
+    expect(indicator.classList.contains('visible')).to.be.false;
+  });
+
+  it('should move the dropped feature with one change event and one undo step', async () => {
+    const el = await setup();
+    let changes = 0;
+    el.addEventListener('change', () => changes++);
+
+    dragFeature(el, 0, el.featureRanges.get(2).endLine);
+
+    expect(names(el)).to.deep.equal(['B', 'C', 'A']);
+    expect(changes).to.equal(1);
+
+    el.undo();
+    expect(names(el)).to.deep.equal(['A', 'B', 'C']);
+  });
+
+  it('should keep hidden and collapsed state with the moved features', async () => {
+    const el = await setup();
+    el.toggleFeatureVisibility(0);
+    // Expand the coordinates of C
+    const coordinatesLine = el.lines.findIndex((line, i) => line.includes('"coordinates"') && el._getFeatureIndexForLine(i) === 2);
+    el.toggleCollapse(el._lineToNodeId.get(coordinatesLine));
+
+    dragFeature(el, 2, el.featureRanges.get(0).startLine);
+
+    expect(names(el)).to.deep.equal(['C', 'A', 'B']);
+    expect([...el.hiddenFeatures]).to.deep.equal([1]);
+    const collapsedFeatures = [...el.collapsedNodes].map(id => el._getFeatureIndexForLine(el._nodeIdToLines.get(id).startLine));
+    expect(collapsedFeatures.sort()).to.deep.equal([1, 2]);
+  });
+
+  it('should not change anything when dropped at its own position', async () => {
+    const el = await setup();
+    let changes = 0;
+    el.addEventListener('change', () => changes++);
+
+    dragFeature(el, 1, el.featureRanges.get(1).startLine);
+
+    expect(names(el)).to.deep.equal(['A', 'B', 'C']);
+    expect(changes).to.equal(0);
+    expect(el.canUndo()).to.be.false;
+  });
+});
+
+describe('GeoJsonEditor - Context Menu', () => {
+
+  it('should only list conversions keeping the shape', async () => {
+    const { convertGeometry, getGeometryConversions, getGeometryBbox } = await import('../src/geometry.ts');
+
+    expect(getGeometryConversions({ type: 'Point', coordinates: [1, 2] })).to.deep.equal(['MultiPoint']);
+    expect(getGeometryConversions({ type: 'MultiPoint', coordinates: [[1, 2], [3, 4]] })).to.deep.equal(['LineString']);
+    expect(getGeometryConversions({ type: 'LineString', coordinates: [[0, 0], [1, 1]] })).to.deep.equal(['MultiPoint', 'MultiLineString']);
+
+    // Counter-clockwise exterior ring after conversion
+    const square = [[0, 0], [0, 1], [1, 1], [1, 0]];
+    expect(convertGeometry({ type: 'LineString', coordinates: square }, 'Polygon').coordinates)
+      .to.deep.equal([[[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]]]);
+    expect(convertGeometry({ type: 'Point', coordinates: [1, 2] }, 'Polygon')).to.be.null;
+    // Holes would be lost
+    const ring = [[0, 0], [4, 0], [4, 4], [0, 4], [0, 0]];
+    expect(getGeometryConversions({ type: 'Polygon', coordinates: [ring] })).to.include('LineString');
+    expect(getGeometryConversions({ type: 'Polygon', coordinates: [ring, [[1, 1], [1, 2], [2, 2], [1, 1]]] })).to.not.include('LineString');
+
+    expect(getGeometryBbox({ type: 'GeometryCollection', geometries: [
+      { type: 'Point', coordinates: [-1, 5] }, { type: 'LineString', coordinates: [[2, 0], [3, 1]] }
+    ] })).to.deep.equal([-1, 0, 3, 5]);
+    expect(getGeometryBbox(null)).to.be.null;
+  });
+
+  const features = [
+    { type: 'Feature', geometry: { type: 'LineString', coordinates: [[0, 0], [1, 0], [1, 1]] }, properties: { name: 'A', kind: 'road' } },
+    { type: 'Feature', geometry: { type: 'Point', coordinates: [2, 2] }, properties: { name: 'B' } }
+  ];
+
+  const menu = (el) => el.shadowRoot.getElementById('contextMenu');
+  const labels = (el) => [...menu(el).children].filter(item => item.classList.contains('context-menu-item')).map(item => item.firstChild.textContent);
+  const item = (el, label) => [...menu(el).querySelectorAll('.context-menu-item')].find(i => i.firstChild.textContent === label);
+
+  // First line of a feature holding a text
+  const lineWith = (el, text, featureIndex = 0) => el.lines.findIndex((line, i) => line.includes(text) && el._getFeatureIndexForLine(i) === featureIndex);
+
+  const setup = async (attributes = '') => {
+    const el = await createSizedFixture(attributes);
+    await waitFor();
+    el.set(features);
+    await waitFor();
+    return el;
+  };
+
+  it('should show feature entries on a feature line', async () => {
+    const el = await setup();
+    expect(el._openContextMenu(lineWith(el, '"Feature"'), 10, 10)).to.be.true;
+
+    expect(menu(el).classList.contains('visible')).to.be.true;
+    expect(labels(el)).to.deep.equal(['Hide', 'Duplicate', 'Delete', 'Copy feature', 'Zoom to', 'Collapse all but this']);
+  });
+
+  it('should not open outside features', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+    expect(el._openContextMenu(0, 10, 10)).to.be.false;
+    expect(menu(el).classList.contains('visible')).to.be.false;
+  });
+
+  it('should show geometry entries with the possible conversions', async () => {
+    const el = await setup();
+    el._openContextMenu(lineWith(el, '"LineString"'), 10, 10);
+
+    expect(labels(el).slice(0, 2)).to.deep.equal(['Convert to…', 'Copy as WKT']);
+    const submenu = [...item(el, 'Convert to…').querySelectorAll('.context-menu-item')].map(i => i.textContent);
+    expect(submenu).to.deep.equal(['MultiPoint', 'MultiLineString', 'Polygon', 'MultiPolygon']);
+
+    item(el, 'Polygon').click();
+    const polygon = el.get(0).geometry;
+    expect(polygon.type).to.equal('Polygon');
+    expect(polygon.coordinates).to.deep.equal([[[0, 0], [1, 0], [1, 1], [0, 0]]]);
+    expect(menu(el).classList.contains('visible')).to.be.false;
+
+    el.undo();
+    expect(el.get(0).geometry.type).to.equal('LineString');
+  });
+
+  it('should rename a property key across all features', async () => {
+    const el = await setup();
+    const originalPrompt = window.prompt;
+    window.prompt = () => 'title';
+    try {
+      el._openContextMenu(lineWith(el, '"name"'), 10, 10);
+      expect(labels(el).slice(0, 2)).to.deep.equal(['Rename key across all features', 'Delete key across all features']);
+      item(el, 'Rename key across all features').click();
+    } finally {
+      window.prompt = originalPrompt;
+    }
+
+    expect(el.getAll().map(f => f.properties)).to.deep.equal([{ title: 'A', kind: 'road' }, { title: 'B' }]);
+  });
+
+  it('should confirm before a renamed key overwrites an existing key', async () => {
+    const el = await setup();
+    const originalPrompt = window.prompt;
+    const originalConfirm = window.confirm;
+    const confirmed = [];
+    window.prompt = () => 'kind';
+    try {
+      window.confirm = (message) => { confirmed.push(message); return false; };
+      el._openContextMenu(lineWith(el, '"name"'), 10, 10);
+      item(el, 'Rename key across all features').click();
+      expect(el.getAll().map(f => f.properties)).to.deep.equal([{ name: 'A', kind: 'road' }, { name: 'B' }]);
+
+      window.confirm = (message) => { confirmed.push(message); return true; };
+      el._openContextMenu(lineWith(el, '"name"'), 10, 10);
+      item(el, 'Rename key across all features').click();
+    } finally {
+      window.prompt = originalPrompt;
+      window.confirm = originalConfirm;
+    }
+
+    expect(confirmed).to.deep.equal(Array(2).fill('1 feature(s) already have "kind": overwrite its value?'));
+    expect(el.getAll().map(f => f.properties)).to.deep.equal([{ kind: 'A' }, { kind: 'B' }]);
+  });
+
+  it('should delete a property key across all features', async () => {
+    const el = await setup();
+    el._openContextMenu(lineWith(el, '"name"', 1), 10, 10);
+    item(el, 'Delete key across all features').click();
+
+    expect(el.getAll().map(f => f.properties)).to.deep.equal([{ kind: 'road' }, {}]);
+  });
+
+  it('should hide, duplicate and delete the feature', async () => {
+    const el = await setup();
+    el._openContextMenu(lineWith(el, '"B"', 1), 10, 10);
+    item(el, 'Hide').click();
+    expect(el.hiddenFeatures.has(1)).to.be.true;
+
+    el._openContextMenu(lineWith(el, '"A"'), 10, 10);
+    item(el, 'Duplicate').click();
+    expect(el._parseFeatures().map(f => f.properties.name)).to.deep.equal(['A', 'A', 'B']);
+    expect(el.hiddenFeatures.has(2)).to.be.true;
+
+    el._openContextMenu(lineWith(el, '"A"', 1), 10, 10);
+    item(el, 'Delete').click();
+    expect(el._parseFeatures().map(f => f.properties.name)).to.deep.equal(['A', 'B']);
+  });
+
+  it('should emit zoom-to-feature with the bounding box', async () => {
+    const el = await setup();
+    let detail = null;
+    el.addEventListener('zoom-to-feature', (e) => { detail = e.detail; });
+
+    el._openContextMenu(lineWith(el, '"A"'), 10, 10);
+    item(el, 'Zoom to').click();
+
+    expect(detail.index).to.equal(0);
+    expect(detail.feature).to.deep.equal(features[0]);
+    expect(detail.bbox).to.deep.equal([0, 0, 1, 1]);
+  });
+
+  it('should collapse all features but the clicked one', async () => {
+    const el = await setup();
+    el._openContextMenu(lineWith(el, '"B"', 1), 10, 10);
+    item(el, 'Collapse all but this').click();
+
+    const roots = [...el._nodeIdToLines].filter(([, info]) => info.isRootFeature);
+    expect(roots.map(([id]) => el.collapsedNodes.has(id))).to.deep.equal([true, false]);
+  });
+
+  it('should leave out editing entries in readonly mode', async () => {
+    const el = await setup('readonly');
+    el._openContextMenu(lineWith(el, '"name"'), 10, 10);
+    expect(labels(el)).to.deep.equal(['Hide', 'Copy feature', 'Zoom to', 'Collapse all but this']);
+  });
+
+  it('should add and remove host entries', async () => {
+    const el = await setup();
+    let clicked = null;
+    const entry = { label: 'Open in panel', targets: ['property'], when: (ctx) => ctx.key === 'name', action: (ctx) => { clicked = ctx; } };
+    el.addContextMenuItem(entry);
+    expect(() => el.addContextMenuItem({ label: 'No action' })).to.throw();
+
+    el._openContextMenu(lineWith(el, '"kind"'), 10, 10);
+    expect(labels(el)).to.not.include('Open in panel');
+
+    el._openContextMenu(lineWith(el, '"name"'), 10, 10);
+    expect(labels(el)[labels(el).length - 1]).to.equal('Open in panel');
+    item(el, 'Open in panel').click();
+    expect(clicked).to.include({ featureIndex: 0, target: 'property', key: 'name' });
+
+    expect(el.removeContextMenuItem(entry)).to.be.true;
+    expect(el.removeContextMenuItem(entry)).to.be.false;
+    el._openContextMenu(lineWith(el, '"name"'), 10, 10);
+    expect(labels(el)).to.not.include('Open in panel');
+  });
+
+  it('should close with Escape', async () => {
+    const el = await setup();
+    el._openContextMenu(lineWith(el, '"A"'), 10, 10);
+    el.handleKeydown(new KeyboardEvent('keydown', { key: 'Escape' }));
+    expect(menu(el).classList.contains('visible')).to.be.false;
+  });
+});
@@ -45,6 +45,29 @@ export const validPolygon = {
   }
 };
 
+export const validGeometryCollection = {
+  type: 'Feature',
+  geometry: {
+    type: 'GeometryCollection',
+    geometries: [
+      {
+        type: 'Point',
+        coordinates: [100.0, 0.0]
+      },
+      {
+        type: 'LineString',
+        coordinates: [
+          [101.0, 0.0],
+          [102.0, 1.0]
+        ]
+      }
+    ]
+  },
+  properties: {
+    name: 'Test Survey'
+  }
+};
+
 export const validFeatureCollection = {
   type: 'FeatureCollection',
   features: [
@@ -1197,6 +1197,196 @@ describe('GeoJsonEditor - GeoJSON Validation', () => {
     const errors = validateGeoJSON(parsed);
     expect(errors.length).to.be.greaterThan(0);
   });
+
+  it('should accept GeometryCollection and check its member types', async () => {
+    const { validateGeoJSON } = await import('../src/validation.ts');
+
+    const parsed = {
+      features: [{
+        type: 'Feature',
+        geometry: {
+          type: 'GeometryCollection',
+          geometries: [
+            { type: 'Point', coordinates: [0, 0] },
+            { type: 'LinearRing', coordinates: [] }
+          ]
+        },
+        properties: {}
+      }]
+    };
+
+    const errors = validateGeoJSON(parsed);
+    expect(errors).to.deep.equal(['features[0].geometry.geometries[1]: invalid type "LinearRing"']);
+  });
+
+  it('should check positions against RFC 7946', async () => {
+    const { validateGeoJSON } = await import('../src/validation.ts');
+
+    const parsed = {
+      features: [
+        { type: 'Feature', geometry: { type: 'Point', coordinates: [1, 'a'] }, properties: {} },
+        { type: 'Feature', geometry: { type: 'Point', coordinates: [1, 2, 3, 4] }, properties: {} },
+        { type: 'Feature', geometry: { type: 'LineString', coordinates: [[0, 0]] }, properties: {} }
+      ]
+    };
+
+    expect(validateGeoJSON(parsed)).to.deep.equal([
+      'features[0].geometry.coordinates[1]: position must contain only numbers',
+      'features[1].geometry.coordinates: position must have 2 or 3 numbers, found 4',
+      'features[2].geometry.coordinates: LineString must have at least 2 positions'
+    ]);
+  });
+
+  it('should check polygon rings are closed with at least 4 positions', async () => {
+    const { validateGeoJSON } = await import('../src/validation.ts');
+
+    const parsed = {
+      features: [
+        { type: 'Feature', geometry: { type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 1]]] }, properties: {} },
+        { type: 'Feature', geometry: { type: 'Polygon', coordinates: [[[0, 0], [1, 0], [0, 0]]] }, properties: {} }
+      ]
+    };
+
+    expect(validateGeoJSON(parsed)).to.deep.equal([
+      'features[0].geometry.coordinates[0][3]: Polygon ring must be closed (last position must equal the first)',
+      'features[1].geometry.coordinates[0]: Polygon ring must have at least 4 positions'
+    ]);
+  });
+
+  it('should detect wrong coordinates nesting depth', async () => {
+    const { validateGeoJSON } = await import('../src/validation.ts');
+
+    const parsed = {
+      features: [
+        { type: 'Feature', geometry: { type: 'Polygon', coordinates: [[0, 0], [1, 0], [1, 1], [0, 0]] }, properties: {} },
+        { type: 'Feature', geometry: { type: 'MultiPolygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 0]]] }, properties: {} }
+      ]
+    };
+
+    expect(validateGeoJSON(parsed)).to.deep.equal([
+      'features[0].geometry.coordinates: Polygon coordinates must be an array of linear rings',
+      'features[1].geometry.coordinates[0]: Polygon coordinates must be an array of linear rings'
+    ]);
+  });
+
+  it('should mark the line of the offending position in the gutter', async () => {
+    const el = await fixture(html`<geojson-editor></geojson-editor>`);
+    el.addEventListener('error', (e) => e.stopPropagation());
+    await waitFor();
+
+    el.set([{
+      type: 'Feature',
+      geometry: { type: 'LineString', coordinates: [[0, 0], [1, 'x']] },
+      properties: {}
+    }]);
+    await waitFor(100);
+
+    const errorLines = el._getErrorLines();
+    expect(errorLines.length).to.equal(1);
+    expect(el.lines[errorLines[0]].trim()).to.equal('"x"');
+
+    // Navigation lands on the bad coordinate
+    el.cursorLine = 0;
+    el.goToNextError();
+    expect(el.cursorLine).to.equal(errorLines[0]);
+  });
+
+  it('should not report errors of hidden features', async () => {
+    const el = await fixture(html`<geojson-editor></geojson-editor>`);
+    await waitFor();
+
+    let errorDetail = null;
+    el.addEventListener('error', (e) => { errorDetail = e.detail; e.stopPropagation(); });
+
+    el.set([
+      validPoint,
+      { type: 'Feature', geometry: { type: 'Point', coordinates: [1] }, properties: {} }
+    ]);
+    await waitFor(100);
+    expect(errorDetail.errors).to.deep.equal(['features[1].geometry.coordinates: position must have 2 or 3 numbers, found 1']);
+
+    let changed = false;
+    el.addEventListener('change', () => { changed = true; });
+    el.toggleFeatureVisibility(1);
+    await waitFor(100);
+    expect(changed).to.be.true;
+  });
+});
+
+describe('GeoJsonEditor - Coordinate Warnings', () => {
+
+  it('should report out-of-range, swapped and over-precise positions as warnings', async () => {
+    const { findGeoJSONIssues, validateGeoJSON } = await import('../src/validation.ts');
+
+    const parsed = {
+      features: [
+        { type: 'Feature', geometry: { type: 'Point', coordinates: [45.5, 120.2] }, properties: {} },
+        { type: 'Feature', geometry: { type: 'Point', coordinates: [190, 10] }, properties: {} },
+        { type: 'Feature', geometry: { type: 'Point', coordinates: [1.123456789, 2] }, properties: {} },
+        { type: 'Feature', geometry: { type: 'Point', coordinates: [2.35, 48.85] }, properties: {} },
+        { type: 'Feature', geometry: { type: 'Point', coordinates: [2.35, 48.85, 35.1234567] }, properties: {} }
+      ]
+    };
+
+    const issues = findGeoJSONIssues(parsed);
+    // Elevation precision is not linted
+    expect(issues.map(issue => issue.severity)).to.deep.equal(['warning', 'warning', 'warning']);
+    expect(issues.map(issue => issue.path)).to.deep.equal([
+      ['features', 0, 'geometry', 'coordinates'],
+      ['features', 1, 'geometry', 'coordinates', 0],
+      ['features', 2, 'geometry', 'coordinates']
+    ]);
+    expect(issues[0].message).to.include('swapped');
+
+    // Warnings are not errors
+    expect(validateGeoJSON(parsed)).to.deep.equal([]);
+  });
+
+  it('should emit change with warnings instead of error', async () => {
+    const el = await fixture(html`<geojson-editor></geojson-editor>`);
+    await waitFor();
+
+    let changeEvent = null;
+    let errorFired = false;
+    el.addEventListener('change', (e) => { changeEvent = e; });
+    el.addEventListener('error', () => { errorFired = true; });
+
+    el.set([{ type: 'Feature', geometry: { type: 'Point', coordinates: [200, 10] }, properties: {} }]);
+    await waitFor(100);
+
+    expect(errorFired).to.be.false;
+    expect(changeEvent.warnings).to.deep.equal(['features[0].geometry.coordinates[0]: longitude 200 is out of range [-180, 180]']);
+    // The detail stays a plain FeatureCollection
+    expect(Object.keys(changeEvent.detail)).to.deep.equal(['type', 'features']);
+  });
+
+  it('should mark warning lines in metadata without counting them as errors', async () => {
+    const el = await fixture(html`<geojson-editor></geojson-editor>`);
+    await waitFor();
+
+    el.set([{ type: 'Feature', geometry: { type: 'Point', coordinates: [200, 10] }, properties: {} }]);
+    await waitFor(100);
+
+    const warningLines = [...el.lineMetadata].filter(([, meta]) => meta.hasWarning).map(([line]) => line);
+    expect(warningLines.length).to.equal(1);
+    expect(el.lines[warningLines[0]].trim()).to.equal('200,');
+    expect(el._getErrorLines()).to.deep.equal([]);
+  });
+
+  it('should show warnings hidden by a collapsed node on its gutter line', async () => {
+    const el = await fixture(html`<geojson-editor style="height: 400px;"></geojson-editor>`);
+    await waitFor();
+
+    el.set([{ type: 'Feature', geometry: { type: 'Point', coordinates: [200, 10] }, properties: {} }]);
+    await waitFor(200);
+
+    // Coordinates are collapsed by default
+    const coordsLine = el.lines.findIndex(line => line.includes('"coordinates"'));
+    const meta = el.lineMetadata.get(coordsLine);
+    expect(meta.collapseButton.isCollapsed).to.be.true;
+    expect(el._getCollapsedIssues(meta.collapseButton.nodeId)).to.deep.equal({ hasError: false, hasWarning: true });
+    expect(el.shadowRoot.querySelectorAll('.gutter-line.has-warning').length).to.equal(1);
+  });
 });
 
 describe('GeoJsonEditor - Feature Visibility', () => {
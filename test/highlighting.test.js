@@ -142,6 +142,19 @@ describe('GeoJsonEditor - Syntax Highlighting', () => {
     expect(geoKeys.length).to.be.greaterThan(0);
   });
 
+  it('should highlight GeometryCollection as a valid type', () => {
+    const result = highlightSyntax('"type": "GeometryCollection",', 'geometry', undefined);
+
+    expect(result).to.include('<span class="geojson-type">"GeometryCollection"</span>');
+    expect(result).to.not.include('geojson-type-invalid');
+  });
+
+  it('should highlight geometries as a GeoJSON key', () => {
+    const result = highlightSyntax('"geometries": [', 'geometry', undefined);
+
+    expect(result).to.include('<span class="geojson-key">"geometries"</span>');
+  });
+
   it('should highlight line content via highlightSyntax function', async () => {
     // Import the extracted highlightSyntax function
     const { highlightSyntax } = await import('../src/syntax-highlighter.ts');
@@ -1856,3 +1856,1026 @@ describe('GeoJsonEditor - Home/End Navigation', () => {
     expect(el.selectionEnd.column).to.equal(lineLength);
   });
 });
+
+describe('GeoJsonEditor - Autocompletion', () => {
+
+  const feature = (properties) => ({
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: [0, 0] },
+    properties
+  });
+
+  // Open a new line after the last key of the given feature properties
+  const openLineAfter = async (el, keyText) => {
+    const line = el.lines.findIndex(l => l.includes(keyText));
+    el.cursorLine = line;
+    el.cursorColumn = el.lines[line].length;
+    el.insertText(',\n      ');
+    await waitFor(50);
+  };
+
+  const type = (el, text) => {
+    el._hiddenTextarea.value = text;
+    el.handleInput();
+  };
+
+  const press = (el, key, options = {}) => {
+    el.handleKeydown(new KeyboardEvent('keydown', { key, bubbles: true, ...options }));
+  };
+
+  it('should suggest keys used by other features', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+    el.set([feature({ highway: 'road', lanes: 2 }), feature({ name: 'x' })]);
+    await waitFor();
+
+    await openLineAfter(el, '"name"');
+    type(el, '"h');
+
+    expect(el._completion).to.exist;
+    expect(el._completion.items.map(i => i.label)).to.deep.equal(['highway']);
+    expect(el.shadowRoot.getElementById('completionPopup').classList.contains('visible')).to.be.true;
+  });
+
+  it('should parse the features for suggestions once per content change', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+    el.set([feature({ highway: 'road' }), feature({ name: 'x' })]);
+    await waitFor();
+
+    const features = el._parseFeaturesLeniently();
+    expect(el._parseFeaturesLeniently()).to.equal(features);
+
+    await openLineAfter(el, '"name"');
+    expect(el._parseFeaturesLeniently()).to.not.equal(features);
+  });
+
+  it('should insert the selected key with Enter', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+    el.set([feature({ highway: 'road' }), feature({ name: 'x' })]);
+    await waitFor();
+
+    await openLineAfter(el, '"name"');
+    type(el, '"hi');
+    press(el, 'Enter');
+
+    expect(el._completion).to.be.null;
+    expect(el.lines[el.cursorLine].trim()).to.equal('"highway":');
+  });
+
+  it('should suggest values used for the same key', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+    el.set([feature({ highway: 'road' }), feature({ highway: 'path' }), feature({ name: 'x' })]);
+    await waitFor();
+
+    await openLineAfter(el, '"name"');
+    type(el, '"highway": "');
+    expect(el._completion.items.map(i => i.label)).to.deep.equal(['road', 'path']);
+
+    type(el, 'p');
+    expect(el._completion.items.map(i => i.label)).to.deep.equal(['path']);
+
+    press(el, 'Tab');
+    await waitFor(200);
+    expect(el.getAll()[2].properties).to.deep.equal({ name: 'x', highway: 'path' });
+  });
+
+  it('should suggest schema keys and enum values first', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+    el.set([feature({ name: 'x' })]);
+    el.propertiesSchema = {
+      type: 'object',
+      properties: { kind: { enum: ['river', 'road'] }, open: { type: 'boolean' } }
+    };
+    await waitFor();
+
+    await openLineAfter(el, '"name"');
+    type(el, '"');
+    expect(el._completion.items.map(i => i.label)).to.deep.equal(['kind', 'open']);
+    expect(el._completion.items[0].detail).to.equal('schema');
+
+    press(el, 'Escape');
+    type(el, 'kind": "r');
+    expect(el._completion.items.map(i => i.label)).to.deep.equal(['river', 'road']);
+
+    press(el, 'ArrowDown');
+    press(el, 'Enter');
+    await waitFor(200);
+    expect(el.getAll()[0].properties.kind).to.equal('road');
+  });
+
+  it('should not suggest keys already present in the object', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+    el.set([feature({ name: 'a', kind: 'b' }), feature({ name: 'x' })]);
+    await waitFor();
+
+    await openLineAfter(el, '"name": "x"');
+    type(el, '"');
+    expect(el._completion.items.map(i => i.label)).to.deep.equal(['kind']);
+  });
+
+  it('should open on Ctrl+Space and suggest literals', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+    el.set([feature({ name: 'x' })]);
+    el.propertiesSchema = { properties: { open: { type: 'boolean' } } };
+    await waitFor();
+
+    await openLineAfter(el, '"name"');
+    type(el, '"open": ');
+    expect(el._completion).to.be.null;
+
+    press(el, ' ', { ctrlKey: true });
+    expect(el._completion.items.map(i => i.label)).to.deep.equal(['true', 'false']);
+  });
+
+  it('should close with Escape and on other editing keys', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+    el.set([feature({ highway: 'road' }), feature({ name: 'x' })]);
+    await waitFor();
+
+    await openLineAfter(el, '"name"');
+    type(el, '"h');
+    press(el, 'Escape');
+    expect(el._completion).to.be.null;
+
+    type(el, 'i');
+    expect(el._completion).to.exist;
+    press(el, 'Home');
+    expect(el._completion).to.be.null;
+  });
+
+  it('should not suggest outside properties', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+    el.set([feature({ name: 'x' })]);
+    await waitFor();
+
+    el.cursorLine = el.lines.findIndex(l => l.includes('"coordinates"'));
+    el.cursorColumn = 6;
+    press(el, ' ', { ctrlKey: true });
+    expect(el._completion).to.be.null;
+  });
+
+  it('should not suggest in readonly mode', async () => {
+    const el = await fixture(html`<geojson-editor readonly style="height: 400px; width: 600px;"></geojson-editor>`);
+    await waitFor();
+    el.set([feature({ highway: 'road' }), feature({ name: 'x' })]);
+    await waitFor();
+
+    el.cursorLine = el.lines.findIndex(l => l.includes('"name"'));
+    el.cursorColumn = 7;
+    press(el, ' ', { ctrlKey: true });
+    expect(el._completion).to.be.null;
+  });
+});
+
+describe('GeoJsonEditor - Structural Completion and Snippets', () => {
+
+  const point = { type: 'Feature', geometry: { type: 'Point', coordinates: [1, 2] }, properties: {} };
+
+  const type = (el, text) => {
+    el._hiddenTextarea.value = text;
+    el.handleInput();
+  };
+
+  const press = (el, key, options = {}) => {
+    el.handleKeydown(new KeyboardEvent('keydown', { key, bubbles: true, ...options }));
+  };
+
+  // Replace a line and put the cursor at its end
+  const editLine = (el, index, text) => {
+    el.lines[index] = text;
+    el.cursorLine = index;
+    el.cursorColumn = text.length;
+  };
+
+  it('should suggest geometry types for "type" in a geometry', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+    el.set([point]);
+    await waitFor();
+
+    editLine(el, el.lines.findIndex(l => l.includes('"Point"')), '      "type": "');
+    el._updateCompletion();
+
+    expect(el._completion.items.map(i => i.label)).to.deep.equal([
+      'Point', 'MultiPoint', 'LineString', 'MultiLineString', 'Polygon', 'MultiPolygon', 'GeometryCollection'
+    ]);
+  });
+
+  it('should suggest Feature for "type" in a feature', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+    el.set([point]);
+    await waitFor();
+
+    editLine(el, el.lines.findIndex(l => l.includes('"Feature"')), '    "type": "F');
+    el._updateCompletion();
+
+    expect(el._completion.items.map(i => i.label)).to.deep.equal(['Feature']);
+  });
+
+  it('should suggest missing Feature keys', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+    el.set([point]);
+    await waitFor();
+
+    const line = el.lines.findIndex(l => l.includes('"Feature"'));
+    el.lines.splice(line + 1, 0, '    "');
+    el.cursorLine = line + 1;
+    el.cursorColumn = 5;
+    el._updateCompletion();
+
+    expect(el._completion.items.map(i => i.label)).to.deep.equal(['id', 'bbox']);
+  });
+
+  it('should not suggest inside coordinates', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+    el.set([point]);
+    await waitFor();
+    el.toggleCollapse([...el.collapsedNodes][0]);
+
+    el.cursorLine = el.lines.findIndex(l => l.includes('"coordinates"')) + 1;
+    el.cursorColumn = 0;
+    press(el, ' ', { ctrlKey: true });
+
+    expect(el._completion).to.be.null;
+  });
+
+  it('should offer Feature snippets when typing "{" between features', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+
+    type(el, '{');
+
+    expect(el._completion.items.map(i => i.label)).to.deep.equal([
+      'Point Feature', 'MultiPoint Feature', 'LineString Feature',
+      'MultiLineString Feature', 'Polygon Feature', 'MultiPolygon Feature'
+    ]);
+    expect(el._completion.items.every(i => i.snippet)).to.be.true;
+  });
+
+  it('should reach snippet placeholders with Tab', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+
+    type(el, '{');
+    press(el, 'Enter');
+    await waitFor(50);
+
+    // First placeholder (longitude) is selected
+    expect(el.lines[el.selectionStart.line].trim()).to.equal('0,');
+    type(el, '12.5');
+    press(el, 'Tab');
+    type(el, '45');
+    press(el, 'Tab');
+    expect(el.lines[el.cursorLine].trim()).to.equal('"properties": {}');
+    type(el, '"name": "a"');
+    press(el, 'Tab');
+    expect(el._snippet).to.be.null;
+
+    await waitFor(200);
+    expect(el.getAll()).to.deep.equal([{
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [12.5, 45] },
+      properties: { name: 'a' }
+    }]);
+  });
+
+  it('should insert a snippet after an existing feature with a separating comma', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+    el.set([point]);
+    await waitFor();
+
+    el.cursorLine = el.lines.length - 1;
+    el.cursorColumn = el.lines[el.cursorLine].length;
+    type(el, '{pol');
+    expect(el._completion.items.map(i => i.label)).to.deep.equal(['Polygon Feature']);
+    press(el, 'Tab');
+    await waitFor(200);
+
+    const features = el.getAll();
+    expect(features).to.have.length(2);
+    expect(features[1].geometry.type).to.equal('Polygon');
+    // The whole coordinates array is the first placeholder, expanded to be editable
+    expect(el.lines[el.selectionStart.line].trim()).to.equal('"coordinates": [');
+    expect(el._getCollapsedRangeForLine(el.selectionEnd.line)).to.not.be.ok;
+  });
+
+  it('should leave the snippet with Escape', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+
+    type(el, '{');
+    press(el, 'Enter');
+    expect(el._snippet).to.exist;
+
+    press(el, 'Escape');
+    expect(el._snippet).to.be.null;
+  });
+});
+
+describe('GeoJsonEditor - Find and Replace', () => {
+
+  const feature = (name, coordinates) => ({
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates },
+    properties: { name }
+  });
+
+  const features = [feature('Road A', [1, 2]), feature('road b', [3, 4]), feature('Path', [5, 6])];
+
+  const press = (el, key, options = {}) => {
+    el.handleKeydown(new KeyboardEvent('keydown', { key, bubbles: true, ...options }));
+  };
+
+  const search = (el, query) => {
+    const input = el.shadowRoot.getElementById('findInput');
+    input.value = query;
+    input.dispatchEvent(new Event('input'));
+  };
+
+  const click = (el, id) => el.shadowRoot.getElementById(id).click();
+
+  it('should open the find bar with Ctrl+F', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+
+    press(el, 'f', { ctrlKey: true });
+
+    expect(el.shadowRoot.getElementById('findBar').classList.contains('visible')).to.be.true;
+    expect(el.shadowRoot.activeElement).to.equal(el.shadowRoot.getElementById('findInput'));
+  });
+
+  it('should count matches and go to the next and previous ones', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+    el.set(features);
+    await waitFor();
+
+    press(el, 'f', { ctrlKey: true });
+    search(el, 'road');
+
+    expect(el._findMatches).to.have.length(2);
+    expect(el.shadowRoot.getElementById('findCount').textContent).to.equal('1/2');
+
+    const input = el.shadowRoot.getElementById('findInput');
+    input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter' }));
+    expect(el._findIndex).to.equal(1);
+    expect(el.selectionStart).to.deep.equal({ line: el._findMatches[1].line, column: el._findMatches[1].start });
+    expect(el.selectionEnd).to.deep.equal({ line: el._findMatches[1].line, column: el._findMatches[1].end });
+
+    input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', shiftKey: true }));
+    expect(el._findIndex).to.equal(0);
+  });
+
+  it('should expand collapsed nodes containing the match', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+    el.set(features);
+    await waitFor();
+    expect(el.collapsedNodes.size).to.equal(3);
+
+    press(el, 'f', { ctrlKey: true });
+    search(el, '4');
+
+    expect(el._findMatches).to.have.length(1);
+    expect(el.collapsedNodes.size).to.equal(2);
+    expect(el.visibleLines.some(vl => vl.index === el._findMatches[0].line)).to.be.true;
+  });
+
+  it('should apply the case, whole word and regex options', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+    el.set(features);
+    await waitFor();
+
+    press(el, 'f', { ctrlKey: true });
+    search(el, 'road');
+    click(el, 'findCaseBtn');
+    expect(el._findMatches).to.have.length(1);
+    click(el, 'findCaseBtn');
+
+    search(el, 'Pat');
+    expect(el._findMatches).to.have.length(1);
+    click(el, 'findWordBtn');
+    expect(el._findMatches).to.have.length(0);
+    expect(el.shadowRoot.getElementById('findCount').textContent).to.equal('No results');
+    click(el, 'findWordBtn');
+
+    search(el, 'road [bc]');
+    expect(el._findMatches).to.have.length(0);
+    click(el, 'findRegexBtn');
+    expect(el._findMatches).to.have.length(1);
+    expect(el.shadowRoot.getElementById('findRegexBtn').getAttribute('aria-pressed')).to.equal('true');
+  });
+
+  it('should flag an invalid regular expression', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+    el.set(features);
+    await waitFor();
+
+    press(el, 'f', { ctrlKey: true });
+    click(el, 'findRegexBtn');
+    search(el, '(');
+
+    expect(el._findMatches).to.have.length(0);
+    expect(el.shadowRoot.getElementById('findBar').classList.contains('invalid')).to.be.true;
+  });
+
+  it('should replace the current match', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+    el.set(features);
+    await waitFor();
+
+    press(el, 'f', { ctrlKey: true });
+    search(el, 'Path');
+    el.shadowRoot.getElementById('replaceInput').value = 'Trail';
+    click(el, 'replaceBtn');
+    await waitFor(50);
+
+    expect(el.getAll().map(f => f.properties.name)).to.deep.equal(['Road A', 'road b', 'Trail']);
+    expect(el._findMatches).to.have.length(0);
+  });
+
+  it('should replace all matches with a single undo entry', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+    el.set(features);
+    await waitFor();
+    const undoCount = el._undoStack.length;
+
+    press(el, 'f', { ctrlKey: true });
+    click(el, 'findRegexBtn');
+    search(el, '^\\s+(\\d)$');
+    el.shadowRoot.getElementById('replaceInput').value = '$1.5';
+    click(el, 'replaceAllBtn');
+    await waitFor(50);
+
+    expect(el.getAll().map(f => f.geometry.coordinates)).to.deep.equal([[1, 2.5], [3, 4.5], [5, 6.5]]);
+    expect(el._undoStack.length).to.equal(undoCount + 1);
+
+    el.undo();
+    await waitFor(50);
+    expect(el.getAll().map(f => f.geometry.coordinates)).to.deep.equal([[1, 2], [3, 4], [5, 6]]);
+  });
+
+  it('should replace all matches beyond the highlighted ones', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+    el.set([feature('x'.repeat(10001), [0, 0])]);
+    await waitFor();
+
+    press(el, 'f', { ctrlKey: true });
+    search(el, 'x');
+    expect(el._findMatches).to.have.length(10000);
+    el.shadowRoot.getElementById('replaceInput').value = 'y';
+    click(el, 'replaceAllBtn');
+    await waitFor(50);
+
+    expect(el.getAll()[0].properties.name).to.equal('y'.repeat(10001));
+  });
+
+  it('should close with Escape', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+    el.set(features);
+    await waitFor();
+
+    press(el, 'f', { ctrlKey: true });
+    search(el, 'road');
+    el.shadowRoot.getElementById('findInput').dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+
+    expect(el.shadowRoot.getElementById('findBar').classList.contains('visible')).to.be.false;
+    expect(el._findMatches).to.have.length(0);
+  });
+
+  it('should not replace in readonly mode', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+    el.set(features);
+    el.setAttribute('readonly', '');
+    await waitFor();
+
+    press(el, 'f', { ctrlKey: true });
+    search(el, 'Path');
+    el.shadowRoot.getElementById('replaceInput').value = 'Trail';
+    click(el, 'replaceAllBtn');
+    await waitFor(50);
+
+    expect(el._findMatches).to.have.length(1);
+    expect(el.getAll()[2].properties.name).to.equal('Path');
+  });
+});
+
+describe('GeoJsonEditor - Multiple Cursors', () => {
+
+  const feature = (name, x) => ({
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: [x, 0] },
+    properties: { name, kind: 'road' }
+  });
+
+  const features = [feature('A', 1), feature('B', 2), feature('C', 3)];
+
+  const press = (el, key, options = {}) => {
+    el.handleKeydown(new KeyboardEvent('keydown', { key, bubbles: true, ...options }));
+  };
+
+  const type = (el, text) => {
+    const textarea = el.shadowRoot.querySelector('.hidden-textarea');
+    textarea.value = text;
+    textarea.dispatchEvent(new Event('input', { bubbles: true }));
+  };
+
+  const clipboardEvent = (type, text = '') => {
+    const data = { 'text/plain': text };
+    const event = new Event(type, { bubbles: true, cancelable: true });
+    event.clipboardData = { getData: (format) => data[format] ?? '', setData: (format, value) => { data[format] = value; } };
+    event.data = data;
+    return event;
+  };
+
+  // Lines holding a text, in document order
+  const linesWith = (el, text) => el.lines.flatMap((line, index) => line.includes(text) ? [index] : []);
+
+  const setup = async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+    el.set(features);
+    await waitFor();
+    return el;
+  };
+
+  it('should select the word and the next occurrences with Ctrl+D', async () => {
+    const el = await setup();
+    const [first, second, third] = linesWith(el, '"kind"');
+    el.cursorLine = first;
+    el.cursorColumn = el.lines[first].indexOf('kind') + 2;
+
+    press(el, 'd', { ctrlKey: true });
+    expect(el._getSelectedText()).to.equal('kind');
+    expect(el._extraCursors).to.have.length(0);
+
+    press(el, 'd', { ctrlKey: true });
+    press(el, 'd', { ctrlKey: true });
+    expect(el._extraCursors.map(c => c.line).sort((a, b) => a - b)).to.deep.equal([first, second]);
+    expect(el.cursorLine).to.equal(third);
+
+    // Every occurrence is selected: nothing more to add
+    press(el, 'd', { ctrlKey: true });
+    expect(el._extraCursors).to.have.length(2);
+  });
+
+  it('should match whole words with Ctrl+D', async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+    el.set([
+      { type: 'Feature', geometry: null, properties: { name: 'x', surname: 'y' } },
+      { type: 'Feature', geometry: null, properties: { name: 'z' } }
+    ]);
+    await waitFor();
+    const [first, second] = linesWith(el, '"name"');
+    el.cursorLine = first;
+    el.cursorColumn = el.lines[first].indexOf('name');
+
+    press(el, 'd', { ctrlKey: true });
+    press(el, 'd', { ctrlKey: true });
+
+    expect(el.cursorLine).to.equal(second);
+  });
+
+  it('should rename a property at every cursor as one undo step', async () => {
+    const el = await setup();
+    el.cursorLine = linesWith(el, '"kind"')[0];
+    el.cursorColumn = el.lines[el.cursorLine].indexOf('kind');
+    for (let i = 0; i < 3; i++) press(el, 'd', { ctrlKey: true });
+    const undoCount = el._undoStack.length;
+
+    type(el, 'type');
+    await waitFor(200);
+
+    expect(el.getAll().map(f => f.properties)).to.deep.equal([
+      { name: 'A', type: 'road' }, { name: 'B', type: 'road' }, { name: 'C', type: 'road' }
+    ]);
+    expect(el._extraCursors).to.have.length(2);
+    expect(el._undoStack.length).to.equal(undoCount + 1);
+
+    el.undo();
+    expect(el.getAll()).to.deep.equal(features);
+    expect(el._extraCursors).to.have.length(0);
+  });
+
+  it('should add and remove cursors with Alt+Click positions', async () => {
+    const el = await setup();
+    const lines = linesWith(el, '"name"');
+    el.cursorLine = lines[0];
+    el.cursorColumn = el.lines[lines[0]].length - 2;
+
+    el._toggleCursor({ line: lines[1], column: el.lines[lines[1]].length - 2 });
+    el._toggleCursor({ line: lines[2], column: el.lines[lines[2]].length - 2 });
+    el._toggleCursor({ line: lines[1], column: el.lines[lines[1]].length - 2 });
+    expect(el._getCursors().map(c => c.line)).to.deep.equal([lines[2], lines[0]]);
+
+    type(el, '1');
+    expect(el.getAll().map(f => f.properties.name)).to.deep.equal(['A1', 'B', 'C1']);
+  });
+
+  it('should delete at every cursor with Backspace and Delete', async () => {
+    const el = await setup();
+    const lines = linesWith(el, '"name"');
+    // Cursors after the name values
+    el.cursorLine = lines[0];
+    el.cursorColumn = el.lines[lines[0]].length - 2;
+    for (const line of lines.slice(1)) el._toggleCursor({ line, column: el.lines[line].length - 2 });
+
+    type(el, 'xyz');
+    press(el, 'Backspace');
+    expect(el.getAll().map(f => f.properties.name)).to.deep.equal(['Axy', 'Bxy', 'Cxy']);
+
+    el._extraCursors.forEach(c => { c.column -= 2; });
+    el.cursorColumn -= 2;
+    press(el, 'Delete');
+    expect(el.getAll().map(f => f.properties.name)).to.deep.equal(['Ay', 'By', 'Cy']);
+  });
+
+  it('should break the line at every cursor with Enter, keeping its indentation', async () => {
+    const el = await setup();
+    const lines = linesWith(el, '"name"');
+    const indent = el.lines[lines[0]].match(/^\s*/)[0];
+    // Cursors after the commas ending the name lines
+    el.cursorLine = lines[0];
+    el.cursorColumn = el.lines[lines[0]].length;
+    for (const line of lines.slice(1)) el._toggleCursor({ line, column: el.lines[line].length });
+    const undoCount = el._undoStack.length;
+
+    press(el, 'Enter');
+
+    expect(lines.map((line, i) => el.lines[line + i + 1])).to.deep.equal([indent, indent, indent]);
+    expect(el._extraCursors).to.have.length(2);
+    expect(el._undoStack.length).to.equal(undoCount + 1);
+    expect(el.getAll()).to.deep.equal(features);
+  });
+
+  it('should indent at every cursor with Tab', async () => {
+    const el = await setup();
+    const lines = linesWith(el, '"name"');
+    const original = lines.map(line => el.lines[line]);
+    el.cursorLine = lines[0];
+    el.cursorColumn = 0;
+    for (const line of lines.slice(1)) el._toggleCursor({ line, column: 0 });
+
+    press(el, 'Tab');
+
+    expect(lines.map(line => el.lines[line])).to.deep.equal(original.map(line => '  ' + line));
+    expect(el._extraCursors).to.have.length(2);
+    expect(el.getAll()).to.deep.equal(features);
+  });
+
+  it('should type over a rectangular selection', async () => {
+    const el = await setup();
+    const lines = linesWith(el, '"name"');
+    const column = el.lines[lines[0]].indexOf('"name"');
+
+    // Select "name" on the 3 lines (the lines between are included)
+    el._selectColumns({ line: lines[0], column: column + 1 }, { line: lines[2], column: column + 5 });
+    expect(el.cursorLine).to.equal(lines[2]);
+    expect(el._extraCursors.length).to.be.greaterThan(1);
+
+    const keyLines = el._getCursors().map(c => el.lines[c.line].substring(c.anchor?.column ?? c.column, c.column));
+    expect(keyLines.filter(text => text === 'name')).to.have.length(3);
+  });
+
+  it('should paste one line per cursor when the line count matches', async () => {
+    const el = await setup();
+    const lines = linesWith(el, '"name"');
+    el.cursorLine = lines[0];
+    el.cursorColumn = el.lines[lines[0]].length - 2;
+    for (const line of lines.slice(1)) el._toggleCursor({ line, column: el.lines[line].length - 2 });
+
+    el.handlePaste(clipboardEvent('paste', '1\n2\n3'));
+    expect(el.getAll().map(f => f.properties.name)).to.deep.equal(['A1', 'B2', 'C3']);
+
+    el.handlePaste(clipboardEvent('paste', '!'));
+    expect(el.getAll().map(f => f.properties.name)).to.deep.equal(['A1!', 'B2!', 'C3!']);
+  });
+
+  it('should copy and cut the selections of every cursor', async () => {
+    const el = await setup();
+    el.cursorLine = linesWith(el, '"kind"')[0];
+    el.cursorColumn = el.lines[el.cursorLine].indexOf('road');
+    for (let i = 0; i < 2; i++) press(el, 'd', { ctrlKey: true });
+
+    const copy = clipboardEvent('copy');
+    el.handleCopy(copy);
+    expect(copy.data['text/plain']).to.equal('road\nroad');
+
+    const cut = clipboardEvent('cut');
+    el.handleCut(cut);
+    expect(cut.data['text/plain']).to.equal('road\nroad');
+    expect(el.getAll().map(f => f.properties.kind)).to.deep.equal(['', '', 'road']);
+  });
+
+  it('should return to a single cursor with Escape or a navigation key', async () => {
+    const el = await setup();
+    const lines = linesWith(el, '"name"');
+    el.cursorLine = lines[0];
+    el._toggleCursor({ line: lines[1], column: 0 });
+
+    press(el, 'Escape');
+    expect(el._extraCursors).to.have.length(0);
+
+    el._toggleCursor({ line: lines[2], column: 0 });
+    press(el, 'ArrowDown');
+    expect(el._extraCursors).to.have.length(0);
+  });
+
+  it('should not edit collapsed content', async () => {
+    const el = await setup();
+    const coordinateLines = linesWith(el, '"coordinates"');
+    // Cursors after the bracket of collapsed coordinates are not edited, the others are
+    el.cursorLine = coordinateLines[0];
+    el.cursorColumn = el.lines[coordinateLines[0]].length;
+    el._toggleCursor({ line: linesWith(el, '"name"')[0], column: el.lines[linesWith(el, '"name"')[0]].length - 2 });
+
+    type(el, 'x');
+
+    expect(el.getAll()[0].geometry.coordinates).to.deep.equal([1, 0]);
+    expect(el.getAll()[0].properties.name).to.equal('Ax');
+  });
+});
+
+describe('GeoJsonEditor - Bracket Matching', () => {
+
+  const features = [{
+    type: 'Feature',
+    geometry: { type: 'LineString', coordinates: [[1, 2], [3, 4]] },
+    properties: { name: 'a[b{c' }
+  }];
+
+  const press = (el, key, options = {}) => {
+    el.handleKeydown(new KeyboardEvent('keydown', { key, bubbles: true, ...options }));
+  };
+
+  const jump = (el) => press(el, '|', { ctrlKey: true, shiftKey: true });
+
+  const lineWith = (el, text) => el.lines.findIndex(line => line.includes(text));
+
+  const setup = async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+    el.set(features);
+    await waitFor();
+    return el;
+  };
+
+  it('should find the bracket matching the bracket next to the cursor', async () => {
+    const el = await setup();
+    const line = lineWith(el, '"properties"');
+    const column = el.lines[line].indexOf('{');
+
+    // After the bracket
+    el.cursorLine = line;
+    el.cursorColumn = column + 1;
+    const pair = el._getCursorBracketPair();
+    expect(pair.bracket).to.deep.equal({ line, column });
+    expect(el.lines[pair.match.line].trim()).to.match(/^}/);
+
+    // Before the closing bracket, back to the opening one
+    el.cursorLine = pair.match.line;
+    el.cursorColumn = pair.match.column;
+    expect(el._getCursorBracketPair().match).to.deep.equal({ line, column });
+  });
+
+  it('should ignore brackets in strings', async () => {
+    const el = await setup();
+    const line = lineWith(el, '"name"');
+    el.cursorLine = line;
+    el.cursorColumn = el.lines[line].indexOf('[') + 1;
+    expect(el._getCursorBracketPair()).to.be.null;
+    el.cursorColumn = el.lines[line].indexOf('{') + 1;
+    expect(el._getCursorBracketPair()).to.be.null;
+  });
+
+  it('should highlight the bracket pair when focused', async () => {
+    const el = await setup();
+    // Render all lines (the test viewport has no height)
+    el.bufferLines = 50;
+    const line = lineWith(el, '"properties"');
+    el._editorWrapper.classList.add('focused');
+    el.cursorLine = line;
+    el.cursorColumn = el.lines[line].indexOf('{') + 1;
+    el._invalidateRenderCache();
+    el.renderViewport();
+
+    expect(el.shadowRoot.querySelectorAll('.bracket-match').length).to.equal(2);
+  });
+
+  it('should jump to the matching bracket with Ctrl+Shift+\\', async () => {
+    const el = await setup();
+    const line = lineWith(el, '"properties"');
+    el.cursorLine = line;
+    el.cursorColumn = el.lines[line].indexOf('{') + 1;
+
+    jump(el);
+    expect(el.lines[el.cursorLine].trim()).to.match(/^}/);
+    expect(el.cursorColumn).to.equal(el.lines[el.cursorLine].indexOf('}') + 1);
+
+    press(el, '\\', { ctrlKey: true, shiftKey: true });
+    expect(el._getSelectedText()).to.equal(JSON.stringify(features[0].properties, null, 2).replace(/\n/g, '\n' + el.lines[line].match(/^\s*/)[0]));
+  });
+
+  it('should leave plain Ctrl+\\ to the browser', async () => {
+    const el = await setup();
+    const line = lineWith(el, '"properties"');
+    el.cursorLine = line;
+    el.cursorColumn = el.lines[line].indexOf('{') + 1;
+
+    const event = new KeyboardEvent('keydown', { key: '\\', ctrlKey: true, bubbles: true, cancelable: true });
+    el.handleKeydown(event);
+
+    expect(event.defaultPrevented).to.be.false;
+    expect(el.cursorLine).to.equal(line);
+  });
+
+  it('should leave | typed with AltGr to the browser', async () => {
+    const el = await setup();
+    const line = lineWith(el, '"properties"');
+    el.cursorLine = line;
+    el.cursorColumn = el.lines[line].indexOf('{') + 1;
+
+    // AltGr is reported as Ctrl+Alt
+    const event = new KeyboardEvent('keydown', { key: '|', ctrlKey: true, altKey: true, bubbles: true, cancelable: true });
+    el.handleKeydown(event);
+
+    expect(event.defaultPrevented).to.be.false;
+    expect(el.cursorLine).to.equal(line);
+  });
+
+  it('should expand collapsed nodes to reach the matching bracket', async () => {
+    const el = await setup();
+    const line = lineWith(el, '"coordinates"');
+    // Coordinates are collapsed when loaded
+    expect(el.collapsedNodes.size).to.equal(1);
+    el.cursorLine = line;
+    el.cursorColumn = el.lines[line].indexOf('[') + 1;
+
+    jump(el);
+
+    expect(el.lines[el.cursorLine].trim()).to.match(/^]/);
+    expect(el.visibleLines.some(vl => vl.index === el.cursorLine)).to.be.true;
+  });
+
+  it('should extend the selection to the enclosing nodes on repeated presses', async () => {
+    const el = await setup();
+    const line = lineWith(el, '"name"');
+    el.cursorLine = line;
+    el.cursorColumn = el.lines[line].indexOf('name');
+
+    jump(el);
+    expect(JSON.parse(el._getSelectedText())).to.deep.equal(features[0].properties);
+
+    jump(el);
+    expect(JSON.parse(el._getSelectedText())).to.deep.equal(features[0]);
+  });
+});
+
+describe('GeoJsonEditor - Move, Duplicate and Delete Nodes', () => {
+
+  const feature = (name, x) => ({
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: [x, 0] },
+    properties: { name }
+  });
+
+  const features = [feature('A', 1), feature('B', 2), feature('C', 3)];
+
+  const press = (el, key, options = {}) => {
+    el.handleKeydown(new KeyboardEvent('keydown', { key, bubbles: true, ...options }));
+  };
+
+  const names = (el) => el._parseFeatures().map(f => f.properties.name);
+
+  const lineWith = (el, text) => el.lines.findIndex(line => line.includes(text));
+
+  const setup = async () => {
+    const el = await createSizedFixture();
+    await waitFor();
+    el.set(features);
+    await waitFor();
+    return el;
+  };
+
+  it('should move the feature at the cursor with Alt+Up and Alt+Down', async () => {
+    const el = await setup();
+    el.cursorLine = lineWith(el, '"B"');
+
+    press(el, 'ArrowUp', { altKey: true });
+    expect(names(el)).to.deep.equal(['B', 'A', 'C']);
+    expect(el.lines[el.cursorLine]).to.include('"B"');
+
+    press(el, 'ArrowDown', { altKey: true });
+    press(el, 'ArrowDown', { altKey: true });
+    expect(names(el)).to.deep.equal(['A', 'C', 'B']);
+
+    // Already last
+    press(el, 'ArrowDown', { altKey: true });
+    expect(names(el)).to.deep.equal(['A', 'C', 'B']);
+  });
+
+  it('should move the node opened on the cursor line among its siblings', async () => {
+    const el = await setup();
+    el.cursorLine = lineWith(el, '"geometry"');
+
+    press(el, 'ArrowDown', { altKey: true });
+
+    const moved = el._parseFeatures()[0];
+    expect(Object.keys(moved)).to.deep.equal(['type', 'properties', 'geometry']);
+    expect(moved.geometry).to.deep.equal(features[0].geometry);
+    expect(el.lines[el.cursorLine]).to.include('"geometry"');
+  });
+
+  it('should keep hidden and collapsed features with their feature', async () => {
+    const el = await setup();
+    el.toggleFeatureVisibility(0);
+    const collapsed = el.collapsedNodes.size;
+    el.cursorLine = lineWith(el, '"A"');
+
+    press(el, 'ArrowDown', { altKey: true });
+
+    expect(names(el)).to.deep.equal(['B', 'A', 'C']);
+    expect([...el.hiddenFeatures]).to.deep.equal([1]);
+    expect(el.collapsedNodes.size).to.equal(collapsed);
+  });
+
+  it('should duplicate the feature at the cursor with Ctrl+Shift+D', async () => {
+    const el = await setup();
+    el.toggleFeatureVisibility(2);
+    el.cursorLine = lineWith(el, '"A"');
+
+    press(el, 'D', { ctrlKey: true, shiftKey: true });
+
+    expect(names(el)).to.deep.equal(['A', 'A', 'B', 'C']);
+    expect([...el.hiddenFeatures]).to.deep.equal([3]);
+    expect(el._getFeatureIndexForLine(el.cursorLine)).to.equal(1);
+  });
+
+  it('should delete the feature at the cursor with Ctrl+Shift+K', async () => {
+    const el = await setup();
+    el.toggleFeatureVisibility(2);
+    el.cursorLine = lineWith(el, '"B"');
+
+    press(el, 'K', { ctrlKey: true, shiftKey: true });
+    expect(names(el)).to.deep.equal(['A', 'C']);
+    expect([...el.hiddenFeatures]).to.deep.equal([1]);
+
+    // Last feature: the previous one loses its comma
+    el.cursorLine = lineWith(el, '"C"');
+    press(el, 'K', { ctrlKey: true, shiftKey: true });
+    expect(names(el)).to.deep.equal(['A']);
+    expect(el.hiddenFeatures.size).to.equal(0);
+  });
+
+  it('should leave plain Ctrl+K to the browser', async () => {
+    const el = await setup();
+    el.cursorLine = lineWith(el, '"B"');
+
+    const event = new KeyboardEvent('keydown', { key: 'k', ctrlKey: true, bubbles: true, cancelable: true });
+    el.handleKeydown(event);
+
+    expect(event.defaultPrevented).to.be.false;
+    expect(names(el)).to.deep.equal(['A', 'B', 'C']);
+  });
+
+  it('should undo a structural edit in one step', async () => {
+    const el = await setup();
+    el.cursorLine = lineWith(el, '"C"');
+
+    press(el, 'K', { ctrlKey: true, shiftKey: true });
+    el.undo();
+
+    expect(names(el)).to.deep.equal(['A', 'B', 'C']);
+  });
+
+  it('should not edit nodes in readonly mode', async () => {
+    const el = await setup();
+    el.setAttribute('readonly', '');
+    el.cursorLine = lineWith(el, '"B"');
+
+    press(el, 'ArrowUp', { altKey: true });
+    press(el, 'K', { ctrlKey: true, shiftKey: true });
+
+    expect(names(el)).to.deep.equal(['A', 'B', 'C']);
+  });
+});